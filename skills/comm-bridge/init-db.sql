@@ -20,17 +20,57 @@ CREATE TABLE IF NOT EXISTS conversations (
     channel TEXT NOT NULL,          -- 'telegram' | 'lark' | 'scheduler' | 'system'
     endpoint_id TEXT,               -- chat_id, can be NULL (e.g., scheduler)
     content TEXT NOT NULL,          -- message content (large messages: preview + file path)
-    status TEXT DEFAULT 'pending',  -- 'pending' | 'delivered' | 'failed' (for direction='in' queue)
-    delivery_action TEXT,           -- optional action outcome, e.g. 'queued' | 'delivered' | 'suppressed'
+    status TEXT DEFAULT 'pending',  -- 'pending' | 'delivered' | 'failed' | 'discarded' | 'held' | 'rejected' (for direction='in' queue); 'scheduled' | 'cancelled' for out
+    delivery_action TEXT,           -- optional action outcome, e.g. 'queued' | 'delivered' | 'suppressed' | 'held' | 'rejected' | 'approved'
     priority INTEGER DEFAULT 3,     -- 1=urgent, 2=high, 3=normal
     require_idle INTEGER DEFAULT 0, -- legacy/internal name for block_queue_until_idle behavior
-    retry_count INTEGER DEFAULT 0   -- delivery retries for incoming queue
+    retry_count INTEGER DEFAULT 0,  -- delivery retries for incoming queue
+    external_id TEXT,               -- channel-side message id for inbound dedup (released after the retention window)
+    reply_to_id INTEGER,            -- conversations.id this message answers (c4-send --reply-to)
+    thread_key TEXT,                -- thread grouping key, default '<channel>:<endpoint without msg/req/parent parts>'
+    external_message_id TEXT,       -- channel-side id of this message (e.g. the endpoint's |msg: part)
+    group_id TEXT,                  -- shared by the parts of one split outgoing message (c4-send chunking)
+    last_error TEXT,                -- last tmux delivery failure reason (e.g. 'VERIFY_FAILED')
+    failed_at INTEGER,              -- unix seconds when the message became a dead letter (status 'failed')
+    dead_letter_notified_at INTEGER, -- unix seconds when the dead-letter digest reported it
+    delivered_at INTEGER,           -- unix seconds when the dispatcher delivered it (per-endpoint fairness)
+    deliver_after INTEGER,          -- unix seconds; a rate-limited ('deferred') message waits until then
+    event_type TEXT,                -- NULL for a message; 'edit' | 'delete' | 'reaction' for a channel event on one
+    target_id INTEGER               -- conversations.id the event refers to (NULL when not in history)
 );
 
 CREATE INDEX IF NOT EXISTS idx_conversations_timestamp ON conversations(timestamp);
 CREATE INDEX IF NOT EXISTS idx_conversations_channel ON conversations(channel);
 CREATE INDEX IF NOT EXISTS idx_conversations_status ON conversations(status);
 CREATE INDEX IF NOT EXISTS idx_conversations_priority ON conversations(priority);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversations_channel_external_id
+  ON conversations(channel, external_id) WHERE external_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_conversations_thread_key ON conversations(thread_key);
+CREATE INDEX IF NOT EXISTS idx_conversations_external_message_id
+  ON conversations(channel, external_message_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_delivered_at ON conversations(delivered_at);
+
+-- Full-text index over conversations.content (external-content FTS5, kept in
+-- sync by triggers). Trigram tokenizer so CJK text and partial words match.
+CREATE VIRTUAL TABLE IF NOT EXISTS conversations_fts USING fts5(
+    content,
+    content='conversations',
+    content_rowid='id',
+    tokenize='trigram'
+);
+
+CREATE TRIGGER IF NOT EXISTS conversations_fts_insert AFTER INSERT ON conversations BEGIN
+    INSERT INTO conversations_fts(rowid, content) VALUES (new.id, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS conversations_fts_delete AFTER DELETE ON conversations BEGIN
+    INSERT INTO conversations_fts(conversations_fts, rowid, content) VALUES ('delete', old.id, old.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS conversations_fts_update AFTER UPDATE OF content ON conversations BEGIN
+    INSERT INTO conversations_fts(conversations_fts, rowid, content) VALUES ('delete', old.id, old.content);
+    INSERT INTO conversations_fts(rowid, content) VALUES (new.id, new.content);
+END;
 
 -- Control queue table (heartbeat/system control plane)
 CREATE TABLE IF NOT EXISTS control_queue (
@@ -58,6 +98,30 @@ CREATE INDEX IF NOT EXISTS idx_control_queue_ack_deadline
 CREATE INDEX IF NOT EXISTS idx_control_queue_updated_at
   ON control_queue(updated_at);
 
+-- Outbound delivery queue (c4-send → channel send scripts, retried with backoff)
+CREATE TABLE IF NOT EXISTS outbound_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id INTEGER,        -- audit row in conversations (direction='out'), NULL if the audit write failed
+    channel TEXT NOT NULL,
+    endpoint_id TEXT,
+    content TEXT NOT NULL,          -- message text, secrets redacted (c4-redact.js)
+    content_ciphertext TEXT,        -- encrypted unredacted text when redaction changed it; cleared once sent
+    payload TEXT,                   -- JSON send-contract fields: format, attachments, reply_to, part, metadata
+    group_id TEXT,                  -- parts of one split message; delivered strictly in order
+    send_after INTEGER,             -- unix seconds; scheduled send (c4-send --at/--in), NULL = immediate
+    status TEXT DEFAULT 'pending',  -- 'pending' | 'sending' | 'sent' | 'failed' | 'cancelled'
+    retry_count INTEGER DEFAULT 0,  -- failed delivery attempts so far
+    next_attempt_at INTEGER,        -- unix seconds; NULL = immediately
+    last_error TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbound_queue_status_next_attempt
+  ON outbound_queue(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_outbound_queue_updated_at
+  ON outbound_queue(updated_at);
+
 -- C4 unhealthy/status notice cooldowns
 CREATE TABLE IF NOT EXISTS status_notice_cooldowns (
     cooldown_key TEXT PRIMARY KEY,
@@ -73,5 +137,128 @@ CREATE TABLE IF NOT EXISTS status_notice_cooldowns (
 CREATE INDEX IF NOT EXISTS idx_status_notice_cooldowns_expires_at
   ON status_notice_cooldowns(expires_at);
 
+-- c4-intake channel tokens (only the sha256 hash is stored)
+CREATE TABLE IF NOT EXISTS intake_tokens (
+    channel TEXT PRIMARY KEY,
+    token_hash TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    last_used_at INTEGER
+);
+
+-- Channel liveness registry (c4-channels.js): channel components register
+-- and heartbeat; c4-send.js records each delivery's outcome
+CREATE TABLE IF NOT EXISTS channels (
+    channel TEXT PRIMARY KEY,
+    version TEXT,
+    capabilities TEXT,              -- JSON object reported at registration
+    pid INTEGER,                    -- probed for liveness when set
+    registered_at INTEGER,
+    last_seen_at INTEGER,           -- last register/heartbeat
+    stopped_at INTEGER,             -- clean shutdown; cleared by the next heartbeat
+    last_send_ok_at INTEGER,
+    last_send_error TEXT,
+    last_send_error_at INTEGER
+);
+
+-- Contact directory: human names for channel endpoints (c4-contacts.js)
+CREATE TABLE IF NOT EXISTS contacts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,      -- handle used as @name and as the memory/users/<name> id
+    display_name TEXT,
+    preferred_channel TEXT,         -- c4-send @name uses this channel when it has an endpoint
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS contact_endpoints (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    channel TEXT NOT NULL,
+    endpoint_id TEXT NOT NULL,      -- chat-level endpoint (msg/req/parent/root parts removed)
+    last_seen_at INTEGER,           -- last inbound message from this endpoint
+    created_at INTEGER NOT NULL,
+    UNIQUE(channel, endpoint_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_endpoints_contact ON contact_endpoints(contact_id);
+
+-- Named broadcast audiences for c4-send.js --audience
+CREATE TABLE IF NOT EXISTS audiences (
+    name TEXT PRIMARY KEY,
+    targets TEXT NOT NULL,          -- JSON array of `@contact`, `channel:endpoint` or `channel`
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+);
+
+-- Quiet hours for proactive c4-send messages (c4-contacts.js quiet), per
+-- contact or per chat-level endpoint; an endpoint rule wins over its contact's
+CREATE TABLE IF NOT EXISTS quiet_hours (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contact_id INTEGER UNIQUE REFERENCES contacts(id) ON DELETE CASCADE,
+    channel TEXT,                   -- set with endpoint_id for an endpoint rule
+    endpoint_id TEXT,
+    start_minute INTEGER NOT NULL,  -- local minutes after midnight; window is [start, end)
+    end_minute INTEGER NOT NULL,    -- may be below start_minute (window spans midnight)
+    timezone TEXT,                  -- IANA zone; NULL = the scheduler's TZ (~/zylos/.env)
+    mode TEXT NOT NULL DEFAULT 'hold', -- 'hold' (each message at window end) | 'digest' (one combined message)
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    UNIQUE(channel, endpoint_id)
+);
+
+-- Inbound access policy (c4-access.js), evaluated before a message is queued
+CREATE TABLE IF NOT EXISTS access_policies (
+    channel TEXT PRIMARY KEY,
+    unknown_action TEXT NOT NULL,   -- senders on neither list: 'accept' | 'hold' | 'reject'
+    updated_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS access_rules (
+    channel TEXT NOT NULL,
+    endpoint_id TEXT NOT NULL,      -- chat-level endpoint (no msg/req/parent/root parts)
+    rule TEXT NOT NULL,             -- 'allow' | 'block'
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (channel, endpoint_id)
+);
+
+-- Inbound rate limits: token buckets per channel and per chat (c4-inbound.js)
+CREATE TABLE IF NOT EXISTS inbound_rate_limits (
+    bucket_key TEXT PRIMARY KEY,    -- '<channel>' or '<channel>::<chat endpoint>'
+    tokens REAL NOT NULL,           -- bucket level after the last update; negative = deferred debt
+    updated_at REAL NOT NULL,       -- unix seconds (fractional) of the last update
+    suppressed_count INTEGER NOT NULL DEFAULT 0, -- overflow messages folded into summary_id
+    summary_id INTEGER              -- pending conversations row summarizing suppressed messages
+);
+
+-- Dedup keys of rate-limited messages that were dropped or summarized rather
+-- than recorded as conversations of their own (expire with external_id)
+CREATE TABLE IF NOT EXISTS inbound_suppressed_ids (
+    channel TEXT NOT NULL,
+    external_id TEXT NOT NULL,      -- channel-side message id, as conversations.external_id
+    conversation_id INTEGER,        -- summary row the message was folded into; NULL when dropped
+    suppressed_at INTEGER NOT NULL, -- unix seconds
+    PRIMARY KEY (channel, external_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inbound_suppressed_ids_suppressed_at
+  ON inbound_suppressed_ids(suppressed_at);
+
+-- Encrypted originals of redacted conversations (c4-redact.js; only with
+-- c4_redact_keep_original). Shown by `c4-db.js original <id>`.
+CREATE TABLE IF NOT EXISTS redacted_originals (
+    conversation_id INTEGER PRIMARY KEY REFERENCES conversations(id) ON DELETE CASCADE,
+    ciphertext TEXT NOT NULL,       -- v1:<iv>:<tag>:<data>, AES-256-GCM
+    created_at INTEGER NOT NULL
+);
+
+-- Conversations brought in by `c4-db.js import`: lets a repeated import of
+-- the same export skip rows it already has.
+CREATE TABLE IF NOT EXISTS conversation_imports (
+    source TEXT NOT NULL,           -- exporting instance (export header 'source')
+    source_id INTEGER NOT NULL,     -- conversation id in the source instance
+    conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    PRIMARY KEY (source, source_id)
+);
+
 -- Create initial checkpoint
 INSERT INTO checkpoints (summary) VALUES ('initial');
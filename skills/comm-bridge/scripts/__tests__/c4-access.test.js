@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { describe, it } from 'node:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+
+const ACCESS_PATH = fileURLToPath(new URL('../c4-access.js', import.meta.url));
+const RECEIVE_PATH = fileURLToPath(new URL('../c4-receive.js', import.meta.url));
+
+function run(script, args, env) {
+  return spawnSync('node', [script, ...args], {
+    env: { ...process.env, ...env },
+    encoding: 'utf8'
+  });
+}
+
+function withTmpDir(fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'c4-access-'));
+  fs.mkdirSync(path.join(tmpDir, 'activity-monitor'), { recursive: true });
+  fs.mkdirSync(path.join(tmpDir, '.claude', 'skills', 'test-chan'), { recursive: true });
+  const env = { ZYLOS_DIR: tmpDir };
+  const access = (...args) => run(ACCESS_PATH, args, env);
+  // The first DB open prints an init line before the JSON result.
+  const receive = (endpoint, content) => JSON.parse(run(RECEIVE_PATH, [
+    '--channel', 'test-chan', '--endpoint', endpoint, '--json', '--content', content
+  ], env).stdout.trim().split('\n').pop());
+  const rows = () => {
+    const db = new Database(path.join(tmpDir, 'comm-bridge', 'c4.db'), { readonly: true });
+    try {
+      return db.prepare('SELECT id, endpoint_id, status, delivery_action FROM conversations ORDER BY id').all();
+    } finally {
+      db.close();
+    }
+  };
+  try {
+    return fn({ tmpDir, env, access, receive, rows });
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+describe('c4-access policy', () => {
+  it('accepts everyone by default', () => {
+    withTmpDir(({ receive }) => {
+      assert.equal(receive('chat_1', 'hello').action, 'queued');
+    });
+  });
+
+  it('rejects blocked senders and unknown senders under a reject policy', () => {
+    withTmpDir(({ access, receive, rows }) => {
+      assert.equal(access('policy', 'test-chan', 'reject').status, 0);
+      assert.equal(access('allow', 'test-chan', 'friend|msg:9').status, 0);
+      assert.equal(access('block', 'test-chan', 'spammer').status, 0);
+
+      assert.equal(receive('friend|msg:10', 'hi').action, 'queued');
+      assert.equal(receive('stranger', 'hi').action, 'rejected');
+      assert.equal(access('policy', 'test-chan', 'accept').status, 0);
+      assert.equal(receive('spammer', 'buy now').action, 'rejected');
+      assert.equal(receive('stranger', 'hi again').action, 'queued');
+
+      assert.deepEqual(rows().map((row) => [row.endpoint_id, row.status, row.delivery_action]), [
+        ['friend|msg:10', 'pending', null],
+        ['stranger', 'rejected', 'rejected'],
+        ['spammer', 'rejected', 'rejected'],
+        ['stranger', 'pending', null]
+      ]);
+      const listed = JSON.parse(access('list', '--json').stdout);
+      assert.deepEqual(listed.map((rule) => [rule.endpoint_id, rule.rule]), [['friend', 'allow'], ['spammer', 'block']]);
+    });
+  });
+
+  it('holds unknown senders until approved, and asks the agent once per sender', () => {
+    withTmpDir(({ tmpDir, access, receive, rows }) => {
+      access('policy', 'test-chan', 'hold');
+      assert.equal(receive('chat_1|msg:1', '[TC DM] Alice said: hi').action, 'held');
+      assert.equal(receive('chat_1|msg:2', '[TC DM] Alice said: anyone?').action, 'held');
+      assert.equal(receive('chat_2', 'hello').action, 'held');
+
+      const pending = JSON.parse(access('pending', '--json').stdout);
+      assert.deepEqual(pending.map((sender) => [sender.endpoint_id, sender.count]), [['chat_1', 2], ['chat_2', 1]]);
+
+      const db = new Database(path.join(tmpDir, 'comm-bridge', 'c4.db'), { readonly: true });
+      const controls = db.prepare('SELECT content FROM control_queue ORDER BY id').all();
+      db.close();
+      assert.equal(controls.length, 2);
+      assert.match(controls[0].content, /New sender on test-chan: chat_1 \(Alice\).*approve test-chan "chat_1"/);
+
+      const approved = access('approve', 'test-chan', 'chat_1');
+      assert.equal(approved.status, 0, approved.stderr);
+      assert.match(approved.stdout, /2 held messages queued/);
+      assert.match(access('deny', 'test-chan', 'chat_2').stdout, /1 held message rejected/);
+
+      assert.deepEqual(rows().map((row) => [row.status, row.delivery_action]), [
+        ['pending', 'approved'],
+        ['pending', 'approved'],
+        ['rejected', 'rejected']
+      ]);
+      assert.equal(receive('chat_1', 'thanks').action, 'queued');
+      assert.equal(receive('chat_2', 'please').action, 'rejected');
+    });
+  });
+
+  it('validates arguments', () => {
+    withTmpDir(({ access }) => {
+      const bad = access('policy', 'test-chan', 'maybe');
+      assert.equal(bad.status, 1);
+      assert.match(bad.stderr, /accept, hold, reject, default/);
+      assert.equal(access('remove', 'test-chan', 'nobody').status, 1);
+      assert.equal(access('approve', 'test-chan').status, 1);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { describe, it, beforeEach } from 'node:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Set up an isolated temp ZYLOS_DIR BEFORE importing so that c4-config.js
+// (evaluated once at first import) picks up our temp path.
+const ORIG_ZYLOS_DIR = process.env.ZYLOS_DIR;
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'c4-channels-test-'));
+process.env.ZYLOS_DIR = TMP_DIR;
+
+const dbMod = await import(new URL('../c4-db.js', import.meta.url));
+const channels = await import(new URL('../c4-channels.js', import.meta.url));
+const outbox = await import(new URL('../c4-outbox.js', import.meta.url));
+const db = dbMod.getDb();
+
+if (ORIG_ZYLOS_DIR === undefined) delete process.env.ZYLOS_DIR;
+else process.env.ZYLOS_DIR = ORIG_ZYLOS_DIR;
+
+const CLI_PATH = fileURLToPath(new URL('../c4-channels.js', import.meta.url));
+const SKILLS_DIR = path.join(TMP_DIR, '.claude', 'skills');
+
+process.on('exit', () => {
+  try { dbMod.close(); } catch { /* ignore */ }
+  try { fs.rmSync(TMP_DIR, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+function installChannel(name, script = 'process.exit(0);') {
+  const dir = path.join(SKILLS_DIR, name, 'scripts');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'send.js'), script);
+}
+
+/** A pid that is certainly not running: a child that already exited. */
+function exitedPid() {
+  return spawnSync('node', ['-e', '']).pid;
+}
+
+describe('channel liveness', () => {
+  beforeEach(() => {
+    db.exec('DELETE FROM channels');
+    db.exec('DELETE FROM contacts');
+  });
+
+  const current = Math.floor(Date.now() / 1000);
+
+  it('classifies unknown, up, stale, stopped and dead-process channels', () => {
+    assert.deepEqual(channels.getChannelLiveness('telegram'), { state: 'unknown', down: false, reason: null });
+
+    dbMod.registerChannel('telegram', { version: '2.1.0' });
+    assert.equal(channels.getChannelLiveness('telegram').state, 'up');
+    assert.deepEqual(channels.getChannelLiveness('telegram', { current: current + 600, timeoutSeconds: 180 }), {
+      state: 'down', down: true, reason: 'no heartbeat for 10m'
+    });
+    assert.equal(channels.getChannelLiveness('telegram', { current: current + 600, timeoutSeconds: 0 }).state, 'up');
+
+    dbMod.stopChannel('telegram');
+    assert.equal(channels.getChannelLiveness('telegram').state, 'stopped');
+    dbMod.heartbeatChannel('telegram');
+    assert.equal(channels.getChannelLiveness('telegram').state, 'up');
+
+    dbMod.registerChannel('lark', { pid: exitedPid() });
+    assert.match(channels.getChannelLiveness('lark').reason, /^process \d+ is not running$/);
+    dbMod.registerChannel('lark', { pid: process.pid });
+    assert.equal(channels.getChannelLiveness('lark').state, 'up');
+  });
+
+  it('sends that are only recorded leave a channel unknown', () => {
+    dbMod.recordChannelSend('telegram', 'exit code 1: 401 Unauthorized');
+    const row = dbMod.getChannel('telegram');
+    assert.equal(row.last_send_error, 'exit code 1: 401 Unauthorized');
+    assert.equal(channels.channelLiveness(row).state, 'unknown');
+  });
+
+  it('picks a live fallback channel of the same contact, preferred first', () => {
+    for (const name of ['chan-a', 'chan-b', 'chan-c']) installChannel(name);
+    dbMod.addContact('alice', { channel: 'chan-a', endpointId: 'a1' });
+    dbMod.addContact('alice', { channel: 'chan-b', endpointId: 'b1' });
+    dbMod.addContact('alice', { channel: 'chan-c', endpointId: 'c1', preferredChannel: 'chan-c' });
+
+    assert.deepEqual(channels.findFallbackEndpoint('chan-a', 'a1|msg:4'), { contact: 'alice', channel: 'chan-c', endpoint_id: 'c1' });
+
+    dbMod.registerChannel('chan-c');
+    dbMod.stopChannel('chan-c');
+    assert.equal(channels.findFallbackEndpoint('chan-a', 'a1').channel, 'chan-b');
+    assert.equal(channels.findFallbackEndpoint('chan-a', 'unknown-endpoint'), null);
+  });
+});
+
+describe('channel send outcomes', () => {
+  it('records the result of each delivery', async () => {
+    db.exec('DELETE FROM channels');
+    installChannel('flaky', "console.error('rate limited'); process.exit(2);");
+    installChannel('steady');
+
+    await outbox.deliverOutbound({ channel: 'flaky', endpoint_id: '1', content: 'x', payload: {} });
+    await outbox.deliverOutbound({ channel: 'steady', endpoint_id: '1', content: 'x', payload: {} });
+    assert.equal(dbMod.getChannel('flaky').last_send_error, 'exit code 2: rate limited');
+    assert.ok(dbMod.getChannel('steady').last_send_ok_at > 0);
+    assert.equal(dbMod.getChannel('steady').last_send_error, null);
+  });
+});
+
+describe('c4-channels CLI', () => {
+  function cli(args) {
+    const result = spawnSync('node', [CLI_PATH, ...args], {
+      env: { ...process.env, ZYLOS_DIR: TMP_DIR },
+      encoding: 'utf8'
+    });
+    return { stdout: result.stdout, stderr: result.stderr, status: result.status };
+  }
+
+  it('registers channels and reports installed and registered ones', () => {
+    db.exec('DELETE FROM channels');
+    installChannel('telegram');
+
+    const registered = cli(['register', '--channel', 'telegram', '--version', '2.1.0', '--capabilities', '{"reactions":true}']);
+    assert.equal(registered.status, 0, registered.stderr);
+    assert.match(registered.stdout, /OK: telegram registered \(version 2\.1\.0\)/);
+    assert.equal(cli(['stop', '--channel', 'lark']).status, 1);
+    assert.equal(cli(['register', '--channel', 'lark', '--capabilities', '[1]']).status, 1);
+    dbMod.recordChannelSend('telegram', 'exit code 1: 401 Unauthorized');
+
+    const status = cli(['status']);
+    assert.equal(status.status, 0, status.stderr);
+    assert.match(status.stdout, /^telegram\s+up\s+v2\.1\.0\s+seen \d+s ago$/m);
+    assert.match(status.stdout, /^ {2}last send error \d+s ago: exit code 1: 401 Unauthorized$/m);
+    assert.match(status.stdout, /^chan-a\s+unknown\s+-\s+never registered$/m);
+
+    const entries = JSON.parse(cli(['status', '--json']).stdout);
+    const telegram = entries.find((entry) => entry.channel === 'telegram');
+    assert.deepEqual(telegram.capabilities, { reactions: true });
+    assert.equal(telegram.liveness.state, 'up');
+  });
+});
@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+const { splitMessage } = await import(new URL('../c4-chunk.js', import.meta.url));
+
+function assertFits(parts, maxChars) {
+  for (const part of parts) {
+    assert.ok(part.length <= maxChars, `part of ${part.length} chars exceeds ${maxChars}`);
+  }
+}
+
+describe('splitMessage', () => {
+  it('leaves short messages and undeclared limits alone', () => {
+    assert.deepEqual(splitMessage('hello', 100), ['hello']);
+    assert.deepEqual(splitMessage('x'.repeat(500), null), ['x'.repeat(500)]);
+  });
+
+  it('splits on paragraph boundaries and numbers the parts', () => {
+    const paragraphs = Array.from({ length: 6 }, (_, i) => `Paragraph ${i + 1} ${'word '.repeat(8).trim()}`);
+    const parts = splitMessage(paragraphs.join('\n\n'), 120);
+    assertFits(parts, 120);
+    assert.ok(parts.length > 1);
+    parts.forEach((part, i) => assert.ok(part.endsWith(`(${i + 1}/${parts.length})`)));
+    // No paragraph is cut in half.
+    for (const paragraph of paragraphs) {
+      assert.ok(parts.some((part) => part.includes(paragraph)), paragraph);
+    }
+  });
+
+  it('closes and reopens a code fence that spans parts', () => {
+    const code = Array.from({ length: 30 }, (_, i) => `const line${i} = ${i};`).join('\n');
+    const parts = splitMessage(`Intro\n\n\`\`\`js\n${code}\n\`\`\`\n\nOutro`, 200);
+    assertFits(parts, 200);
+    const fenced = parts.filter((part) => part.includes('const line'));
+    assert.ok(fenced.length > 1);
+    for (const part of fenced) {
+      const fences = part.split('\n').filter((line) => line.startsWith('```'));
+      assert.equal(fences.length % 2, 0, part);
+      assert.ok(part.includes('```js\n'));
+    }
+  });
+
+  it('hard-splits a single overlong line, preferring spaces', () => {
+    const parts = splitMessage('lorem ipsum '.repeat(40).trim(), 100);
+    assertFits(parts, 100);
+    assert.ok(parts.every((part) => !part.startsWith(' ')));
+    assert.equal(parts.map((part) => part.replace(/\n\n\(\d+\/\d+\)$/, '')).join(' '), 'lorem ipsum '.repeat(40).trim());
+  });
+});
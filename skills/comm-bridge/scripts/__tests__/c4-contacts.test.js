@@ -0,0 +1,167 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { describe, it, beforeEach } from 'node:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Set up an isolated temp ZYLOS_DIR BEFORE importing so that c4-config.js
+// (evaluated once at first import) picks up our temp path.
+const ORIG_ZYLOS_DIR = process.env.ZYLOS_DIR;
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'c4-contacts-test-'));
+process.env.ZYLOS_DIR = TMP_DIR;
+
+const dbMod = await import(new URL('../c4-db.js', import.meta.url));
+const db = dbMod.getDb();
+
+if (ORIG_ZYLOS_DIR === undefined) delete process.env.ZYLOS_DIR;
+else process.env.ZYLOS_DIR = ORIG_ZYLOS_DIR;
+
+const CLI_PATH = fileURLToPath(new URL('../c4-contacts.js', import.meta.url));
+const USERS_DIR = path.join(TMP_DIR, 'memory', 'users');
+
+process.on('exit', () => {
+  try { dbMod.close(); } catch { /* ignore */ }
+  try { fs.rmSync(TMP_DIR, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+function resetTables() {
+  db.exec('DELETE FROM quiet_hours');
+  db.exec('DELETE FROM contacts');
+  db.exec('DELETE FROM conversations');
+  fs.rmSync(USERS_DIR, { recursive: true, force: true });
+}
+
+function cli(args) {
+  return spawnSync('node', [CLI_PATH, ...args], {
+    env: { ...process.env, ZYLOS_DIR: TMP_DIR },
+    encoding: 'utf8'
+  });
+}
+
+describe('contact directory', () => {
+  beforeEach(resetTables);
+
+  it('auto-creates one contact per chat endpoint and tracks last seen', () => {
+    const first = dbMod.recordContactEndpoint('telegram', '123|msg:1', { displayName: 'Alice', seenAt: 100 });
+    const again = dbMod.recordContactEndpoint('telegram', '123|msg:2', { seenAt: 200 });
+    assert.equal(first.name, 'telegram-123');
+    assert.equal(again.id, first.id);
+
+    const contact = dbMod.getContact('telegram-123');
+    assert.equal(contact.display_name, 'Alice');
+    assert.deepEqual(contact.endpoints.map((e) => [e.endpoint_id, e.last_seen_at]), [['123', 200]]);
+
+    // Name collisions get a numeric suffix.
+    dbMod.addContact('telegram-555');
+    assert.equal(dbMod.recordContactEndpoint('telegram', '555').name, 'telegram-555-2');
+  });
+
+  it('resolves the preferred channel, else the most recently seen endpoint', () => {
+    dbMod.addContact('alice', { channel: 'telegram', endpointId: '123' });
+    dbMod.addContact('alice', { channel: 'lark', endpointId: 'ou_9' });
+    dbMod.recordContactEndpoint('telegram', '123', { seenAt: 50 });
+    dbMod.recordContactEndpoint('lark', 'ou_9', { seenAt: 80 });
+    assert.deepEqual(dbMod.resolveContactEndpoint('alice'), { channel: 'lark', endpoint_id: 'ou_9' });
+
+    dbMod.setContactPreferredChannel('alice', 'telegram');
+    assert.deepEqual(dbMod.resolveContactEndpoint('alice'), { channel: 'telegram', endpoint_id: '123' });
+    assert.equal(dbMod.resolveContactEndpoint('bob'), null);
+  });
+
+  it('refuses to give one endpoint to two contacts, and merges them', () => {
+    dbMod.recordContactEndpoint('telegram', '123');
+    assert.throws(
+      () => dbMod.addContact('alice', { channel: 'telegram', endpointId: '123' }),
+      /already belongs to @telegram-123/
+    );
+
+    dbMod.addContact('alice', { channel: 'lark', endpointId: 'ou_9', preferredChannel: 'lark' });
+    assert.equal(dbMod.mergeContacts('telegram-123', 'alice'), 1);
+    assert.equal(dbMod.getContact('telegram-123'), null);
+    assert.deepEqual(dbMod.getContact('alice').endpoints.map((e) => e.channel).sort(), ['lark', 'telegram']);
+    assert.equal(dbMod.findContactByEndpoint('telegram', '123|msg:5').name, 'alice');
+  });
+
+  it('imports inbound senders from conversations and names them in output', () => {
+    dbMod.insertConversation('in', 'telegram', '123|msg:1', '[TG DM] Alice said: hi');
+    dbMod.insertConversation('out', 'telegram', '123', 'hello');
+    dbMod.insertConversation('in', 'system', null, 'cron done');
+
+    assert.deepEqual(dbMod.importContactsFromConversations(() => 'Alice'), { endpoints: 1, created: 1 });
+    dbMod.renameContact('telegram-123', 'alice');
+
+    const rows = dbMod.attachContactNames(dbMod.getConversationsByRange(1, 3));
+    assert.deepEqual(rows.map((row) => row.contact_name ?? null), ['alice', 'alice', null]);
+    assert.match(dbMod.formatConversations(rows), /\(telegram:123\|msg:1 @alice\) #1:/);
+  });
+});
+
+describe('c4-contacts CLI', () => {
+  beforeEach(resetTables);
+
+  it('adds, renames, lists and removes contacts', () => {
+    const added = cli(['add', 'alice', '--channel', 'telegram', '--endpoint', '123', '--display-name', 'Alice', '--prefer']);
+    assert.equal(added.status, 0, added.stderr);
+    assert.match(added.stdout, /@alice \(Alice\)\n {2}preferred: telegram\n {2}telegram:123/);
+
+    assert.equal(cli(['rename', 'alice', 'ali']).status, 0);
+    const listed = JSON.parse(cli(['list', '--json']).stdout);
+    assert.deepEqual(listed.map((c) => [c.name, c.preferred_channel, c.endpoints.length]), [['ali', 'telegram', 1]]);
+
+    assert.equal(cli(['remove', 'ali', '--channel', 'telegram', '--endpoint', '123']).status, 0);
+    assert.equal(dbMod.getContact('ali').endpoints.length, 0);
+    assert.equal(cli(['remove', '@ali']).status, 0);
+    assert.equal(cli(['show', 'ali']).status, 1);
+  });
+
+  it('rejects invalid names and endpoint conflicts', () => {
+    const invalid = cli(['add', 'Alice Smith']);
+    assert.equal(invalid.status, 1);
+    assert.match(invalid.stderr, /invalid contact name/);
+
+    cli(['add', 'alice', '--channel', 'telegram', '--endpoint', '123']);
+    const conflict = cli(['add', 'bob', '--channel', 'telegram', '--endpoint', '123']);
+    assert.equal(conflict.status, 1);
+    assert.match(conflict.stderr, /already belongs to @alice/);
+  });
+
+  it('writes missing memory profiles without touching existing ones', () => {
+    cli(['add', 'alice', '--channel', 'telegram', '--endpoint', '123', '--display-name', 'Alice']);
+    cli(['add', 'bob', '--channel', 'lark', '--endpoint', 'ou_2']);
+    fs.mkdirSync(path.join(USERS_DIR, 'bob'), { recursive: true });
+    fs.writeFileSync(path.join(USERS_DIR, 'bob', 'profile.md'), 'hand-written\n');
+
+    const result = cli(['profiles']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /alice[/\\]profile\.md/);
+
+    const profile = fs.readFileSync(path.join(USERS_DIR, 'alice', 'profile.md'), 'utf8');
+    assert.match(profile, /^# User Profile: Alice\n\n## Identity\n- Name: Alice\n- User ID: alice\n- Primary Channel: telegram\n/);
+    assert.match(profile, /Last updated: \d{4}-\d{2}-\d{2}\n$/);
+    assert.equal(fs.readFileSync(path.join(USERS_DIR, 'bob', 'profile.md'), 'utf8'), 'hand-written\n');
+  });
+
+  it('sets, lists and removes quiet hours', () => {
+    cli(['add', 'alice', '--channel', 'telegram', '--endpoint', '123']);
+    const set = cli(['quiet', 'set', '@alice', '22:00-07:00', '--tz', 'Asia/Shanghai', '--digest']);
+    assert.equal(set.status, 0, set.stderr);
+    assert.match(set.stdout, /OK: @alice quiet 22:00-07:00 Asia\/Shanghai, digest/);
+    assert.equal(cli(['quiet', 'set', 'lark:ou_2', '23:30-6:00']).status, 0);
+
+    assert.equal(cli(['quiet', 'list']).stdout, '@alice  22:00-07:00 Asia/Shanghai  digest\nlark:ou_2  23:30-06:00 (scheduler TZ)  hold\n');
+    assert.equal(dbMod.getQuietHoursFor('telegram', '123|msg:1').mode, 'digest');
+
+    assert.equal(cli(['quiet', 'remove', '@alice']).status, 0);
+    assert.equal(cli(['quiet', 'remove', '@alice']).status, 1);
+    assert.equal(dbMod.getQuietHoursFor('telegram', '123'), null);
+  });
+
+  it('rejects bad quiet-hours windows, timezones and contacts', () => {
+    assert.match(cli(['quiet', 'set', '@nobody', '22:00-07:00']).stderr, /contact @nobody not found/);
+    assert.match(cli(['quiet', 'set', 'lark:ou_2', '22:00']).stderr, /HH:MM-HH:MM/);
+    assert.match(cli(['quiet', 'set', 'lark:ou_2', '22:00-07:00', '--tz', 'Mars/Olympus']).stderr, /invalid timezone/);
+    assert.match(cli(['quiet', 'set', 'lark', '22:00-07:00']).stderr, /@name or channel:endpoint/);
+  });
+});
@@ -269,6 +269,89 @@ describe('c4-control ack', () => {
   });
 });
 
+// -- list / cancel / retry / stats --
+
+describe('c4-control list', () => {
+  it('prints matching controls as JSON, newest first', () => {
+    withTmpDir(({ env }) => {
+      const first = parseControlId(cliRaw(['enqueue', '--content', 'first'], env).stdout);
+      const second = parseControlId(cliRaw(['enqueue', '--content', 'second'], env).stdout);
+      cliRaw(['ack', '--id', first], env);
+
+      const all = cliRaw(['list'], env);
+      assert.equal(all.status, 0);
+      assert.deepEqual(JSON.parse(all.stdout).map((row) => row.id), [Number(second), Number(first)]);
+
+      const pending = JSON.parse(cliRaw(['list', '--status', 'pending', '--since', '1h'], env).stdout);
+      assert.deepEqual(pending.map((row) => row.raw_content), ['second']);
+    });
+  });
+
+  it('rejects an unknown --status', () => {
+    withTmpDir(({ env }) => {
+      const { stderr, status } = cliRaw(['list', '--status', 'stuck'], env);
+      assert.equal(status, 1);
+      assert.ok(stderr.includes('--status must be one of'));
+    });
+  });
+});
+
+describe('c4-control cancel and retry', () => {
+  it('cancels a pending control and retries it', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const id = parseControlId(cliRaw(['enqueue', '--content', 'stuck heartbeat'], env).stdout);
+
+      const cancel = cliRaw(['cancel', id], env);
+      assert.equal(cancel.status, 0);
+      assert.ok(cancel.stdout.includes(`control ${id} cancelled`));
+      assert.equal(getControlRow(tmpDir, id).status, 'cancelled');
+
+      const again = cliRaw(['cancel', id], env);
+      assert.equal(again.status, 1);
+      assert.ok(again.stderr.includes('is cancelled'));
+
+      const retry = cliRaw(['retry', '--id', id], env);
+      assert.equal(retry.status, 0);
+      assert.equal(getControlRow(tmpDir, id).status, 'pending');
+    });
+  });
+
+  it('refuses to retry a pending control', () => {
+    withTmpDir(({ env }) => {
+      const id = parseControlId(cliRaw(['enqueue', '--content', 'fresh'], env).stdout);
+      const { stderr, status } = cliRaw(['retry', id], env);
+      assert.equal(status, 1);
+      assert.ok(stderr.includes('only failed, timeout or cancelled'));
+    });
+  });
+
+  it('errors on a missing id', () => {
+    withTmpDir(({ env }) => {
+      const { stderr, status } = cliRaw(['cancel'], env);
+      assert.equal(status, 1);
+      assert.ok(stderr.includes('positive integer'));
+    });
+  });
+});
+
+describe('c4-control stats', () => {
+  it('prints counts by status as JSON', () => {
+    withTmpDir(({ env }) => {
+      const id = parseControlId(cliRaw(['enqueue', '--content', 'one'], env).stdout);
+      cliRaw(['enqueue', '--content', 'two'], env);
+      cliRaw(['cancel', id], env);
+
+      const { stdout, status } = cliRaw(['stats'], env);
+      assert.equal(status, 0);
+      const stats = JSON.parse(stdout);
+      assert.equal(stats.total, 2);
+      assert.equal(stats.by_status.pending, 1);
+      assert.equal(stats.by_status.cancelled, 1);
+      assert.ok(stats.oldest_pending);
+    });
+  });
+});
+
 // -- help --
 
 describe('c4-control help', () => {
@@ -281,3 +281,35 @@ describe('formatConversationsForAgent', () => {
     assert.equal((result.match(/reply via:/g) || []).length, 2);
   });
 });
+
+describe('thread rendering', () => {
+  const rows = [
+    { id: 1, timestamp: '2025-01-15 10:00:00', direction: 'in', channel: 'telegram', endpoint_id: '123', thread_key: 'telegram:123', content: 'first question' },
+    { id: 2, timestamp: '2025-01-15 10:01:00', direction: 'in', channel: 'lark', endpoint_id: 'chat_1|msg:m1', thread_key: 'lark:chat_1', content: 'lark ping' },
+    { id: 3, timestamp: '2025-01-15 10:02:00', direction: 'out', channel: 'telegram', endpoint_id: '123', thread_key: 'telegram:123', reply_to_id: 1, content: 'answer' }
+  ];
+
+  it('keeps a single-thread batch flat', () => {
+    const result = mod.formatConversations([rows[0], rows[2]]);
+    assert.ok(!result.includes('=== Thread'));
+    assert.ok(result.includes('[2025-01-15 10:02:00] OUT (telegram:123) #3 (reply to #1):'));
+  });
+
+  it('groups a multi-thread batch, most recently active thread last', () => {
+    const result = mod.formatConversations(rows);
+    const telegram = result.indexOf('=== Thread telegram:123 (2 messages) ===');
+    const lark = result.indexOf('=== Thread lark:chat_1 (1 message) ===');
+    assert.ok(lark !== -1 && telegram > lark);
+    assert.ok(result.indexOf('first question') > telegram);
+    assert.ok(result.indexOf('answer') > result.indexOf('first question'));
+  });
+
+  it('derives the thread for rows without thread_key', () => {
+    const result = mod.formatConversationsForAgent([
+      { ...rows[1], thread_key: null, endpoint_id: 'chat_1|msg:m1' },
+      { ...rows[1], id: 4, thread_key: null, endpoint_id: 'chat_1|msg:m2', content: 'second' }
+    ]);
+    assert.ok(!result.includes('=== Thread'));
+    assert.equal((result.match(/reply via:/g) || []).length, 2);
+  });
+});
@@ -5,6 +5,7 @@ import fs from 'node:fs';
 import os from 'node:os';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
 
 const DB_CLI_PATH = fileURLToPath(new URL('../c4-db.js', import.meta.url));
 const RECEIVE_PATH = fileURLToPath(new URL('../c4-receive.js', import.meta.url));
@@ -75,3 +76,184 @@ describe('void channel migration (#689)', () => {
     });
   });
 });
+
+describe('thread column migration', () => {
+  it('backfills thread_key and external_message_id for rows recorded before the columns existed', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      assert.equal(dbCli(['init'], env).status, 0);
+      const dbPath = path.join(tmpDir, 'comm-bridge', 'c4.db');
+      const legacy = new Database(dbPath);
+      legacy.exec(`
+        DROP INDEX idx_conversations_thread_key;
+        DROP INDEX idx_conversations_external_message_id;
+        ALTER TABLE conversations DROP COLUMN reply_to_id;
+        ALTER TABLE conversations DROP COLUMN thread_key;
+        ALTER TABLE conversations DROP COLUMN external_message_id;
+        INSERT INTO conversations (direction, channel, endpoint_id, content)
+          VALUES ('in', 'lark', 'chat_1|type:group|root:msg_r|msg:msg_2', 'in thread');
+        INSERT INTO conversations (direction, channel, endpoint_id, content)
+          VALUES ('in', 'system', NULL, 'no endpoint');
+      `);
+      legacy.close();
+
+      const { stdout, status } = dbCli(['recent', '10'], env);
+      assert.equal(status, 0);
+      const rows = JSON.parse(stdout);
+      assert.deepEqual(rows.map((row) => [row.thread_key, row.external_message_id, row.reply_to_id]), [
+        ['lark:chat_1|type:group|root:msg_r', 'msg_2', null],
+        [null, null, null]
+      ]);
+    });
+  });
+});
+
+describe('c4-db dead letters', () => {
+  function seedFailed(tmpDir, env) {
+    for (const content of ['first', 'second', 'third']) {
+      assert.equal(receive(['--channel', 'system', '--no-reply', '--content', content], env).status, 0);
+    }
+    const db = new Database(path.join(tmpDir, 'comm-bridge', 'c4.db'));
+    db.exec(`
+      UPDATE conversations
+      SET status = 'failed', retry_count = 2, last_error = 'VERIFY_FAILED', failed_at = unixepoch()
+      WHERE id IN (1, 2);
+      UPDATE conversations
+      SET status = 'failed', retry_count = 2, failed_at = unixepoch() - 3 * 86400
+      WHERE id = 3;
+    `);
+    return db;
+  }
+
+  it('lists failed messages with the failure reason, filtered by --since', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      seedFailed(tmpDir, env).close();
+
+      const all = dbCli(['failed'], env);
+      assert.equal(all.status, 0, all.stderr);
+      assert.deepEqual(JSON.parse(all.stdout).map((row) => [row.id, row.last_error]), [
+        [1, 'VERIFY_FAILED'],
+        [2, 'VERIFY_FAILED'],
+        [3, null]
+      ]);
+
+      const recent = JSON.parse(dbCli(['failed', '--since', '1d'], env).stdout);
+      assert.deepEqual(recent.map((row) => row.id), [1, 2]);
+      assert.equal(dbCli(['failed', '--since', 'yesterday-ish'], env).status, 1);
+    });
+  });
+
+  it('requeues one or all failed messages with a fresh retry budget, and discards', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const db = seedFailed(tmpDir, env);
+      const statusOf = (id) => db.prepare('SELECT status, retry_count FROM conversations WHERE id = ?').get(id);
+
+      const one = dbCli(['requeue', '1'], env);
+      assert.equal(one.status, 0, one.stderr);
+      assert.deepEqual(statusOf(1), { status: 'pending', retry_count: 0 });
+      assert.equal(dbCli(['requeue', '1'], env).status, 1);
+
+      assert.equal(dbCli(['discard', '2'], env).status, 0);
+      assert.equal(statusOf(2).status, 'discarded');
+
+      const rest = dbCli(['requeue', '--all-failed'], env);
+      assert.equal(rest.status, 0);
+      assert.match(rest.stdout, /Requeued 1 failed message/);
+      assert.equal(statusOf(3).status, 'pending');
+      db.close();
+    });
+  });
+});
+
+describe('c4-db secret redaction', () => {
+  const secret = 'sk-ant-REDACTED';
+
+  it('stores a redacted copy and shows the kept original only on request', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const keepEnv = { ...env, C4_REDACT_KEEP_ORIGINAL: '1' };
+      assert.equal(receive(['--no-reply', '--content', `key: ${secret}`], keepEnv).status, 0);
+      assert.equal(receive(['--no-reply', '--content', 'nothing to hide'], keepEnv).status, 0);
+
+      const recent = JSON.parse(dbCli(['recent', '2'], env).stdout);
+      assert.deepEqual(recent.map((row) => row.content), ['key: [REDACTED:anthropic_key]', 'nothing to hide']);
+      const raw = fs.readFileSync(path.join(tmpDir, 'comm-bridge', 'c4.db'));
+      assert.equal(raw.includes(secret), false);
+
+      const original = dbCli(['original', '1'], env);
+      assert.equal(original.status, 0, original.stderr);
+      assert.equal(original.stdout.trim().split('\n').pop(), `key: ${secret}`);
+      const none = dbCli(['original', '2'], env);
+      assert.equal(none.status, 1);
+      assert.match(none.stderr, /No encrypted original/);
+    });
+  });
+
+  it('keeps no original by default and can be turned off', () => {
+    withTmpDir(({ env }) => {
+      receive(['--no-reply', '--content', `key: ${secret}`], env);
+      receive(['--no-reply', '--content', `key: ${secret}`], { ...env, C4_REDACT_SECRETS: '0' });
+
+      const recent = JSON.parse(dbCli(['recent', '2'], env).stdout);
+      assert.deepEqual(recent.map((row) => row.content), ['key: [REDACTED:anthropic_key]', `key: ${secret}`]);
+      assert.equal(dbCli(['original', '1'], env).status, 1);
+    });
+  });
+});
+
+describe('c4-db export and import', () => {
+  function seed(env, contents) {
+    for (const content of contents) {
+      assert.equal(receive(['--no-reply', '--content', content], env).status, 0);
+    }
+  }
+
+  it('exports JSONL with checkpoints and imports it with new ids, once', () => {
+    withTmpDir(({ tmpDir: source, env: sourceEnv }) => withTmpDir(({ tmpDir: target, env: targetEnv }) => {
+      seed(sourceEnv, ['a1', 'a2', 'a3']);
+      assert.equal(dbCli(['checkpoint', '2', 'first two'], sourceEnv).status, 0);
+      const exportFile = path.join(source, 'export.jsonl');
+      const exported = dbCli(['export', '--output', exportFile], sourceEnv);
+      assert.equal(exported.status, 0, exported.stderr);
+      assert.match(exported.stderr, /Exported 3 conversation\(s\)/);
+
+      seed(targetEnv, ['b1']);
+      const refused = dbCli(['import', exportFile], targetEnv);
+      assert.equal(refused.status, 1);
+      assert.match(refused.stderr, /not checkpointed yet/);
+
+      assert.equal(dbCli(['checkpoint', '1', 'local'], targetEnv).status, 0);
+      const imported = dbCli(['import', exportFile], targetEnv);
+      assert.equal(imported.status, 0, imported.stderr);
+      assert.deepEqual(JSON.parse(imported.stdout.trim().split('\n').pop()), { imported: 3, skipped: 0, checkpoints: 1 });
+
+      const db = new Database(path.join(target, 'comm-bridge', 'c4.db'));
+      const conversations = db.prepare('SELECT id, content FROM conversations ORDER BY id').all();
+      const checkpoints = db.prepare('SELECT summary, start_conversation_id, end_conversation_id FROM checkpoints WHERE end_conversation_id IS NOT NULL ORDER BY id').all();
+      db.close();
+      assert.deepEqual(conversations.map((row) => [row.id, row.content]), [[1, 'b1'], [2, 'a1'], [3, 'a2'], [4, 'a3']]);
+      assert.deepEqual(checkpoints.map((row) => [row.summary, row.start_conversation_id, row.end_conversation_id]), [
+        ['local', 1, 1],
+        ['first two', 2, 3]
+      ]);
+
+      const repeat = spawnSync('node', [DB_CLI_PATH, 'import', '-'], {
+        env: { ...process.env, ...targetEnv },
+        input: fs.readFileSync(exportFile),
+        encoding: 'utf8'
+      });
+      assert.deepEqual(JSON.parse(repeat.stdout.trim().split('\n').pop()), { imported: 0, skipped: 3, checkpoints: 0 });
+    }));
+  });
+
+  it('exports a filtered Markdown or HTML transcript', () => {
+    withTmpDir(({ env }) => {
+      seed(env, ['first', 'second']);
+      const markdown = dbCli(['export', '--format', 'markdown', '--channel', 'system'], env);
+      assert.equal(markdown.status, 0, markdown.stderr);
+      assert.match(markdown.stdout, /## system\n[\s\S]*> first[\s\S]*> second/);
+
+      const none = dbCli(['export', '--format', 'html', '--channel', 'telegram'], env);
+      assert.match(none.stdout, /No conversations\./);
+      assert.equal(dbCli(['export', '--format', 'pdf'], env).status, 1);
+    });
+  });
+});
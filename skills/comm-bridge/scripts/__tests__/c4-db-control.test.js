@@ -485,6 +485,88 @@ describe('cleanupControlQueue', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// listControls / cancelControl / retryControl / getControlStats
+// ---------------------------------------------------------------------------
+describe('control queue management', () => {
+  beforeEach(() => resetTables());
+
+  it('listControls filters by status and creation time', () => {
+    const now = Math.floor(Date.now() / 1000);
+    db.prepare(`
+      INSERT INTO control_queue (raw_content, content, priority, require_idle, bypass_state, status, retry_count, created_at, updated_at)
+      VALUES ('old', 'old', 3, 0, 0, 'pending', 0, ?, ?)
+    `).run(now - 7200, now - 7200);
+    const recent = mod.insertControl('recent');
+
+    assert.equal(mod.listControls().length, 2);
+    assert.deepEqual(mod.listControls({ since: now - 60 }).map((row) => row.id), [recent.id]);
+    assert.equal(mod.listControls({ status: 'done' }).length, 0);
+    assert.equal(mod.listControls({ limit: 1 })[0].id, recent.id);
+  });
+
+  it('cancelControl only cancels pending or running controls', () => {
+    const pending = mod.insertControl('pending');
+    const running = mod.insertControl('running');
+    mod.claimControl(running.id);
+    const done = mod.insertControl('done');
+    mod.ackControl(done.id);
+
+    assert.deepEqual(mod.cancelControl(pending.id), { found: true, cancelled: true, status: 'cancelled' });
+    assert.equal(mod.cancelControl(running.id).cancelled, true);
+    assert.deepEqual(mod.cancelControl(done.id), { found: true, cancelled: false, status: 'done' });
+    assert.deepEqual(mod.cancelControl(999999), { found: false });
+    assert.equal(mod.getControlById(pending.id).last_error, 'CANCELLED');
+  });
+
+  it('a cancelled control stays cancelled through ack and delivery failure', () => {
+    const rec = mod.insertControl('cancel me');
+    mod.claimControl(rec.id);
+    mod.cancelControl(rec.id);
+
+    assert.equal(mod.retryOrFailControl(rec.id, 'TMUX_ERROR', 3), null);
+    assert.deepEqual(mod.ackControl(rec.id), { found: true, alreadyFinal: true, status: 'cancelled' });
+    assert.equal(mod.getControlById(rec.id).status, 'cancelled');
+  });
+
+  it('retryControl resets retries and moves the ack deadline forward', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const rec = mod.insertControl('heartbeat', { ackDeadlineAt: now - 1 });
+    db.prepare('UPDATE control_queue SET created_at = ? WHERE id = ?').run(now - 121, rec.id);
+    mod.expireTimedOutControls(now);
+
+    assert.deepEqual(mod.retryControl(rec.id), { found: true, retried: true, status: 'pending' });
+    const row = mod.getControlById(rec.id);
+    assert.equal(row.status, 'pending');
+    assert.equal(row.retry_count, 0);
+    assert.equal(row.last_error, null);
+    assert.ok(row.ack_deadline_at >= now + 120);
+    assert.deepEqual(mod.retryControl(rec.id), { found: true, retried: false, status: 'pending' });
+  });
+
+  it('getControlStats counts by status and groups errors', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const first = mod.insertControl('a');
+    mod.retryOrFailControl(first.id, 'TMUX_ERROR', 1);
+    const second = mod.insertControl('b');
+    mod.retryOrFailControl(second.id, 'TMUX_ERROR', 1);
+    mod.insertControl('c', { ackDeadlineAt: now - 1 });
+    mod.expireTimedOutControls(now);
+    const pending = mod.insertControl('d');
+
+    const stats = mod.getControlStats({ current: now + 10 });
+    assert.equal(stats.total, 4);
+    assert.equal(stats.by_status.failed, 2);
+    assert.equal(stats.by_status.timeout, 1);
+    assert.equal(stats.oldest_pending.id, pending.id);
+    assert.ok(stats.oldest_pending.age_seconds >= 10);
+    assert.deepEqual(stats.errors.map((row) => [row.status, row.last_error, row.count]), [
+      ['failed', 'TMUX_ERROR', 2],
+      ['timeout', 'ACK_DEADLINE_EXCEEDED', 1]
+    ]);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // claimConversation / requeueConversation
 // ---------------------------------------------------------------------------
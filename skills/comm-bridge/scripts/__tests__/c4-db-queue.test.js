@@ -0,0 +1,183 @@
+import assert from 'node:assert/strict';
+import { describe, it, beforeEach } from 'node:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Set up an isolated temp ZYLOS_DIR BEFORE importing c4-db.js so that
+// c4-config.js (evaluated once at first import) picks up our temp path.
+const ORIG_ZYLOS_DIR = process.env.ZYLOS_DIR;
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'c4-db-queue-test-'));
+process.env.ZYLOS_DIR = TMP_DIR;
+
+const mod = await import(new URL('../c4-db.js', import.meta.url));
+const db = mod.getDb();
+
+if (ORIG_ZYLOS_DIR === undefined) delete process.env.ZYLOS_DIR;
+else process.env.ZYLOS_DIR = ORIG_ZYLOS_DIR;
+
+process.on('exit', () => {
+  try { mod.close(); } catch { /* ignore */ }
+  try { fs.rmSync(TMP_DIR, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+const NOW = Math.floor(Date.parse('2026-03-01T12:00:00Z') / 1000);
+
+/** Queue an incoming message that arrived `ageSeconds` before NOW. */
+function pending(endpoint, ageSeconds, priority = 3, channel = 'telegram') {
+  const row = mod.insertConversation('in', channel, endpoint, `${endpoint}@${ageSeconds}`, null, priority);
+  db.prepare("UPDATE conversations SET timestamp = datetime(?, 'unixepoch') WHERE id = ?").run(NOW - ageSeconds, row.id);
+  return Number(row.id);
+}
+
+/** Content of queue rows, which carry only their ordering fields. */
+function contents(rows) {
+  const content = db.prepare('SELECT content FROM conversations WHERE id = ?');
+  return rows.map((row) => content.get(row.id).content);
+}
+
+function order(options = {}) {
+  return contents(mod.getPendingQueue({ current: NOW, ...options }));
+}
+
+describe('getPendingQueue', () => {
+  beforeEach(() => {
+    db.exec('DELETE FROM conversations');
+  });
+
+  it('orders by priority, then arrival, without aging or fairness', () => {
+    pending('a', 30);
+    pending('b', 20, 1);
+    pending('c', 10);
+    assert.deepEqual(order({ agingSeconds: 0, fairness: 'fifo' }), ['b@20', 'a@30', 'c@10']);
+  });
+
+  it('ages waiting messages up one level per interval, never past 1', () => {
+    pending('old', 700);
+    pending('urgent', 5, 1);
+    pending('high', 5, 2);
+
+    const rows = mod.getPendingQueue({ current: NOW, agingSeconds: 300, fairness: 'fifo' });
+    assert.deepEqual(rows.map((row, i) => [contents(rows)[i], row.wait_seconds, row.effective_priority]), [
+      ['old@700', 700, 1],
+      ['urgent@5', 5, 1],
+      ['high@5', 5, 2]
+    ]);
+  });
+
+  it('alternates endpoints within a priority level, least recently served first', () => {
+    pending('chatty', 50);
+    pending('chatty', 40);
+    pending('chatty', 30);
+    pending('quiet', 20);
+    pending('other|msg:9', 10);
+    assert.deepEqual(order({ agingSeconds: 0, fairness: 'round_robin' }), ['chatty@50', 'quiet@20', 'other|msg:9@10', 'chatty@40', 'chatty@30']);
+
+    // chatty was just served: the others go first this time.
+    const served = pending('chatty', 60);
+    mod.markDelivered(served);
+    db.prepare('UPDATE conversations SET delivered_at = ? WHERE id = ?').run(NOW - 1, served);
+    assert.deepEqual(order({ agingSeconds: 0, fairness: 'round_robin' }).slice(0, 3), ['quiet@20', 'other|msg:9@10', 'chatty@50']);
+  });
+
+  it('holds a thread while its burst is still arriving, up to three windows', () => {
+    pending('a', 25);
+    pending('a', 5);
+    pending('b', 40);
+    const held = (rows) => rows.map((row, i) => [contents(rows)[i], row.held]);
+    assert.deepEqual(held(mod.getPendingQueue({ current: NOW, agingSeconds: 0, fairness: 'fifo', coalesceSeconds: 10 })), [
+      ['b@40', false],
+      ['a@25', true],
+      ['a@5', true]
+    ]);
+    // The first message has waited three windows: deliver what is there.
+    assert.equal(mod.getPendingQueue({ current: NOW, agingSeconds: 0, coalesceSeconds: 8 })
+      .filter((row) => row.held).length, 0);
+    assert.equal(mod.getPendingQueue({ current: NOW, agingSeconds: 0, coalesceSeconds: 0 })
+      .filter((row) => row.held).length, 0);
+  });
+
+  it('loads the next message with its content', () => {
+    assert.equal(mod.getNextPending(), null);
+    pending('a', 30);
+    const urgent = pending('b', 20, 1);
+    const next = mod.getNextPending();
+    assert.equal(next.id, urgent);
+    assert.equal(next.content, 'b@20');
+    assert.equal(next.effective_priority, 1);
+    assert.ok(next.wait_seconds > 0);
+    assert.ok(!('content' in mod.getPendingQueue({ current: NOW })[0]));
+  });
+
+  it('collects a burst of the same thread and marks it delivered together', () => {
+    const first = pending('chat|msg:1', 40);
+    pending('chat|msg:2', 35);
+    pending('other', 34);
+    pending('chat|msg:3', 28);
+    pending('chat|msg:4', 5);
+
+    const head = mod.getNextPending();
+    assert.equal(head.id, first);
+    const burst = mod.getPendingBurst(head, 10);
+    assert.deepEqual(burst.map((row) => row.content), ['chat|msg:1@40', 'chat|msg:2@35', 'chat|msg:3@28']);
+    assert.deepEqual(mod.getPendingBurst(head, 0), [head]);
+
+    mod.markBurstDelivered(burst.map((row) => row.id));
+    const statuses = db.prepare("SELECT COUNT(*) AS n FROM conversations WHERE status = 'delivered' AND delivered_at IS NOT NULL").get();
+    assert.equal(statuses.n, 3);
+  });
+
+  it('includes older thread messages when a higher-priority one is picked first', () => {
+    pending('chat|msg:1', 40);
+    const urgent = pending('chat|msg:2', 35, 1);
+    pending('chat|msg:3', 30);
+    pending('chat|msg:4', 5);
+
+    const head = mod.getNextPending();
+    assert.equal(head.id, urgent);
+    const burst = mod.getPendingBurst(head, 10);
+    assert.deepEqual(burst.map((row) => row.content), ['chat|msg:1@40', 'chat|msg:2@35', 'chat|msg:3@30']);
+    assert.equal(burst[1], head);
+  });
+
+  it('groups thread messages of one chat as one endpoint', () => {
+    pending('chat1|type:group|root:r1|msg:1', 30, 3, 'lark');
+    pending('chat1|type:group|root:r2|msg:2', 20, 3, 'lark');
+    pending('chat2|type:group|msg:3', 10, 3, 'lark');
+    assert.deepEqual(order({ agingSeconds: 0, fairness: 'round_robin' }).map((content) => content.slice(0, 5)), ['chat1', 'chat2', 'chat1']);
+  });
+});
+
+describe('inbound rate limits', () => {
+  beforeEach(() => {
+    db.exec('DELETE FROM conversations');
+    db.exec('DELETE FROM inbound_rate_limits');
+  });
+
+  it('takes a token from every bucket or none, refilling over time', () => {
+    const buckets = [
+      { key: 'telegram::1', capacity: 2, perMinute: 6 },
+      { key: 'telegram', capacity: 10, perMinute: 60 }
+    ];
+    assert.equal(mod.consumeRateTokens(buckets, { current: NOW }).allowed, true);
+    assert.equal(mod.consumeRateTokens(buckets, { current: NOW }).allowed, true);
+    assert.deepEqual(mod.consumeRateTokens(buckets, { current: NOW }), {
+      allowed: false, limitedKey: 'telegram::1', deferSeconds: 0
+    });
+    const channel = db.prepare("SELECT tokens FROM inbound_rate_limits WHERE bucket_key = 'telegram'").get();
+    assert.equal(channel.tokens, 8);
+
+    // 6/minute: one token back after 10 seconds.
+    assert.equal(mod.consumeRateTokens(buckets, { current: NOW + 10 }).allowed, true);
+    const debt = mod.consumeRateTokens(buckets, { current: NOW + 10, allowDebt: true });
+    assert.deepEqual(debt, { allowed: false, limitedKey: 'telegram::1', deferSeconds: 10 });
+
+    assert.equal(mod.cleanupRateLimits(NOW + 11), 2);
+  });
+
+  it('does not deliver a deferred message before its time', () => {
+    const row = mod.insertConversation('in', 'telegram', '1', 'later', null, 3, false, 'deferred', { deliverAfter: NOW + 60 });
+    assert.deepEqual(order(), []);
+    assert.deepEqual(mod.getPendingQueue({ current: NOW + 60 }).map((queued) => queued.id), [Number(row.id)]);
+  });
+});
@@ -0,0 +1,167 @@
+import assert from 'node:assert/strict';
+import { describe, it, beforeEach } from 'node:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+
+const ORIG_ZYLOS_DIR = process.env.ZYLOS_DIR;
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'c4-db-search-test-'));
+process.env.ZYLOS_DIR = TMP_DIR;
+
+const mod = await import(new URL('../c4-db.js', import.meta.url));
+const db = mod.getDb();
+
+if (ORIG_ZYLOS_DIR === undefined) delete process.env.ZYLOS_DIR;
+else process.env.ZYLOS_DIR = ORIG_ZYLOS_DIR;
+
+process.on('exit', () => {
+  try { mod.close(); } catch { /* ignore */ }
+  try { fs.rmSync(TMP_DIR, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+function resetTables() {
+  db.exec('DELETE FROM conversations');
+  db.exec("DELETE FROM sqlite_sequence WHERE name = 'conversations'");
+}
+
+function insertAt(timestamp, direction, channel, endpointId, content) {
+  const row = mod.insertConversation(direction, channel, endpointId, content);
+  db.prepare('UPDATE conversations SET timestamp = ? WHERE id = ?').run(timestamp, row.id);
+  return row.id;
+}
+
+describe('searchConversations', () => {
+  beforeEach(resetTables);
+
+  it('ranks matches and returns highlighted snippets', () => {
+    insertAt('2026-02-01 10:00:00', 'in', 'telegram', '100', 'the invoice for February is attached');
+    insertAt('2026-02-02 10:00:00', 'in', 'telegram', '100', 'lunch plans?');
+    insertAt('2026-02-03 10:00:00', 'out', 'telegram', '100', 'invoice invoice: resent the invoice');
+
+    const results = mod.searchConversations('invoice');
+    assert.deepEqual(results.map((row) => row.id), [3, 1]);
+    assert.match(results[1].snippet, /\[invoice\]/);
+    assert.ok(results[0].rank <= results[1].rank);
+    assert.equal(results[0].content, undefined);
+  });
+
+  it('requires every term and matches case-insensitively', () => {
+    insertAt('2026-02-01 10:00:00', 'in', 'lark', 'c1', 'Deploy the staging server');
+    insertAt('2026-02-01 11:00:00', 'in', 'lark', 'c1', 'deploy finished');
+
+    assert.deepEqual(mod.searchConversations('DEPLOY staging').map((row) => row.id), [1]);
+  });
+
+  it('matches CJK text and short terms', () => {
+    insertAt('2026-02-01 10:00:00', 'in', 'lark', 'c1', '请帮我查一下上个月的发票');
+    insertAt('2026-02-01 11:00:00', 'in', 'lark', 'c1', 'ok see you');
+
+    assert.deepEqual(mod.searchConversations('上个月').map((row) => row.id), [1]);
+    const short = mod.searchConversations('发票');
+    assert.deepEqual(short.map((row) => row.id), [1]);
+    assert.match(short[0].snippet, /\[发票\]/);
+    assert.equal(short[0].rank, null);
+  });
+
+  it('treats query syntax characters literally', () => {
+    insertAt('2026-02-01 10:00:00', 'in', 'system', null, 'error: "quoted" AND (paren) 100%');
+    assert.equal(mod.searchConversations('"quoted" AND (paren)').length, 1);
+    assert.equal(mod.searchConversations('0%').length, 1);
+    assert.equal(mod.searchConversations('_x').length, 0);
+  });
+
+  it('filters by channel, endpoint, direction and time range', () => {
+    insertAt('2026-02-01 10:00:00', 'in', 'telegram', '100', 'release notes');
+    insertAt('2026-02-05 10:00:00', 'out', 'telegram', '100', 'release notes');
+    insertAt('2026-02-05 12:00:00', 'in', 'lark', 'chat1|type:group|root:om_1', 'release notes');
+    insertAt('2026-02-09 10:00:00', 'in', 'telegram', '200', 'release notes');
+
+    const ids = (options) => mod.searchConversations('release', options).map((row) => row.id).sort();
+    assert.deepEqual(ids({ channel: 'telegram' }), [1, 2, 4]);
+    assert.deepEqual(ids({ endpoint: '100' }), [1, 2]);
+    assert.deepEqual(ids({ endpoint: 'chat1' }), [3]);
+    assert.deepEqual(ids({ direction: 'in' }), [1, 3, 4]);
+    assert.deepEqual(ids({ since: '2026-02-05' }), [2, 3, 4]);
+    assert.deepEqual(ids({ until: '2026-02-05' }), [1, 2, 3]);
+    assert.deepEqual(ids({ since: '2026-02-05 11:00', until: '2026-02-09T09:00:00Z' }), [3]);
+  });
+
+  it('keeps the index in sync with updates and deletes', () => {
+    const id = insertAt('2026-02-01 10:00:00', 'in', 'system', null, 'alpha message');
+    db.prepare('UPDATE conversations SET content = ? WHERE id = ?').run('beta message', id);
+    assert.equal(mod.searchConversations('alpha').length, 0);
+    assert.equal(mod.searchConversations('beta').length, 1);
+
+    db.prepare('DELETE FROM conversations WHERE id = ?').run(id);
+    assert.equal(mod.searchConversations('beta').length, 0);
+  });
+
+  it('rejects empty queries and invalid time bounds', () => {
+    assert.throws(() => mod.searchConversations('   '), /query is required/);
+    assert.throws(() => mod.searchConversations('x', { since: 'yesterday-ish' }), /invalid time/);
+  });
+});
+
+describe('parseSearchTimeBound', () => {
+  it('parses relative ages', () => {
+    const before = Date.now();
+    const bound = mod.parseSearchTimeBound('2h');
+    const ms = Date.parse(bound.value.replace(' ', 'T') + 'Z');
+    assert.ok(Math.abs(before - 2 * 3600 * 1000 - ms) < 5000);
+    assert.equal(bound.inclusive, true);
+  });
+
+  it('extends a date-only upper bound to the end of the day', () => {
+    assert.deepEqual(mod.parseSearchTimeBound('2026-02-05', { upper: true }), {
+      value: '2026-02-06 00:00:00',
+      inclusive: false
+    });
+  });
+});
+
+describe('conversations_fts backfill', () => {
+  it('indexes rows of a database created before the search index existed', () => {
+    const legacyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'c4-db-search-legacy-'));
+    const legacyDbPath = path.join(legacyDir, 'comm-bridge', 'c4.db');
+    fs.mkdirSync(path.dirname(legacyDbPath), { recursive: true });
+
+    const legacy = new Database(legacyDbPath);
+    legacy.exec(`
+      CREATE TABLE conversations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        direction TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        endpoint_id TEXT,
+        content TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        priority INTEGER DEFAULT 3,
+        require_idle INTEGER DEFAULT 0,
+        retry_count INTEGER DEFAULT 0
+      );
+      CREATE TABLE control_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        raw_content TEXT,
+        content TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      INSERT INTO conversations (direction, channel, content) VALUES ('in', 'system', 'legacy quarterly report');
+    `);
+    legacy.close();
+
+    const result = spawnSync('node', [fileURLToPath(new URL('../c4-db.js', import.meta.url)), 'search', 'quarterly'], {
+      env: { ...process.env, ZYLOS_DIR: legacyDir },
+      encoding: 'utf8'
+    });
+    fs.rmSync(legacyDir, { recursive: true, force: true });
+
+    assert.equal(result.status, 0, result.stderr);
+    const rows = JSON.parse(result.stdout);
+    assert.equal(rows.length, 1);
+    assert.match(rows[0].snippet, /\[quarterly\]/);
+  });
+});
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { describe, it, beforeEach } from 'node:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Set up an isolated temp ZYLOS_DIR BEFORE importing so that c4-config.js
+// (evaluated once at first import) picks up our temp path.
+const ORIG_ZYLOS_DIR = process.env.ZYLOS_DIR;
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'c4-dead-letters-test-'));
+process.env.ZYLOS_DIR = TMP_DIR;
+
+const dbMod = await import(new URL('../c4-db.js', import.meta.url));
+const { buildDeadLetterDigest, queueDeadLetterDigest } = await import(new URL('../c4-dead-letters.js', import.meta.url));
+const db = dbMod.getDb();
+
+if (ORIG_ZYLOS_DIR === undefined) delete process.env.ZYLOS_DIR;
+else process.env.ZYLOS_DIR = ORIG_ZYLOS_DIR;
+
+process.on('exit', () => {
+  try { dbMod.close(); } catch { /* ignore */ }
+  try { fs.rmSync(TMP_DIR, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+function failIncoming(content, reason = 'VERIFY_FAILED') {
+  const row = dbMod.insertConversation('in', 'telegram', '123', content);
+  dbMod.incrementRetryCount(row.id, reason);
+  dbMod.markFailed(row.id, reason);
+  return Number(row.id);
+}
+
+describe('dead-letter digest', () => {
+  beforeEach(() => {
+    db.exec('DELETE FROM conversations');
+    db.exec('DELETE FROM control_queue');
+    db.exec('DELETE FROM outbound_queue');
+    db.exec('DELETE FROM contacts');
+  });
+
+  it('records the failure reason on markFailed', () => {
+    const id = failIncoming('hello', 'TMUX_PASTE_FAILED');
+    const [row] = dbMod.getFailedConversations();
+    assert.equal(row.id, id);
+    assert.equal(row.last_error, 'TMUX_PASTE_FAILED');
+    assert.ok(row.failed_at > 0);
+  });
+
+  it('sends new dead letters to the target once, through the outbox', () => {
+    dbMod.addContact('owner', { channel: 'telegram', endpointId: '999' });
+    const id = failIncoming('please call me back');
+
+    assert.deepEqual(queueDeadLetterDigest({ target: '@owner' }), { count: 1, via: 'telegram:999' });
+    const [outbound] = dbMod.getOutbound({ status: 'pending' });
+    assert.equal(outbound.endpoint_id, '999');
+    assert.match(outbound.content, new RegExp(`#${id} telegram:123 .* \\(VERIFY_FAILED\\): please call me back`));
+
+    // Already reported: nothing new until another message fails.
+    assert.equal(queueDeadLetterDigest({ target: '@owner' }), null);
+    failIncoming('second');
+    const next = queueDeadLetterDigest({ target: '@owner' });
+    assert.equal(next.count, 1);
+    assert.match(dbMod.getOutbound({ status: 'pending' })[0].content, /\(2 dead letters in total\)/);
+  });
+
+  it('asks the agent to forward the digest when no target resolves', () => {
+    failIncoming('hello');
+    const logs = [];
+    assert.deepEqual(queueDeadLetterDigest({ target: '@nobody', log: (line) => logs.push(line) }), { count: 1, via: 'control' });
+    assert.match(logs[0], /did not resolve/);
+    const control = db.prepare('SELECT content, priority FROM control_queue').get();
+    assert.equal(control.priority, 1);
+    assert.match(control.content, /forward this to the owner[\s\S]*could not be delivered/);
+  });
+
+  it('a requeued message is reported again if it fails again', () => {
+    const id = failIncoming('hello');
+    queueDeadLetterDigest({ target: 'telegram:999' });
+    assert.equal(dbMod.requeueFailedConversation(id), true);
+    dbMod.markFailed(id, 'VERIFY_FAILED');
+    assert.equal(dbMod.getUnnotifiedDeadLetters().length, 1);
+  });
+
+  it('lists at most ten messages', () => {
+    const rows = Array.from({ length: 12 }, (_, i) => ({
+      id: i + 1, channel: 'lark', endpoint_id: null, timestamp: '2026-01-01 00:00:00', last_error: null, content: 'x'
+    }));
+    const digest = buildDeadLetterDigest(rows);
+    assert.match(digest, /^\[C4\] 12 incoming message\(s\) could not be delivered to the agent:/);
+    assert.match(digest, /#10 lark .*unknown error/);
+    assert.doesNotMatch(digest, /#11 /);
+    assert.match(digest, /…and 2 more/);
+  });
+});
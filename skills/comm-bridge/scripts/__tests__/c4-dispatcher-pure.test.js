@@ -36,7 +36,8 @@ const {
   isRecoveryHeartbeatPhase,
   shouldAutoAckHeartbeat,
   readJsonFileWithRetry,
-  getDeliveryContent
+  getDeliveryContent,
+  formatBurstContent
 } = mod;
 
 after(() => {
@@ -428,6 +429,20 @@ describe('getDeliveryContent', () => {
     assert.ok(result.includes('"telegram" "123"'));
   });
 
+  it('delivers a coalesced burst as one block replying to the newest message', () => {
+    const burst = [
+      { id: 7, channel: 'telegram', endpoint_id: '123|msg:1', timestamp: '2026-03-01 12:00:01', content: 'hi' },
+      { id: 8, channel: 'telegram', endpoint_id: '123|msg:2', timestamp: '2026-03-01 12:00:04', content: 'are you there?' }
+    ];
+    assert.equal(
+      formatBurstContent(burst),
+      '[C4] 2 messages in a row:\n[2026-03-01 12:00:01] hi\n[2026-03-01 12:00:04] are you there?'
+    );
+    const result = getDeliveryContent({ ...burst[0], type: 'conversation', burst });
+    assert.ok(result.startsWith(formatBurstContent(burst)));
+    assert.ok(result.endsWith('"telegram" "123|msg:2"'));
+  });
+
   it('does not add reply routing for conversation items without endpoints', () => {
     assert.equal(getDeliveryContent({
       type: 'conversation',
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { collectAttachments, parseJsonl, toHtml, toJsonl, toMarkdown } from '../c4-export.js';
+
+const rows = [
+  { id: 1, timestamp: '2026-03-01 10:00:00', direction: 'in', channel: 'telegram', endpoint_id: '123|msg:9', content: 'hi <b>\nsecond line' },
+  { id: 2, timestamp: '2026-03-01 10:01:00', direction: 'out', channel: 'telegram', endpoint_id: '123', content: 'hello',
+    attachments: [{ kind: 'image', path: '/tmp/a.png' }] },
+  { id: 3, timestamp: '2026-03-01 11:00:00', direction: 'in', channel: 'system', endpoint_id: null, content: 'cron' }
+];
+
+describe('export formats', () => {
+  it('round-trips JSONL and rejects malformed input', () => {
+    const text = toJsonl({ source: 'host:/z', conversations: rows, checkpoints: [{ id: 4, start_conversation_id: 1, end_conversation_id: 2 }] });
+    const parsed = parseJsonl(text);
+    assert.equal(parsed.source, 'host:/z');
+    assert.deepEqual(parsed.conversations.map((row) => row.id), [1, 2, 3]);
+    assert.equal(parsed.checkpoints[0].end_conversation_id, 2);
+
+    assert.throws(() => parseJsonl('{"type":"export","version":1}\nnot json'), /^Error: line 2:/);
+    assert.throws(() => parseJsonl('{"type":"export","version":9}'), /unsupported export version 9/);
+    assert.throws(() => parseJsonl('{"type":"conversation","id":1}'), /needs id, direction and channel/);
+  });
+
+  it('renders one transcript section per chat', () => {
+    const markdown = toMarkdown(rows);
+    assert.match(markdown, /^# Conversation export\n\n## telegram:123\n\n\*\*2026-03-01 10:00:00 UTC\*\* · received · #1\n\n> hi <b>\n> second line\n/);
+    assert.match(markdown, /- image: `\/tmp\/a\.png`/);
+    assert.match(markdown, /## system\n/);
+
+    const html = toHtml(rows);
+    assert.match(html, /<h2>telegram:123<\/h2>/);
+    assert.match(html, /hi &lt;b&gt;/);
+    assert.match(html, /<a href="file:\/\/\/tmp\/a\.png">/);
+    assert.match(toHtml([]), /No conversations\./);
+  });
+
+  it('finds media lines and spill files', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'c4-export-test-'));
+    try {
+      fs.mkdirSync(path.join(dir, 'conv-7'));
+      fs.writeFileSync(path.join(dir, 'conv-7', 'message.txt'), 'long');
+      const row = { id: 7, content: 'see\n[MEDIA:file]/tmp/r.pdf\n[MEDIA:image]/tmp/p.png' };
+      assert.deepEqual(collectAttachments(row, dir), [
+        { kind: 'file', path: '/tmp/r.pdf' },
+        { kind: 'image', path: '/tmp/p.png' },
+        { kind: 'spill', path: path.join(dir, 'conv-7', 'message.txt') }
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
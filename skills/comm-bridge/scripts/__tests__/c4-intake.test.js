@@ -0,0 +1,247 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import fs from 'node:fs';
+import http from 'node:http';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Set up an isolated temp ZYLOS_DIR BEFORE importing so that c4-config.js
+// (evaluated once at first import) picks up our temp path.
+const ORIG_ZYLOS_DIR = process.env.ZYLOS_DIR;
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'c4-intake-test-'));
+process.env.ZYLOS_DIR = TMP_DIR;
+
+const dbMod = await import(new URL('../c4-db.js', import.meta.url));
+const intake = await import(new URL('../c4-intake.js', import.meta.url));
+const db = dbMod.getDb();
+
+if (ORIG_ZYLOS_DIR === undefined) delete process.env.ZYLOS_DIR;
+else process.env.ZYLOS_DIR = ORIG_ZYLOS_DIR;
+
+const CLI_PATH = fileURLToPath(new URL('../c4-intake.js', import.meta.url));
+const SOCKET_PATH = path.join(TMP_DIR, 'intake-test.sock');
+
+// Reply channels must exist as skill directories (c4-validate).
+fs.mkdirSync(path.join(TMP_DIR, '.claude', 'skills', 'mockchat'), { recursive: true });
+fs.mkdirSync(path.join(TMP_DIR, '.claude', 'skills', 'otherchat'), { recursive: true });
+
+process.on('exit', () => {
+  try { dbMod.close(); } catch { /* ignore */ }
+  try { fs.rmSync(TMP_DIR, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+function resetTables() {
+  db.exec('DELETE FROM conversations');
+  db.exec('DELETE FROM intake_tokens');
+  db.exec("DELETE FROM sqlite_sequence WHERE name = 'conversations'");
+}
+
+function issueToken(channel, token) {
+  dbMod.setIntakeToken(channel, intake.hashIntakeToken(token));
+}
+
+function socketRequest(payload) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(SOCKET_PATH);
+    let data = '';
+    socket.setEncoding('utf8');
+    socket.on('connect', () => {
+      socket.write(`${typeof payload === 'string' ? payload : JSON.stringify(payload)}\n`);
+    });
+    socket.on('data', (chunk) => { data += chunk; });
+    socket.on('end', () => resolve(JSON.parse(data.trim())));
+    socket.on('error', reject);
+  });
+}
+
+function httpRequest(port, { method = 'POST', pathname = '/v1/messages', body = null, token = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const req = http.request({ host: '127.0.0.1', port, method, path: pathname, headers }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(body === null ? undefined : JSON.stringify(body));
+  });
+}
+
+describe('c4-intake server', () => {
+  let server;
+
+  before(async () => {
+    server = await intake.startIntakeServer({ socketPath: SOCKET_PATH, httpPort: 0 });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(resetTables);
+
+  it('restricts the socket to the owner', () => {
+    assert.equal(fs.statSync(SOCKET_PATH).mode & 0o777, 0o600);
+  });
+
+  it('queues an authenticated socket envelope like c4-receive --json', async () => {
+    issueToken('mockchat', 'tok-mock');
+    const result = await socketRequest({
+      token: 'tok-mock',
+      channel: 'mockchat',
+      endpoint: '42',
+      content: 'hello\nfrom the socket',
+      priority: 2
+    });
+    assert.deepEqual(result, { ok: true, action: 'queued', id: 1 });
+
+    const row = db.prepare('SELECT * FROM conversations WHERE id = 1').get();
+    assert.equal(row.channel, 'mockchat');
+    assert.equal(row.endpoint_id, '42');
+    assert.equal(row.content, 'hello\nfrom the socket');
+    assert.equal(row.priority, 2);
+    assert.equal(row.status, 'pending');
+    assert.ok(dbMod.getIntakeToken('mockchat').last_used_at > 0);
+  });
+
+  it('rejects missing, wrong and cross-channel tokens', async () => {
+    issueToken('mockchat', 'tok-mock');
+    issueToken('otherchat', 'tok-other');
+
+    for (const token of [undefined, 'nope', 'tok-other']) {
+      const result = await socketRequest({ token, channel: 'mockchat', endpoint: '1', content: 'x' });
+      assert.equal(result.ok, false);
+      assert.equal(result.error.code, 'UNAUTHORIZED');
+    }
+    assert.equal(db.prepare('SELECT COUNT(*) AS n FROM conversations').get().n, 0);
+  });
+
+  it('reports malformed envelopes as INVALID_ARGS', async () => {
+    issueToken('mockchat', 'tok-mock');
+    assert.equal((await socketRequest('not json')).error.code, 'INVALID_ARGS');
+    assert.equal((await socketRequest({ token: 'tok-mock', channel: 'mockchat', content: 7 })).error.code, 'INVALID_ARGS');
+
+    const badPriority = await socketRequest({ token: 'tok-mock', channel: 'mockchat', content: 'x', priority: 9 });
+    assert.equal(badPriority.error.code, 'INVALID_ARGS');
+    assert.match(badPriority.error.message, /priority/);
+  });
+
+  it('answers a redelivered external_id as a duplicate', async () => {
+    issueToken('mockchat', 'tok-mock');
+    const envelope = { token: 'tok-mock', channel: 'mockchat', endpoint: '1', external_id: 'evt-9', content: 'once' };
+    const first = await socketRequest(envelope);
+    const second = await socketRequest(envelope);
+    assert.deepEqual(second, { ok: true, action: 'duplicate', id: first.id });
+    assert.equal(db.prepare('SELECT COUNT(*) AS n FROM conversations').get().n, 1);
+  });
+
+  it('links an event envelope to the message it refers to', async () => {
+    issueToken('mockchat', 'tok-mock');
+    const original = await socketRequest({ token: 'tok-mock', channel: 'mockchat', endpoint: '1', external_message_id: 'm-1', content: 'hello' });
+    const reaction = await socketRequest({
+      token: 'tok-mock', channel: 'mockchat', endpoint: '1', event: 'reaction', target_external_id: 'm-1', content: '❤️'
+    });
+    const row = db.prepare('SELECT event_type, target_id FROM conversations WHERE id = ?').get(reaction.id);
+    assert.deepEqual({ ...row }, { event_type: 'reaction', target_id: original.id });
+  });
+
+  it('accepts no_reply system messages with the system token', async () => {
+    issueToken('system', 'tok-sys');
+    const result = await socketRequest({ token: 'tok-sys', no_reply: true, content: 'cron finished' });
+    assert.equal(result.ok, true);
+    const row = db.prepare('SELECT channel, endpoint_id FROM conversations WHERE id = ?').get(result.id);
+    assert.deepEqual({ ...row }, { channel: 'system', endpoint_id: null });
+  });
+
+  it('serves POST /v1/messages with bearer auth and HTTP status codes', async () => {
+    issueToken('mockchat', 'tok-mock');
+
+    const ok = await httpRequest(server.httpPort, {
+      token: 'tok-mock',
+      body: { channel: 'mockchat', endpoint: '7', content: 'via http', block_queue_until_idle: true }
+    });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.action, 'queued');
+    assert.equal(db.prepare('SELECT require_idle FROM conversations WHERE id = ?').get(ok.body.id).require_idle, 1);
+
+    const unauthorized = await httpRequest(server.httpPort, { body: { channel: 'mockchat', content: 'x' } });
+    assert.equal(unauthorized.status, 401);
+    assert.equal(unauthorized.body.error.code, 'UNAUTHORIZED');
+
+    const invalid = await httpRequest(server.httpPort, { token: 'tok-mock', body: { channel: 'mockchat' } });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body, { ok: false, error: { code: 'INVALID_ARGS', message: 'content is required' } });
+
+    const health = await httpRequest(server.httpPort, { method: 'GET', pathname: '/health' });
+    assert.deepEqual(health, { status: 200, body: { ok: true } });
+
+    const notFound = await httpRequest(server.httpPort, { method: 'GET', pathname: '/v1/messages' });
+    assert.equal(notFound.status, 404);
+  });
+
+  it('registers, heartbeats and stops a channel', async () => {
+    db.exec('DELETE FROM channels');
+    issueToken('mockchat', 'tok-mock');
+
+    const registered = await socketRequest({
+      type: 'register', token: 'tok-mock', channel: 'mockchat', version: '1.4.0', capabilities: { reactions: true }
+    });
+    assert.deepEqual(registered, { ok: true, action: 'register', channel: 'mockchat' });
+    assert.equal(dbMod.getChannel('mockchat').version, '1.4.0');
+    assert.deepEqual(dbMod.getChannel('mockchat').capabilities, { reactions: true });
+
+    const heartbeat = await httpRequest(server.httpPort, {
+      pathname: '/v1/channel', token: 'tok-mock', body: { type: 'heartbeat', channel: 'mockchat' }
+    });
+    assert.equal(heartbeat.status, 200);
+
+    const wrongChannel = await socketRequest({ type: 'stop', token: 'tok-mock', channel: 'otherchat' });
+    assert.equal(wrongChannel.error.code, 'UNAUTHORIZED');
+    const badType = await httpRequest(server.httpPort, {
+      pathname: '/v1/channel', token: 'tok-mock', body: { type: 'restart', channel: 'mockchat' }
+    });
+    assert.equal(badType.status, 400);
+
+    await socketRequest({ type: 'stop', token: 'tok-mock', channel: 'mockchat' });
+    assert.ok(dbMod.getChannel('mockchat').stopped_at > 0);
+  });
+});
+
+describe('c4-intake token CLI', () => {
+  function cli(args) {
+    return spawnSync('node', [CLI_PATH, ...args], {
+      env: { ...process.env, ZYLOS_DIR: TMP_DIR },
+      encoding: 'utf8'
+    });
+  }
+
+  beforeEach(resetTables);
+
+  it('issues, lists and revokes channel tokens', () => {
+    const issued = cli(['token', 'issue', '--channel', 'mockchat']);
+    assert.equal(issued.status, 0, issued.stderr);
+    const token = issued.stdout.trim();
+    assert.ok(token.length >= 32);
+    assert.equal(intake.verifyIntakeToken('mockchat', token), true);
+
+    const listed = JSON.parse(cli(['token', 'list']).stdout);
+    assert.equal(listed.length, 1);
+    assert.equal(listed[0].channel, 'mockchat');
+    assert.equal(listed[0].token_hash, undefined);
+
+    assert.equal(cli(['token', 'revoke', '--channel', 'mockchat']).status, 0);
+    assert.equal(intake.verifyIntakeToken('mockchat', token), false);
+    assert.equal(cli(['token', 'revoke', '--channel', 'mockchat']).status, 1);
+  });
+
+  it('rejects invalid channel names', () => {
+    const result = cli(['token', 'issue', '--channel', '../etc']);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /invalid channel name/);
+  });
+});
@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { describe, it, beforeEach } from 'node:test';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
+// Set up an isolated temp ZYLOS_DIR BEFORE importing so that c4-config.js
+// (evaluated once at first import) picks up our temp path.
+const ORIG_ZYLOS_DIR = process.env.ZYLOS_DIR;
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'c4-metrics-test-'));
+process.env.ZYLOS_DIR = TMP_DIR;
+
+const dbMod = await import(new URL('../c4-db.js', import.meta.url));
+const metrics = await import(new URL('../c4-metrics.js', import.meta.url));
+const db = dbMod.getDb();
+
+if (ORIG_ZYLOS_DIR === undefined) delete process.env.ZYLOS_DIR;
+else process.env.ZYLOS_DIR = ORIG_ZYLOS_DIR;
+
+process.on('exit', () => {
+  try { dbMod.close(); } catch { /* ignore */ }
+  try { fs.rmSync(TMP_DIR, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+function httpGet(port, pathname) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: pathname }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body: data }));
+    }).on('error', reject);
+  });
+}
+
+describe('c4-metrics', () => {
+  beforeEach(() => {
+    metrics.resetMetrics();
+    db.exec('DELETE FROM conversations');
+    db.exec('DELETE FROM control_queue');
+  });
+
+  it('reports queue depth per priority from the database', () => {
+    dbMod.insertConversation('in', 'telegram', '1', 'a', 'pending', 1);
+    dbMod.insertConversation('in', 'telegram', '1', 'b', 'pending', 3);
+    dbMod.insertConversation('in', 'telegram', '1', 'c', 'pending', 3);
+    dbMod.insertConversation('in', 'telegram', '1', 'd', 'delivered', 3);
+    dbMod.insertControl('check context', { priority: 2 });
+
+    const text = metrics.renderMetrics();
+    assert.match(text, /^# TYPE c4_pending_conversations gauge$/m);
+    assert.match(text, /^c4_pending_conversations\{priority="1"\} 1$/m);
+    assert.match(text, /^c4_pending_conversations\{priority="2"\} 0$/m);
+    assert.match(text, /^c4_pending_conversations\{priority="3"\} 2$/m);
+    assert.match(text, /^c4_pending_controls\{priority="2"\} 1$/m);
+    assert.match(text, /^c4_pending_outbound 0$/m);
+  });
+
+  it('renders counters and cumulative histogram buckets', () => {
+    metrics.incCounter('c4_deliveries_total', { type: 'conversation' }, 2);
+    metrics.incCounter('c4_enter_verify_retries_total');
+    metrics.observeHistogram('c4_delivery_latency_seconds', 3, { type: 'conversation' });
+    metrics.observeHistogram('c4_delivery_latency_seconds', 120, { type: 'conversation' });
+
+    const text = metrics.renderMetrics({ pending: { conversations: {}, controls: {} }, pendingOutbound: 0 });
+    assert.match(text, /^c4_deliveries_total\{type="conversation"\} 2$/m);
+    assert.match(text, /^c4_enter_verify_retries_total 1$/m);
+    assert.match(text, /^# TYPE c4_delivery_latency_seconds histogram$/m);
+    assert.match(text, /^c4_delivery_latency_seconds_bucket\{type="conversation",le="1"\} 0$/m);
+    assert.match(text, /^c4_delivery_latency_seconds_bucket\{type="conversation",le="5"\} 1$/m);
+    assert.match(text, /^c4_delivery_latency_seconds_bucket\{type="conversation",le="300"\} 2$/m);
+    assert.match(text, /^c4_delivery_latency_seconds_bucket\{type="conversation",le="\+Inf"\} 2$/m);
+    assert.match(text, /^c4_delivery_latency_seconds_sum\{type="conversation"\} 123$/m);
+    assert.match(text, /^c4_delivery_latency_seconds_count\{type="conversation"\} 2$/m);
+    assert.throws(() => metrics.incCounter('c4_unknown_total'), /unknown metric/);
+  });
+
+  it('writes a textfile and serves GET /metrics', async () => {
+    metrics.incCounter('c4_delivery_retries_total', { type: 'control' });
+    const textfile = path.join(TMP_DIR, 'c4.prom');
+    metrics.writeMetricsTextfile(textfile);
+    assert.match(fs.readFileSync(textfile, 'utf8'), /^c4_delivery_retries_total\{type="control"\} 1$/m);
+    assert.deepEqual(fs.readdirSync(TMP_DIR).filter((name) => name.endsWith('.tmp')), []);
+
+    assert.equal(await metrics.startMetricsServer({ port: null }), null);
+    const server = await metrics.startMetricsServer({ port: 0 });
+    try {
+      const scraped = await httpGet(server.port, '/metrics');
+      assert.equal(scraped.status, 200);
+      assert.match(scraped.type, /^text\/plain; version=0\.0\.4/);
+      assert.match(scraped.body, /^c4_delivery_retries_total\{type="control"\} 1$/m);
+      assert.equal((await httpGet(server.port, '/')).status, 404);
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,256 @@
+import assert from 'node:assert/strict';
+import { describe, it, beforeEach } from 'node:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Set up an isolated temp ZYLOS_DIR BEFORE importing so that c4-config.js
+// (evaluated once at first import) picks up our temp path.
+const ORIG_ZYLOS_DIR = process.env.ZYLOS_DIR;
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'c4-outbox-test-'));
+process.env.ZYLOS_DIR = TMP_DIR;
+
+const dbMod = await import(new URL('../c4-db.js', import.meta.url));
+const outbox = await import(new URL('../c4-outbox.js', import.meta.url));
+const db = dbMod.getDb();
+
+if (ORIG_ZYLOS_DIR === undefined) delete process.env.ZYLOS_DIR;
+else process.env.ZYLOS_DIR = ORIG_ZYLOS_DIR;
+
+function resetTables() {
+  db.exec('DELETE FROM outbound_queue');
+  db.exec('DELETE FROM conversations');
+  db.exec("DELETE FROM sqlite_sequence WHERE name IN ('outbound_queue', 'conversations')");
+}
+
+/**
+ * Mock channel whose send.js appends its args to a JSONL file and exits
+ * with the given code.
+ */
+function setupChannel(name, exitCode = 0) {
+  const scriptDir = path.join(TMP_DIR, '.claude', 'skills', name, 'scripts');
+  fs.mkdirSync(scriptDir, { recursive: true });
+  const sentFile = path.join(TMP_DIR, `${name}-sent.jsonl`);
+  fs.rmSync(sentFile, { force: true });
+  fs.writeFileSync(path.join(scriptDir, 'send.js'), `
+    import fs from 'fs';
+    fs.appendFileSync(${JSON.stringify(sentFile)}, JSON.stringify(process.argv.slice(2)) + '\\n');
+    if (${exitCode} !== 0) console.error('channel down');
+    process.exit(${exitCode});
+  `);
+  return sentFile;
+}
+
+function readSent(sentFile) {
+  if (!fs.existsSync(sentFile)) return [];
+  return fs.readFileSync(sentFile, 'utf8').trim().split('\n').filter(Boolean).map((line) => JSON.parse(line));
+}
+
+process.on('exit', () => {
+  try { dbMod.close(); } catch { /* ignore */ }
+  try { fs.rmSync(TMP_DIR, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+describe('outbound queue records', () => {
+  beforeEach(() => resetTables());
+
+  it('inserts a pending record with defaults', () => {
+    const row = dbMod.insertOutbound({ conversationId: 7, channel: 'telegram', endpointId: '123', content: 'hi' });
+    assert.equal(row.conversation_id, 7);
+    assert.equal(row.status, 'pending');
+    assert.equal(row.retry_count, 0);
+    assert.equal(row.next_attempt_at, null);
+    assert.equal(dbMod.getPendingOutboundCount(), 1);
+  });
+
+  it('claims only due pending records, oldest first', () => {
+    const first = dbMod.insertOutbound({ channel: 'a', content: 'one' });
+    dbMod.insertOutbound({ channel: 'a', content: 'two' });
+    const claimed = dbMod.claimNextOutbound();
+    assert.equal(claimed.id, first.id);
+    assert.equal(claimed.status, 'sending');
+
+    const now = Math.floor(Date.now() / 1000);
+    db.prepare("UPDATE outbound_queue SET next_attempt_at = ? WHERE status = 'pending'").run(now + 60);
+    assert.equal(dbMod.claimNextOutbound(now), null);
+    assert.ok(dbMod.claimNextOutbound(now + 60));
+  });
+
+  it('holds later parts of a split message until earlier parts are done', () => {
+    const first = dbMod.insertOutbound({ channel: 'a', content: 'part 1', groupId: 'g1' });
+    const second = dbMod.insertOutbound({ channel: 'a', content: 'part 2', groupId: 'g1' });
+    const other = dbMod.insertOutbound({ channel: 'a', content: 'unrelated' });
+    const now = Math.floor(Date.now() / 1000);
+    db.prepare('UPDATE outbound_queue SET next_attempt_at = ? WHERE id = ?').run(now + 60, first.id);
+
+    // Part 1 is backing off: part 2 must wait, unrelated messages don't.
+    assert.equal(dbMod.claimNextOutbound(now).id, other.id);
+    assert.equal(dbMod.claimNextOutbound(now), null);
+
+    assert.equal(dbMod.claimNextOutbound(now + 60).id, first.id);
+    dbMod.markOutboundSent(first.id);
+    assert.equal(dbMod.claimNextOutbound(now + 60).id, second.id);
+  });
+
+  it('backs off exponentially and fails once attempts are spent', () => {
+    const row = dbMod.insertOutbound({ channel: 'a', content: 'x', status: 'sending' });
+    const before = Math.floor(Date.now() / 1000);
+
+    const first = dbMod.retryOrFailOutbound(row.id, 'boom', 3);
+    assert.equal(first.status, 'pending');
+    assert.equal(first.retry_count, 1);
+    assert.ok(first.next_attempt_at >= before + dbMod.getOutboundBackoffSeconds(1));
+
+    const second = dbMod.retryOrFailOutbound(row.id, 'boom again', 3);
+    assert.equal(second.retry_count, 2);
+    assert.equal(dbMod.getOutboundBackoffSeconds(2), dbMod.getOutboundBackoffSeconds(1) * 2);
+
+    const third = dbMod.retryOrFailOutbound(row.id, 'still down', 3);
+    assert.equal(third.status, 'failed');
+    const stored = dbMod.getOutboundById(row.id);
+    assert.equal(stored.status, 'failed');
+    assert.equal(stored.last_error, 'still down');
+  });
+
+  it('requeues only failed records', () => {
+    const row = dbMod.insertOutbound({ channel: 'a', content: 'x' });
+    assert.equal(dbMod.requeueOutbound(row.id), false);
+    dbMod.markOutboundFailed(row.id, 'gone');
+    assert.equal(dbMod.requeueOutbound(row.id), true);
+    const stored = dbMod.getOutboundById(row.id);
+    assert.equal(stored.status, 'pending');
+    assert.equal(stored.retry_count, 0);
+  });
+
+  it('recovers stale sending records', () => {
+    const row = dbMod.insertOutbound({ channel: 'a', content: 'x', status: 'sending' });
+    db.prepare('UPDATE outbound_queue SET updated_at = updated_at - 1000 WHERE id = ?').run(row.id);
+    const recovered = dbMod.recoverStaleOutbound(Math.floor(Date.now() / 1000) - 500);
+    assert.equal(recovered, 1);
+    assert.equal(dbMod.getOutboundById(row.id).status, 'pending');
+    assert.equal(dbMod.getOutboundById(row.id).last_error, 'SENDER_ABANDONED');
+  });
+
+  it('holds scheduled sends until due and marks their audit row delivered', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const conv = dbMod.insertConversation('out', 'a', 'ep', 'later', 'scheduled');
+    const row = dbMod.insertOutbound({ conversationId: conv.id, channel: 'a', content: 'later', sendAfter: now + 600 });
+    assert.equal(row.next_attempt_at, now + 600);
+    assert.deepEqual(dbMod.getScheduledOutbound().map((r) => r.id), [row.id]);
+    assert.equal(dbMod.claimNextOutbound(now), null);
+
+    assert.equal(dbMod.claimNextOutbound(now + 600).id, row.id);
+    dbMod.markOutboundSent(row.id);
+    assert.equal(dbMod.getConversationById(conv.id).status, 'delivered');
+    assert.deepEqual(dbMod.getScheduledOutbound(), []);
+  });
+
+  it('cancels pending records with the rest of their split message', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const conv = dbMod.insertConversation('out', 'a', 'ep', 'x', 'scheduled');
+    const first = dbMod.insertOutbound({ conversationId: conv.id, channel: 'a', content: '1', groupId: 'g', sendAfter: now + 60 });
+    dbMod.insertOutbound({ conversationId: conv.id, channel: 'a', content: '2', groupId: 'g', sendAfter: now + 60 });
+    const sent = dbMod.insertOutbound({ channel: 'a', content: 'done' });
+    dbMod.markOutboundSent(sent.id);
+
+    assert.equal(dbMod.cancelOutbound(first.id), 2);
+    assert.equal(dbMod.getConversationById(conv.id).status, 'cancelled');
+    assert.equal(dbMod.cancelOutbound(first.id), 0);
+    assert.equal(dbMod.cancelOutbound(sent.id), 0);
+  });
+
+  it('cleans up only old final records', () => {
+    const sent = dbMod.insertOutbound({ channel: 'a', content: 'x' });
+    dbMod.markOutboundSent(sent.id);
+    const pending = dbMod.insertOutbound({ channel: 'a', content: 'y' });
+    db.prepare('UPDATE outbound_queue SET updated_at = 1').run();
+    assert.equal(dbMod.cleanupOutboundQueue(100), 1);
+    assert.ok(dbMod.getOutboundById(pending.id));
+  });
+});
+
+describe('drainOutbound', () => {
+  beforeEach(() => resetTables());
+
+  it('delivers due records via the channel send script', async () => {
+    const sentFile = setupChannel('mock-ok');
+    const row = dbMod.insertOutbound({ channel: 'mock-ok', endpointId: 'ep1', content: 'queued hello' });
+
+    const counts = await outbox.drainOutbound();
+    assert.deepEqual(counts, { sent: 1, retried: 0, failed: 0 });
+    assert.deepEqual(readSent(sentFile), [['ep1', 'queued hello']]);
+    assert.equal(dbMod.getOutboundById(row.id).status, 'sent');
+  });
+
+  it('keeps queued secrets redacted and sends the decrypted original', async () => {
+    const sentFile = setupChannel('mock-ok');
+    const secret = 'sk-ant-REDACTED';
+    const row = dbMod.insertOutbound({ channel: 'mock-ok', endpointId: 'ep1', content: `key: ${secret}` });
+    const stored = () => db.prepare('SELECT content, content_ciphertext FROM outbound_queue WHERE id = ?').get(row.id);
+    assert.equal(row.content, 'key: [REDACTED:anthropic_key]');
+    assert.ok(!stored().content_ciphertext.includes(secret));
+
+    await outbox.drainOutbound();
+    assert.deepEqual(readSent(sentFile), [['ep1', `key: ${secret}`]]);
+    assert.deepEqual({ ...stored() }, { content: 'key: [REDACTED:anthropic_key]', content_ciphertext: null });
+  });
+
+  it('schedules a retry with the script error when delivery fails', async () => {
+    setupChannel('mock-down', 3);
+    const row = dbMod.insertOutbound({ channel: 'mock-down', endpointId: 'ep1', content: 'hello' });
+
+    const counts = await outbox.drainOutbound();
+    assert.deepEqual(counts, { sent: 0, retried: 1, failed: 0 });
+    const stored = dbMod.getOutboundById(row.id);
+    assert.equal(stored.status, 'pending');
+    assert.equal(stored.retry_count, 1);
+    assert.ok(stored.next_attempt_at > Math.floor(Date.now() / 1000));
+    assert.match(stored.last_error, /exit code 3: channel down/);
+
+    // Not due yet: a second drain leaves it alone.
+    assert.deepEqual(await outbox.drainOutbound(), { sent: 0, retried: 0, failed: 0 });
+  });
+
+  it('combines due quiet-hours digest rows of one chat into one delivery', async () => {
+    const sentFile = setupChannel('mock-ok');
+    const payload = { quiet_digest: { timezone: 'UTC' } };
+    const first = dbMod.insertOutbound({ channel: 'mock-ok', endpointId: 'ep1', content: 'first', payload });
+    dbMod.insertOutbound({ channel: 'mock-ok', endpointId: 'ep2', content: 'other chat', payload });
+    const second = dbMod.insertOutbound({ channel: 'mock-ok', endpointId: 'ep1', content: 'second', payload });
+    const later = dbMod.insertOutbound({
+      channel: 'mock-ok', endpointId: 'ep1', content: 'not due', payload, sendAfter: Math.floor(Date.now() / 1000) + 3600
+    });
+
+    const counts = await outbox.drainOutbound();
+    assert.deepEqual(counts, { sent: 2, retried: 0, failed: 0 });
+    const sent = readSent(sentFile);
+    assert.equal(sent.length, 2);
+    assert.match(sent[0][1], /^2 messages held during quiet hours:\n\n\[\d{2}:\d{2}\] first\n\n\[\d{2}:\d{2}\] second$/);
+    assert.deepEqual(sent[1], ['ep2', 'other chat']);
+    assert.equal(dbMod.getOutboundById(first.id).status, 'sent');
+    assert.equal(dbMod.getOutboundById(second.id).status, 'sent');
+    assert.equal(dbMod.getOutboundById(second.id).content, 'second');
+    assert.equal(dbMod.getOutboundById(later.id).status, 'pending');
+  });
+
+  it('keeps draining past records with a malformed payload', async () => {
+    const sentFile = setupChannel('mock-ok');
+    const digest = dbMod.insertOutbound({
+      channel: 'mock-ok', endpointId: 'ep1', content: 'held', payload: { quiet_digest: { timezone: 'UTC' } }
+    });
+    const legacy = dbMod.insertOutbound({ channel: 'mock-ok', endpointId: 'ep1', content: 'legacy' });
+    db.prepare("UPDATE outbound_queue SET payload = '{not json' WHERE id = ?").run(legacy.id);
+    dbMod.insertOutbound({ channel: 'mock-ok', endpointId: 'ep1', content: 'after' });
+
+    assert.deepEqual(await outbox.drainOutbound(), { sent: 3, retried: 0, failed: 0 });
+    assert.deepEqual(readSent(sentFile), [['ep1', 'held'], ['ep1', 'legacy'], ['ep1', 'after']]);
+    assert.equal(dbMod.getOutboundById(digest.id).status, 'sent');
+  });
+
+  it('fails immediately when the channel script is missing', async () => {
+    const row = dbMod.insertOutbound({ channel: 'no-such-channel', content: 'hello' });
+    const counts = await outbox.drainOutbound();
+    assert.deepEqual(counts, { sent: 0, retried: 0, failed: 1 });
+    assert.match(dbMod.getOutboundById(row.id).last_error, /Channel script not found/);
+  });
+});
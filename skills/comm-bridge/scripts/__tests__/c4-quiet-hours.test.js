@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import { describe, it, beforeEach } from 'node:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Set up an isolated temp ZYLOS_DIR BEFORE importing so that c4-config.js
+// (evaluated once at first import) picks up our temp path.
+const ORIG_ZYLOS_DIR = process.env.ZYLOS_DIR;
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'c4-quiet-hours-test-'));
+process.env.ZYLOS_DIR = TMP_DIR;
+
+const dbMod = await import(new URL('../c4-db.js', import.meta.url));
+const quiet = await import(new URL('../c4-quiet-hours.js', import.meta.url));
+const db = dbMod.getDb();
+
+if (ORIG_ZYLOS_DIR === undefined) delete process.env.ZYLOS_DIR;
+else process.env.ZYLOS_DIR = ORIG_ZYLOS_DIR;
+
+process.on('exit', () => {
+  try { dbMod.close(); } catch { /* ignore */ }
+  try { fs.rmSync(TMP_DIR, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+const at = (iso) => Date.parse(iso) / 1000;
+
+describe('quiet windows', () => {
+  it('parses and formats HH:MM-HH:MM', () => {
+    assert.deepEqual(quiet.parseQuietWindow('22:00-07:30'), { startMinute: 1320, endMinute: 450 });
+    assert.equal(quiet.formatQuietWindow(1320, 450), '22:00-07:30');
+    assert.equal(quiet.parseQuietWindow('7:00-7:00'), null);
+    assert.equal(quiet.parseQuietWindow('24:00-07:00'), null);
+    assert.equal(quiet.parseQuietWindow('night'), null);
+  });
+
+  it('finds the end of a window that spans midnight', () => {
+    const rule = { start_minute: 22 * 60, end_minute: 7 * 60 };
+    assert.equal(quiet.quietWindowEnd(rule, at('2026-03-10T23:30:15Z'), 'UTC'), at('2026-03-11T07:00:00Z'));
+    assert.equal(quiet.quietWindowEnd(rule, at('2026-03-11T03:00:00Z'), 'UTC'), at('2026-03-11T07:00:00Z'));
+    assert.equal(quiet.quietWindowEnd(rule, at('2026-03-11T07:00:00Z'), 'UTC'), null);
+    assert.equal(quiet.quietWindowEnd(rule, at('2026-03-11T12:00:00Z'), 'UTC'), null);
+  });
+
+  it('uses local time in the rule timezone, across a DST change', () => {
+    const rule = { start_minute: 22 * 60, end_minute: 7 * 60 };
+    // 23:00 in Shanghai (UTC+8) is 15:00Z; the window ends at 07:00 local = 23:00Z.
+    assert.equal(quiet.quietWindowEnd(rule, at('2026-03-10T15:00:00Z'), 'Asia/Shanghai'), at('2026-03-10T23:00:00Z'));
+    // New York springs forward at 02:00 on 2026-03-08: 01:30 EST to 06:00 EDT.
+    const early = { start_minute: 60, end_minute: 6 * 60 };
+    assert.equal(quiet.quietWindowEnd(early, at('2026-03-08T06:30:00Z'), 'America/New_York'), at('2026-03-08T10:00:00Z'));
+  });
+
+  it('combines held rows into one digest', () => {
+    const payload = JSON.stringify({ quiet_digest: { timezone: 'Asia/Shanghai' } });
+    const rows = [
+      { content: 'build finished', payload, created_at: at('2026-03-10T15:05:00Z') },
+      { content: 'report ready', payload, created_at: at('2026-03-10T19:40:00Z') }
+    ];
+    assert.equal(
+      quiet.buildQuietDigest(rows),
+      '2 messages held during quiet hours:\n\n[23:05] build finished\n\n[03:40] report ready'
+    );
+    assert.equal(quiet.buildQuietDigest(rows.slice(0, 1)), 'build finished');
+    assert.match(
+      quiet.buildQuietDigest([rows[0], { ...rows[1], payload: '{not json' }]),
+      /\[19:40\] report ready$/
+    );
+  });
+});
+
+describe('getQuietHold', () => {
+  beforeEach(() => {
+    db.exec('DELETE FROM quiet_hours');
+    db.exec('DELETE FROM contacts');
+  });
+
+  const night = { startMinute: 22 * 60, endMinute: 7 * 60, timezone: 'UTC' };
+  const current = at('2026-03-10T23:30:00Z');
+
+  it('holds a send to a contact endpoint inside the window', async () => {
+    dbMod.addContact('alice', { channel: 'telegram', endpointId: '123' });
+    dbMod.setQuietHours({ contact: 'alice' }, { ...night, mode: 'digest' });
+
+    const hold = await quiet.getQuietHold({ channel: 'telegram', endpointId: '123|msg:9', current });
+    assert.deepEqual(hold, {
+      until: at('2026-03-11T07:00:00Z'),
+      mode: 'digest',
+      timezone: 'UTC',
+      window: '22:00-07:00',
+      target: '@alice'
+    });
+    assert.equal(quiet.describeQuietHold(hold), '@alice is in quiet hours (22:00-07:00 UTC) until 07:00');
+    assert.equal(await quiet.getQuietHold({ channel: 'telegram', endpointId: '123', current: at('2026-03-10T12:00:00Z') }), null);
+    assert.equal(await quiet.getQuietHold({ channel: 'telegram', endpointId: '456', current }), null);
+  });
+
+  it('prefers the endpoint window over the contact window', async () => {
+    dbMod.addContact('alice', { channel: 'telegram', endpointId: '123' });
+    dbMod.setQuietHours({ contact: 'alice' }, night);
+    dbMod.setQuietHours({ channel: 'telegram', endpointId: '123' }, { ...night, startMinute: 23 * 60, endMinute: 6 * 60 });
+
+    const hold = await quiet.getQuietHold({ channel: 'telegram', endpointId: '123', current });
+    assert.equal(hold.target, 'telegram:123');
+    assert.equal(hold.until, at('2026-03-11T06:00:00Z'));
+  });
+
+  it('does not hold for someone who wrote recently', async () => {
+    dbMod.addContact('alice', { channel: 'telegram', endpointId: '123' });
+    dbMod.setQuietHours({ contact: 'alice' }, night);
+    dbMod.recordContactEndpoint('telegram', '123', { seenAt: current - 60 });
+    assert.equal(await quiet.getQuietHold({ channel: 'telegram', endpointId: '123', current }), null);
+
+    // A send scheduled into the window is held even so.
+    const later = await quiet.getQuietHold({ channel: 'telegram', endpointId: '123', at: current + 3600, current });
+    assert.equal(later.until, at('2026-03-11T07:00:00Z'));
+  });
+
+  it('rejects a window for an unknown contact', () => {
+    assert.throws(() => dbMod.setQuietHours({ contact: 'nobody' }, night), /contact @nobody not found/);
+  });
+});
@@ -309,6 +309,280 @@ describe('c4-receive --no-reply', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// --external-id dedup
+// ---------------------------------------------------------------------------
+describe('c4-receive --external-id', () => {
+  it('returns the original record for a redelivered message', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      fs.mkdirSync(path.join(tmpDir, '.claude', 'skills', 'test-chan'), { recursive: true });
+      const args = ['--channel', 'test-chan', '--endpoint', 'ep1', '--external-id', 'upd-100', '--json', '--content', 'hi'];
+
+      const first = parseJsonStdout(cliRaw(args, env).stdout);
+      assert.equal(first.action, 'queued');
+
+      const second = cliRaw(args, env);
+      assert.equal(second.status, 0);
+      assert.deepEqual(parseJsonStdout(second.stdout), { ok: true, action: 'duplicate', id: first.id });
+
+      const plain = cliRaw(args.filter((arg) => arg !== '--json'), env);
+      assert.match(plain.stdout, new RegExp(`id=${first.id}, action=duplicate`));
+
+      const db = openDb(tmpDir);
+      const rows = db.prepare('SELECT id, external_id FROM conversations').all();
+      db.close();
+      assert.deepEqual(rows.map((row) => ({ ...row })), [{ id: first.id, external_id: 'upd-100' }]);
+    });
+  });
+
+  it('scopes external ids per channel', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      fs.mkdirSync(path.join(tmpDir, '.claude', 'skills', 'chan-a'), { recursive: true });
+      fs.mkdirSync(path.join(tmpDir, '.claude', 'skills', 'chan-b'), { recursive: true });
+
+      const a = parseJsonStdout(cliRaw(['--channel', 'chan-a', '--external-id', '1', '--json', '--content', 'x'], env).stdout);
+      const b = parseJsonStdout(cliRaw(['--channel', 'chan-b', '--external-id', '1', '--json', '--content', 'x'], env).stdout);
+      assert.equal(a.action, 'queued');
+      assert.equal(b.action, 'queued');
+      assert.notEqual(a.id, b.id);
+    });
+  });
+
+  it('does not resend the unhealthy status notice for a duplicate', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      fs.writeFileSync(path.join(tmpDir, 'activity-monitor', 'agent-status.json'), JSON.stringify({ health: 'down' }));
+      createChannelSendScript(tmpDir, 'test-chan');
+      const sentPath = path.join(tmpDir, 'test-chan-send.json');
+      const args = ['--channel', 'test-chan', '--endpoint', 'ep1', '--external-id', 'e1', '--json', '--content', 'x'];
+
+      const first = parseJsonStdout(cliRaw(args, env).stdout);
+      assert.equal(first.action, 'delivered');
+      fs.rmSync(sentPath);
+
+      assert.equal(parseJsonStdout(cliRaw(args, env).stdout).action, 'duplicate');
+      assert.equal(fs.existsSync(sentPath), false);
+    });
+  });
+
+  it('accepts the id again once it is older than the retention window', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const dedupEnv = { ...env, C4_INBOUND_DEDUP_RETENTION_HOURS: '1' };
+      const args = ['--no-reply', '--external-id', 'old-1', '--json', '--content', 'x'];
+      const first = parseJsonStdout(cliRaw(args, dedupEnv).stdout);
+
+      const db = openDb(tmpDir);
+      db.prepare("UPDATE conversations SET timestamp = datetime('now', '-2 hours') WHERE id = ?").run(first.id);
+      db.close();
+
+      const second = parseJsonStdout(cliRaw(args, dedupEnv).stdout);
+      assert.equal(second.action, 'queued');
+      assert.notEqual(second.id, first.id);
+    });
+  });
+
+  it('rejects an empty --external-id', () => {
+    withTmpDir(({ env }) => {
+      const r = cliRaw(['--no-reply', '--external-id', '', '--json', '--content', 'x'], env);
+      assert.equal(r.status, 1);
+      assert.equal(parseJsonStdout(r.stdout).error.code, 'INVALID_ARGS');
+    });
+  });
+});
+
+describe('c4-receive contacts', () => {
+  it('adds a new sender to the contact directory once', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      fs.mkdirSync(path.join(tmpDir, '.claude', 'skills', 'test-chan'), { recursive: true });
+      for (const msg of ['m1', 'm2']) {
+        cliRaw(['--channel', 'test-chan', '--endpoint', `chat_1|msg:${msg}`, '--json', '--content', '[TC DM] Alice said: hi'], env);
+      }
+      cliRaw(['--no-reply', '--json', '--content', 'system note'], env);
+
+      const db = openDb(tmpDir);
+      const contacts = db.prepare(`
+        SELECT c.name, c.display_name, e.channel, e.endpoint_id, e.last_seen_at
+        FROM contacts c JOIN contact_endpoints e ON e.contact_id = c.id
+      `).all();
+      db.close();
+      assert.equal(contacts.length, 1);
+      assert.equal(contacts[0].name, 'test-chan-chat_1');
+      assert.equal(contacts[0].display_name, 'Alice');
+      assert.equal(contacts[0].endpoint_id, 'chat_1');
+      assert.ok(contacts[0].last_seen_at > 0);
+    });
+  });
+});
+
+describe('c4-receive rate limits', () => {
+  const limitEnv = { C4_RATE_LIMIT_ENDPOINT_BURST: '2', C4_RATE_LIMIT_ENDPOINT_PER_MINUTE: '1' };
+
+  it('is off by default', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      createChannelSendScript(tmpDir, 'test-chan');
+      for (let i = 0; i < 3; i++) {
+        const result = parseJsonStdout(cliRaw(['--channel', 'test-chan', '--endpoint', 'chat_1', '--json', '--content', `hi ${i}`], env).stdout);
+        assert.equal(result.action, 'queued');
+      }
+    });
+  });
+
+  it('summarizes messages over the limit and notifies the sender once', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      createChannelSendScript(tmpDir, 'test-chan');
+      const sentPath = path.join(tmpDir, 'test-chan-send.json');
+      const send = (msg) => parseJsonStdout(cliRaw(
+        ['--channel', 'test-chan', '--endpoint', `chat_1|msg:${msg}`, '--json', '--content', `hello ${msg}`, '--external-id', msg],
+        { ...env, ...limitEnv, C4_RATE_LIMIT_OVERFLOW: 'summarize' }
+      ).stdout);
+
+      assert.equal(send('m1').action, 'queued');
+      assert.equal(send('m2').action, 'queued');
+      const third = send('m3');
+      assert.equal(third.action, 'rate_limited');
+      assert.deepEqual(JSON.parse(fs.readFileSync(sentPath, 'utf8')).args.slice(0, 1), ['chat_1|msg:m3']);
+      fs.rmSync(sentPath);
+
+      const fourth = send('m4');
+      assert.equal(fourth.id, third.id);
+      assert.equal(fs.existsSync(sentPath), false);
+      // A redelivered suppressed message is a duplicate, not another suppression
+      assert.deepEqual(send('m3'), { ok: true, action: 'duplicate', id: third.id });
+
+      const db = openDb(tmpDir);
+      const summary = db.prepare('SELECT endpoint_id, status, delivery_action, content FROM conversations WHERE id = ?').get(third.id);
+      const count = db.prepare("SELECT COUNT(*) AS n FROM conversations WHERE direction = 'in'").get().n;
+      db.close();
+      assert.equal(summary.endpoint_id, 'chat_1');
+      assert.equal(summary.status, 'pending');
+      assert.equal(summary.delivery_action, 'rate_limited');
+      assert.match(summary.content, /^\[C4\] Rate limit: 2 message\(s\) from test-chan:chat_1 .* Most recent: hello m4$/);
+      assert.equal(count, 3);
+      assert.equal(readCooldownRows(tmpDir)[0].status_type, 'rate_limited');
+    });
+  });
+
+  it('defers or drops messages per the overflow setting, and never limits --no-reply', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      createChannelSendScript(tmpDir, 'test-chan');
+      const send = (overflow) => parseJsonStdout(cliRaw(
+        ['--channel', 'test-chan', '--endpoint', 'chat_1', '--json', '--content', 'x'],
+        { ...env, ...limitEnv, C4_RATE_LIMIT_OVERFLOW: overflow }
+      ).stdout);
+
+      send('defer');
+      send('defer');
+      const deferred = send('defer');
+      assert.equal(deferred.action, 'deferred');
+      assert.deepEqual(send('drop'), { ok: true, action: 'rate_limited', id: null });
+
+      const noReply = parseJsonStdout(cliRaw(['--no-reply', '--json', '--content', 'cron'], { ...env, ...limitEnv }).stdout);
+      assert.equal(noReply.action, 'queued');
+
+      const db = openDb(tmpDir);
+      const row = db.prepare('SELECT status, delivery_action, deliver_after FROM conversations WHERE id = ?').get(deferred.id);
+      db.close();
+      assert.equal(row.status, 'pending');
+      assert.equal(row.delivery_action, 'deferred');
+      // One token short at 1/minute: about a minute out.
+      assert.ok(row.deliver_after - Math.floor(Date.now() / 1000) > 30);
+    });
+  });
+});
+
+describe('c4-receive threading', () => {
+  it('derives thread_key and external_message_id from the endpoint', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      fs.mkdirSync(path.join(tmpDir, '.claude', 'skills', 'test-chan'), { recursive: true });
+      const r = cliRaw(['--channel', 'test-chan', '--endpoint', 'chat_1|type:group|root:msg_r|msg:msg_9', '--json', '--content', 'x'], env);
+      const { id } = parseJsonStdout(r.stdout);
+
+      const db = openDb(tmpDir);
+      const row = db.prepare('SELECT thread_key, external_message_id, reply_to_id FROM conversations WHERE id = ?').get(id);
+      db.close();
+      assert.deepEqual({ ...row }, {
+        thread_key: 'test-chan:chat_1|type:group|root:msg_r',
+        external_message_id: 'msg_9',
+        reply_to_id: null
+      });
+    });
+  });
+
+  it('stores explicit --thread-key and --external-message-id', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      fs.mkdirSync(path.join(tmpDir, '.claude', 'skills', 'test-chan'), { recursive: true });
+      const r = cliRaw([
+        '--channel', 'test-chan', '--endpoint', 'ep1',
+        '--thread-key', 'topic-7', '--external-message-id', 'm-55',
+        '--json', '--content', 'x'
+      ], env);
+      const { id } = parseJsonStdout(r.stdout);
+
+      const db = openDb(tmpDir);
+      const row = db.prepare('SELECT thread_key, external_message_id FROM conversations WHERE id = ?').get(id);
+      db.close();
+      assert.deepEqual({ ...row }, { thread_key: 'topic-7', external_message_id: 'm-55' });
+    });
+  });
+
+  it('rejects an empty --thread-key', () => {
+    withTmpDir(({ env }) => {
+      const r = cliRaw(['--no-reply', '--thread-key', '', '--json', '--content', 'x'], env);
+      assert.equal(r.status, 1);
+      assert.equal(parseJsonStdout(r.stdout).error.message, '--thread-key requires a value');
+    });
+  });
+});
+
+describe('c4-receive events', () => {
+  it('records edits, deletions and reactions linked to the original message', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      fs.mkdirSync(path.join(tmpDir, '.claude', 'skills', 'test-chan'), { recursive: true });
+      const receive = (args) => parseJsonStdout(cliRaw(['--channel', 'test-chan', '--json', ...args], env).stdout);
+      const original = receive(['--endpoint', 'chat_1|msg:m-1', '--content', '[TG DM] alice said: see you at 5']);
+
+      const edit = receive([
+        '--endpoint', 'chat_1|msg:m-1', '--event', 'edit', '--target-external-id', 'm-1',
+        '--content', '[TG DM] alice said: see you at 6'
+      ]);
+      const deletion = receive(['--endpoint', 'chat_1', '--event', 'delete', '--target-external-id', 'm-1']);
+      const reaction = receive(['--endpoint', 'chat_1', '--event', 'reaction', '--target-external-id', 'm-1', '--content', '👍']);
+      const orphan = receive(['--endpoint', 'chat_1', '--event', 'delete', '--target-external-id', 'm-0']);
+      const otherChat = receive(['--endpoint', 'chat_2', '--event', 'delete', '--target-external-id', 'm-1']);
+
+      const db = openDb(tmpDir);
+      const row = (id) => ({ ...db.prepare('SELECT content, event_type, target_id FROM conversations WHERE id = ?').get(id) });
+      assert.deepEqual(row(edit.id), {
+        content: `[TG DM] alice edited message #${original.id}: see you at 6 (was: "see you at 5")`,
+        event_type: 'edit',
+        target_id: original.id
+      });
+      assert.equal(row(deletion.id).content, `alice deleted message #${original.id}: "see you at 5"`);
+      assert.equal(row(reaction.id).content, `alice reacted 👍 to message #${original.id}: "see you at 5"`);
+      assert.deepEqual(row(orphan.id), {
+        content: 'alice deleted message m-0 (not in history)',
+        event_type: 'delete',
+        target_id: null
+      });
+      assert.equal(row(otherChat.id).target_id, null);
+      db.close();
+    });
+  });
+
+  it('requires --event and --target-external-id together', () => {
+    withTmpDir(({ env }) => {
+      const missingTarget = cliRaw(['--no-reply', '--event', 'edit', '--json', '--content', 'x'], env);
+      assert.equal(missingTarget.status, 1);
+      assert.equal(parseJsonStdout(missingTarget.stdout).error.message, '--event and --target-external-id must be given together');
+
+      const unknown = cliRaw(['--no-reply', '--event', 'pin', '--target-external-id', 'm-1', '--json', '--content', 'x'], env);
+      assert.equal(parseJsonStdout(unknown.stdout).error.message, '--event must be one of: edit, delete, reaction');
+
+      const noContent = cliRaw(['--no-reply', '--event', 'reaction', '--target-external-id', 'm-1', '--json'], env);
+      assert.equal(parseJsonStdout(noContent.stdout).error.message, '--content is required');
+    });
+  });
+});
+
 // ---------------------------------------------------------------------------
 // validation
 // ---------------------------------------------------------------------------
@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { describe, it, beforeEach } from 'node:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Set up an isolated temp ZYLOS_DIR BEFORE importing so that c4-config.js
+// (evaluated once at first import) picks up our temp path.
+const ORIG_ZYLOS_DIR = process.env.ZYLOS_DIR;
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'c4-retention-test-'));
+process.env.ZYLOS_DIR = TMP_DIR;
+
+const dbMod = await import(new URL('../c4-db.js', import.meta.url));
+const retention = await import(new URL('../c4-retention.js', import.meta.url));
+const db = dbMod.getDb();
+
+if (ORIG_ZYLOS_DIR === undefined) delete process.env.ZYLOS_DIR;
+else process.env.ZYLOS_DIR = ORIG_ZYLOS_DIR;
+
+const ARCHIVE_DIR = path.join(TMP_DIR, 'archive-test');
+const ATTACHMENTS_DIR = path.join(TMP_DIR, 'comm-bridge', 'attachments');
+const NOW = Math.floor(Date.parse('2026-06-15T12:00:00Z') / 1000);
+
+process.on('exit', () => {
+  try { dbMod.close(); } catch { /* ignore */ }
+  try { fs.rmSync(TMP_DIR, { recursive: true, force: true }); } catch { /* ignore */ }
+});
+
+/** Record a message `days` before NOW. */
+function message(channel, days, status = 'delivered') {
+  const row = dbMod.insertConversation('in', channel, null, `${channel}-${days}d`, status);
+  db.prepare("UPDATE conversations SET timestamp = datetime(?, 'unixepoch') WHERE id = ?").run(NOW - days * 86400, row.id);
+  return Number(row.id);
+}
+
+function remaining() {
+  return db.prepare('SELECT content FROM conversations ORDER BY id').all().map((row) => row.content);
+}
+
+describe('conversation retention', () => {
+  beforeEach(() => {
+    db.exec('DELETE FROM conversations');
+    db.exec('DELETE FROM checkpoints');
+    fs.rmSync(ARCHIVE_DIR, { recursive: true, force: true });
+  });
+
+  it('archives finished, checkpointed rows past retention by month', () => {
+    message('telegram', 80);
+    message('telegram', 40);
+    message('lark', 80);
+    message('telegram', 75, 'failed');
+    dbMod.createCheckpoint(message('telegram', 5), 'sync');
+    message('telegram', 90);
+
+    const options = { retentionDays: 30, channelRetentionDays: { lark: 0 }, current: NOW, archiveDir: ARCHIVE_DIR };
+    assert.deepEqual(retention.pruneConversations({ ...options, dryRun: true }), { pruned: 2, months: ['2026-03', '2026-05'] });
+    assert.equal(fs.existsSync(ARCHIVE_DIR), false);
+
+    assert.deepEqual(retention.pruneConversations(options), { pruned: 2, months: ['2026-03', '2026-05'] });
+    assert.deepEqual(remaining(), ['lark-80d', 'telegram-75d', 'telegram-5d', 'telegram-90d']);
+
+    const march = retention.readArchive(retention.archivePath('2026-03', ARCHIVE_DIR));
+    assert.deepEqual(march.map((row) => [row.content, row.status]), [['telegram-80d', 'delivered']]);
+
+    // Once a checkpoint covers it, a later run appends another gzip member
+    // to the same month.
+    dbMod.createCheckpoint(message('telegram', 79), 'sync 2');
+    assert.equal(retention.pruneConversations(options).pruned, 2);
+    const again = retention.readArchive(retention.archivePath('2026-03', ARCHIVE_DIR));
+    assert.deepEqual(again.map((row) => row.content), ['telegram-80d', 'telegram-90d', 'telegram-79d']);
+    assert.deepEqual(dbMod.searchConversations('telegram').map((row) => row.content).includes('telegram-80d'), false);
+  });
+
+  it('keeps everything when retention is off', () => {
+    const id = message('telegram', 400);
+    dbMod.createCheckpoint(id, 'sync');
+    assert.deepEqual(retention.pruneConversations({ retentionDays: 0, channelRetentionDays: {}, current: NOW, archiveDir: ARCHIVE_DIR }), {
+      pruned: 0, months: []
+    });
+    assert.deepEqual(remaining(), ['telegram-400d']);
+  });
+
+  it('removes spill directories of deleted conversations only', () => {
+    const kept = message('telegram', 1);
+    for (const name of [`conv-${kept}`, 'conv-999999', '1700000000-1-0']) {
+      fs.mkdirSync(path.join(ATTACHMENTS_DIR, name), { recursive: true });
+    }
+    assert.deepEqual(retention.collectOrphanSpills({ dryRun: true }), ['conv-999999']);
+    assert.deepEqual(retention.collectOrphanSpills(), ['conv-999999']);
+    assert.deepEqual(fs.readdirSync(ATTACHMENTS_DIR).sort(), ['1700000000-1-0', `conv-${kept}`]);
+  });
+
+  it('vacuums the database', () => {
+    const { before, after } = dbMod.vacuumDatabase();
+    assert.ok(before > 0);
+    assert.ok(after > 0);
+  });
+});
@@ -5,6 +5,7 @@ import fs from 'node:fs';
 import os from 'node:os';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
 
 const CLI_PATH = fileURLToPath(new URL('../c4-send.js', import.meta.url));
 const DB_CLI_PATH = fileURLToPath(new URL('../c4-db.js', import.meta.url));
@@ -30,6 +31,13 @@ function dbRecent(env, limit = 10) {
   return JSON.parse(json);
 }
 
+function readOutbound(tmpDir) {
+  const db = new Database(path.join(tmpDir, 'comm-bridge', 'c4.db'));
+  const rows = db.prepare('SELECT * FROM outbound_queue ORDER BY id ASC').all();
+  db.close();
+  return rows;
+}
+
 function withTmpDir(fn) {
   const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'c4-send-cli-'));
   const env = { ZYLOS_DIR: tmpDir };
@@ -193,4 +201,449 @@ describe('c4-send failed channel', () => {
       assert.ok(stdout.includes('Failed to send'));
     });
   });
+
+  it('queues the failed send for retry by the dispatcher', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const skillDir = path.join(tmpDir, '.claude', 'skills', 'bad-channel', 'scripts');
+      fs.mkdirSync(skillDir, { recursive: true });
+      fs.writeFileSync(path.join(skillDir, 'send.js'), 'console.error("api down"); process.exit(2);');
+
+      const { stdout, status } = cli(['bad-channel', 'endpoint1', 'Hello'], env);
+      assert.equal(status, 2);
+      assert.ok(stdout.includes('queued for retry'));
+
+      const rows = readOutbound(tmpDir);
+      assert.equal(rows.length, 1);
+      assert.equal(rows[0].status, 'pending');
+      assert.equal(rows[0].retry_count, 1);
+      assert.equal(rows[0].endpoint_id, 'endpoint1');
+      assert.equal(rows[0].content, 'Hello');
+      assert.match(rows[0].last_error, /api down/);
+    });
+  });
+
+  it('does not queue a --no-retry send', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const skillDir = path.join(tmpDir, '.claude', 'skills', 'bad-channel', 'scripts');
+      fs.mkdirSync(skillDir, { recursive: true });
+      fs.writeFileSync(path.join(skillDir, 'send.js'), 'process.exit(1);');
+
+      const { stdout, status } = cli(['--no-retry', 'bad-channel', 'endpoint1', 'Hello'], env);
+      assert.equal(status, 1);
+      assert.ok(stdout.includes('Failed to send'));
+      assert.ok(!stdout.includes('queued for retry'));
+      assert.equal(readOutbound(tmpDir).length, 0);
+    });
+  });
+
+  it('marks the queued record sent on success', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      setupMockChannel(tmpDir, 'mock-channel');
+      const { status } = cli(['mock-channel', 'endpoint1', 'Hello!'], env);
+      assert.equal(status, 0);
+
+      const rows = readOutbound(tmpDir);
+      assert.equal(rows.length, 1);
+      assert.equal(rows[0].status, 'sent');
+      assert.ok(rows[0].conversation_id > 0);
+    });
+  });
+});
+
+describe('c4-send --reply-to', () => {
+  it('answers on the target channel and endpoint and records the reference', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const sentFile = setupMockChannel(tmpDir, 'mock-channel');
+      const dbEnv = { ...process.env, ...env };
+      spawnSync('node', [DB_CLI_PATH, 'insert', 'in', 'mock-channel', 'chat1|msg:m1', 'question'], { env: dbEnv });
+
+      const { stdout, status } = cli(['--reply-to', '1'], env, 'the answer\n');
+      assert.equal(status, 0);
+      assert.ok(stdout.includes('Message sent via mock-channel'));
+      assert.deepEqual(JSON.parse(fs.readFileSync(sentFile, 'utf8')), ['chat1|msg:m1', 'the answer']);
+
+      const reply = dbRecent(env).find((row) => row.direction === 'out');
+      assert.equal(reply.reply_to_id, 1);
+      assert.equal(reply.thread_key, 'mock-channel:chat1');
+    });
+  });
+
+  it('joins the target thread when channel and endpoint are given', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      setupMockChannel(tmpDir, 'mock-channel');
+      const dbEnv = { ...process.env, ...env };
+      spawnSync('node', [DB_CLI_PATH, 'insert', 'in', 'mock-channel', 'chat1', 'question'], { env: dbEnv });
+      const db = new Database(path.join(tmpDir, 'comm-bridge', 'c4.db'));
+      db.prepare("UPDATE conversations SET thread_key = 'topic-7' WHERE id = 1").run();
+      db.close();
+
+      const { status } = cli(['mock-channel', 'chat1', '--reply-to', '1'], env, 'ok');
+      assert.equal(status, 0);
+      const reply = dbRecent(env).find((row) => row.direction === 'out');
+      assert.deepEqual([reply.reply_to_id, reply.thread_key], [1, 'topic-7']);
+    });
+  });
+
+  it('errors for an unknown or malformed conversation id', () => {
+    withTmpDir(({ env }) => {
+      const missing = cli(['--reply-to', '99'], env, 'x');
+      assert.equal(missing.status, 1);
+      assert.match(missing.stderr, /conversation 99 not found/);
+
+      const malformed = cli(['mock-channel', '--reply-to', 'abc'], env, 'x');
+      assert.equal(malformed.status, 1);
+      assert.match(malformed.stderr, /--reply-to requires a conversation id/);
+    });
+  });
+});
+
+describe('c4-send @contact', () => {
+  const CONTACTS_CLI_PATH = fileURLToPath(new URL('../c4-contacts.js', import.meta.url));
+
+  it('sends to the contact preferred channel endpoint', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const mockSent = setupMockChannel(tmpDir, 'mock-channel');
+      const otherSent = setupMockChannel(tmpDir, 'other-channel');
+      const contactsEnv = { ...process.env, ...env };
+      spawnSync('node', [CONTACTS_CLI_PATH, 'add', 'alice', '--channel', 'mock-channel', '--endpoint', 'chat1'], { env: contactsEnv });
+      spawnSync('node', [CONTACTS_CLI_PATH, 'add', 'alice', '--channel', 'other-channel', '--endpoint', 'dm9', '--prefer'], { env: contactsEnv });
+
+      const { stdout, status } = cli(['@alice'], env, 'hello alice\n');
+      assert.equal(status, 0);
+      assert.ok(stdout.includes('Message sent via other-channel'));
+      assert.deepEqual(JSON.parse(fs.readFileSync(otherSent, 'utf8')), ['dm9', 'hello alice']);
+      assert.equal(fs.existsSync(mockSent), false);
+    });
+  });
+
+  it('errors for an unknown contact', () => {
+    withTmpDir(({ env }) => {
+      const { stderr, status } = cli(['@nobody'], env, 'x');
+      assert.equal(status, 1);
+      assert.match(stderr, /unknown contact @nobody/);
+    });
+  });
+});
+
+describe('c4-send broadcast', () => {
+  it('fans out to every target and reports each one', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const okSent = setupMockChannel(tmpDir, 'mock-channel');
+      const failDir = path.join(tmpDir, '.claude', 'skills', 'fail-channel', 'scripts');
+      fs.mkdirSync(failDir, { recursive: true });
+      fs.writeFileSync(path.join(failDir, 'send.js'), 'process.exit(3);');
+
+      const { stdout, status } = cli(['--to', 'mock-channel:ep1,fail-channel:ep2'], env, 'digest\n');
+      assert.equal(status, 1);
+      assert.match(stdout, /Broadcast #1 to 2 targets: 1 sent, 1 failed/);
+      assert.match(stdout, / {2}mock-channel:ep1: sent/);
+      assert.match(stdout, / {2}fail-channel:ep2: failed \(exit code: 3\); queued for retry/);
+      assert.deepEqual(JSON.parse(fs.readFileSync(okSent, 'utf8')), ['ep1', 'digest']);
+
+      const rows = dbRecent(env);
+      assert.equal(rows.length, 1);
+      assert.deepEqual([rows[0].channel, rows[0].endpoint_id], ['broadcast', 'mock-channel:ep1,fail-channel:ep2']);
+      const outbound = readOutbound(tmpDir);
+      assert.deepEqual(outbound.map((row) => [row.conversation_id, row.channel, row.status]), [
+        [1, 'mock-channel', 'sent'],
+        [1, 'fail-channel', 'pending']
+      ]);
+    });
+  });
+
+  it('sends nothing when any target is invalid', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const sentFile = setupMockChannel(tmpDir, 'mock-channel');
+      const { stderr, status } = cli(['--to', 'mock-channel:ep1,@nobody,void:x'], env, 'digest');
+      assert.equal(status, 1);
+      assert.match(stderr, /@nobody: unknown contact/);
+      assert.match(stderr, /void:x: the void channel is record-only/);
+      assert.equal(fs.existsSync(sentFile), false);
+    });
+  });
+
+  it('expands a saved audience and sends duplicates once', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      setupMockChannel(tmpDir, 'mock-channel');
+      const contactsCli = fileURLToPath(new URL('../c4-contacts.js', import.meta.url));
+      const contactsEnv = { ...process.env, ...env };
+      spawnSync('node', [contactsCli, 'add', 'alice', '--channel', 'mock-channel', '--endpoint', 'ep1'], { env: contactsEnv });
+      const saved = spawnSync('node', [contactsCli, 'audience', 'set', 'digest', '@alice,mock-channel:ep2'], { env: contactsEnv, encoding: 'utf8' });
+      assert.equal(saved.status, 0, saved.stderr);
+
+      const { stdout, status } = cli(['--to', 'mock-channel:ep2', '--audience', 'digest'], env, 'hi');
+      assert.equal(status, 0);
+      assert.match(stdout, /to 2 targets: 2 sent, 0 failed/);
+      assert.match(stdout, /@alice \(mock-channel:ep1\): sent/);
+      assert.deepEqual(readOutbound(tmpDir).map((row) => row.endpoint_id), ['ep2', 'ep1']);
+    });
+  });
+});
+
+describe('c4-send scheduled', () => {
+  it('queues the message for later without an inline attempt', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const sentFile = setupMockChannel(tmpDir, 'mock-channel');
+      const before = Math.floor(Date.now() / 1000);
+      const { stdout, status } = cli(['mock-channel', 'ep1', '--in', '30m'], env, 'reminder');
+      assert.equal(status, 0);
+      assert.match(stdout, /Message scheduled via mock-channel for .* \(in 30m\) \(outbox id=1\)/);
+      assert.equal(fs.existsSync(sentFile), false);
+
+      const [row] = readOutbound(tmpDir);
+      assert.equal(row.status, 'pending');
+      assert.ok(row.send_after >= before + 1800 && row.send_after <= before + 1805);
+      assert.equal(row.next_attempt_at, row.send_after);
+      assert.equal(dbRecent(env)[0].status, 'scheduled');
+    });
+  });
+
+  it('rejects unparseable and past times', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      setupMockChannel(tmpDir, 'mock-channel');
+      const garbage = cli(['mock-channel', 'ep1', '--at', 'whenever-ish'], env, 'x');
+      assert.equal(garbage.status, 1);
+      assert.match(garbage.stderr, /Could not parse time "whenever-ish"/);
+
+      const past = cli(['mock-channel', 'ep1', '--at', '2020-01-01 10:00'], env, 'x');
+      assert.equal(past.status, 1);
+      assert.match(past.stderr, /is in the past/);
+
+      const both = cli(['mock-channel', 'ep1', '--at', '6pm', '--in', '5m'], env, 'x');
+      assert.equal(both.status, 1);
+    });
+  });
+
+  it('lists and cancels scheduled sends through c4-outbox', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      setupMockChannel(tmpDir, 'mock-channel');
+      cli(['mock-channel', 'ep1', '--in', '2h'], env, 'later');
+      const outboxCli = fileURLToPath(new URL('../c4-outbox.js', import.meta.url));
+      const outboxEnv = { ...process.env, ...env };
+
+      const listed = JSON.parse(spawnSync('node', [outboxCli, 'scheduled'], { env: outboxEnv, encoding: 'utf8' }).stdout);
+      assert.equal(listed.length, 1);
+      assert.ok(listed[0].due_in_seconds > 7000);
+
+      const cancelled = spawnSync('node', [outboxCli, 'cancel', '--id', '1'], { env: outboxEnv, encoding: 'utf8' });
+      assert.equal(cancelled.status, 0, cancelled.stderr);
+      assert.equal(readOutbound(tmpDir)[0].status, 'cancelled');
+      assert.equal(dbRecent(env)[0].status, 'cancelled');
+      assert.deepEqual(JSON.parse(spawnSync('node', [outboxCli, 'scheduled'], { env: outboxEnv, encoding: 'utf8' }).stdout), []);
+    });
+  });
+});
+
+describe('c4-send quiet hours', () => {
+  const CONTACTS_CLI = fileURLToPath(new URL('../c4-contacts.js', import.meta.url));
+
+  // A UTC window around the current time, so every send below is inside it.
+  function setQuietNow(env, target, extra = []) {
+    const hour = new Date().getUTCHours();
+    const window = `${String(hour).padStart(2, '0')}:00-${String((hour + 2) % 24).padStart(2, '0')}:00`;
+    const result = spawnSync('node', [CONTACTS_CLI, 'quiet', 'set', target, window, '--tz', 'UTC', ...extra], {
+      env: { ...process.env, ...env },
+      encoding: 'utf8'
+    });
+    assert.equal(result.status, 0, result.stderr);
+  }
+
+  it('holds a proactive send until the window ends', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const sentFile = setupMockChannel(tmpDir, 'mock-channel');
+      setQuietNow(env, 'mock-channel:ep1');
+
+      const { stdout, status } = cli(['mock-channel', 'ep1'], env, 'nightly report');
+      assert.equal(status, 0);
+      assert.match(stdout, /Message held: mock-channel:ep1 is in quiet hours \(\d{2}:00-\d{2}:00 UTC\) until \d{2}:00 \(outbox id=1\)/);
+      assert.equal(fs.existsSync(sentFile), false);
+      const [row] = readOutbound(tmpDir);
+      assert.equal(row.status, 'pending');
+      assert.ok(row.send_after > Math.floor(Date.now() / 1000));
+      assert.equal(dbRecent(env)[0].status, 'scheduled');
+    });
+  });
+
+  it('queues digest-mode messages for one combined delivery', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      setupMockChannel(tmpDir, 'mock-channel');
+      setQuietNow(env, 'mock-channel:ep1', ['--digest']);
+
+      const { stdout } = cli(['mock-channel', 'ep1'], env, 'upgrade available');
+      assert.match(stdout, /Message added to the quiet-hours digest/);
+      assert.deepEqual(JSON.parse(readOutbound(tmpDir)[0].payload).quiet_digest, { timezone: 'UTC' });
+    });
+  });
+
+  it('sends --urgent messages and replies right away', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const sentFile = setupMockChannel(tmpDir, 'mock-channel');
+      setQuietNow(env, 'mock-channel:ep1');
+
+      const urgent = cli(['mock-channel', 'ep1', '--urgent'], env, 'server down');
+      assert.equal(urgent.status, 0);
+      assert.match(urgent.stdout, /Message sent via mock-channel/);
+      assert.deepEqual(JSON.parse(fs.readFileSync(sentFile, 'utf8')), ['ep1', 'server down']);
+
+      const reply = cli(['--reply-to', '1'], env, 'on it');
+      assert.equal(reply.status, 0);
+      assert.match(reply.stdout, /Message sent via mock-channel/);
+    });
+  });
+});
+
+describe('c4-send channel liveness', () => {
+  const CHANNELS_CLI = fileURLToPath(new URL('../c4-channels.js', import.meta.url));
+  const CONTACTS_CLI = fileURLToPath(new URL('../c4-contacts.js', import.meta.url));
+
+  function run(script, args, env) {
+    const result = spawnSync('node', [script, ...args], { env: { ...process.env, ...env }, encoding: 'utf8' });
+    assert.equal(result.status, 0, result.stderr);
+  }
+
+  it('fails fast when the channel is known to be down', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const sentFile = setupMockChannel(tmpDir, 'mock-channel');
+      run(CHANNELS_CLI, ['register', '--channel', 'mock-channel'], env);
+      run(CHANNELS_CLI, ['stop', '--channel', 'mock-channel'], env);
+
+      const { stderr, status } = cli(['mock-channel', 'ep1'], env, 'hello');
+      assert.equal(status, 1);
+      assert.match(stderr, /channel mock-channel is down \(stopped \d+s ago\); message not sent/);
+      assert.equal(fs.existsSync(sentFile), false);
+      assert.deepEqual(readOutbound(tmpDir), []);
+    });
+  });
+
+  it("falls back to another of the contact's channels", () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const mockSent = setupMockChannel(tmpDir, 'mock-channel');
+      const otherSent = setupMockChannel(tmpDir, 'other-channel');
+      run(CONTACTS_CLI, ['add', 'alice', '--channel', 'mock-channel', '--endpoint', 'ep1'], env);
+      run(CONTACTS_CLI, ['add', 'alice', '--channel', 'other-channel', '--endpoint', 'dm9'], env);
+      run(CHANNELS_CLI, ['register', '--channel', 'mock-channel'], env);
+      run(CHANNELS_CLI, ['stop', '--channel', 'mock-channel'], env);
+
+      const { stdout, status } = cli(['mock-channel', 'ep1'], env, 'hello');
+      assert.equal(status, 0);
+      assert.match(stdout, /mock-channel is down \(stopped \d+s ago\); sending to @alice via other-channel/);
+      assert.match(stdout, /Message sent via other-channel/);
+      assert.deepEqual(JSON.parse(fs.readFileSync(otherSent, 'utf8')), ['dm9', 'hello']);
+      assert.equal(fs.existsSync(mockSent), false);
+    });
+  });
+});
+
+describe('c4-send attachments', () => {
+  function setupRecordingChannel(tmpDir, channelName, skillMd = null) {
+    const skillDir = path.join(tmpDir, '.claude', 'skills', channelName);
+    fs.mkdirSync(path.join(skillDir, 'scripts'), { recursive: true });
+    if (skillMd) fs.writeFileSync(path.join(skillDir, 'SKILL.md'), skillMd);
+    const callsFile = path.join(tmpDir, `${channelName}-calls.jsonl`);
+    // Records argv and stdin of every invocation.
+    fs.writeFileSync(path.join(skillDir, 'scripts', 'send.js'), `
+      import fs from 'fs';
+      const args = process.argv.slice(2);
+      const stdin = args[0] === '--envelope' ? fs.readFileSync(0, 'utf8') : null;
+      fs.appendFileSync(${JSON.stringify(callsFile)}, JSON.stringify({ args, stdin }) + '\\n');
+    `);
+    return () => fs.readFileSync(callsFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+  }
+
+  it('sends legacy channels one [MEDIA:...] message per attachment', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const calls = setupRecordingChannel(tmpDir, 'legacy-chan');
+      const chart = path.join(tmpDir, 'chart.png');
+      const report = path.join(tmpDir, 'report.pdf');
+      fs.writeFileSync(chart, 'png');
+      fs.writeFileSync(report, 'pdf');
+
+      const { stdout, status } = cli(['legacy-chan', 'ep1', '--attach', chart, '--attach', report], env, 'Weekly report');
+      assert.equal(status, 0);
+      assert.match(stdout, /Message sent via legacy-chan with 2 attachments/);
+      assert.deepEqual(calls().map((call) => call.args), [
+        ['ep1', 'Weekly report'],
+        ['ep1', `[MEDIA:image]${chart}`],
+        ['ep1', `[MEDIA:file]${report}`]
+      ]);
+      assert.deepEqual(dbRecent(env).map((row) => row.content), ['Weekly report', `[MEDIA:image]${chart}`, `[MEDIA:file]${report}`]);
+    });
+  });
+
+  it('sends contract channels one JSON envelope on stdin', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const calls = setupRecordingChannel(tmpDir, 'modern-chan', [
+        '---',
+        'name: modern-chan',
+        'c4:',
+        '  send_contract: 1',
+        '  capabilities: [attachments, markdown]',
+        '---',
+        ''
+      ].join('\n'));
+      const chart = path.join(tmpDir, 'chart.png');
+      fs.writeFileSync(chart, 'png!');
+
+      const { status } = cli([
+        'modern-chan', 'ep1', '--attach', chart, '--format', 'markdown', '--metadata', '{"silent":true}'
+      ], env, '**Weekly** report');
+      assert.equal(status, 0);
+
+      const [call] = calls();
+      assert.deepEqual(call.args, ['--envelope']);
+      const envelope = JSON.parse(call.stdin);
+      assert.equal(envelope.version, 1);
+      assert.equal(envelope.endpoint, 'ep1');
+      assert.equal(envelope.text, '**Weekly** report');
+      assert.equal(envelope.format, 'markdown');
+      assert.deepEqual(envelope.metadata, { silent: true });
+      assert.equal(envelope.reply_to, null);
+      assert.deepEqual(envelope.attachments, [{
+        path: chart, name: 'chart.png', kind: 'image', mime_type: 'image/png', size: 4
+      }]);
+      assert.equal(envelope.outbound_id, readOutbound(tmpDir)[0].id);
+    });
+  });
+
+  it('rejects a missing attachment before sending anything', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      setupRecordingChannel(tmpDir, 'legacy-chan');
+      const { stderr, status } = cli(['legacy-chan', 'ep1', '--attach', path.join(tmpDir, 'nope.png')], env, 'x');
+      assert.equal(status, 1);
+      assert.match(stderr, /cannot attach/);
+      assert.equal(fs.existsSync(path.join(tmpDir, 'legacy-chan-calls.jsonl')), false);
+    });
+  });
+});
+
+describe('c4-send chunking', () => {
+  it('splits text over max_message_chars into numbered parts with one group id', () => {
+    withTmpDir(({ tmpDir, env }) => {
+      const skillDir = path.join(tmpDir, '.claude', 'skills', 'short-chan');
+      fs.mkdirSync(path.join(skillDir, 'scripts'), { recursive: true });
+      fs.writeFileSync(path.join(skillDir, 'SKILL.md'), '---\nname: short-chan\nc4:\n  max_message_chars: 60\n---\n');
+      const sentFile = path.join(tmpDir, 'short-sent.jsonl');
+      fs.writeFileSync(path.join(skillDir, 'scripts', 'send.js'), `
+        import fs from 'fs';
+        fs.appendFileSync(${JSON.stringify(sentFile)}, JSON.stringify(process.argv.slice(2)) + '\\n');
+      `);
+
+      const message = ['First paragraph is here.', 'Second paragraph is here.', 'Third paragraph is here.'].join('\n\n');
+      const { stdout, status } = cli(['short-chan', 'ep1'], env, message);
+      assert.equal(status, 0);
+      assert.match(stdout, /\(2 parts\)/);
+
+      const sent = fs.readFileSync(sentFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line)[1]);
+      assert.deepEqual(sent, [
+        'First paragraph is here.\n\nSecond paragraph is here.\n\n(1/2)',
+        'Third paragraph is here.\n\n(2/2)'
+      ]);
+
+      const rows = dbRecent(env);
+      assert.equal(rows.length, 2);
+      assert.ok(rows[0].group_id);
+      assert.equal(rows[0].group_id, rows[1].group_id);
+      assert.deepEqual(readOutbound(tmpDir).map((row) => row.group_id), [rows[0].group_id, rows[0].group_id]);
+    });
+  });
 });
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+const contract = await import(new URL('../c4-send-contract.js', import.meta.url));
+
+describe('parseC4Frontmatter', () => {
+  it('reads the c4 block and ignores other keys', () => {
+    const declared = contract.parseC4Frontmatter([
+      '---',
+      'name: telegram',
+      'description: "c4: not the block"',
+      'lifecycle:',
+      '  npm: true',
+      'c4:',
+      '  send_contract: 1   # envelope on stdin',
+      "  capabilities: [attachments, 'markdown', reply_to]",
+      '  buttons: false',
+      '---',
+      '# Telegram'
+    ].join('\n'));
+    assert.deepEqual(declared, {
+      send_contract: 1,
+      capabilities: ['attachments', 'markdown', 'reply_to'],
+      buttons: false
+    });
+  });
+
+  it('returns an empty object without frontmatter or c4 block', () => {
+    assert.deepEqual(contract.parseC4Frontmatter('# no frontmatter'), {});
+    assert.deepEqual(contract.parseC4Frontmatter('---\nname: x\n---\n'), {});
+  });
+});
+
+describe('planSendParts', () => {
+  const attachment = { path: '/tmp/a.png', kind: 'image' };
+
+  it('keeps attachments in one delivery for channels that support them', () => {
+    const parts = contract.planSendParts({ text: 'hi', attachments: [attachment] }, {
+      sendContract: 1, capabilities: ['attachments']
+    });
+    assert.deepEqual(parts, [{ text: 'hi', attachments: [attachment] }]);
+  });
+
+  it('falls back to [MEDIA:...] messages otherwise', () => {
+    const legacy = { sendContract: 0, capabilities: [] };
+    assert.deepEqual(contract.planSendParts({ text: 'hi', attachments: [attachment] }, legacy), [
+      { text: 'hi', attachments: [] },
+      { text: '[MEDIA:image]/tmp/a.png', attachments: [] }
+    ]);
+    assert.deepEqual(contract.planSendParts({ text: '', attachments: [attachment] }, { sendContract: 1, capabilities: [] }), [
+      { text: '[MEDIA:image]/tmp/a.png', attachments: [] }
+    ]);
+  });
+});
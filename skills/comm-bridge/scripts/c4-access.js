@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/**
+ * C4 Communication Bridge - Inbound Access Policy
+ *
+ * Decides which outside senders reach the agent. Per channel: a block list,
+ * an allow list, and what happens to everyone else (unknown_action):
+ *   accept  queue normally (default; the pre-policy behavior)
+ *   hold    record with status 'held' until approved or denied here
+ *   reject  record with status 'rejected'; never delivered
+ * Senders are chat-level endpoints (per-message and thread parts removed).
+ * The policy runs in the shared intake pipeline (c4-receive.js, c4-intake.js)
+ * before a message is queued.
+ *
+ * Commands:
+ *   policy [<channel> <accept|hold|reject|default>]
+ *   allow <channel> <endpoint>
+ *   block <channel> <endpoint>
+ *   remove <channel> <endpoint>
+ *   list [--channel <channel>] [--json]
+ *   pending [--json]
+ *   approve <channel> <endpoint>
+ *   deny <channel> <endpoint>
+ */
+
+import { fileURLToPath } from 'url';
+import {
+  ACCESS_UNKNOWN_ACTIONS,
+  approveSender,
+  denySender,
+  getAccessPolicies,
+  getHeldSenders,
+  listAccessRules,
+  removeAccessRule,
+  setAccessPolicy,
+  setAccessRule,
+  close
+} from './c4-db.js';
+import { contactEndpoint } from './c4-utils.js';
+import { validateChannel, validateEndpoint } from './c4-validate.js';
+
+function usage() {
+  console.error('Usage: c4-access.js <command> [options]');
+  console.error('  policy [<channel> <accept|hold|reject|default>]');
+  console.error('  allow <channel> <endpoint>');
+  console.error('  block <channel> <endpoint>');
+  console.error('  remove <channel> <endpoint>');
+  console.error('  list [--channel <channel>] [--json]');
+  console.error('  pending [--json]');
+  console.error('  approve <channel> <endpoint>');
+  console.error('  deny <channel> <endpoint>');
+}
+
+function errorExit(message) {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+}
+
+function parseStringArg(args, flag) {
+  const idx = args.indexOf(flag);
+  if (idx === -1) return null;
+  const value = args[idx + 1];
+  if (!value) errorExit(`missing value for ${flag}`);
+  return value;
+}
+
+function parseChannel(channel) {
+  if (!channel) errorExit('channel is required');
+  try {
+    validateChannel(channel, false);
+  } catch (err) {
+    errorExit(err.message);
+  }
+  return channel;
+}
+
+function parseSender(args) {
+  const channel = parseChannel(args[0]);
+  const endpoint = args[1];
+  if (!endpoint) errorExit('endpoint is required');
+  try {
+    validateEndpoint(endpoint);
+  } catch (err) {
+    errorExit(err.message);
+  }
+  return { channel, endpoint: contactEndpoint(endpoint) };
+}
+
+function handlePolicy(args) {
+  if (args.length === 0) {
+    const policies = getAccessPolicies();
+    if (policies.length === 0) {
+      console.log('No access policies (every channel accepts unknown senders).');
+      return;
+    }
+    console.log(policies.map((policy) => `${policy.channel}: unknown senders ${policy.unknown_action}`).join('\n'));
+    return;
+  }
+  const channel = parseChannel(args[0]);
+  const action = args[1];
+  if (action !== 'default' && !ACCESS_UNKNOWN_ACTIONS.includes(action)) {
+    errorExit(`action must be one of: ${ACCESS_UNKNOWN_ACTIONS.join(', ')}, default`);
+  }
+  setAccessPolicy(channel, action === 'default' ? null : action);
+  console.log(`OK: ${channel} unknown senders ${action === 'default' ? 'accept (default)' : action}`);
+}
+
+function handleRule(args, rule) {
+  const { channel, endpoint } = parseSender(args);
+  setAccessRule(channel, endpoint, rule);
+  console.log(`OK: ${channel}:${endpoint} ${rule === 'allow' ? 'allowed' : 'blocked'}`);
+}
+
+function handleRemove(args) {
+  const { channel, endpoint } = parseSender(args);
+  if (!removeAccessRule(channel, endpoint)) {
+    errorExit(`${channel}:${endpoint} is not on the allow or block list`);
+  }
+  console.log(`OK: ${channel}:${endpoint} removed from the access lists`);
+}
+
+function handleList(args) {
+  const channel = parseStringArg(args, '--channel');
+  const rules = listAccessRules(channel);
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(rules, null, 2));
+    return;
+  }
+  if (rules.length === 0) {
+    console.log('No access rules.');
+    return;
+  }
+  console.log(rules.map((rule) => `${rule.rule.padEnd(5)}  ${rule.channel}:${rule.endpoint_id}`).join('\n'));
+}
+
+function handlePending(args) {
+  const senders = getHeldSenders();
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(senders, null, 2));
+    return;
+  }
+  if (senders.length === 0) {
+    console.log('No senders waiting for approval.');
+    return;
+  }
+  for (const sender of senders) {
+    const count = `${sender.count} message${sender.count === 1 ? '' : 's'}`;
+    console.log(`${sender.channel}:${sender.endpoint_id}  ${count} since ${sender.first_at}`);
+    console.log(`  ${sender.sample.replace(/\s+/g, ' ').slice(0, 100)}`);
+  }
+}
+
+function handleApprove(args) {
+  const { channel, endpoint } = parseSender(args);
+  const released = approveSender(channel, endpoint);
+  console.log(`OK: ${channel}:${endpoint} allowed; ${released} held message${released === 1 ? '' : 's'} queued for delivery`);
+}
+
+function handleDeny(args) {
+  const { channel, endpoint } = parseSender(args);
+  const rejected = denySender(channel, endpoint);
+  console.log(`OK: ${channel}:${endpoint} blocked; ${rejected} held message${rejected === 1 ? '' : 's'} rejected`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const commandArgs = args.slice(1);
+
+  if (!command || command === '--help' || command === '-h') {
+    usage();
+    process.exit(command ? 0 : 1);
+  }
+
+  try {
+    switch (command) {
+      case 'policy':
+        handlePolicy(commandArgs);
+        break;
+      case 'allow':
+        handleRule(commandArgs, 'allow');
+        break;
+      case 'block':
+        handleRule(commandArgs, 'block');
+        break;
+      case 'remove':
+        handleRemove(commandArgs);
+        break;
+      case 'list':
+        handleList(commandArgs);
+        break;
+      case 'pending':
+        handlePending(commandArgs);
+        break;
+      case 'approve':
+        handleApprove(commandArgs);
+        break;
+      case 'deny':
+        handleDeny(commandArgs);
+        break;
+      default:
+        usage();
+        errorExit(`unknown command: ${command}`);
+    }
+  } finally {
+    close();
+  }
+}
+
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+
+if (isMainModule) {
+  main();
+}
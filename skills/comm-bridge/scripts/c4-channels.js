@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+/**
+ * C4 Communication Bridge - Channel Liveness Registry
+ *
+ * Channel components (telegram, lark, ...) register when they start and
+ * heartbeat while running, through this CLI or an intake API `heartbeat`
+ * envelope (see c4-intake.js). Every delivery through a channel's send
+ * script records its outcome. A registered channel is down when it stopped
+ * cleanly, its registered pid is gone, or it missed heartbeats for
+ * CHANNEL_HEARTBEAT_TIMEOUT_SECONDS; c4-send.js then fails fast, or falls
+ * back to another endpoint of the same contact. Channels that never
+ * registered are `unknown` and are sent to as before.
+ *
+ * Commands:
+ *   status [--json]
+ *   register --channel <channel> [--version <version>] [--capabilities <json>] [--pid <pid>]
+ *   heartbeat --channel <channel>
+ *   stop --channel <channel>
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  findContactByEndpoint,
+  getChannel,
+  getContact,
+  heartbeatChannel,
+  listChannels,
+  registerChannel,
+  stopChannel,
+  close
+} from './c4-db.js';
+import { getChannelScriptPath } from './c4-outbox.js';
+import { CHANNEL_HEARTBEAT_TIMEOUT_SECONDS, SKILLS_DIR } from './c4-config.js';
+
+const CHANNEL_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: the process exists but belongs to another user.
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * "45s", "12m", "3h", "2d"
+ */
+export function formatAge(seconds) {
+  if (seconds < 60) return `${Math.max(0, seconds)}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+  return `${Math.floor(seconds / 86400)}d`;
+}
+
+/**
+ * Liveness of one channel from its registry row.
+ * @param {object|null} row - channels row
+ * @param {object} [options]
+ * @param {number} [options.current] - unix seconds
+ * @param {number} [options.timeoutSeconds=CHANNEL_HEARTBEAT_TIMEOUT_SECONDS]
+ * @returns {{state: 'up'|'down'|'stopped'|'unknown', down: boolean, reason: string|null}}
+ */
+export function channelLiveness(row, { current = nowSeconds(), timeoutSeconds = CHANNEL_HEARTBEAT_TIMEOUT_SECONDS } = {}) {
+  if (!row?.registered_at) {
+    return { state: 'unknown', down: false, reason: null };
+  }
+  if (row.stopped_at) {
+    return { state: 'stopped', down: true, reason: `stopped ${formatAge(current - row.stopped_at)} ago` };
+  }
+  if (row.pid && !isProcessRunning(row.pid)) {
+    return { state: 'down', down: true, reason: `process ${row.pid} is not running` };
+  }
+  if (timeoutSeconds > 0 && current - row.last_seen_at > timeoutSeconds) {
+    return { state: 'down', down: true, reason: `no heartbeat for ${formatAge(current - row.last_seen_at)}` };
+  }
+  return { state: 'up', down: false, reason: null };
+}
+
+/**
+ * Liveness of a channel by name (channelLiveness() of its registry row).
+ */
+export function getChannelLiveness(channel, options = {}) {
+  return channelLiveness(getChannel(channel), options);
+}
+
+/**
+ * Another endpoint of the contact that owns a chat endpoint, on a channel
+ * that is installed and not down: the contact's preferred channel first,
+ * then the most recently seen.
+ * @param {string} channel - the channel that is down
+ * @param {string|null} endpointId
+ * @returns {{contact: string, channel: string, endpoint_id: string}|null}
+ */
+export function findFallbackEndpoint(channel, endpointId) {
+  if (!endpointId) return null;
+  const owner = findContactByEndpoint(channel, endpointId);
+  if (!owner) return null;
+  const contact = getContact(owner.name);
+  const candidates = contact.endpoints
+    .filter((endpoint) => endpoint.channel !== channel)
+    .sort((a, b) => (b.channel === contact.preferred_channel) - (a.channel === contact.preferred_channel));
+  const fallback = candidates.find((endpoint) => (
+    fs.existsSync(getChannelScriptPath(endpoint.channel)) && !getChannelLiveness(endpoint.channel).down
+  ));
+  return fallback ? { contact: contact.name, channel: fallback.channel, endpoint_id: fallback.endpoint_id } : null;
+}
+
+/**
+ * Installed channels (skills with scripts/send.js) merged with the registry.
+ * @returns {object[]} - registry rows (or `{ channel }` for unregistered
+ *   channels) with `liveness` and `installed`
+ */
+export function getChannelStatus({ current = nowSeconds(), skillsDir = SKILLS_DIR } = {}) {
+  const rows = new Map(listChannels().map((row) => [row.channel, row]));
+  let entries = [];
+  try {
+    entries = fs.readdirSync(skillsDir, { withFileTypes: true });
+  } catch { /* no skills directory */ }
+  const installed = new Set(entries
+    .filter((entry) => entry.isDirectory() && fs.existsSync(path.join(skillsDir, entry.name, 'scripts', 'send.js')))
+    .map((entry) => entry.name));
+
+  return [...new Set([...installed, ...rows.keys()])].sort().map((channel) => {
+    const row = rows.get(channel) || { channel };
+    return { ...row, installed: installed.has(channel), liveness: channelLiveness(row, { current }) };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+
+function usage() {
+  console.error('Usage: c4-channels.js <command> [options]');
+  console.error('  status [--json]');
+  console.error('  register --channel <channel> [--version <version>] [--capabilities <json>] [--pid <pid>]');
+  console.error('  heartbeat --channel <channel>');
+  console.error('  stop --channel <channel>');
+}
+
+function errorExit(message) {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+}
+
+function parseStringArg(args, flag) {
+  const idx = args.indexOf(flag);
+  if (idx === -1) return null;
+  const value = args[idx + 1];
+  if (!value) errorExit(`missing value for ${flag}`);
+  return value;
+}
+
+function parseChannel(args) {
+  const channel = parseStringArg(args, '--channel');
+  if (!channel) errorExit('--channel is required');
+  if (!CHANNEL_NAME_RE.test(channel)) errorExit(`invalid channel name: ${channel}`);
+  return channel;
+}
+
+function handleRegister(args) {
+  const channel = parseChannel(args);
+  const version = parseStringArg(args, '--version');
+
+  let capabilities = null;
+  const capabilitiesRaw = parseStringArg(args, '--capabilities');
+  if (capabilitiesRaw !== null) {
+    try {
+      capabilities = JSON.parse(capabilitiesRaw);
+    } catch {
+      capabilities = null;
+    }
+    if (!capabilities || typeof capabilities !== 'object' || Array.isArray(capabilities)) {
+      errorExit('--capabilities must be a JSON object');
+    }
+  }
+
+  let pid = null;
+  const pidRaw = parseStringArg(args, '--pid');
+  if (pidRaw !== null) {
+    pid = Number(pidRaw);
+    if (!Number.isInteger(pid) || pid <= 0) errorExit('--pid must be a positive integer');
+  }
+
+  registerChannel(channel, { version, capabilities, pid });
+  console.log(`OK: ${channel} registered${version ? ` (version ${version})` : ''}`);
+}
+
+function formatStatusLine(entry, current) {
+  const { liveness } = entry;
+  const parts = [entry.channel.padEnd(12), liveness.state.padEnd(8)];
+  parts.push(entry.version ? `v${entry.version}` : '-');
+  parts.push(entry.last_seen_at ? `seen ${formatAge(current - entry.last_seen_at)} ago` : 'never registered');
+  if (liveness.reason && liveness.state !== 'stopped') parts.push(`(${liveness.reason})`);
+  if (!entry.installed) parts.push('(not installed)');
+  const lines = [parts.join('  ')];
+  // Only an error newer than the last successful send is worth showing.
+  if (entry.last_send_error && (entry.last_send_error_at ?? 0) >= (entry.last_send_ok_at ?? 0)) {
+    lines.push(`  last send error ${formatAge(current - entry.last_send_error_at)} ago: ${entry.last_send_error}`);
+  }
+  return lines.join('\n');
+}
+
+function handleStatus(args) {
+  const current = nowSeconds();
+  const entries = getChannelStatus({ current });
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(entries, null, 2));
+  } else if (entries.length === 0) {
+    console.log('No channels.');
+  } else {
+    console.log(entries.map((entry) => formatStatusLine(entry, current)).join('\n'));
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const commandArgs = args.slice(1);
+
+  if (!command || command === '--help' || command === '-h') {
+    usage();
+    process.exit(command ? 0 : 1);
+  }
+
+  try {
+    switch (command) {
+      case 'status':
+        handleStatus(commandArgs);
+        break;
+      case 'register':
+        handleRegister(commandArgs);
+        break;
+      case 'heartbeat':
+        heartbeatChannel(parseChannel(commandArgs));
+        break;
+      case 'stop': {
+        const channel = parseChannel(commandArgs);
+        if (!stopChannel(channel)) errorExit(`channel ${channel} is not registered`);
+        console.log(`OK: ${channel} marked stopped`);
+        break;
+      }
+      default:
+        usage();
+        errorExit(`unknown command: ${command}`);
+    }
+  } finally {
+    close();
+  }
+}
+
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+
+if (isMainModule) {
+  main();
+}
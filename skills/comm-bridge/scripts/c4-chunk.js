@@ -0,0 +1,146 @@
+/**
+ * C4 Communication Bridge - Message Chunking
+ * Splits long outgoing text into parts that fit a channel's
+ * max_message_chars. Paragraphs (blank-line separated) are kept whole where
+ * possible; a fenced code block is never cut without closing the fence and
+ * reopening it in the next part. Multi-part messages get a "(k/n)" marker.
+ */
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
+const PARAGRAPH_SEPARATOR = '\n\n';
+
+/**
+ * Split text into paragraph and code-fence blocks.
+ * @returns {{text: string, fence: string|null}[]} fence = opening fence line
+ */
+function splitBlocks(text, fences) {
+  const blocks = [];
+  let lines = [];
+  let openFence = null;
+
+  const flush = (fence = null) => {
+    if (lines.length > 0) blocks.push({ text: lines.join('\n'), fence });
+    lines = [];
+  };
+
+  for (const line of text.split('\n')) {
+    const fenceMatch = fences ? FENCE_RE.exec(line) : null;
+    if (openFence) {
+      lines.push(line);
+      if (fenceMatch && fenceMatch[1][0] === openFence.marker[0] && fenceMatch[1].length >= openFence.marker.length) {
+        flush(openFence.line);
+        openFence = null;
+      }
+    } else if (fenceMatch) {
+      flush();
+      openFence = { line, marker: fenceMatch[1] };
+      lines.push(line);
+    } else if (line.trim() === '') {
+      flush();
+    } else {
+      lines.push(line);
+    }
+  }
+  // An unterminated fence still counts as a code block.
+  flush(openFence ? openFence.line : null);
+  return blocks;
+}
+
+/**
+ * Cut one line into pieces of at most maxChars, preferring whitespace.
+ */
+function splitLongLine(line, maxChars) {
+  const pieces = [];
+  let rest = line;
+  while (rest.length > maxChars) {
+    let cut = rest.lastIndexOf(' ', maxChars);
+    if (cut <= 0) cut = maxChars;
+    pieces.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).trimStart();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * Greedily join items with a separator into chunks of at most maxChars.
+ */
+function pack(items, maxChars, separator) {
+  const chunks = [];
+  let current = null;
+  for (const item of items) {
+    const pieces = item.length > maxChars ? splitLongLine(item, maxChars) : [item];
+    for (const piece of pieces) {
+      if (current !== null && current.length + separator.length + piece.length <= maxChars) {
+        current += separator + piece;
+      } else {
+        if (current !== null) chunks.push(current);
+        current = piece;
+      }
+    }
+  }
+  if (current !== null) chunks.push(current);
+  return chunks;
+}
+
+function splitOversizedBlock(block, maxChars) {
+  const lines = block.text.split('\n');
+  if (!block.fence) {
+    return pack(lines, maxChars, '\n');
+  }
+
+  const opening = lines[0];
+  const marker = FENCE_RE.exec(opening)[1];
+  const last = lines[lines.length - 1];
+  const closed = lines.length > 1 && FENCE_RE.test(last) && last.trim().startsWith(marker[0]);
+  const body = lines.slice(1, closed ? -1 : undefined);
+  const closing = closed ? last.trim() : marker;
+  const budget = Math.max(1, maxChars - opening.length - closing.length - 2);
+  return pack(body, budget, '\n').map((chunk) => `${opening}\n${chunk}\n${closing}`);
+}
+
+function splitUnnumbered(text, maxChars, fences) {
+  const pieces = [];
+  for (const block of splitBlocks(text, fences)) {
+    if (block.text.length > maxChars) {
+      pieces.push(...splitOversizedBlock(block, maxChars));
+    } else {
+      pieces.push(block.text);
+    }
+  }
+  return pack(pieces, maxChars, PARAGRAPH_SEPARATOR);
+}
+
+function partMarker(index, count) {
+  return `${PARAGRAPH_SEPARATOR}(${index}/${count})`;
+}
+
+/**
+ * Split a message into parts of at most maxChars characters, each ending
+ * with a "(k/n)" marker when there is more than one part.
+ * @param {string} text
+ * @param {number|null} maxChars - no splitting when falsy
+ * @param {object} [options]
+ * @param {boolean} [options.fences=true] - keep ``` / ~~~ code blocks balanced
+ * @returns {string[]}
+ */
+export function splitMessage(text, maxChars, { fences = true } = {}) {
+  if (!maxChars || text.length <= maxChars) {
+    return [text];
+  }
+
+  // Reserve room for the marker; grow the reservation if the part count
+  // gains a digit.
+  let reserve = partMarker(9, 9).length;
+  let parts;
+  for (;;) {
+    parts = splitUnnumbered(text, Math.max(1, maxChars - reserve), fences);
+    const needed = partMarker(parts.length, parts.length).length;
+    if (needed <= reserve) break;
+    reserve = needed;
+  }
+  if (parts.length === 1) {
+    return parts;
+  }
+  return parts.map((part, i) => part + partMarker(i + 1, parts.length));
+}
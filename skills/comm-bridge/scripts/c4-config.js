@@ -15,6 +15,17 @@ export const CONTROL_MAX_RETRIES = 3;
 export const CONTROL_RETENTION_DAYS = 7;
 export const CONTROL_CLEANUP_INTERVAL_MS = 24 * 60 * 60 * 1000;
 
+// Outbound delivery queue: a failed channel send is retried by the dispatcher
+// with exponential backoff (base * 2^(n-1), capped) until the attempt budget
+// is spent, then the row is marked failed.
+export const OUTBOUND_MAX_ATTEMPTS = 5;
+export const OUTBOUND_RETRY_BASE_SECONDS = 30;
+export const OUTBOUND_RETRY_MAX_SECONDS = 3600;
+export const OUTBOUND_SEND_TIMEOUT_MS = 60000;
+// A 'sending' row not updated for this long belongs to a crashed sender.
+export const OUTBOUND_STALE_SENDING_SECONDS = 300;
+export const OUTBOUND_RETENTION_DAYS = 7;
+
 export const ENTER_VERIFY_MAX_RETRIES = 3;
 export const ENTER_VERIFY_WAIT_MS = 500;
 
@@ -52,7 +63,171 @@ export const PROC_STATE_FILE = path.join(ACTIVITY_MONITOR_DIR, 'proc-state.json'
 export const API_ACTIVITY_FILE = path.join(ACTIVITY_MONITOR_DIR, 'api-activity.json');
 export const PENDING_CHANNELS_FILE = path.join(ACTIVITY_MONITOR_DIR, 'pending-channels.jsonl');
 export const ATTACHMENTS_DIR = path.join(DATA_DIR, 'attachments');
+export const ARCHIVE_DIR = path.join(DATA_DIR, 'archive');
 export const SKILLS_DIR = path.join(ZYLOS_DIR, '.claude', 'skills');
+// zylos-memory per-user profiles (memory/users/<contact name>/profile.md)
+export const MEMORY_USERS_DIR = path.join(ZYLOS_DIR, 'memory', 'users');
+
+// c4-intake server (hosted by c4-dispatcher): always on the Unix socket;
+// localhost HTTP only when a port is configured (config.json
+// c4_intake_http_port, or C4_INTAKE_HTTP_PORT).
+function _parsePort(value) {
+  const port = Number.parseInt(value, 10);
+  return Number.isInteger(port) && port > 0 && port < 65536 ? port : null;
+}
+export const INTAKE_SOCKET_PATH = path.join(DATA_DIR, 'intake.sock');
+export const INTAKE_HTTP_PORT = _parsePort(process.env.C4_INTAKE_HTTP_PORT ?? _cfg.c4_intake_http_port);
+export const INTAKE_MAX_BODY_BYTES = 1024 * 1024;
+
+// Dispatcher metrics in Prometheus text format: served at
+// http://127.0.0.1:<port>/metrics when c4_metrics_http_port (or
+// C4_METRICS_HTTP_PORT) is set, and/or rewritten every
+// METRICS_TEXTFILE_INTERVAL_MS to c4_metrics_textfile (or C4_METRICS_TEXTFILE)
+// for node_exporter's textfile collector. Both are off by default.
+export const METRICS_HTTP_PORT = _parsePort(process.env.C4_METRICS_HTTP_PORT ?? _cfg.c4_metrics_http_port);
+export const METRICS_TEXTFILE = process.env.C4_METRICS_TEXTFILE ?? _cfg.c4_metrics_textfile ?? null;
+export const METRICS_TEXTFILE_INTERVAL_MS = 15000;
+
+// Inbound dedup window: a repeated (channel, external_id) within this many
+// hours is answered with the original record (action 'duplicate'); older keys
+// are released. 0 keeps keys forever. Override via config.json
+// c4_inbound_dedup_retention_hours or C4_INBOUND_DEDUP_RETENTION_HOURS.
+function _parseNonNegativeInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+export const INBOUND_DEDUP_RETENTION_HOURS = _parseNonNegativeInt(
+  process.env.C4_INBOUND_DEDUP_RETENTION_HOURS ?? _cfg.c4_inbound_dedup_retention_hours,
+  72
+);
+
+// Dead-letter digest: incoming messages that exhausted MAX_RETRIES are
+// summarized for the owner at most every N hours, and only when there are
+// new ones (0 disables). The target uses the c4-send --to syntax ('@alice',
+// 'telegram:123'); without one the digest is queued as a control message
+// asking the agent to forward it. config.json c4_dead_letter_digest_hours /
+// c4_dead_letter_digest_target, or the C4_DEAD_LETTER_DIGEST_* env vars.
+export const DEAD_LETTER_DIGEST_HOURS = _parseNonNegativeInt(
+  process.env.C4_DEAD_LETTER_DIGEST_HOURS ?? _cfg.c4_dead_letter_digest_hours,
+  6
+);
+export const DEAD_LETTER_DIGEST_TARGET = process.env.C4_DEAD_LETTER_DIGEST_TARGET
+  ?? _cfg.c4_dead_letter_digest_target
+  ?? null;
+
+// Inbound rate limits (c4-inbound.js): token buckets per chat endpoint and
+// per channel. A bucket holds up to *_BURST messages and refills at
+// *_PER_MINUTE; 0 (default) for either disables that bucket. Messages over
+// the limit are handled per INBOUND_RATE_OVERFLOW: 'defer' (default; queued,
+// delivered once the bucket has refilled), 'drop' (not recorded) or
+// 'summarize' (folded into one pending "N messages suppressed" item per
+// chat). The sender gets one notice per status-notice cooldown.
+// config.json c4_rate_limit_* or the C4_RATE_LIMIT_* env vars.
+export const INBOUND_RATE_OVERFLOW_ACTIONS = ['drop', 'defer', 'summarize'];
+export const INBOUND_RATE_ENDPOINT_BURST = _parseNonNegativeInt(
+  process.env.C4_RATE_LIMIT_ENDPOINT_BURST ?? _cfg.c4_rate_limit_endpoint_burst,
+  0
+);
+export const INBOUND_RATE_ENDPOINT_PER_MINUTE = _parseNonNegativeInt(
+  process.env.C4_RATE_LIMIT_ENDPOINT_PER_MINUTE ?? _cfg.c4_rate_limit_endpoint_per_minute,
+  0
+);
+export const INBOUND_RATE_CHANNEL_BURST = _parseNonNegativeInt(
+  process.env.C4_RATE_LIMIT_CHANNEL_BURST ?? _cfg.c4_rate_limit_channel_burst,
+  0
+);
+export const INBOUND_RATE_CHANNEL_PER_MINUTE = _parseNonNegativeInt(
+  process.env.C4_RATE_LIMIT_CHANNEL_PER_MINUTE ?? _cfg.c4_rate_limit_channel_per_minute,
+  0
+);
+const _rateOverflow = process.env.C4_RATE_LIMIT_OVERFLOW ?? _cfg.c4_rate_limit_overflow;
+export const INBOUND_RATE_OVERFLOW = INBOUND_RATE_OVERFLOW_ACTIONS.includes(_rateOverflow) ? _rateOverflow : 'defer';
+
+// Conversation retention (c4-retention.js): finished conversations older
+// than N days that a memory checkpoint already covers are moved to monthly
+// gzip JSONL archives in ARCHIVE_DIR by the dispatcher's daily cleanup.
+// 0 (default) keeps everything. Per-channel overrides (0 = keep forever):
+// config.json c4_conversation_retention_by_channel { "telegram": 90 }.
+// config.json c4_conversation_retention_days or
+// C4_CONVERSATION_RETENTION_DAYS.
+export const CONVERSATION_RETENTION_DAYS = _parseNonNegativeInt(
+  process.env.C4_CONVERSATION_RETENTION_DAYS ?? _cfg.c4_conversation_retention_days,
+  0
+);
+export const CONVERSATION_RETENTION_BY_CHANNEL = Object.fromEntries(
+  Object.entries(_cfg.c4_conversation_retention_by_channel || {})
+    .map(([channel, days]) => [channel, _parseNonNegativeInt(days, null)])
+    .filter(([, days]) => days !== null)
+);
+
+// Secret redaction (c4-redact.js): API keys, tokens and private keys are
+// replaced by [REDACTED:<kind>] before a conversation is stored. Extra
+// patterns: config.json c4_redact_patterns, a list of regex strings or
+// { name, pattern, flags } objects. With c4_redact_keep_original the
+// original is also stored encrypted under REDACT_KEY_FILE (created on first
+// use) for `c4-db.js original <id>`. c4_redact_secrets: false (or
+// C4_REDACT_SECRETS=0) disables redaction.
+function _parseBool(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  return !['0', 'false', 'no', 'off'].includes(String(value).toLowerCase());
+}
+export const REDACT_SECRETS = _parseBool(process.env.C4_REDACT_SECRETS ?? _cfg.c4_redact_secrets, true);
+export const REDACT_PATTERNS = Array.isArray(_cfg.c4_redact_patterns) ? _cfg.c4_redact_patterns : [];
+export const REDACT_KEEP_ORIGINAL = _parseBool(
+  process.env.C4_REDACT_KEEP_ORIGINAL ?? _cfg.c4_redact_keep_original,
+  false
+);
+export const REDACT_KEY_FILE = path.join(ZYLOS_DIR, '.zylos', 'c4-redact.key');
+
+// Incoming queue ordering (c4-db.js getPendingQueue). Aging: a message's
+// effective priority improves by one level per DISPATCH_AGING_SECONDS of
+// waiting (never past 1), so normal messages cannot be starved by a stream
+// of priority-1/2 items; 0 (default) disables. Fairness: 'round_robin'
+// rotates between endpoints within a priority level, preferring the one
+// served least recently; 'fifo' (default) keeps arrival order. config.json
+// c4_dispatch_aging_seconds / c4_dispatch_fairness, or the C4_DISPATCH_*
+// env vars.
+export const DISPATCH_FAIRNESS_POLICIES = ['round_robin', 'fifo'];
+export const DISPATCH_AGING_SECONDS = _parseNonNegativeInt(
+  process.env.C4_DISPATCH_AGING_SECONDS ?? _cfg.c4_dispatch_aging_seconds,
+  0
+);
+const _fairness = process.env.C4_DISPATCH_FAIRNESS ?? _cfg.c4_dispatch_fairness;
+export const DISPATCH_FAIRNESS = DISPATCH_FAIRNESS_POLICIES.includes(_fairness) ? _fairness : 'fifo';
+// Deliveries older than this no longer count toward round-robin order.
+export const DISPATCH_FAIRNESS_WINDOW_SECONDS = 3600;
+
+// Burst coalescing: pending messages from one thread that arrive within
+// DISPATCH_COALESCE_SECONDS of each other are delivered as one block. A
+// thread's messages are held until it has been quiet that long, but never
+// longer than DISPATCH_COALESCE_MAX_HOLD_FACTOR windows after the first one.
+// 0 (default) disables. config.json c4_dispatch_coalesce_seconds or
+// C4_DISPATCH_COALESCE_SECONDS.
+export const DISPATCH_COALESCE_SECONDS = _parseNonNegativeInt(
+  process.env.C4_DISPATCH_COALESCE_SECONDS ?? _cfg.c4_dispatch_coalesce_seconds,
+  0
+);
+export const DISPATCH_COALESCE_MAX_HOLD_FACTOR = 3;
+
+// Quiet hours (c4-contacts.js quiet): a proactive send is not held when the
+// recipient wrote to us within this many minutes, since they are evidently
+// awake. 0 holds regardless. config.json c4_quiet_hours_active_minutes or
+// C4_QUIET_HOURS_ACTIVE_MINUTES.
+export const QUIET_HOURS_ACTIVE_MINUTES = _parseNonNegativeInt(
+  process.env.C4_QUIET_HOURS_ACTIVE_MINUTES ?? _cfg.c4_quiet_hours_active_minutes,
+  30
+);
+
+// Channel liveness (c4-channels.js): a registered channel that has not
+// heartbeated for this long is treated as down, and c4-send.js fails fast
+// (or falls back to another channel of the same contact) instead of
+// queueing into it. 0 never marks a channel down for a missed heartbeat.
+// config.json c4_channel_heartbeat_timeout_seconds or
+// C4_CHANNEL_HEARTBEAT_TIMEOUT_SECONDS.
+export const CHANNEL_HEARTBEAT_TIMEOUT_SECONDS = _parseNonNegativeInt(
+  process.env.C4_CHANNEL_HEARTBEAT_TIMEOUT_SECONDS ?? _cfg.c4_channel_heartbeat_timeout_seconds,
+  180
+);
 
 // Single source of truth for the Memory Sync checkpoint threshold (unsummarized
 // conversation count that triggers a sync). Imported by the activity-monitor
@@ -0,0 +1,459 @@
+#!/usr/bin/env node
+/**
+ * C4 Communication Bridge - Contact Directory
+ *
+ * Maps human names to one or more channel endpoints so the agent can write
+ * `c4-send.js @alice "..."`. Inbound senders are added automatically as
+ * `<channel>-<endpoint>` contacts; rename or merge them into real names.
+ * A contact name is also the zylos-memory user id (memory/users/<name>/).
+ *
+ * Commands:
+ *   add <name> [--channel <channel> --endpoint <endpoint>] [--display-name <text>] [--prefer]
+ *   list [--json]
+ *   show <name>
+ *   rename <old> <new>
+ *   merge <from> <into>
+ *   remove <name> [--channel <channel> --endpoint <endpoint>]
+ *   prefer <name> <channel|none>
+ *   import
+ *   profiles
+ *   audience set <name> <target,...>
+ *   audience list [--json]
+ *   audience remove <name>
+ *   quiet set <@name|channel:endpoint> <HH:MM-HH:MM> [--tz <zone>] [--digest]
+ *   quiet list [--json]
+ *   quiet remove <@name|channel:endpoint>
+ *
+ * Audiences are named target lists for `c4-send.js --audience <name>`;
+ * targets use the --to syntax (`@contact`, `channel:endpoint`, `channel`)
+ * and are resolved at send time.
+ *
+ * Quiet hours hold proactive c4-send.js messages to a contact or endpoint
+ * until the window ends (see c4-quiet-hours.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  addContact,
+  getContact,
+  importContactsFromConversations,
+  isValidContactName,
+  listAudiences,
+  listContacts,
+  listQuietHours,
+  mergeContacts,
+  removeAudience,
+  removeContact,
+  removeQuietHours,
+  renameContact,
+  setAudience,
+  setContactPreferredChannel,
+  setQuietHours,
+  close
+} from './c4-db.js';
+import { senderDisplayName } from './c4-inbound.js';
+import { formatQuietWindow, isValidTimezone, parseQuietWindow } from './c4-quiet-hours.js';
+import { validateChannel, validateEndpoint } from './c4-validate.js';
+import { MEMORY_USERS_DIR } from './c4-config.js';
+
+function formatSeen(unixSeconds) {
+  if (!unixSeconds) return 'never';
+  return new Date(unixSeconds * 1000).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function formatContact(contact) {
+  const lines = [`@${contact.name}${contact.display_name ? ` (${contact.display_name})` : ''}`];
+  if (contact.preferred_channel) {
+    lines.push(`  preferred: ${contact.preferred_channel}`);
+  }
+  for (const endpoint of contact.endpoints) {
+    lines.push(`  ${endpoint.channel}:${endpoint.endpoint_id}  last seen ${formatSeen(endpoint.last_seen_at)}`);
+  }
+  if (contact.endpoints.length === 0) {
+    lines.push('  (no endpoints)');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * zylos-memory profile stub (references/user-profile-format.md).
+ */
+export function buildProfileStub(contact, today = new Date().toISOString().slice(0, 10)) {
+  const primary = contact.preferred_channel || contact.endpoints[0]?.channel || 'unknown';
+  const title = contact.display_name || contact.name;
+  return [
+    `# User Profile: ${title}`,
+    '',
+    '## Identity',
+    `- Name: ${title}`,
+    `- User ID: ${contact.name}`,
+    `- Primary Channel: ${primary}`,
+    ...contact.endpoints.map((endpoint) => `- Endpoint: ${endpoint.channel}:${endpoint.endpoint_id}`),
+    '',
+    '## Communication',
+    '',
+    '## Preferences',
+    '',
+    '## Notes',
+    '',
+    `Last updated: ${today}`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Create memory/users/<name>/profile.md for contacts that have none.
+ * Existing profiles are never touched.
+ * @returns {string[]} - names of contacts that got a new profile
+ */
+export function writeMissingProfiles(contacts, usersDir = MEMORY_USERS_DIR) {
+  const created = [];
+  for (const contact of contacts) {
+    const profilePath = path.join(usersDir, contact.name, 'profile.md');
+    if (fs.existsSync(profilePath)) continue;
+    fs.mkdirSync(path.dirname(profilePath), { recursive: true });
+    fs.writeFileSync(profilePath, buildProfileStub(contact), { flag: 'wx' });
+    created.push(contact.name);
+  }
+  return created;
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+
+function usage() {
+  console.error('Usage: c4-contacts.js <command> [options]');
+  console.error('  add <name> [--channel <channel> --endpoint <endpoint>] [--display-name <text>] [--prefer]');
+  console.error('  list [--json]');
+  console.error('  show <name>');
+  console.error('  rename <old> <new>');
+  console.error('  merge <from> <into>');
+  console.error('  remove <name> [--channel <channel> --endpoint <endpoint>]');
+  console.error('  prefer <name> <channel|none>');
+  console.error('  import');
+  console.error('  profiles');
+  console.error('  audience set <name> <target,...>');
+  console.error('  audience list [--json]');
+  console.error('  audience remove <name>');
+  console.error('  quiet set <@name|channel:endpoint> <HH:MM-HH:MM> [--tz <zone>] [--digest]');
+  console.error('  quiet list [--json]');
+  console.error('  quiet remove <@name|channel:endpoint>');
+}
+
+function errorExit(message) {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+}
+
+function parseStringArg(args, flag) {
+  const idx = args.indexOf(flag);
+  if (idx === -1) return null;
+  const value = args[idx + 1];
+  if (!value) errorExit(`missing value for ${flag}`);
+  return value;
+}
+
+function parseName(raw, label = 'name') {
+  if (!raw) errorExit(`${label} is required`);
+  const name = raw.replace(/^@/, '');
+  if (!isValidContactName(name)) {
+    errorExit(`invalid contact ${label}: ${raw} (use lowercase letters, digits, ".", "_", "-")`);
+  }
+  return name;
+}
+
+function parseEndpointArgs(args, { required = false } = {}) {
+  const channel = parseStringArg(args, '--channel');
+  const endpointId = parseStringArg(args, '--endpoint');
+  if (!channel && !endpointId) {
+    if (required) errorExit('--channel and --endpoint are required');
+    return { channel: null, endpointId: null };
+  }
+  if (!channel || !endpointId) {
+    errorExit('--channel and --endpoint must be given together');
+  }
+  try {
+    validateChannel(channel, false);
+    validateEndpoint(endpointId);
+  } catch (err) {
+    errorExit(err.message);
+  }
+  return { channel, endpointId };
+}
+
+function handleAdd(args) {
+  const name = parseName(args[0]);
+  const { channel, endpointId } = parseEndpointArgs(args.slice(1));
+  const displayName = parseStringArg(args, '--display-name');
+  if (args.includes('--prefer') && !channel) {
+    errorExit('--prefer needs --channel');
+  }
+  const preferredChannel = args.includes('--prefer') ? channel : null;
+
+  let contact;
+  try {
+    contact = addContact(name, { channel, endpointId, displayName, preferredChannel });
+  } catch (err) {
+    errorExit(err.message);
+  }
+  console.log(formatContact(contact));
+}
+
+function handleList(args) {
+  const contacts = listContacts();
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(contacts, null, 2));
+    return;
+  }
+  if (contacts.length === 0) {
+    console.log('No contacts.');
+    return;
+  }
+  console.log(contacts.map(formatContact).join('\n'));
+}
+
+function handleShow(args) {
+  const name = parseName(args[0]);
+  const contact = getContact(name);
+  if (!contact) errorExit(`contact @${name} not found`);
+  console.log(formatContact(contact));
+}
+
+function handleRename(args) {
+  const oldName = parseName(args[0], 'old name');
+  const newName = parseName(args[1], 'new name');
+  if (getContact(newName)) errorExit(`contact @${newName} already exists (use merge)`);
+  if (!renameContact(oldName, newName)) errorExit(`contact @${oldName} not found`);
+  console.log(`OK: @${oldName} renamed to @${newName}`);
+}
+
+function handleMerge(args) {
+  const from = parseName(args[0], 'source name');
+  const into = parseName(args[1], 'target name');
+  let moved;
+  try {
+    moved = mergeContacts(from, into);
+  } catch (err) {
+    errorExit(err.message);
+  }
+  console.log(`OK: merged @${from} into @${into} (${moved} endpoint${moved === 1 ? '' : 's'} moved)`);
+}
+
+function handleRemove(args) {
+  const name = parseName(args[0]);
+  const { channel, endpointId } = parseEndpointArgs(args.slice(1));
+  if (!removeContact(name, { channel, endpointId })) {
+    errorExit(channel
+      ? `@${name} has no endpoint ${channel}:${endpointId}`
+      : `contact @${name} not found`);
+  }
+  console.log(channel
+    ? `OK: removed ${channel}:${endpointId} from @${name}`
+    : `OK: removed @${name}`);
+}
+
+function handlePrefer(args) {
+  const name = parseName(args[0]);
+  const channel = args[1];
+  if (!channel) errorExit('channel is required (or "none")');
+  if (channel !== 'none') {
+    try {
+      validateChannel(channel, false);
+    } catch (err) {
+      errorExit(err.message);
+    }
+  }
+  if (!setContactPreferredChannel(name, channel === 'none' ? null : channel)) {
+    errorExit(`contact @${name} not found`);
+  }
+  console.log(channel === 'none'
+    ? `OK: @${name} has no preferred channel`
+    : `OK: @${name} prefers ${channel}`);
+}
+
+function handleImport() {
+  const { endpoints, created } = importContactsFromConversations(senderDisplayName);
+  console.log(`OK: ${endpoints} inbound endpoint${endpoints === 1 ? '' : 's'} scanned, ${created} contact${created === 1 ? '' : 's'} created`);
+}
+
+function handleProfiles() {
+  const created = writeMissingProfiles(listContacts());
+  if (created.length === 0) {
+    console.log('OK: every contact already has a profile');
+    return;
+  }
+  for (const name of created) {
+    console.log(`created ${path.join(MEMORY_USERS_DIR, name, 'profile.md')}`);
+  }
+}
+
+function handleAudience(args) {
+  const subcommand = args[0];
+  switch (subcommand) {
+    case 'set': {
+      const name = parseName(args[1], 'audience name');
+      const targets = args.slice(2).flatMap((value) => value.split(',')).map((t) => t.trim()).filter(Boolean);
+      if (targets.length === 0) errorExit('at least one target is required');
+      setAudience(name, targets);
+      console.log(`OK: audience ${name} = ${targets.join(',')}`);
+      break;
+    }
+    case 'list': {
+      const audiences = listAudiences();
+      if (args.includes('--json')) {
+        console.log(JSON.stringify(audiences, null, 2));
+      } else if (audiences.length === 0) {
+        console.log('No audiences.');
+      } else {
+        console.log(audiences.map((audience) => `${audience.name}: ${audience.targets.join(',')}`).join('\n'));
+      }
+      break;
+    }
+    case 'remove': {
+      const name = parseName(args[1], 'audience name');
+      if (!removeAudience(name)) errorExit(`audience ${name} not found`);
+      console.log(`OK: removed audience ${name}`);
+      break;
+    }
+    default:
+      usage();
+      errorExit(`unknown audience command: ${subcommand ?? '(none)'}`);
+  }
+}
+
+function parseQuietTarget(raw) {
+  if (!raw) errorExit('target is required (@name or channel:endpoint)');
+  if (raw.startsWith('@')) {
+    const contact = parseName(raw);
+    return { target: { contact }, label: `@${contact}` };
+  }
+  const colon = raw.indexOf(':');
+  if (colon === -1) errorExit(`invalid target: ${raw} (use @name or channel:endpoint)`);
+  const channel = raw.slice(0, colon);
+  const endpointId = raw.slice(colon + 1);
+  try {
+    validateChannel(channel, false);
+    validateEndpoint(endpointId);
+  } catch (err) {
+    errorExit(err.message);
+  }
+  return { target: { channel, endpointId }, label: raw };
+}
+
+function quietTargetLabel(row) {
+  return row.contact ? `@${row.contact}` : `${row.channel}:${row.endpoint_id}`;
+}
+
+function handleQuiet(args) {
+  const subcommand = args[0];
+  switch (subcommand) {
+    case 'set': {
+      const { target, label } = parseQuietTarget(args[1]);
+      const window = parseQuietWindow(args[2]);
+      if (!window) errorExit('window must be HH:MM-HH:MM with different start and end (e.g. 22:00-07:00)');
+      const timezone = parseStringArg(args, '--tz');
+      if (timezone !== null && !isValidTimezone(timezone)) {
+        errorExit(`invalid timezone: ${timezone} (use an IANA zone like "Asia/Shanghai")`);
+      }
+      const mode = args.includes('--digest') ? 'digest' : 'hold';
+      try {
+        setQuietHours(target, { ...window, timezone, mode });
+      } catch (err) {
+        errorExit(err.message);
+      }
+      console.log(`OK: ${label} quiet ${formatQuietWindow(window.startMinute, window.endMinute)} ${timezone ?? '(scheduler TZ)'}, ${mode}`);
+      break;
+    }
+    case 'list': {
+      const rows = listQuietHours();
+      if (args.includes('--json')) {
+        console.log(JSON.stringify(rows, null, 2));
+      } else if (rows.length === 0) {
+        console.log('No quiet hours.');
+      } else {
+        console.log(rows.map((row) => (
+          `${quietTargetLabel(row)}  ${formatQuietWindow(row.start_minute, row.end_minute)} ${row.timezone ?? '(scheduler TZ)'}  ${row.mode}`
+        )).join('\n'));
+      }
+      break;
+    }
+    case 'remove': {
+      const { target, label } = parseQuietTarget(args[1]);
+      let removed;
+      try {
+        removed = removeQuietHours(target);
+      } catch (err) {
+        errorExit(err.message);
+      }
+      if (!removed) errorExit(`${label} has no quiet hours`);
+      console.log(`OK: removed quiet hours for ${label}`);
+      break;
+    }
+    default:
+      usage();
+      errorExit(`unknown quiet command: ${subcommand ?? '(none)'}`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const commandArgs = args.slice(1);
+
+  if (!command || command === '--help' || command === '-h') {
+    usage();
+    process.exit(command ? 0 : 1);
+  }
+
+  try {
+    switch (command) {
+      case 'add':
+        handleAdd(commandArgs);
+        break;
+      case 'list':
+        handleList(commandArgs);
+        break;
+      case 'show':
+        handleShow(commandArgs);
+        break;
+      case 'rename':
+        handleRename(commandArgs);
+        break;
+      case 'merge':
+        handleMerge(commandArgs);
+        break;
+      case 'remove':
+        handleRemove(commandArgs);
+        break;
+      case 'prefer':
+        handlePrefer(commandArgs);
+        break;
+      case 'import':
+        handleImport();
+        break;
+      case 'profiles':
+        handleProfiles();
+        break;
+      case 'audience':
+        handleAudience(commandArgs);
+        break;
+      case 'quiet':
+        handleQuiet(commandArgs);
+        break;
+      default:
+        usage();
+        errorExit(`unknown command: ${command}`);
+    }
+  } finally {
+    close();
+  }
+}
+
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+
+if (isMainModule) {
+  main();
+}
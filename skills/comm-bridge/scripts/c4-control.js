@@ -6,22 +6,39 @@
  *   enqueue --content "<text>" [--priority 3] [--block-queue-until-idle] [--bypass-state] [--ack-deadline <seconds>] [--available-in <seconds>] [--no-ack-suffix]
  *   get --id <control_id>
  *   ack --id <control_id>
+ *   list [--status <status>] [--since <time>] [--limit 50]
+ *   cancel <control_id>
+ *   retry <control_id>
+ *   stats [--since <time>]
+ *
+ * list and stats print JSON.
  */
 
 import {
+  CONTROL_STATUSES,
   insertControl,
   getControlById,
   ackControl,
+  cancelControl,
+  retryControl,
+  listControls,
+  getControlStats,
   expireTimedOutControls,
+  parseSearchTimeBound,
   close
 } from './c4-db.js';
 
 function usage() {
-  console.error('Usage: c4-control.js <enqueue|get|ack> [options]');
+  console.error('Usage: c4-control.js <enqueue|get|ack|list|cancel|retry|stats> [options]');
   console.error('  enqueue --content "<text>" [--priority 3] [--block-queue-until-idle] [--bypass-state] [--ack-deadline <seconds>] [--available-in <seconds>] [--no-ack-suffix]');
   console.error('           Legacy alias: --require-idle');
   console.error('  get --id <control_id>');
   console.error('  ack --id <control_id>');
+  console.error('  list [--status <status>] [--since <time>] [--limit 50]');
+  console.error('  cancel <control_id>');
+  console.error('  retry <control_id>');
+  console.error('  stats [--since <time>]');
+  console.error('  <time>: 30m, 24h, 7d, 2026-02-23 or an ISO datetime');
 }
 
 function errorExit(message) {
@@ -61,6 +78,27 @@ function parseId(args) {
   return idRaw;
 }
 
+// cancel/retry take the id as a positional argument; --id works too.
+function parsePositionalId(args) {
+  if (args.includes('--id')) return parseId(args);
+  const id = Number(args[0]);
+  if (!Number.isInteger(id) || id <= 0) {
+    errorExit('control id must be a positive integer');
+  }
+  return id;
+}
+
+function parseSince(args) {
+  const raw = parseStringArg(args, '--since');
+  if (raw === null) return null;
+  try {
+    const { value } = parseSearchTimeBound(raw);
+    return Math.floor(Date.parse(`${value.replace(' ', 'T')}Z`) / 1000);
+  } catch (err) {
+    errorExit(err.message);
+  }
+}
+
 function nowSeconds() {
   return Math.floor(Date.now() / 1000);
 }
@@ -129,6 +167,52 @@ function handleAck(args) {
   console.log(`OK: control ${id} marked as done`);
 }
 
+function handleList(args) {
+  const status = parseStringArg(args, '--status');
+  if (status !== null && !CONTROL_STATUSES.includes(status)) {
+    errorExit(`--status must be one of: ${CONTROL_STATUSES.join(', ')}`);
+  }
+  const limit = parseNumberArg(args, '--limit');
+  if (limit !== null && (!Number.isInteger(limit) || limit <= 0)) {
+    errorExit('--limit must be a positive integer');
+  }
+  expireTimedOutControls();
+  const rows = listControls({ status, since: parseSince(args), limit: limit ?? 50 });
+  console.log(JSON.stringify(rows, null, 2));
+}
+
+function handleCancel(args) {
+  const id = parsePositionalId(args);
+  expireTimedOutControls();
+  const result = cancelControl(id);
+  if (!result.found) {
+    errorExit(`control ${id} not found`);
+  }
+  if (!result.cancelled) {
+    errorExit(`control ${id} is ${result.status}; only pending or running controls can be cancelled`);
+  }
+  console.log(`OK: control ${id} cancelled`);
+}
+
+function handleRetry(args) {
+  const id = parsePositionalId(args);
+  expireTimedOutControls();
+  const result = retryControl(id);
+  if (!result.found) {
+    errorExit(`control ${id} not found`);
+  }
+  if (!result.retried) {
+    errorExit(`control ${id} is ${result.status}; only failed, timeout or cancelled controls can be retried`);
+  }
+  console.log(`OK: control ${id} requeued as pending`);
+}
+
+function handleStats(args) {
+  const since = parseSince(args);
+  expireTimedOutControls();
+  console.log(JSON.stringify(getControlStats({ since }), null, 2));
+}
+
 function main() {
   const args = process.argv.slice(2);
   const command = args[0];
@@ -150,6 +234,18 @@ function main() {
       case 'ack':
         handleAck(commandArgs);
         break;
+      case 'list':
+        handleList(commandArgs);
+        break;
+      case 'cancel':
+        handleCancel(commandArgs);
+        break;
+      case 'retry':
+        handleRetry(commandArgs);
+        break;
+      case 'stats':
+        handleStats(commandArgs);
+        break;
       default:
         usage();
         errorExit(`unknown command: ${command}`);
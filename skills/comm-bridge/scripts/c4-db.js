@@ -5,11 +5,41 @@
  */
 
 import Database from 'better-sqlite3';
+import os from 'os';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
-import { DATA_DIR, DB_PATH, CONTROL_MAX_RETRIES } from './c4-config.js';
-import { buildReplyViaSuffix, hasLegacyReplyViaSuffix, truncateForDelivery } from './c4-utils.js';
+import {
+  DATA_DIR,
+  DB_PATH,
+  CONTROL_MAX_RETRIES,
+  DISPATCH_AGING_SECONDS,
+  DISPATCH_COALESCE_MAX_HOLD_FACTOR,
+  DISPATCH_COALESCE_SECONDS,
+  DISPATCH_FAIRNESS,
+  DISPATCH_FAIRNESS_WINDOW_SECONDS,
+  OUTBOUND_MAX_ATTEMPTS,
+  OUTBOUND_RETRY_BASE_SECONDS,
+  OUTBOUND_RETRY_MAX_SECONDS,
+  REDACT_KEEP_ORIGINAL
+} from './c4-config.js';
+import { decryptOriginal, encryptOriginal, redactSecrets } from './c4-redact.js';
+import {
+  EXPORT_FORMATS,
+  collectAttachments,
+  parseJsonl,
+  toHtml,
+  toJsonl,
+  toMarkdown
+} from './c4-export.js';
+import {
+  buildReplyViaSuffix,
+  contactEndpoint,
+  deriveThreadKey,
+  endpointMessageId,
+  hasLegacyReplyViaSuffix,
+  truncateForDelivery
+} from './c4-utils.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -39,8 +69,16 @@ export function getDb() {
     }
 
     ensureConversationsSchema(db);
+    ensureConversationsFtsSchema(db);
     ensureControlQueueSchema(db);
     ensureStatusNoticeCooldownSchema(db);
+    ensureOutboundQueueSchema(db);
+    ensureIntakeTokensSchema(db);
+    ensureChannelsSchema(db);
+    ensureContactsSchema(db);
+    ensureAccessSchema(db);
+    ensureRedactedOriginalsSchema(db);
+    ensureConversationImportsSchema(db);
     ensureVoidChannelMigration(db);
   }
   return db;
@@ -102,6 +140,66 @@ function ensureConversationsSchema(database) {
   if (!columnNames.has('delivery_action')) {
     database.exec('ALTER TABLE conversations ADD COLUMN delivery_action TEXT');
   }
+  if (!columnNames.has('external_id')) {
+    database.exec('ALTER TABLE conversations ADD COLUMN external_id TEXT');
+  }
+  if (!columnNames.has('group_id')) {
+    database.exec('ALTER TABLE conversations ADD COLUMN group_id TEXT');
+  }
+  if (!columnNames.has('last_error')) {
+    database.exec(`
+      ALTER TABLE conversations ADD COLUMN last_error TEXT;
+      ALTER TABLE conversations ADD COLUMN failed_at INTEGER;
+      ALTER TABLE conversations ADD COLUMN dead_letter_notified_at INTEGER;
+    `);
+  }
+  if (!columnNames.has('delivered_at')) {
+    database.exec('ALTER TABLE conversations ADD COLUMN delivered_at INTEGER');
+  }
+  if (!columnNames.has('deliver_after')) {
+    database.exec('ALTER TABLE conversations ADD COLUMN deliver_after INTEGER');
+  }
+  if (!columnNames.has('thread_key')) {
+    database.exec(`
+      ALTER TABLE conversations ADD COLUMN reply_to_id INTEGER;
+      ALTER TABLE conversations ADD COLUMN thread_key TEXT;
+      ALTER TABLE conversations ADD COLUMN external_message_id TEXT;
+    `);
+    backfillThreadColumns(database);
+  }
+  if (!columnNames.has('event_type')) {
+    database.exec(`
+      ALTER TABLE conversations ADD COLUMN event_type TEXT;
+      ALTER TABLE conversations ADD COLUMN target_id INTEGER;
+    `);
+  }
+  database.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_conversations_channel_external_id
+      ON conversations(channel, external_id) WHERE external_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_conversations_delivered_at ON conversations(delivered_at);
+    CREATE INDEX IF NOT EXISTS idx_conversations_thread_key
+      ON conversations(thread_key);
+    CREATE INDEX IF NOT EXISTS idx_conversations_external_message_id
+      ON conversations(channel, external_message_id);
+  `);
+}
+
+/**
+ * Derive thread_key / external_message_id for rows recorded before the
+ * columns existed, from the thread and message parts of their endpoint.
+ */
+function backfillThreadColumns(database) {
+  const rows = database.prepare(
+    'SELECT id, channel, endpoint_id FROM conversations WHERE endpoint_id IS NOT NULL'
+  ).all();
+  const update = database.prepare(
+    'UPDATE conversations SET thread_key = ?, external_message_id = ? WHERE id = ?'
+  );
+  database.transaction(() => {
+    for (const row of rows) {
+      update.run(deriveThreadKey(row.channel, row.endpoint_id), endpointMessageId(row.endpoint_id), row.id);
+    }
+  })();
 }
 
 /**
@@ -137,6 +235,216 @@ function ensureStatusNoticeCooldownSchema(database) {
   `);
 }
 
+function ensureOutboundQueueSchema(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS outbound_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      conversation_id INTEGER,
+      channel TEXT NOT NULL,
+      endpoint_id TEXT,
+      content TEXT NOT NULL,
+      content_ciphertext TEXT,
+      payload TEXT,
+      group_id TEXT,
+      send_after INTEGER,
+      status TEXT DEFAULT 'pending',
+      retry_count INTEGER DEFAULT 0,
+      next_attempt_at INTEGER,
+      last_error TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_outbound_queue_status_next_attempt
+      ON outbound_queue(status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_outbound_queue_updated_at
+      ON outbound_queue(updated_at);
+  `);
+  const columnNames = getColumnNames(database, 'outbound_queue');
+  if (!columnNames.has('payload')) {
+    database.exec('ALTER TABLE outbound_queue ADD COLUMN payload TEXT');
+  }
+  if (!columnNames.has('group_id')) {
+    database.exec('ALTER TABLE outbound_queue ADD COLUMN group_id TEXT');
+  }
+  if (!columnNames.has('send_after')) {
+    database.exec('ALTER TABLE outbound_queue ADD COLUMN send_after INTEGER');
+  }
+  if (!columnNames.has('content_ciphertext')) {
+    database.exec('ALTER TABLE outbound_queue ADD COLUMN content_ciphertext TEXT');
+  }
+}
+
+function ensureIntakeTokensSchema(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS intake_tokens (
+      channel TEXT PRIMARY KEY,
+      token_hash TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      last_used_at INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS inbound_rate_limits (
+      bucket_key TEXT PRIMARY KEY,
+      tokens REAL NOT NULL,
+      updated_at REAL NOT NULL,
+      suppressed_count INTEGER NOT NULL DEFAULT 0,
+      summary_id INTEGER
+    );
+
+    -- Dedup keys of rate-limited messages that were dropped or summarized
+    -- rather than recorded as conversations of their own
+    CREATE TABLE IF NOT EXISTS inbound_suppressed_ids (
+      channel TEXT NOT NULL,
+      external_id TEXT NOT NULL,
+      conversation_id INTEGER,
+      suppressed_at INTEGER NOT NULL,
+      PRIMARY KEY (channel, external_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_inbound_suppressed_ids_suppressed_at
+      ON inbound_suppressed_ids(suppressed_at);
+  `);
+}
+
+function ensureChannelsSchema(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS channels (
+      channel TEXT PRIMARY KEY,
+      version TEXT,
+      capabilities TEXT,
+      pid INTEGER,
+      registered_at INTEGER,
+      last_seen_at INTEGER,
+      stopped_at INTEGER,
+      last_send_ok_at INTEGER,
+      last_send_error TEXT,
+      last_send_error_at INTEGER
+    );
+  `);
+}
+
+function ensureContactsSchema(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS contacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        display_name TEXT,
+        preferred_channel TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS contact_endpoints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+        channel TEXT NOT NULL,
+        endpoint_id TEXT NOT NULL,
+        last_seen_at INTEGER,
+        created_at INTEGER NOT NULL,
+        UNIQUE(channel, endpoint_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_contact_endpoints_contact ON contact_endpoints(contact_id);
+
+    CREATE TABLE IF NOT EXISTS audiences (
+        name TEXT PRIMARY KEY,
+        targets TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS quiet_hours (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        contact_id INTEGER UNIQUE REFERENCES contacts(id) ON DELETE CASCADE,
+        channel TEXT,
+        endpoint_id TEXT,
+        start_minute INTEGER NOT NULL,
+        end_minute INTEGER NOT NULL,
+        timezone TEXT,
+        mode TEXT NOT NULL DEFAULT 'hold',
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        UNIQUE(channel, endpoint_id)
+    );
+  `);
+}
+
+function ensureAccessSchema(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS access_policies (
+        channel TEXT PRIMARY KEY,
+        unknown_action TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS access_rules (
+        channel TEXT NOT NULL,
+        endpoint_id TEXT NOT NULL,
+        rule TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        PRIMARY KEY (channel, endpoint_id)
+    );
+  `);
+}
+
+function ensureRedactedOriginalsSchema(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS redacted_originals (
+      conversation_id INTEGER PRIMARY KEY REFERENCES conversations(id) ON DELETE CASCADE,
+      ciphertext TEXT NOT NULL,
+      created_at INTEGER NOT NULL
+    );
+  `);
+}
+
+function ensureConversationImportsSchema(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS conversation_imports (
+      source TEXT NOT NULL,
+      source_id INTEGER NOT NULL,
+      conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+      PRIMARY KEY (source, source_id)
+    );
+  `);
+}
+
+/**
+ * Full-text index for searchConversations(). Databases created before the
+ * index existed are backfilled once with an FTS5 'rebuild'.
+ */
+function ensureConversationsFtsSchema(database) {
+  const exists = database.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'conversations_fts'"
+  ).get();
+
+  database.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS conversations_fts USING fts5(
+      content,
+      content='conversations',
+      content_rowid='id',
+      tokenize='trigram'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS conversations_fts_insert AFTER INSERT ON conversations BEGIN
+      INSERT INTO conversations_fts(rowid, content) VALUES (new.id, new.content);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS conversations_fts_delete AFTER DELETE ON conversations BEGIN
+      INSERT INTO conversations_fts(conversations_fts, rowid, content) VALUES ('delete', old.id, old.content);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS conversations_fts_update AFTER UPDATE OF content ON conversations BEGIN
+      INSERT INTO conversations_fts(conversations_fts, rowid, content) VALUES ('delete', old.id, old.content);
+      INSERT INTO conversations_fts(rowid, content) VALUES (new.id, new.content);
+    END;
+  `);
+
+  if (!exists) {
+    database.exec("INSERT INTO conversations_fts(conversations_fts) VALUES ('rebuild')");
+  }
+}
+
 /**
  * Insert a conversation record
  * @param {string} direction - 'in' or 'out'
@@ -146,42 +454,205 @@ function ensureStatusNoticeCooldownSchema(database) {
  * @param {string} status - 'pending' or 'delivered' (default: 'pending' for in, 'delivered' for out)
  * @param {number} priority - 1=urgent, 2=high, 3=normal (default: 3)
  * @param {boolean} requireIdle - whether to wait for Claude idle state (default: false)
- * @returns {object} - inserted record with id
+ * @param {string|null} deliveryAction - optional action outcome
+ * @param {object} [extra]
+ * @param {string|null} [extra.externalId] - channel-side dedup key; unique per channel
+ *   (a duplicate throws a SQLITE_CONSTRAINT_UNIQUE error, see isExternalIdConflict)
+ * @param {number|null} [extra.replyToId] - conversation id this message answers
+ * @param {string|null} [extra.threadKey] - thread the message belongs to
+ *   (default: derived from channel + endpoint, see deriveThreadKey)
+ * @param {string|null} [extra.externalMessageId] - channel-side message id
+ *   (default: the endpoint's `|msg:` part)
+ * @param {string|null} [extra.groupId] - shared by the parts of one split outgoing message
+ * @param {number|null} [extra.deliverAfter] - unix seconds; a pending incoming
+ *   message is not delivered before then
+ * @returns {object} - inserted record with id; content has secrets redacted
+ *   (c4-redact.js)
  */
-export function insertConversation(direction, channel, endpointId, content, status = null, priority = 3, requireIdle = false, deliveryAction = null) {
+export function insertConversation(direction, channel, endpointId, content, status = null, priority = 3, requireIdle = false, deliveryAction = null, {
+  externalId = null,
+  replyToId = null,
+  threadKey = deriveThreadKey(channel, endpointId),
+  externalMessageId = endpointMessageId(endpointId),
+  groupId = null,
+  deliverAfter = null,
+  eventType = null,
+  targetId = null
+} = {}) {
   const db = getDb();
 
   // Default status: 'pending' for incoming, 'delivered' for outgoing
   const finalStatus = status || (direction === 'in' ? 'pending' : 'delivered');
 
   const requireIdleVal = requireIdle ? 1 : 0;
+  const redaction = redactSecrets(content);
 
   const stmt = db.prepare(`
-    INSERT INTO conversations (direction, channel, endpoint_id, content, status, delivery_action, priority, require_idle)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO conversations (
+      direction, channel, endpoint_id, content, status, delivery_action, priority, require_idle,
+      external_id, reply_to_id, thread_key, external_message_id, group_id, deliver_after, event_type, target_id
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
-  const result = stmt.run(direction, channel, endpointId, content, finalStatus, deliveryAction, priority, requireIdleVal);
+  const result = db.transaction(() => {
+    const inserted = stmt.run(
+      direction, channel, endpointId, redaction.text, finalStatus, deliveryAction, priority, requireIdleVal,
+      externalId, replyToId, threadKey, externalMessageId, groupId, deliverAfter, eventType, targetId
+    );
+    if (redaction.count > 0 && REDACT_KEEP_ORIGINAL) {
+      db.prepare(`
+        INSERT INTO redacted_originals (conversation_id, ciphertext, created_at) VALUES (?, ?, ?)
+      `).run(inserted.lastInsertRowid, encryptOriginal(content), nowSeconds());
+    }
+    return inserted;
+  })();
 
   return {
     id: result.lastInsertRowid,
     direction,
     channel,
     endpoint_id: endpointId,
-    content,
+    content: redaction.text,
     status: finalStatus,
     delivery_action: deliveryAction,
     priority,
     require_idle: requireIdleVal,
-    retry_count: 0
+    retry_count: 0,
+    external_id: externalId,
+    reply_to_id: replyToId,
+    thread_key: threadKey,
+    external_message_id: externalMessageId,
+    group_id: groupId,
+    deliver_after: deliverAfter,
+    event_type: eventType,
+    target_id: targetId
   };
 }
 
 /**
- * Reserve or suppress an unhealthy/status notice cooldown.
- * Uses SQLite as the comm-bridge persistence/concurrency boundary so
- * concurrent c4-receive processes cannot both reserve the same cooldown key.
+ * Decrypt the unredacted original of a conversation, when one was kept
+ * (REDACT_KEEP_ORIGINAL). Throws when the key file is missing.
+ * @param {number} id - conversation id
+ * @returns {string|null} - null when no original was stored
+ */
+export function getRedactedOriginal(id) {
+  const db = getDb();
+  const row = db.prepare('SELECT ciphertext FROM redacted_originals WHERE conversation_id = ?').get(id);
+  return row ? decryptOriginal(row.ciphertext) : null;
+}
+
+/**
+ * Get a conversation record by id
+ * @param {number} id
+ * @returns {object|null}
+ */
+export function getConversationById(id) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM conversations WHERE id = ?').get(id) || null;
+}
+
+/**
+ * Find the incoming message a channel event (edit, delete, reaction) refers
+ * to, by its channel-side message id (external_message_id or external_id),
+ * newest first. With an endpoint, only messages from the same chat match.
+ * @param {string} channel
+ * @param {string|null} endpointId
+ * @param {string} targetExternalId
+ * @returns {object|null}
+ */
+export function findEventTarget(channel, endpointId, targetExternalId) {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT * FROM conversations
+    WHERE channel = ? AND direction = 'in' AND event_type IS NULL
+      AND (external_message_id = ? OR external_id = ?)
+    ORDER BY id DESC
+  `).all(channel, targetExternalId, targetExternalId);
+  const chat = endpointId ? contactEndpoint(endpointId) : null;
+  return rows.find((row) => !chat || !row.endpoint_id || contactEndpoint(row.endpoint_id) === chat) || null;
+}
+
+/**
+ * Whether an insertConversation() error is a (channel, external_id) collision
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isExternalIdConflict(err) {
+  return err?.code === 'SQLITE_CONSTRAINT_UNIQUE' && /external_id/.test(err.message || '');
+}
+
+/**
+ * Find the conversation already recorded for a channel-side message id.
+ * Keys older than the retention window are released first, so a reused id
+ * after the window is treated as a new message.
+ * @param {string} channel
+ * @param {string} externalId
+ * @param {number} retentionSeconds - dedup window; 0 keeps keys forever
+ * @returns {object|null} - existing conversation record
+ */
+export function findConversationByExternalId(channel, externalId, retentionSeconds = 0) {
+  const db = getDb();
+  if (retentionSeconds > 0) {
+    db.prepare(`
+      UPDATE conversations
+      SET external_id = NULL
+      WHERE channel = ? AND external_id = ?
+        AND timestamp < datetime('now', ?)
+    `).run(channel, externalId, `-${retentionSeconds} seconds`);
+  }
+  return db.prepare(
+    'SELECT * FROM conversations WHERE channel = ? AND external_id = ?'
+  ).get(channel, externalId) || null;
+}
+
+/**
+ * Release dedup keys recorded before the retention window
+ * @param {number} retentionSeconds - dedup window
+ * @returns {number} - number of keys released
+ */
+export function expireExternalIds(retentionSeconds) {
+  const db = getDb();
+  const released = db.prepare(`
+    UPDATE conversations
+    SET external_id = NULL
+    WHERE external_id IS NOT NULL
+      AND timestamp < datetime('now', ?)
+  `).run(`-${retentionSeconds} seconds`).changes;
+  return released + db.prepare(
+    'DELETE FROM inbound_suppressed_ids WHERE suppressed_at < ?'
+  ).run(nowSeconds() - retentionSeconds).changes;
+}
+
+/**
+ * Remember the dedup key of a rate-limited message that was not recorded
+ * as a conversation of its own, so a redelivery is reported as a duplicate
+ * @param {string} channel
+ * @param {string} externalId
+ * @param {number|null} [conversationId] - the summary row it was folded into
+ */
+export function recordSuppressedExternalId(channel, externalId, conversationId = null) {
+  getDb().prepare(`
+    INSERT OR IGNORE INTO inbound_suppressed_ids (channel, external_id, conversation_id, suppressed_at)
+    VALUES (?, ?, ?, ?)
+  `).run(channel, externalId, conversationId, nowSeconds());
+}
+
+/**
+ * Find a suppressed message by its dedup key
+ * @param {string} channel
+ * @param {string} externalId
+ * @param {number} [retentionSeconds=0] - ignore keys older than this (0 = never)
+ * @returns {object|null} - inbound_suppressed_ids row
  */
+export function findSuppressedExternalId(channel, externalId, retentionSeconds = 0) {
+  const cutoff = retentionSeconds > 0 ? nowSeconds() - retentionSeconds : 0;
+  return getDb().prepare(`
+    SELECT * FROM inbound_suppressed_ids
+    WHERE channel = ? AND external_id = ? AND suppressed_at >= ?
+  `).get(channel, externalId, cutoff) || null;
+}
+
 export function reserveStatusNoticeCooldown({
   cooldownKey,
   channel,
@@ -240,19 +711,193 @@ export function getStatusNoticeCooldowns() {
   `).all();
 }
 
+function fairnessKey(row) {
+  return `${row.channel}\u0000${contactEndpoint(row.endpoint_id)}`;
+}
+
+/**
+ * Last delivery time per endpoint within the fairness window
+ * @returns {Map<string, number>}
+ */
+function getRecentDeliveriesByEndpoint(database, current) {
+  const rows = database.prepare(`
+    SELECT channel, endpoint_id, MAX(delivered_at) AS delivered_at
+    FROM conversations
+    WHERE direction = 'in' AND delivered_at >= ?
+    GROUP BY channel, endpoint_id
+  `).all(current - DISPATCH_FAIRNESS_WINDOW_SECONDS);
+  const lastServed = new Map();
+  for (const row of rows) {
+    const key = fairnessKey(row);
+    lastServed.set(key, Math.max(lastServed.get(key) ?? 0, row.delivered_at));
+  }
+  return lastServed;
+}
+
+/**
+ * Interleave one priority level's messages between endpoints: the endpoint
+ * served least recently (or never) goes first, then one message per
+ * endpoint per round, each endpoint's own messages in arrival order.
+ */
+function roundRobin(rows, lastServed) {
+  const queues = new Map();
+  for (const row of rows) {
+    const key = fairnessKey(row);
+    if (!queues.has(key)) queues.set(key, []);
+    queues.get(key).push(row);
+  }
+  const order = [...queues.keys()].sort((a, b) => (lastServed.get(a) ?? 0) - (lastServed.get(b) ?? 0));
+  const result = [];
+  for (let round = 0; result.length < rows.length; round++) {
+    for (const key of order) {
+      const row = queues.get(key)[round];
+      if (row) result.push(row);
+    }
+  }
+  return result;
+}
+
+/**
+ * Mark rows of threads that are still receiving a burst as held: the
+ * thread's newest pending message is younger than coalesceSeconds and its
+ * oldest has not yet waited the maximum hold.
+ */
+function markHeldBursts(rows, coalesceSeconds) {
+  const threads = new Map();
+  for (const row of rows) {
+    if (!row.thread_key || row.require_idle === 1) continue;
+    const thread = threads.get(row.thread_key) || { newest: Infinity, oldest: 0, rows: [] };
+    thread.newest = Math.min(thread.newest, row.wait_seconds);
+    thread.oldest = Math.max(thread.oldest, row.wait_seconds);
+    thread.rows.push(row);
+    threads.set(row.thread_key, thread);
+  }
+  for (const thread of threads.values()) {
+    if (thread.newest < coalesceSeconds && thread.oldest < coalesceSeconds * DISPATCH_COALESCE_MAX_HOLD_FACTOR) {
+      for (const row of thread.rows) row.held = true;
+    }
+  }
+}
+
+/**
+ * Pending incoming messages in delivery order. Ordered by effective
+ * priority (priority improved by one level per agingSeconds waited, never
+ * past 1), then per the fairness policy: 'round_robin' alternates between
+ * endpoints, 'fifo' keeps arrival order. With coalescing on, rows of a
+ * thread still receiving a burst are flagged `held`.
+ * @param {object} [options]
+ * @param {number} [options.current] - unix seconds
+ * @param {number} [options.agingSeconds=DISPATCH_AGING_SECONDS] - 0 disables aging
+ * @param {string} [options.fairness=DISPATCH_FAIRNESS] - 'round_robin' | 'fifo'
+ * @param {number} [options.coalesceSeconds=DISPATCH_COALESCE_SECONDS] - 0 disables coalescing
+ * @returns {object[]} - ordering fields only (no content), with wait_seconds,
+ *   effective_priority and held
+ */
+export function getPendingQueue({
+  current = nowSeconds(),
+  agingSeconds = DISPATCH_AGING_SECONDS,
+  fairness = DISPATCH_FAIRNESS,
+  coalesceSeconds = DISPATCH_COALESCE_SECONDS
+} = {}) {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT id, channel, endpoint_id, timestamp, priority, require_idle, retry_count, thread_key,
+           MAX(0, ? - CAST(strftime('%s', timestamp) AS INTEGER)) AS wait_seconds
+    FROM conversations
+    WHERE direction = 'in' AND status = 'pending' AND (deliver_after IS NULL OR deliver_after <= ?)
+    ORDER BY timestamp ASC, id ASC
+  `).all(current, current);
+
+  for (const row of rows) row.held = false;
+  if (coalesceSeconds > 0) markHeldBursts(rows, coalesceSeconds);
+
+  const levels = new Map();
+  for (const row of rows) {
+    const priority = row.priority ?? 3;
+    const aged = agingSeconds > 0 ? priority - Math.floor(row.wait_seconds / agingSeconds) : priority;
+    row.effective_priority = Math.min(priority, Math.max(1, aged));
+    if (!levels.has(row.effective_priority)) levels.set(row.effective_priority, []);
+    levels.get(row.effective_priority).push(row);
+  }
+
+  const lastServed = fairness === 'round_robin' ? getRecentDeliveriesByEndpoint(db, current) : null;
+  return [...levels.keys()].sort((a, b) => a - b).flatMap((level) => (
+    lastServed ? roundRobin(levels.get(level), lastServed) : levels.get(level)
+  ));
+}
+
 /**
- * Get next pending message from queue (priority-based, then FIFO)
- * @returns {object|null} - highest priority pending message or null
+ * Get next pending message from queue (see getPendingQueue for the order).
+ * With aging, round-robin and coalescing all off this is a single indexed
+ * query; otherwise only the chosen row's content is loaded.
+ * @returns {object|null} - next message to deliver, with wait_seconds and effective_priority
  */
 export function getNextPending() {
   const db = getDb();
-  return db.prepare(`
-    SELECT id, direction, channel, endpoint_id, content, timestamp, priority, require_idle, retry_count
+  const current = nowSeconds();
+  const columns = `id, direction, channel, endpoint_id, content, timestamp, priority, require_idle, retry_count, thread_key,
+           MAX(0, ? - CAST(strftime('%s', timestamp) AS INTEGER)) AS wait_seconds`;
+  if (DISPATCH_AGING_SECONDS === 0 && DISPATCH_FAIRNESS === 'fifo' && DISPATCH_COALESCE_SECONDS === 0) {
+    const row = db.prepare(`
+      SELECT ${columns}
+      FROM conversations
+      WHERE direction = 'in' AND status = 'pending' AND (deliver_after IS NULL OR deliver_after <= ?)
+      ORDER BY COALESCE(priority, 3) ASC, timestamp ASC, id ASC
+      LIMIT 1
+    `).get(current, current);
+    return row ? { ...row, effective_priority: row.priority ?? 3 } : null;
+  }
+
+  const next = getPendingQueue({ current }).find((row) => !row.held);
+  if (!next) return null;
+  const row = db.prepare(`SELECT ${columns} FROM conversations WHERE id = ?`).get(current, next.id);
+  return row ? { ...row, effective_priority: next.effective_priority } : null;
+}
+
+/**
+ * Pending messages of the same thread that form one burst with `first`:
+ * each arrived within coalesceSeconds of the previous one. The burst
+ * reaches back before `first` too, since aging or priority may pick a newer
+ * message of the thread ahead of older ones. Messages that must wait for an
+ * idle agent are never merged.
+ * @param {object} first - getNextPending() row (already claimed)
+ * @param {number} [coalesceSeconds=DISPATCH_COALESCE_SECONDS]
+ * @returns {object[]} - the burst in arrival order, `first` included
+ */
+export function getPendingBurst(first, coalesceSeconds = DISPATCH_COALESCE_SECONDS) {
+  if (coalesceSeconds <= 0 || !first.thread_key || first.require_idle === 1) return [first];
+  const db = getDb();
+  const others = db.prepare(`
+    SELECT id, direction, channel, endpoint_id, content, timestamp, priority, require_idle, retry_count, thread_key
     FROM conversations
-    WHERE direction = 'in' AND status = 'pending'
-    ORDER BY COALESCE(priority, 3) ASC, timestamp ASC
-    LIMIT 1
-  `).get() || null;
+    WHERE direction = 'in' AND status = 'pending' AND thread_key = ? AND id != ?
+      AND COALESCE(require_idle, 0) = 0
+      AND (deliver_after IS NULL OR deliver_after <= ?)
+    ORDER BY timestamp ASC, id ASC
+  `).all(first.thread_key, first.id, nowSeconds());
+
+  const arrivedAt = (row) => Date.parse(`${row.timestamp.replace(' ', 'T')}Z`) / 1000;
+  const thread = [...others, first].sort((a, b) => (
+    a.timestamp === b.timestamp ? a.id - b.id : (a.timestamp < b.timestamp ? -1 : 1)
+  ));
+  let start = thread.indexOf(first);
+  let end = start;
+  while (start > 0 && arrivedAt(thread[start]) - arrivedAt(thread[start - 1]) <= coalesceSeconds) start--;
+  while (end < thread.length - 1 && arrivedAt(thread[end + 1]) - arrivedAt(thread[end]) <= coalesceSeconds) end++;
+  return thread.slice(start, end + 1);
+}
+
+/**
+ * Mark the messages of one coalesced delivery delivered together
+ * @param {number[]} ids - conversation ids
+ */
+export function markBurstDelivered(ids) {
+  const db = getDb();
+  const stmt = db.prepare('UPDATE conversations SET status = ?, delivered_at = ? WHERE id = ?');
+  const current = nowSeconds();
+  db.transaction(() => {
+    for (const id of ids) stmt.run('delivered', current, id);
+  })();
 }
 
 /**
@@ -289,28 +934,135 @@ export function requeueConversation(id) {
  */
 export function markDelivered(id) {
   const db = getDb();
-  db.prepare('UPDATE conversations SET status = ? WHERE id = ?').run('delivered', id);
+  db.prepare('UPDATE conversations SET status = ?, delivered_at = ? WHERE id = ?').run('delivered', nowSeconds(), id);
 }
 
 /**
  * Increment retry count for a message
  * @param {number} id - message id
+ * @param {string|null} [lastError] - delivery failure reason
  * @returns {number} - new retry count
  */
-export function incrementRetryCount(id) {
+export function incrementRetryCount(id, lastError = null) {
   const db = getDb();
-  db.prepare('UPDATE conversations SET retry_count = COALESCE(retry_count, 0) + 1 WHERE id = ?').run(id);
+  db.prepare(`
+    UPDATE conversations
+    SET retry_count = COALESCE(retry_count, 0) + 1, last_error = COALESCE(?, last_error)
+    WHERE id = ?
+  `).run(lastError, id);
   const row = db.prepare('SELECT retry_count FROM conversations WHERE id = ?').get(id);
   return row?.retry_count || 0;
 }
 
 /**
- * Mark a message as failed
+ * Mark a message as failed (a dead letter)
  * @param {number} id - message id
+ * @param {string|null} [lastError] - delivery failure reason
+ */
+export function markFailed(id, lastError = null) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE conversations
+    SET status = 'failed', last_error = COALESCE(?, last_error), failed_at = ?, dead_letter_notified_at = NULL
+    WHERE id = ?
+  `).run(lastError, nowSeconds(), id);
+}
+
+const DEAD_LETTER_COLUMNS = `
+  id, timestamp, channel, endpoint_id, content, priority, retry_count, last_error, failed_at, dead_letter_notified_at
+`;
+
+/**
+ * List inbound messages that exhausted their delivery retries, oldest first
+ * @param {object} [options]
+ * @param {string|null} [options.since] - parseSearchTimeBound() input; matches
+ *   failed_at (or the arrival time for rows failed before failed_at existed)
+ * @returns {object[]}
+ */
+export function getFailedConversations({ since = null } = {}) {
+  const db = getDb();
+  const params = [];
+  let sinceClause = '';
+  if (since) {
+    sinceClause = "AND COALESCE(datetime(failed_at, 'unixepoch'), timestamp) >= ?";
+    params.push(parseSearchTimeBound(since).value);
+  }
+  return db.prepare(`
+    SELECT ${DEAD_LETTER_COLUMNS}
+    FROM conversations
+    WHERE direction = 'in' AND status = 'failed' ${sinceClause}
+    ORDER BY id ASC
+  `).all(...params);
+}
+
+/**
+ * Put a dead letter back in the delivery queue with a fresh retry budget
+ * @param {number} id - conversation id
+ * @returns {boolean} - false when id is not a failed inbound message
+ */
+export function requeueFailedConversation(id) {
+  const db = getDb();
+  const result = db.prepare(`
+    UPDATE conversations
+    SET status = 'pending', retry_count = 0, failed_at = NULL, dead_letter_notified_at = NULL
+    WHERE id = ? AND direction = 'in' AND status = 'failed'
+  `).run(id);
+  return result.changes > 0;
+}
+
+/**
+ * Requeue every dead letter
+ * @returns {number} - messages requeued
+ */
+export function requeueAllFailedConversations() {
+  const db = getDb();
+  return db.prepare(`
+    UPDATE conversations
+    SET status = 'pending', retry_count = 0, failed_at = NULL, dead_letter_notified_at = NULL
+    WHERE direction = 'in' AND status = 'failed'
+  `).run().changes;
+}
+
+/**
+ * Give up on a dead letter; it stays in history with status 'discarded'
+ * @param {number} id - conversation id
+ * @returns {boolean} - false when id is not a failed inbound message
+ */
+export function discardFailedConversation(id) {
+  const db = getDb();
+  const result = db.prepare(`
+    UPDATE conversations
+    SET status = 'discarded'
+    WHERE id = ? AND direction = 'in' AND status = 'failed'
+  `).run(id);
+  return result.changes > 0;
+}
+
+/**
+ * Dead letters not yet included in a digest
+ * @returns {object[]}
+ */
+export function getUnnotifiedDeadLetters() {
+  const db = getDb();
+  return db.prepare(`
+    SELECT ${DEAD_LETTER_COLUMNS}
+    FROM conversations
+    WHERE direction = 'in' AND status = 'failed' AND dead_letter_notified_at IS NULL
+    ORDER BY id ASC
+  `).all();
+}
+
+/**
+ * Record that a digest reported these dead letters
+ * @param {number[]} ids - conversation ids
  */
-export function markFailed(id) {
+export function markDeadLettersNotified(ids) {
   const db = getDb();
-  db.prepare('UPDATE conversations SET status = ? WHERE id = ?').run('failed', id);
+  const stmt = db.prepare('UPDATE conversations SET dead_letter_notified_at = ? WHERE id = ?');
+  const current = nowSeconds();
+  db.transaction(() => {
+    for (const id of ids) stmt.run(current, id);
+  })();
 }
 
 /**
@@ -339,6 +1091,30 @@ export function getPendingControlCount() {
   return result?.count || 0;
 }
 
+/**
+ * Pending incoming conversations and control items per priority
+ * @returns {{conversations: Object<number, number>, controls: Object<number, number>}}
+ */
+export function getPendingCountsByPriority() {
+  const db = getDb();
+  const tally = (rows) => Object.fromEntries(rows.map((row) => [row.priority, row.count]));
+  return {
+    conversations: tally(db.prepare(`
+      SELECT COALESCE(priority, 3) AS priority, COUNT(*) AS count FROM conversations
+      WHERE direction = 'in' AND status = 'pending'
+      GROUP BY 1
+    `).all()),
+    controls: tally(db.prepare(`
+      SELECT COALESCE(priority, 3) AS priority, COUNT(*) AS count FROM control_queue
+      WHERE status = 'pending'
+      GROUP BY 1
+    `).all())
+  };
+}
+
+export const CONTROL_STATUSES = ['pending', 'running', 'done', 'failed', 'timeout', 'superseded', 'cancelled'];
+const CONTROL_FINAL_STATUSES = ['done', 'failed', 'timeout', 'superseded', 'cancelled'];
+
 /**
  * Insert a control queue record
  * @param {string} content - instruction content
@@ -513,7 +1289,7 @@ export function ackControl(id) {
       return { found: true, alreadyFinal: true, status: 'timeout' };
     }
 
-    if (row.status === 'done' || row.status === 'failed' || row.status === 'timeout' || row.status === 'superseded') {
+    if (CONTROL_FINAL_STATUSES.includes(row.status)) {
       return { found: true, alreadyFinal: true, status: row.status };
     }
 
@@ -534,7 +1310,7 @@ export function ackControl(id) {
  * @param {number} id - control id
  * @param {string} lastError - failure reason
  * @param {number} maxRetries - max retries before failure
- * @returns {object|null} transition info
+ * @returns {object|null} transition info, null when missing or cancelled
  */
 export function retryOrFailControl(id, lastError, maxRetries = CONTROL_MAX_RETRIES) {
   const database = getDb();
@@ -545,7 +1321,8 @@ export function retryOrFailControl(id, lastError, maxRetries = CONTROL_MAX_RETRI
       WHERE id = ?
     `).get(controlId);
 
-    if (!row) {
+    // A control cancelled while it was being delivered stays cancelled.
+    if (!row || row.status === 'cancelled') {
       return null;
     }
 
@@ -599,22 +1376,1448 @@ export function cleanupControlQueue(cutoff) {
   const database = getDb();
   const result = database.prepare(`
     DELETE FROM control_queue
-    WHERE status IN ('done', 'failed', 'timeout', 'superseded')
+    WHERE status IN (${CONTROL_FINAL_STATUSES.map(() => '?').join(', ')})
       AND updated_at < ?
-  `).run(cutoff);
+  `).run(...CONTROL_FINAL_STATUSES, cutoff);
   return result.changes || 0;
 }
 
 /**
- * Create a checkpoint
- * @param {number} endConversationId - last conversation id covered by this checkpoint (caller determines the boundary)
- * @param {string|null} summary - checkpoint summary
- * @returns {object} - checkpoint record with id, start/end conversation ids
+ * List control records, newest first
+ * @param {object} [options]
+ * @param {string|null} [options.status] - one of CONTROL_STATUSES
+ * @param {number|null} [options.since] - unix seconds; created at or after
+ * @param {number} [options.limit=50]
+ * @returns {object[]}
  */
-export function createCheckpoint(endConversationId, summary = null) {
-  const db = getDb();
-
-  // start = previous checkpoint's end + 1 (or 1 if first checkpoint)
+export function listControls({ status = null, since = null, limit = 50 } = {}) {
+  const database = getDb();
+  const where = [];
+  const params = [];
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (since !== null) {
+    where.push('created_at >= ?');
+    params.push(since);
+  }
+  return database.prepare(`
+    SELECT id, raw_content, content, priority, require_idle, bypass_state, ack_deadline_at,
+           status, retry_count, available_at, last_error, created_at, updated_at
+    FROM control_queue
+    ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(...params, limit);
+}
+
+/**
+ * Cancel a pending or running control. A running control that is acked
+ * or fails afterwards stays cancelled.
+ * @param {number} id - control id
+ * @returns {{found: boolean, cancelled?: boolean, status?: string}}
+ */
+export function cancelControl(id) {
+  const database = getDb();
+  const tx = database.transaction((controlId) => {
+    const row = database.prepare('SELECT status FROM control_queue WHERE id = ?').get(controlId);
+    if (!row) {
+      return { found: false };
+    }
+    if (row.status !== 'pending' && row.status !== 'running') {
+      return { found: true, cancelled: false, status: row.status };
+    }
+    database.prepare(`
+      UPDATE control_queue
+      SET status = 'cancelled', updated_at = ?, last_error = 'CANCELLED'
+      WHERE id = ?
+    `).run(nowSeconds(), controlId);
+    return { found: true, cancelled: true, status: 'cancelled' };
+  });
+
+  return tx(id);
+}
+
+/**
+ * Put a failed, timed-out or cancelled control back to pending with a
+ * fresh retry budget. An ack deadline is moved forward by its original
+ * length so the retried control does not time out at once.
+ * @param {number} id - control id
+ * @returns {{found: boolean, retried?: boolean, status?: string}}
+ */
+export function retryControl(id) {
+  const database = getDb();
+  const tx = database.transaction((controlId) => {
+    const row = database.prepare(`
+      SELECT status, ack_deadline_at, created_at FROM control_queue WHERE id = ?
+    `).get(controlId);
+    if (!row) {
+      return { found: false };
+    }
+    if (!['failed', 'timeout', 'cancelled'].includes(row.status)) {
+      return { found: true, retried: false, status: row.status };
+    }
+    const current = nowSeconds();
+    const ackDeadlineAt = row.ack_deadline_at === null
+      ? null
+      : current + Math.max(row.ack_deadline_at - row.created_at, 0);
+    database.prepare(`
+      UPDATE control_queue
+      SET status = 'pending', retry_count = 0, available_at = NULL, ack_deadline_at = ?,
+          last_error = NULL, updated_at = ?
+      WHERE id = ?
+    `).run(ackDeadlineAt, current, controlId);
+    return { found: true, retried: true, status: 'pending' };
+  });
+
+  return tx(id);
+}
+
+/**
+ * Control queue summary: counts by status, the oldest pending control and
+ * the most common errors of failed/timed-out controls.
+ * @param {object} [options]
+ * @param {number|null} [options.since] - unix seconds; only controls created since
+ * @param {number} [options.current] - unix seconds
+ * @returns {object}
+ */
+export function getControlStats({ since = null, current = nowSeconds() } = {}) {
+  const database = getDb();
+  const sinceClause = since === null ? '' : 'AND created_at >= ?';
+  const sinceParams = since === null ? [] : [since];
+
+  const byStatus = Object.fromEntries(CONTROL_STATUSES.map((status) => [status, 0]));
+  for (const row of database.prepare(`
+    SELECT status, COUNT(*) AS count FROM control_queue
+    WHERE 1 = 1 ${sinceClause}
+    GROUP BY status
+  `).all(...sinceParams)) {
+    byStatus[row.status] = row.count;
+  }
+
+  const oldestPending = database.prepare(`
+    SELECT id, created_at FROM control_queue
+    WHERE status = 'pending' ${sinceClause}
+    ORDER BY id ASC
+    LIMIT 1
+  `).get(...sinceParams);
+
+  const acked = database.prepare(`
+    SELECT AVG(updated_at - created_at) AS seconds FROM control_queue
+    WHERE status = 'done' ${sinceClause}
+  `).get(...sinceParams);
+
+  const errors = database.prepare(`
+    SELECT status, COALESCE(last_error, 'unknown') AS last_error, COUNT(*) AS count,
+           MAX(id) AS latest_id
+    FROM control_queue
+    WHERE status IN ('failed', 'timeout') ${sinceClause}
+    GROUP BY status, COALESCE(last_error, 'unknown')
+    ORDER BY count DESC, latest_id DESC
+    LIMIT 10
+  `).all(...sinceParams);
+
+  return {
+    total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+    by_status: byStatus,
+    oldest_pending: oldestPending
+      ? { id: oldestPending.id, age_seconds: Math.max(current - oldestPending.created_at, 0) }
+      : null,
+    avg_done_seconds: acked.seconds === null ? null : Math.round(acked.seconds),
+    errors
+  };
+}
+
+const OUTBOUND_COLUMNS = `
+  id, conversation_id, channel, endpoint_id, content, payload, group_id, send_after, status, retry_count,
+  next_attempt_at, last_error, created_at, updated_at
+`;
+
+/**
+ * Insert an outbound delivery record. Secrets in the content are redacted
+ * (c4-redact.js); the original is kept encrypted until the record is sent,
+ * see getOutboundSendContent().
+ * @param {object} item - delivery target and content
+ * @param {number|null} item.conversationId - audit row in conversations
+ * @param {string} item.channel - channel name
+ * @param {string|null} item.endpointId - endpoint or null (broadcast)
+ * @param {string} item.content - message content
+ * @param {object|null} [item.payload] - send-contract fields besides the text
+ *   (format, attachments, reply_to, metadata); stored as JSON
+ * @param {string|null} [item.groupId] - parts of one split message; delivered strictly in id order
+ * @param {string} [item.status='pending'] - 'sending' when the caller delivers it right away
+ * @returns {object} inserted outbound record
+ */
+export function insertOutbound({
+  conversationId = null,
+  channel,
+  endpointId = null,
+  content,
+  payload = null,
+  groupId = null,
+  sendAfter = null,
+  status = 'pending'
+}) {
+  const database = getDb();
+  const current = nowSeconds();
+  const redaction = redactSecrets(content);
+  const result = database.prepare(`
+    INSERT INTO outbound_queue (
+      conversation_id, channel, endpoint_id, content, content_ciphertext, payload, group_id, send_after, status,
+      retry_count, next_attempt_at, last_error, created_at, updated_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, NULL, ?, ?)
+  `).run(
+    conversationId, channel, endpointId, redaction.text, redaction.count > 0 ? encryptOriginal(content) : null,
+    payload ? JSON.stringify(payload) : null, groupId, sendAfter, status, sendAfter, current, current
+  );
+  return getOutboundById(Number(result.lastInsertRowid));
+}
+
+/**
+ * The text to hand the channel for an outbound record: its decrypted
+ * original when secrets were redacted at insertOutbound(), else its content.
+ * Throws when the key file is missing.
+ * @param {object} item - outbound record
+ * @returns {string}
+ */
+export function getOutboundSendContent(item) {
+  const database = getDb();
+  const row = database.prepare('SELECT content_ciphertext FROM outbound_queue WHERE id = ?').get(item.id);
+  return row?.content_ciphertext ? decryptOriginal(row.content_ciphertext) : item.content;
+}
+
+/**
+ * Get one outbound record by id
+ * @param {number} id - outbound id
+ * @returns {object|null}
+ */
+export function getOutboundById(id) {
+  const database = getDb();
+  return database.prepare(`SELECT ${OUTBOUND_COLUMNS} FROM outbound_queue WHERE id = ?`).get(id) || null;
+}
+
+/**
+ * List outbound records, newest first
+ * @param {object} [options]
+ * @param {string|null} [options.status] - filter by status
+ * @param {number|null} [options.conversationId] - filter by conversation
+ *   (all targets of a broadcast share one)
+ * @param {number} [options.limit=50] - max rows
+ * @returns {array}
+ */
+export function getOutbound({ status = null, conversationId = null, limit = 50 } = {}) {
+  const database = getDb();
+  const where = [];
+  const params = [];
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (conversationId !== null) {
+    where.push('conversation_id = ?');
+    params.push(conversationId);
+  }
+  return database.prepare(`
+    SELECT ${OUTBOUND_COLUMNS} FROM outbound_queue
+    ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(...params, limit);
+}
+
+/**
+ * Get count of outbound records waiting for a (re)try
+ * @returns {number}
+ */
+export function getPendingOutboundCount() {
+  const database = getDb();
+  const result = database.prepare(`
+    SELECT COUNT(*) as count FROM outbound_queue
+    WHERE status = 'pending'
+  `).get();
+  return result?.count || 0;
+}
+
+/**
+ * Atomically claim the oldest due outbound record to sending
+ * @param {number} current - unix seconds
+ * @returns {object|null} claimed record
+ */
+export function claimNextOutbound(current = nowSeconds()) {
+  const database = getDb();
+  const tx = database.transaction(() => {
+    const row = database.prepare(`
+      SELECT id FROM outbound_queue AS item
+      WHERE status = 'pending'
+        AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+        -- Parts of a split message go out in order: wait for earlier parts.
+        AND NOT EXISTS (
+          SELECT 1 FROM outbound_queue AS earlier
+          WHERE item.group_id IS NOT NULL
+            AND earlier.group_id = item.group_id
+            AND earlier.id < item.id
+            AND earlier.status IN ('pending', 'sending')
+        )
+      ORDER BY id ASC
+      LIMIT 1
+    `).get(current);
+    if (!row) return null;
+
+    database.prepare(`
+      UPDATE outbound_queue
+      SET status = 'sending', updated_at = ?
+      WHERE id = ? AND status = 'pending'
+    `).run(current, row.id);
+    return getOutboundById(row.id);
+  });
+  return tx();
+}
+
+/**
+ * Mark an outbound record as sent
+ * @param {number} id - outbound id
+ */
+export function markOutboundSent(id) {
+  const database = getDb();
+  database.transaction(() => {
+    // Content was redacted when queued; the original is no longer needed.
+    database.prepare(`
+      UPDATE outbound_queue
+      SET status = 'sent', content_ciphertext = NULL, next_attempt_at = NULL, last_error = NULL, updated_at = ?
+      WHERE id = ?
+    `).run(nowSeconds(), id);
+    // A scheduled send's audit row becomes an ordinary delivered message.
+    database.prepare(`
+      UPDATE conversations SET status = 'delivered'
+      WHERE status = 'scheduled'
+        AND id = (SELECT conversation_id FROM outbound_queue WHERE id = ?)
+    `).run(id);
+  })();
+}
+
+/**
+ * Mark an outbound record as failed without further retries
+ * @param {number} id - outbound id
+ * @param {string} lastError - failure reason
+ */
+export function markOutboundFailed(id, lastError) {
+  const database = getDb();
+  database.prepare(`
+    UPDATE outbound_queue
+    SET status = 'failed', next_attempt_at = NULL, last_error = ?, updated_at = ?
+    WHERE id = ?
+  `).run(lastError, nowSeconds(), id);
+}
+
+/**
+ * Compute the delay before the next outbound attempt.
+ * @param {number} retryCount - failed attempts so far (>= 1)
+ * @returns {number} seconds
+ */
+export function getOutboundBackoffSeconds(retryCount) {
+  const exponent = Math.max(0, retryCount - 1);
+  return Math.min(OUTBOUND_RETRY_BASE_SECONDS * 2 ** exponent, OUTBOUND_RETRY_MAX_SECONDS);
+}
+
+/**
+ * Schedule another outbound attempt with backoff, or mark as failed when
+ * the attempt budget is spent
+ * @param {number} id - outbound id
+ * @param {string} lastError - failure reason
+ * @param {number} maxAttempts - total attempts before failure
+ * @returns {object|null} transition info
+ */
+export function retryOrFailOutbound(id, lastError, maxAttempts = OUTBOUND_MAX_ATTEMPTS) {
+  const database = getDb();
+  const tx = database.transaction((outboundId, errorMsg, attempts) => {
+    const row = database.prepare('SELECT retry_count FROM outbound_queue WHERE id = ?').get(outboundId);
+    if (!row) {
+      return null;
+    }
+
+    const nextRetryCount = (row.retry_count || 0) + 1;
+    const current = nowSeconds();
+
+    if (nextRetryCount >= attempts) {
+      database.prepare(`
+        UPDATE outbound_queue
+        SET status = 'failed', retry_count = ?, next_attempt_at = NULL, last_error = ?, updated_at = ?
+        WHERE id = ?
+      `).run(nextRetryCount, errorMsg, current, outboundId);
+      return { status: 'failed', retry_count: nextRetryCount, next_attempt_at: null };
+    }
+
+    const nextAttemptAt = current + getOutboundBackoffSeconds(nextRetryCount);
+    database.prepare(`
+      UPDATE outbound_queue
+      SET status = 'pending', retry_count = ?, next_attempt_at = ?, last_error = ?, updated_at = ?
+      WHERE id = ?
+    `).run(nextRetryCount, nextAttemptAt, errorMsg, current, outboundId);
+    return { status: 'pending', retry_count: nextRetryCount, next_attempt_at: nextAttemptAt };
+  });
+
+  return tx(id, lastError, maxAttempts);
+}
+
+/**
+ * Put a failed outbound record back in the queue for immediate delivery
+ * @param {number} id - outbound id
+ * @returns {boolean} whether a failed record was requeued
+ */
+export function requeueOutbound(id) {
+  const database = getDb();
+  const result = database.prepare(`
+    UPDATE outbound_queue
+    SET status = 'pending', retry_count = 0, next_attempt_at = NULL, updated_at = ?
+    WHERE id = ? AND status = 'failed'
+  `).run(nowSeconds(), id);
+  return result.changes > 0;
+}
+
+/**
+ * List scheduled sends that have not gone out yet, soonest first
+ * @returns {array}
+ */
+export function getScheduledOutbound() {
+  const database = getDb();
+  return database.prepare(`
+    SELECT ${OUTBOUND_COLUMNS} FROM outbound_queue
+    WHERE status = 'pending' AND send_after IS NOT NULL AND retry_count = 0
+    ORDER BY send_after ASC, id ASC
+  `).all();
+}
+
+/**
+ * Due quiet-hours digest records of one chat (c4-send.js held them with
+ * `quiet_digest` in the payload), oldest first
+ * @param {string} channel
+ * @param {string|null} endpointId
+ * @param {number} current - unix seconds
+ * @returns {array}
+ */
+export function getDueQuietDigests(channel, endpointId, current = nowSeconds()) {
+  const database = getDb();
+  return database.prepare(`
+    SELECT ${OUTBOUND_COLUMNS} FROM outbound_queue
+    WHERE status = 'pending'
+      AND channel = ? AND endpoint_id IS ?
+      -- json_extract() throws on a malformed payload
+      AND CASE WHEN json_valid(payload) THEN json_extract(payload, '$.quiet_digest') END IS NOT NULL
+      AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+    ORDER BY id ASC
+  `).all(channel, endpointId, current);
+}
+
+/**
+ * Atomically claim specific pending outbound records to sending
+ * @param {number[]} ids - outbound ids
+ * @returns {array} - the records claimed (others were no longer pending)
+ */
+export function claimOutboundRecords(ids) {
+  const database = getDb();
+  return database.transaction(() => {
+    const current = nowSeconds();
+    const claim = database.prepare(`
+      UPDATE outbound_queue
+      SET status = 'sending', updated_at = ?
+      WHERE id = ? AND status = 'pending'
+    `);
+    return ids.filter((id) => claim.run(current, id).changes > 0).map((id) => getOutboundById(id));
+  })();
+}
+
+/**
+ * Cancel a pending outbound record before it is sent. The other pending
+ * parts of the same split message are cancelled with it, and scheduled
+ * audit rows are marked 'cancelled'.
+ * @param {number} id - outbound id
+ * @returns {number} cancelled records (0 when the record is not pending)
+ */
+export function cancelOutbound(id) {
+  const database = getDb();
+  return database.transaction(() => {
+    const row = database.prepare("SELECT id, group_id FROM outbound_queue WHERE id = ? AND status = 'pending'").get(id);
+    if (!row) return 0;
+    const where = row.group_id
+      ? { sql: "group_id = ? AND status = 'pending'", param: row.group_id }
+      : { sql: 'id = ?', param: row.id };
+    const conversationIds = database.prepare(`SELECT DISTINCT conversation_id FROM outbound_queue WHERE ${where.sql}`)
+      .all(where.param).map((r) => r.conversation_id).filter((cid) => cid !== null);
+    const cancelled = database.prepare(`
+      UPDATE outbound_queue
+      SET status = 'cancelled', content_ciphertext = NULL, next_attempt_at = NULL, updated_at = ?
+      WHERE ${where.sql}
+    `).run(nowSeconds(), where.param).changes;
+    // A broadcast's audit row stays scheduled while other targets are pending.
+    const markCancelled = database.prepare(`
+      UPDATE conversations SET status = 'cancelled'
+      WHERE id = ? AND status = 'scheduled'
+        AND NOT EXISTS (SELECT 1 FROM outbound_queue WHERE conversation_id = ? AND status = 'pending')
+    `);
+    for (const conversationId of conversationIds) {
+      markCancelled.run(conversationId, conversationId);
+    }
+    return cancelled;
+  })();
+}
+
+/**
+ * Return 'sending' records abandoned by a crashed sender to pending
+ * @param {number} cutoff - unix seconds; rows last updated before this are stale
+ * @returns {number} recovered rows
+ */
+export function recoverStaleOutbound(cutoff) {
+  const database = getDb();
+  const result = database.prepare(`
+    UPDATE outbound_queue
+    SET status = 'pending', updated_at = ?, last_error = COALESCE(last_error, 'SENDER_ABANDONED')
+    WHERE status = 'sending' AND updated_at < ?
+  `).run(nowSeconds(), cutoff);
+  return result.changes || 0;
+}
+
+// Conversations in these states need nothing more from the bridge.
+const RETENTION_FINAL_STATUSES = ['delivered', 'cancelled', 'discarded', 'rejected'];
+
+/**
+ * Finished conversations past their retention, oldest first. Only rows a
+ * checkpoint covers are eligible, so memory sync has seen them.
+ * @param {object} options
+ * @param {number} options.retentionDays - default for every channel; 0 keeps forever
+ * @param {object} [options.channelRetentionDays] - { channel: days } overrides; 0 keeps forever
+ * @param {number} [options.current] - unix seconds
+ * @param {number} [options.limit=1000]
+ * @returns {object[]} - full conversation rows
+ */
+export function getExpiredConversations({
+  retentionDays,
+  channelRetentionDays = {},
+  current = nowSeconds(),
+  limit = 1000
+}) {
+  const db = getDb();
+  const coveredUpTo = getLastCheckpoint()?.end_conversation_id;
+  if (!coveredUpTo) return [];
+
+  const overrides = Object.entries(channelRetentionDays);
+  const clauses = [];
+  const params = [];
+  if (retentionDays > 0) {
+    clauses.push(`(channel NOT IN (${overrides.map(() => '?').join(', ')}) AND timestamp < datetime(?, 'unixepoch'))`);
+    params.push(...overrides.map(([channel]) => channel), current - retentionDays * 86400);
+  }
+  for (const [channel, days] of overrides) {
+    if (days <= 0) continue;
+    clauses.push("(channel = ? AND timestamp < datetime(?, 'unixepoch'))");
+    params.push(channel, current - days * 86400);
+  }
+  if (clauses.length === 0) return [];
+
+  return db.prepare(`
+    SELECT * FROM conversations
+    WHERE id <= ?
+      AND status IN (${RETENTION_FINAL_STATUSES.map(() => '?').join(', ')})
+      AND (${clauses.join(' OR ')})
+    ORDER BY id ASC
+    LIMIT ?
+  `).all(coveredUpTo, ...RETENTION_FINAL_STATUSES, ...params, limit);
+}
+
+/**
+ * Delete conversations (and their FTS entries and kept originals)
+ * @param {number[]} ids
+ * @returns {number} - rows deleted
+ */
+export function deleteConversations(ids) {
+  const db = getDb();
+  const stmt = db.prepare('DELETE FROM conversations WHERE id = ?');
+  return db.transaction(() => ids.reduce((deleted, id) => deleted + stmt.run(id).changes, 0))();
+}
+
+/**
+ * Compact the database file: merge the FTS index, checkpoint the WAL and
+ * VACUUM. Blocks other writers while it runs.
+ * @returns {{before: number, after: number}} - bytes on disk (db + WAL)
+ */
+export function vacuumDatabase() {
+  const db = getDb();
+  const size = () => [DB_PATH, `${DB_PATH}-wal`].reduce((total, file) => {
+    try {
+      return total + fs.statSync(file).size;
+    } catch {
+      return total;
+    }
+  }, 0);
+  const before = size();
+  db.exec("INSERT INTO conversations_fts(conversations_fts) VALUES ('optimize')");
+  db.exec('VACUUM');
+  db.pragma('wal_checkpoint(TRUNCATE)');
+  return { before, after: size() };
+}
+
+/**
+ * Cleanup final outbound records older than cutoff
+ * @param {number} cutoff - unix seconds
+ * @returns {number} deleted rows
+ */
+export function cleanupOutboundQueue(cutoff) {
+  const database = getDb();
+  const result = database.prepare(`
+    DELETE FROM outbound_queue
+    WHERE status IN ('sent', 'failed', 'cancelled')
+      AND updated_at < ?
+  `).run(cutoff);
+  return result.changes || 0;
+}
+
+/**
+ * Set (or replace) the intake token hash for a channel
+ * @param {string} channel
+ * @param {string} tokenHash - sha256 hex of the token
+ * @returns {object} - stored record
+ */
+export function setIntakeToken(channel, tokenHash) {
+  const db = getDb();
+  const now = nowSeconds();
+  db.prepare(`
+    INSERT INTO intake_tokens (channel, token_hash, created_at, last_used_at)
+    VALUES (?, ?, ?, NULL)
+    ON CONFLICT(channel) DO UPDATE SET
+      token_hash = excluded.token_hash,
+      created_at = excluded.created_at,
+      last_used_at = NULL
+  `).run(channel, tokenHash, now);
+  return getIntakeToken(channel);
+}
+
+/**
+ * Get the intake token record for a channel
+ * @param {string} channel
+ * @returns {object|null}
+ */
+export function getIntakeToken(channel) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM intake_tokens WHERE channel = ?').get(channel) || null;
+}
+
+/**
+ * List intake token records (hashes omitted)
+ * @returns {array}
+ */
+export function listIntakeTokens() {
+  const db = getDb();
+  return db.prepare('SELECT channel, created_at, last_used_at FROM intake_tokens ORDER BY channel ASC').all();
+}
+
+/**
+ * Revoke a channel's intake token
+ * @param {string} channel
+ * @returns {boolean} - whether a token existed
+ */
+export function deleteIntakeToken(channel) {
+  const db = getDb();
+  return db.prepare('DELETE FROM intake_tokens WHERE channel = ?').run(channel).changes > 0;
+}
+
+/**
+ * Record a successful authentication with a channel's intake token
+ * @param {string} channel
+ */
+export function touchIntakeToken(channel) {
+  const db = getDb();
+  db.prepare('UPDATE intake_tokens SET last_used_at = ? WHERE channel = ?').run(nowSeconds(), channel);
+}
+
+function parseChannelRow(row) {
+  if (!row) return null;
+  return { ...row, capabilities: row.capabilities ? JSON.parse(row.capabilities) : null };
+}
+
+/**
+ * Register a running channel component, or refresh its registration. Also
+ * counts as a heartbeat and clears a previous stop.
+ * @param {string} channel
+ * @param {object} [info]
+ * @param {string|null} [info.version]
+ * @param {object|null} [info.capabilities]
+ * @param {number|null} [info.pid] - process to probe for liveness
+ * @returns {object} - channels row
+ */
+export function registerChannel(channel, { version = null, capabilities = null, pid = null } = {}) {
+  const db = getDb();
+  const current = nowSeconds();
+  db.prepare(`
+    INSERT INTO channels (channel, version, capabilities, pid, registered_at, last_seen_at, stopped_at)
+    VALUES (?, ?, ?, ?, ?, ?, NULL)
+    ON CONFLICT(channel) DO UPDATE SET
+      version = excluded.version,
+      capabilities = excluded.capabilities,
+      pid = excluded.pid,
+      registered_at = excluded.registered_at,
+      last_seen_at = excluded.last_seen_at,
+      stopped_at = NULL
+  `).run(channel, version, capabilities ? JSON.stringify(capabilities) : null, pid, current, current);
+  return getChannel(channel);
+}
+
+/**
+ * Record a channel heartbeat. An unknown channel is registered without
+ * version or capabilities.
+ * @param {string} channel
+ */
+export function heartbeatChannel(channel) {
+  const db = getDb();
+  const current = nowSeconds();
+  db.prepare(`
+    INSERT INTO channels (channel, registered_at, last_seen_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT(channel) DO UPDATE SET
+      registered_at = COALESCE(channels.registered_at, excluded.registered_at),
+      last_seen_at = excluded.last_seen_at,
+      stopped_at = NULL
+  `).run(channel, current, current);
+}
+
+/**
+ * Record that a channel shut down cleanly
+ * @returns {boolean} - whether the channel was registered
+ */
+export function stopChannel(channel) {
+  const db = getDb();
+  return db.prepare('UPDATE channels SET stopped_at = ?, pid = NULL WHERE channel = ?')
+    .run(nowSeconds(), channel).changes > 0;
+}
+
+/**
+ * Record the outcome of a delivery through a channel's send script
+ * @param {string} channel
+ * @param {string|null} error - null for a successful send
+ */
+export function recordChannelSend(channel, error = null) {
+  const db = getDb();
+  const current = nowSeconds();
+  if (error === null) {
+    db.prepare(`
+      INSERT INTO channels (channel, last_send_ok_at) VALUES (?, ?)
+      ON CONFLICT(channel) DO UPDATE SET last_send_ok_at = excluded.last_send_ok_at
+    `).run(channel, current);
+  } else {
+    db.prepare(`
+      INSERT INTO channels (channel, last_send_error, last_send_error_at) VALUES (?, ?, ?)
+      ON CONFLICT(channel) DO UPDATE SET
+        last_send_error = excluded.last_send_error,
+        last_send_error_at = excluded.last_send_error_at
+    `).run(channel, error, current);
+  }
+}
+
+/**
+ * Get a channel's registry row
+ * @returns {object|null} - with `capabilities` parsed
+ */
+export function getChannel(channel) {
+  const db = getDb();
+  return parseChannelRow(db.prepare('SELECT * FROM channels WHERE channel = ?').get(channel));
+}
+
+/**
+ * List the channel registry
+ * @returns {array}
+ */
+export function listChannels() {
+  const db = getDb();
+  return db.prepare('SELECT * FROM channels ORDER BY channel ASC').all().map(parseChannelRow);
+}
+
+const CONTACT_NAME_RE = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+
+/**
+ * Whether a string is a valid contact name (lowercase handle; also the
+ * memory/users/<name> directory)
+ */
+export function isValidContactName(name) {
+  return typeof name === 'string' && CONTACT_NAME_RE.test(name);
+}
+
+function contactNameSlug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[-._]+|-+$/g, '').slice(0, 48);
+}
+
+function uniqueContactName(database, base) {
+  const exists = database.prepare('SELECT 1 FROM contacts WHERE name = ?');
+  let candidate = base;
+  for (let n = 2; exists.get(candidate); n++) {
+    candidate = `${base}-${n}`;
+  }
+  return candidate;
+}
+
+/**
+ * Get a contact with its endpoints (most recently seen first)
+ * @param {string} name
+ * @returns {object|null} - contact record with `endpoints` array
+ */
+export function getContact(name) {
+  const db = getDb();
+  const contact = db.prepare('SELECT * FROM contacts WHERE name = ?').get(name);
+  if (!contact) return null;
+  contact.endpoints = db.prepare(`
+    SELECT channel, endpoint_id, last_seen_at, created_at FROM contact_endpoints
+    WHERE contact_id = ?
+    ORDER BY COALESCE(last_seen_at, created_at) DESC, id DESC
+  `).all(contact.id);
+  return contact;
+}
+
+/**
+ * List all contacts with their endpoints
+ * @returns {array}
+ */
+export function listContacts() {
+  const db = getDb();
+  return db.prepare('SELECT name FROM contacts ORDER BY name ASC').all().map((row) => getContact(row.name));
+}
+
+/**
+ * Find the contact that owns a channel endpoint
+ * @param {string} channel
+ * @param {string} endpointId - raw endpoint; per-message and thread parts are ignored
+ * @returns {object|null} - contact record (without endpoints)
+ */
+export function findContactByEndpoint(channel, endpointId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT c.* FROM contacts c
+    JOIN contact_endpoints e ON e.contact_id = c.id
+    WHERE e.channel = ? AND e.endpoint_id = ?
+  `).get(channel, contactEndpoint(endpointId)) || null;
+}
+
+/**
+ * Create a contact, or add an endpoint to an existing one. An endpoint can
+ * belong to only one contact.
+ * @param {string} name
+ * @param {object} [options]
+ * @param {string|null} [options.channel]
+ * @param {string|null} [options.endpointId]
+ * @param {string|null} [options.displayName]
+ * @param {string|null} [options.preferredChannel]
+ * @returns {object} - contact with endpoints
+ */
+export function addContact(name, { channel = null, endpointId = null, displayName = null, preferredChannel = null } = {}) {
+  if (!isValidContactName(name)) {
+    throw new Error(`invalid contact name: ${name} (use lowercase letters, digits, ".", "_", "-")`);
+  }
+  const db = getDb();
+  const current = nowSeconds();
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO contacts (name, display_name, preferred_channel, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        display_name = COALESCE(excluded.display_name, display_name),
+        preferred_channel = COALESCE(excluded.preferred_channel, preferred_channel),
+        updated_at = excluded.updated_at
+    `).run(name, displayName, preferredChannel, current, current);
+
+    if (channel && endpointId) {
+      const endpoint = contactEndpoint(endpointId);
+      const owner = findContactByEndpoint(channel, endpoint);
+      if (owner && owner.name !== name) {
+        throw new Error(`${channel}:${endpoint} already belongs to @${owner.name} (use merge)`);
+      }
+      if (!owner) {
+        const { id } = db.prepare('SELECT id FROM contacts WHERE name = ?').get(name);
+        db.prepare(`
+          INSERT INTO contact_endpoints (contact_id, channel, endpoint_id, last_seen_at, created_at)
+          VALUES (?, ?, ?, NULL, ?)
+        `).run(id, channel, endpoint, current);
+      }
+    }
+  })();
+  return getContact(name);
+}
+
+/**
+ * Record an inbound message's sender endpoint, creating a contact named
+ * after the endpoint the first time it is seen.
+ * @param {string} channel
+ * @param {string} endpointId
+ * @param {object} [options]
+ * @param {string|null} [options.displayName] - sender name hint for new contacts
+ * @param {number} [options.seenAt] - unix seconds of the message (default: now)
+ * @returns {object|null} - owning contact (without endpoints)
+ */
+export function recordContactEndpoint(channel, endpointId, { displayName = null, seenAt = nowSeconds() } = {}) {
+  if (!channel || !endpointId) return null;
+  const db = getDb();
+  const endpoint = contactEndpoint(endpointId);
+  const current = nowSeconds();
+  return db.transaction(() => {
+    const updated = db.prepare(`
+      UPDATE contact_endpoints SET last_seen_at = MAX(COALESCE(last_seen_at, 0), ?)
+      WHERE channel = ? AND endpoint_id = ?
+    `).run(seenAt, channel, endpoint);
+    if (updated.changes === 0) {
+      const name = uniqueContactName(db, contactNameSlug(`${channel}-${endpoint}`) || channel);
+      const contactId = db.prepare(`
+        INSERT INTO contacts (name, display_name, preferred_channel, created_at, updated_at)
+        VALUES (?, ?, NULL, ?, ?)
+      `).run(name, displayName, current, current).lastInsertRowid;
+      db.prepare(`
+        INSERT INTO contact_endpoints (contact_id, channel, endpoint_id, last_seen_at, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(contactId, channel, endpoint, seenAt, current);
+    }
+    return findContactByEndpoint(channel, endpoint);
+  })();
+}
+
+/**
+ * Backfill the directory from recorded inbound conversations (databases
+ * that predate contacts, or after contacts were removed).
+ * @param {function} [displayNameOf] - content -> sender name hint
+ * @returns {{endpoints: number, created: number}}
+ */
+export function importContactsFromConversations(displayNameOf = () => null) {
+  const db = getDb();
+  const before = db.prepare('SELECT COUNT(*) AS n FROM contacts').get().n;
+  const rows = db.prepare(`
+    SELECT channel, endpoint_id, content, CAST(strftime('%s', timestamp) AS INTEGER) AS seen_at
+    FROM conversations
+    WHERE direction = 'in' AND endpoint_id IS NOT NULL AND channel != 'system'
+    ORDER BY id ASC
+  `).all();
+  const seen = new Set();
+  db.transaction(() => {
+    for (const row of rows) {
+      recordContactEndpoint(row.channel, row.endpoint_id, {
+        displayName: displayNameOf(row.content),
+        seenAt: row.seen_at
+      });
+      seen.add(`${row.channel}\u0000${contactEndpoint(row.endpoint_id)}`);
+    }
+  })();
+  const after = db.prepare('SELECT COUNT(*) AS n FROM contacts').get().n;
+  return { endpoints: seen.size, created: after - before };
+}
+
+/**
+ * Rename a contact
+ * @returns {boolean} - whether the contact existed
+ */
+export function renameContact(name, newName) {
+  if (!isValidContactName(newName)) {
+    throw new Error(`invalid contact name: ${newName} (use lowercase letters, digits, ".", "_", "-")`);
+  }
+  const db = getDb();
+  return db.prepare('UPDATE contacts SET name = ?, updated_at = ? WHERE name = ?')
+    .run(newName, nowSeconds(), name).changes > 0;
+}
+
+/**
+ * Move all endpoints of one contact to another and delete the first
+ * @param {string} fromName - contact to merge away
+ * @param {string} intoName - contact that keeps the endpoints
+ * @returns {number} - endpoints moved
+ */
+export function mergeContacts(fromName, intoName) {
+  const db = getDb();
+  return db.transaction(() => {
+    const from = db.prepare('SELECT * FROM contacts WHERE name = ?').get(fromName);
+    const into = db.prepare('SELECT * FROM contacts WHERE name = ?').get(intoName);
+    if (!from) throw new Error(`contact @${fromName} not found`);
+    if (!into) throw new Error(`contact @${intoName} not found`);
+    if (from.id === into.id) throw new Error('cannot merge a contact into itself');
+
+    const moved = db.prepare('UPDATE contact_endpoints SET contact_id = ? WHERE contact_id = ?')
+      .run(into.id, from.id).changes;
+    db.prepare(`
+      UPDATE contacts
+      SET display_name = COALESCE(display_name, ?),
+          preferred_channel = COALESCE(preferred_channel, ?),
+          updated_at = ?
+      WHERE id = ?
+    `).run(from.display_name, from.preferred_channel, nowSeconds(), into.id);
+    db.prepare('DELETE FROM contacts WHERE id = ?').run(from.id);
+    return moved;
+  })();
+}
+
+/**
+ * Remove a contact, or only one of its endpoints
+ * @param {string} name
+ * @param {object} [options]
+ * @param {string|null} [options.channel]
+ * @param {string|null} [options.endpointId] - with channel: remove just this endpoint
+ * @returns {boolean} - whether anything was removed
+ */
+export function removeContact(name, { channel = null, endpointId = null } = {}) {
+  const db = getDb();
+  if (channel && endpointId) {
+    return db.prepare(`
+      DELETE FROM contact_endpoints
+      WHERE channel = ? AND endpoint_id = ?
+        AND contact_id = (SELECT id FROM contacts WHERE name = ?)
+    `).run(channel, contactEndpoint(endpointId), name).changes > 0;
+  }
+  return db.prepare('DELETE FROM contacts WHERE name = ?').run(name).changes > 0;
+}
+
+/**
+ * Set or clear (null) a contact's preferred channel
+ * @returns {boolean} - whether the contact existed
+ */
+export function setContactPreferredChannel(name, channel) {
+  const db = getDb();
+  return db.prepare('UPDATE contacts SET preferred_channel = ?, updated_at = ? WHERE name = ?')
+    .run(channel, nowSeconds(), name).changes > 0;
+}
+
+/**
+ * Pick the endpoint to reach a contact: the preferred channel's most
+ * recently seen endpoint if there is one, else the most recently seen
+ * endpoint on any channel.
+ * @param {string} name
+ * @returns {{channel: string, endpoint_id: string}|null}
+ */
+export function resolveContactEndpoint(name) {
+  const contact = getContact(name);
+  if (!contact || contact.endpoints.length === 0) return null;
+  const preferred = contact.preferred_channel
+    ? contact.endpoints.find((endpoint) => endpoint.channel === contact.preferred_channel)
+    : null;
+  const { channel, endpoint_id: endpointId } = preferred || contact.endpoints[0];
+  return { channel, endpoint_id: endpointId };
+}
+
+/**
+ * Set `contact_name` on conversation records whose endpoint belongs to a
+ * contact (for rendering `@name` in formatted output).
+ * @param {array} conversations
+ * @returns {array} - the same records
+ */
+export function attachContactNames(conversations) {
+  const db = getDb();
+  const lookup = db.prepare(`
+    SELECT c.name FROM contacts c
+    JOIN contact_endpoints e ON e.contact_id = c.id
+    WHERE e.channel = ? AND e.endpoint_id = ?
+  `);
+  const cache = new Map();
+  for (const conv of conversations || []) {
+    if (!conv.endpoint_id) continue;
+    const key = `${conv.channel}\u0000${contactEndpoint(conv.endpoint_id)}`;
+    if (!cache.has(key)) {
+      cache.set(key, lookup.get(conv.channel, contactEndpoint(conv.endpoint_id))?.name ?? null);
+    }
+    conv.contact_name = cache.get(key);
+  }
+  return conversations;
+}
+
+/**
+ * Create or replace a named broadcast audience
+ * @param {string} name
+ * @param {string[]} targets - `@contact`, `channel:endpoint` or `channel`
+ * @returns {{name: string, targets: string[]}}
+ */
+export function setAudience(name, targets) {
+  if (!isValidContactName(name)) {
+    throw new Error(`invalid audience name: ${name} (use lowercase letters, digits, ".", "_", "-")`);
+  }
+  const db = getDb();
+  const current = nowSeconds();
+  db.prepare(`
+    INSERT INTO audiences (name, targets, created_at, updated_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET targets = excluded.targets, updated_at = excluded.updated_at
+  `).run(name, JSON.stringify(targets), current, current);
+  return getAudience(name);
+}
+
+/**
+ * Get a broadcast audience
+ * @param {string} name
+ * @returns {{name: string, targets: string[]}|null}
+ */
+export function getAudience(name) {
+  const db = getDb();
+  const row = db.prepare('SELECT name, targets FROM audiences WHERE name = ?').get(name);
+  return row ? { name: row.name, targets: JSON.parse(row.targets) } : null;
+}
+
+/**
+ * List broadcast audiences
+ * @returns {array}
+ */
+export function listAudiences() {
+  const db = getDb();
+  return db.prepare('SELECT name, targets FROM audiences ORDER BY name ASC').all()
+    .map((row) => ({ name: row.name, targets: JSON.parse(row.targets) }));
+}
+
+/**
+ * Delete a broadcast audience
+ * @returns {boolean} - whether it existed
+ */
+export function removeAudience(name) {
+  const db = getDb();
+  return db.prepare('DELETE FROM audiences WHERE name = ?').run(name).changes > 0;
+}
+
+export const QUIET_HOURS_MODES = ['hold', 'digest'];
+
+const QUIET_HOURS_COLUMNS = `
+  q.id, c.name AS contact, q.channel, q.endpoint_id, q.start_minute, q.end_minute, q.timezone, q.mode,
+  q.created_at, q.updated_at
+`;
+
+function quietHoursKey(db, { contact = null, channel = null, endpointId = null }) {
+  if (contact) {
+    const row = db.prepare('SELECT id FROM contacts WHERE name = ?').get(contact);
+    if (!row) throw new Error(`contact @${contact} not found`);
+    return [row.id, null, null];
+  }
+  return [null, channel, contactEndpoint(endpointId)];
+}
+
+/**
+ * Set (or replace) the quiet-hours window of a contact or a chat-level
+ * endpoint. Throws when the contact does not exist.
+ * @param {{contact?: string, channel?: string, endpointId?: string}} target
+ * @param {object} window
+ * @param {number} window.startMinute - local minutes after midnight
+ * @param {number} window.endMinute - exclusive; below startMinute spans midnight
+ * @param {string|null} [window.timezone] - IANA zone; null = the scheduler's TZ
+ * @param {string} [window.mode='hold'] - one of QUIET_HOURS_MODES
+ */
+export function setQuietHours(target, { startMinute, endMinute, timezone = null, mode = 'hold' }) {
+  const db = getDb();
+  const current = nowSeconds();
+  db.transaction(() => {
+    const key = quietHoursKey(db, target);
+    db.prepare('DELETE FROM quiet_hours WHERE contact_id IS ? AND channel IS ? AND endpoint_id IS ?').run(...key);
+    db.prepare(`
+      INSERT INTO quiet_hours (
+        contact_id, channel, endpoint_id, start_minute, end_minute, timezone, mode, created_at, updated_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(...key, startMinute, endMinute, timezone, mode, current, current);
+  })();
+}
+
+/**
+ * Remove the quiet-hours window of a contact or endpoint
+ * @returns {boolean} - whether one existed
+ */
+export function removeQuietHours(target) {
+  const db = getDb();
+  const key = quietHoursKey(db, target);
+  return db.prepare('DELETE FROM quiet_hours WHERE contact_id IS ? AND channel IS ? AND endpoint_id IS ?')
+    .run(...key).changes > 0;
+}
+
+/**
+ * List quiet-hours windows, contacts first
+ * @returns {array} - rows with `contact` (name) or `channel`/`endpoint_id`
+ */
+export function listQuietHours() {
+  const db = getDb();
+  return db.prepare(`
+    SELECT ${QUIET_HOURS_COLUMNS} FROM quiet_hours q
+    LEFT JOIN contacts c ON c.id = q.contact_id
+    ORDER BY q.contact_id IS NULL, c.name, q.channel, q.endpoint_id
+  `).all();
+}
+
+/**
+ * Quiet-hours window that applies to a send: the endpoint's own, else the
+ * window of the contact that owns the endpoint
+ * @param {string} channel
+ * @param {string} endpointId - raw endpoint; per-message and thread parts are ignored
+ * @returns {object|null}
+ */
+export function getQuietHoursFor(channel, endpointId) {
+  if (!endpointId) return null;
+  const db = getDb();
+  const endpoint = contactEndpoint(endpointId);
+  return db.prepare(`
+    SELECT ${QUIET_HOURS_COLUMNS} FROM quiet_hours q
+    LEFT JOIN contacts c ON c.id = q.contact_id
+    WHERE q.channel = ? AND q.endpoint_id = ?
+  `).get(channel, endpoint) || db.prepare(`
+    SELECT ${QUIET_HOURS_COLUMNS} FROM quiet_hours q
+    JOIN contacts c ON c.id = q.contact_id
+    JOIN contact_endpoints e ON e.contact_id = q.contact_id
+    WHERE e.channel = ? AND e.endpoint_id = ?
+  `).get(channel, endpoint) || null;
+}
+
+/**
+ * When a chat-level endpoint last sent us a message
+ * @returns {number|null} - unix seconds
+ */
+export function getEndpointLastSeen(channel, endpointId) {
+  const db = getDb();
+  return db.prepare('SELECT last_seen_at FROM contact_endpoints WHERE channel = ? AND endpoint_id = ?')
+    .get(channel, contactEndpoint(endpointId))?.last_seen_at ?? null;
+}
+
+/**
+ * Take one token from every bucket, or from none. Buckets refill
+ * continuously at perMinute/60 per second up to capacity.
+ * @param {{key: string, capacity: number, perMinute: number}[]} buckets
+ * @param {object} [options]
+ * @param {boolean} [options.allowDebt=false] - take the tokens even when
+ *   short (the bucket goes negative) and report how long until it is repaid
+ * @param {number} [options.current] - unix seconds, fractional
+ * @returns {{allowed: boolean, limitedKey: string|null, deferSeconds: number}}
+ */
+export function consumeRateTokens(buckets, { allowDebt = false, current = Date.now() / 1000 } = {}) {
+  const database = getDb();
+  const select = database.prepare('SELECT tokens, updated_at FROM inbound_rate_limits WHERE bucket_key = ?');
+  const upsert = database.prepare(`
+    INSERT INTO inbound_rate_limits (bucket_key, tokens, updated_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT(bucket_key) DO UPDATE SET tokens = excluded.tokens, updated_at = excluded.updated_at
+  `);
+
+  // IMMEDIATE: concurrent c4-receive processes must not spend the same token.
+  return database.transaction(() => {
+    const levels = buckets.map((bucket) => {
+      const row = select.get(bucket.key);
+      const rate = bucket.perMinute / 60;
+      const tokens = row
+        ? Math.min(bucket.capacity, row.tokens + Math.max(0, current - row.updated_at) * rate)
+        : bucket.capacity;
+      return { ...bucket, rate, tokens };
+    });
+    const short = levels.find((level) => level.tokens < 1) || null;
+    const take = !short || allowDebt;
+    let deferSeconds = 0;
+    for (const level of levels) {
+      const tokens = take ? level.tokens - 1 : level.tokens;
+      if (tokens < 0) deferSeconds = Math.max(deferSeconds, Math.ceil(-tokens / level.rate));
+      upsert.run(level.key, tokens, current);
+    }
+    return { allowed: !short, limitedKey: short?.key ?? null, deferSeconds };
+  }).immediate();
+}
+
+/**
+ * Fold a rate-limited message into its chat's pending summary row,
+ * starting a new one when the previous summary was already delivered.
+ * @param {string} bucketKey - the chat's bucket
+ * @param {function(number): string} render - summary content for a count
+ * @param {object} record - channel, endpointId, priority of a new summary row
+ * @returns {{id: number, count: number}}
+ */
+export function recordSuppressedMessage(bucketKey, render, { channel, endpointId, priority = 3 }) {
+  const database = getDb();
+  return database.transaction(() => {
+    const bucket = database.prepare(`
+      SELECT suppressed_count, summary_id FROM inbound_rate_limits WHERE bucket_key = ?
+    `).get(bucketKey);
+    const summary = bucket?.summary_id
+      ? database.prepare("SELECT id FROM conversations WHERE id = ? AND status = 'pending'").get(bucket.summary_id)
+      : null;
+
+    let id;
+    let count;
+    if (summary) {
+      count = bucket.suppressed_count + 1;
+      id = summary.id;
+      database.prepare('UPDATE conversations SET content = ? WHERE id = ?').run(redactSecrets(render(count)).text, id);
+    } else {
+      count = 1;
+      id = Number(insertConversation('in', channel, endpointId, render(count), 'pending', priority, false, 'rate_limited').id);
+    }
+    database.prepare(`
+      INSERT INTO inbound_rate_limits (bucket_key, tokens, updated_at, suppressed_count, summary_id)
+      VALUES (?, 0, ?, ?, ?)
+      ON CONFLICT(bucket_key) DO UPDATE SET suppressed_count = excluded.suppressed_count, summary_id = excluded.summary_id
+    `).run(bucketKey, Date.now() / 1000, count, id);
+    return { id, count };
+  }).immediate();
+}
+
+/**
+ * Forget buckets not touched since cutoff (they would be full again)
+ * @param {number} cutoff - unix seconds
+ * @returns {number} - rows deleted
+ */
+export function cleanupRateLimits(cutoff) {
+  const database = getDb();
+  return database.prepare('DELETE FROM inbound_rate_limits WHERE updated_at < ?').run(cutoff).changes;
+}
+
+export const ACCESS_UNKNOWN_ACTIONS = ['accept', 'hold', 'reject'];
+
+/**
+ * Decide whether an inbound sender may reach the agent. The block list wins,
+ * then the allow list; anyone else gets the channel's unknown_action
+ * (default 'accept').
+ * @param {string} channel
+ * @param {string} endpointId - any form; matched at chat level
+ * @returns {{action: string, rule: string|null}} action: 'accept' | 'hold' | 'reject'
+ */
+export function getAccessDecision(channel, endpointId) {
+  const db = getDb();
+  const rule = db.prepare(`
+    SELECT rule FROM access_rules WHERE channel = ? AND endpoint_id = ?
+  `).get(channel, contactEndpoint(endpointId))?.rule ?? null;
+  if (rule === 'block') return { action: 'reject', rule };
+  if (rule === 'allow') return { action: 'accept', rule };
+  const policy = db.prepare('SELECT unknown_action FROM access_policies WHERE channel = ?').get(channel);
+  return { action: policy?.unknown_action ?? 'accept', rule: null };
+}
+
+/**
+ * Set what a channel does with senders on neither list
+ * @param {string} channel
+ * @param {string|null} unknownAction - ACCESS_UNKNOWN_ACTIONS, or null for the default (accept)
+ */
+export function setAccessPolicy(channel, unknownAction) {
+  const db = getDb();
+  if (unknownAction === null) {
+    db.prepare('DELETE FROM access_policies WHERE channel = ?').run(channel);
+    return;
+  }
+  if (!ACCESS_UNKNOWN_ACTIONS.includes(unknownAction)) {
+    throw new Error(`unknown-sender action must be one of: ${ACCESS_UNKNOWN_ACTIONS.join(', ')}`);
+  }
+  db.prepare(`
+    INSERT INTO access_policies (channel, unknown_action, updated_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT(channel) DO UPDATE SET unknown_action = excluded.unknown_action, updated_at = excluded.updated_at
+  `).run(channel, unknownAction, nowSeconds());
+}
+
+/**
+ * Channels with an explicit access policy
+ * @returns {object[]} - { channel, unknown_action, updated_at }
+ */
+export function getAccessPolicies() {
+  const db = getDb();
+  return db.prepare('SELECT channel, unknown_action, updated_at FROM access_policies ORDER BY channel').all();
+}
+
+/**
+ * Put a sender on the allow or block list (replacing any previous rule)
+ * @param {string} channel
+ * @param {string} endpointId - stored at chat level
+ * @param {string} rule - 'allow' | 'block'
+ */
+export function setAccessRule(channel, endpointId, rule) {
+  if (rule !== 'allow' && rule !== 'block') {
+    throw new Error(`invalid access rule: ${rule}`);
+  }
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO access_rules (channel, endpoint_id, rule, created_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(channel, endpoint_id) DO UPDATE SET rule = excluded.rule, created_at = excluded.created_at
+  `).run(channel, contactEndpoint(endpointId), rule, nowSeconds());
+}
+
+/**
+ * Remove a sender from the allow/block lists
+ * @returns {boolean} - false when there was no rule
+ */
+export function removeAccessRule(channel, endpointId) {
+  const db = getDb();
+  return db.prepare('DELETE FROM access_rules WHERE channel = ? AND endpoint_id = ?')
+    .run(channel, contactEndpoint(endpointId)).changes > 0;
+}
+
+/**
+ * Allow/block list entries
+ * @param {string|null} [channel] - only this channel
+ * @returns {object[]} - { channel, endpoint_id, rule, created_at }
+ */
+export function listAccessRules(channel = null) {
+  const db = getDb();
+  return channel
+    ? db.prepare('SELECT * FROM access_rules WHERE channel = ? ORDER BY endpoint_id').all(channel)
+    : db.prepare('SELECT * FROM access_rules ORDER BY channel, endpoint_id').all();
+}
+
+function getHeldConversations(channel = null) {
+  const db = getDb();
+  return channel
+    ? db.prepare("SELECT * FROM conversations WHERE direction = 'in' AND status = 'held' AND channel = ? ORDER BY id").all(channel)
+    : db.prepare("SELECT * FROM conversations WHERE direction = 'in' AND status = 'held' ORDER BY id").all();
+}
+
+/**
+ * Senders with messages waiting for approval, oldest first
+ * @returns {object[]} - { channel, endpoint_id, count, first_id, first_at, last_at, sample }
+ */
+export function getHeldSenders() {
+  const senders = new Map();
+  for (const row of getHeldConversations()) {
+    const endpoint = contactEndpoint(row.endpoint_id);
+    const key = `${row.channel}\u0000${endpoint}`;
+    const sender = senders.get(key);
+    if (sender) {
+      sender.count += 1;
+      sender.last_at = row.timestamp;
+    } else {
+      senders.set(key, {
+        channel: row.channel,
+        endpoint_id: endpoint,
+        count: 1,
+        first_id: row.id,
+        first_at: row.timestamp,
+        last_at: row.timestamp,
+        sample: row.content
+      });
+    }
+  }
+  return [...senders.values()];
+}
+
+function settleHeldSender(channel, endpointId, rule, status, deliveryAction) {
+  const db = getDb();
+  const endpoint = contactEndpoint(endpointId);
+  const update = db.prepare('UPDATE conversations SET status = ?, delivery_action = ? WHERE id = ?');
+  return db.transaction(() => {
+    setAccessRule(channel, endpoint, rule);
+    const rows = getHeldConversations(channel).filter((row) => contactEndpoint(row.endpoint_id) === endpoint);
+    for (const row of rows) update.run(status, deliveryAction, row.id);
+    return rows.length;
+  })();
+}
+
+/**
+ * Allow a sender and queue their held messages for delivery
+ * @returns {number} - held messages released
+ */
+export function approveSender(channel, endpointId) {
+  return settleHeldSender(channel, endpointId, 'allow', 'pending', 'approved');
+}
+
+/**
+ * Block a sender and reject their held messages
+ * @returns {number} - held messages rejected
+ */
+export function denySender(channel, endpointId) {
+  return settleHeldSender(channel, endpointId, 'block', 'rejected', 'rejected');
+}
+
+/**
+ * Create a checkpoint
+ * @param {number} endConversationId - last conversation id covered by this checkpoint (caller determines the boundary)
+ * @param {string|null} summary - checkpoint summary
+ * @returns {object} - checkpoint record with id, start/end conversation ids
+ */
+export function createCheckpoint(endConversationId, summary = null) {
+  const db = getDb();
+
+  // start = previous checkpoint's end + 1 (or 1 if first checkpoint)
   const prevCheckpoint = db.prepare(
     'SELECT end_conversation_id FROM checkpoints ORDER BY id DESC LIMIT 1'
   ).get();
@@ -711,6 +2914,184 @@ export function getRecentConversations(limit = 20) {
   ).all(limit);
 }
 
+const RELATIVE_TIME_UNITS = { m: 60, h: 3600, d: 86400, w: 604800 };
+// The trigram tokenizer cannot match terms shorter than three characters;
+// those fall back to a LIKE filter on the raw content.
+const MIN_FTS_TERM_CHARS = 3;
+const SNIPPET_CONTEXT_CHARS = 60;
+
+function formatSqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Parse a --since/--until bound into the UTC 'YYYY-MM-DD HH:MM:SS' form used
+ * by conversations.timestamp. Accepts relative ages ("30m", "24h", "7d",
+ * "2w"), dates ("2026-02-23") and ISO datetimes. A date-only upper bound
+ * covers the whole day.
+ * @param {string} value
+ * @param {object} [options]
+ * @param {boolean} [options.upper=false] - value is an upper bound
+ * @returns {{value: string, inclusive: boolean}}
+ */
+export function parseSearchTimeBound(value, { upper = false } = {}) {
+  const raw = String(value).trim();
+
+  const relative = raw.match(/^(\d+)\s*([mhdw])$/i);
+  if (relative) {
+    const seconds = Number(relative[1]) * RELATIVE_TIME_UNITS[relative[2].toLowerCase()];
+    return { value: formatSqlTimestamp(new Date(Date.now() - seconds * 1000)), inclusive: true };
+  }
+
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(raw);
+  // Bare "YYYY-MM-DD HH:MM:SS" (the stored format) is UTC, not local time.
+  const normalized = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(raw) ? `${raw.replace(' ', 'T')}Z` : raw;
+  const parsed = new Date(normalized);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new Error(`invalid time: ${value} (use e.g. 7d, 24h, 2026-02-23, or an ISO datetime)`);
+  }
+
+  if (upper && dateOnly) {
+    parsed.setUTCDate(parsed.getUTCDate() + 1);
+    return { value: formatSqlTimestamp(parsed), inclusive: false };
+  }
+  return { value: formatSqlTimestamp(parsed), inclusive: true };
+}
+
+function escapeLikePattern(term) {
+  return term.replace(/[\\%_]/g, (ch) => `\\${ch}`);
+}
+
+/**
+ * Append the channel/endpoint/direction/time filters shared by search and
+ * export to a WHERE list (conversations aliased as `c`).
+ */
+function addConversationFilters(where, params, { channel, endpoint, direction, since, until }) {
+  if (channel) {
+    where.push('c.channel = ?');
+    params.push(channel);
+  }
+  if (endpoint) {
+    where.push("(c.endpoint_id = ? OR c.endpoint_id LIKE ? ESCAPE '\\')");
+    params.push(endpoint, `${escapeLikePattern(endpoint)}|%`);
+  }
+  if (direction) {
+    where.push('c.direction = ?');
+    params.push(direction);
+  }
+  if (since) {
+    const bound = parseSearchTimeBound(since);
+    where.push('c.timestamp >= ?');
+    params.push(bound.value);
+  }
+  if (until) {
+    const bound = parseSearchTimeBound(until, { upper: true });
+    where.push(bound.inclusive ? 'c.timestamp <= ?' : 'c.timestamp < ?');
+    params.push(bound.value);
+  }
+}
+
+function buildFallbackSnippet(content, terms) {
+  const text = content || '';
+  const lower = text.toLowerCase();
+  let index = -1;
+  let matched = '';
+  for (const term of terms) {
+    index = lower.indexOf(term.toLowerCase());
+    if (index !== -1) {
+      matched = term;
+      break;
+    }
+  }
+  if (index === -1) {
+    return text.slice(0, SNIPPET_CONTEXT_CHARS * 2);
+  }
+
+  const start = Math.max(0, index - SNIPPET_CONTEXT_CHARS);
+  const end = Math.min(text.length, index + matched.length + SNIPPET_CONTEXT_CHARS);
+  return (start > 0 ? '…' : '')
+    + text.slice(start, index)
+    + '[' + text.slice(index, index + matched.length) + ']'
+    + text.slice(index + matched.length, end)
+    + (end < text.length ? '…' : '');
+}
+
+/**
+ * Full-text search over conversation content. Every whitespace-separated
+ * term must match (case-insensitive, substring). Results are ranked by
+ * bm25 relevance, newest first on ties.
+ * @param {string} query - search terms
+ * @param {object} [options]
+ * @param {string} [options.channel] - only this channel
+ * @param {string} [options.endpoint] - only this endpoint (exact, or the
+ *   base chat id of a structured endpoint like "chat|type:group")
+ * @param {string} [options.since] - lower time bound (see parseSearchTimeBound)
+ * @param {string} [options.until] - upper time bound
+ * @param {string} [options.direction] - 'in' or 'out'
+ * @param {number} [options.limit=20] - max results
+ * @returns {array} - matches: { id, timestamp, direction, channel, endpoint_id, status, snippet, rank }
+ */
+export function searchConversations(query, {
+  channel = null,
+  endpoint = null,
+  since = null,
+  until = null,
+  direction = null,
+  limit = 20
+} = {}) {
+  const terms = String(query ?? '').split(/\s+/).filter(Boolean);
+  if (terms.length === 0) {
+    throw new Error('search query is required');
+  }
+
+  const ftsTerms = terms.filter((term) => [...term].length >= MIN_FTS_TERM_CHARS);
+  const likeTerms = terms.filter((term) => [...term].length < MIN_FTS_TERM_CHARS);
+
+  const where = [];
+  const params = [];
+
+  if (ftsTerms.length > 0) {
+    // Quote every term so user input is never parsed as FTS5 query syntax.
+    where.push('conversations_fts MATCH ?');
+    params.push(ftsTerms.map((term) => `"${term.replace(/"/g, '""')}"`).join(' '));
+  }
+  for (const term of likeTerms) {
+    where.push("c.content LIKE ? ESCAPE '\\'");
+    params.push(`%${escapeLikePattern(term)}%`);
+  }
+  addConversationFilters(where, params, { channel, endpoint, direction, since, until });
+
+  const db = getDb();
+  const columns = 'c.id, c.timestamp, c.direction, c.channel, c.endpoint_id, c.status';
+  const whereSql = where.join(' AND ');
+
+  if (ftsTerms.length === 0) {
+    const rows = db.prepare(`
+      SELECT ${columns}, c.content
+      FROM conversations c
+      WHERE ${whereSql}
+      ORDER BY c.id DESC
+      LIMIT ?
+    `).all(...params, limit);
+    return rows.map(({ content, ...row }) => ({
+      ...row,
+      snippet: buildFallbackSnippet(content, likeTerms),
+      rank: null
+    }));
+  }
+
+  return db.prepare(`
+    SELECT ${columns},
+      snippet(conversations_fts, 0, '[', ']', '…', 64) AS snippet,
+      bm25(conversations_fts) AS rank
+    FROM conversations_fts
+    JOIN conversations c ON c.id = conversations_fts.rowid
+    WHERE ${whereSql}
+    ORDER BY rank ASC, c.id DESC
+    LIMIT ?
+  `).all(...params, limit);
+}
+
 /**
  * Get all checkpoints
  * @returns {array} - array of checkpoint records
@@ -720,8 +3101,70 @@ export function getCheckpoints() {
   return db.prepare('SELECT * FROM checkpoints ORDER BY timestamp DESC').all();
 }
 
+function conversationThreadKey(conv) {
+  return conv.thread_key || deriveThreadKey(conv.channel, conv.endpoint_id) || conv.channel;
+}
+
+/**
+ * Split a chronological batch into threads, ordered by each thread's latest
+ * message so the most recently active thread comes last. Returns null when
+ * the batch is a single thread and should stay a flat list.
+ */
+function groupConversationsByThread(conversations) {
+  const threads = new Map();
+  conversations.forEach((conv, index) => {
+    const key = conversationThreadKey(conv);
+    if (!threads.has(key)) {
+      threads.set(key, { key, conversations: [], lastIndex: index });
+    }
+    const thread = threads.get(key);
+    thread.conversations.push(conv);
+    thread.lastIndex = index;
+  });
+  if (threads.size < 2) return null;
+  return [...threads.values()].sort((a, b) => a.lastIndex - b.lastIndex);
+}
+
+function formatConversationHeader(conv) {
+  const dir = conv.direction === 'in' ? 'IN' : 'OUT';
+  // Scheduled sends are recorded when queued; mark those not delivered yet.
+  // Incoming messages stopped by the access policy never reached the agent.
+  const marked = conv.direction === 'out'
+    ? ['scheduled', 'cancelled']
+    : ['held', 'rejected'];
+  const pending = marked.includes(conv.status) ? ` [${conv.status}]` : '';
+  const endpoint = conv.endpoint_id ? `:${conv.endpoint_id}` : '';
+  const contact = conv.contact_name ? ` @${conv.contact_name}` : '';
+  const id = conv.id != null ? ` #${conv.id}` : '';
+  const replyTo = conv.reply_to_id != null ? ` (reply to #${conv.reply_to_id})` : '';
+  return `[${conv.timestamp}] ${dir}${pending} (${conv.channel}${endpoint}${contact})${id}${replyTo}:`;
+}
+
+function renderConversations(conversations, renderContent) {
+  const lines = [];
+  const renderOne = (conv) => {
+    lines.push(formatConversationHeader(conv));
+    lines.push(renderContent(conv));
+    lines.push('');
+  };
+
+  const threads = groupConversationsByThread(conversations);
+  if (!threads) {
+    conversations.forEach(renderOne);
+  } else {
+    for (const thread of threads) {
+      const count = thread.conversations.length;
+      lines.push(`=== Thread ${thread.key} (${count} message${count === 1 ? '' : 's'}) ===`);
+      thread.conversations.forEach(renderOne);
+    }
+  }
+
+  return lines.join('\n');
+}
+
 /**
- * Format conversation records into readable text
+ * Format conversation records into readable text. A batch spanning several
+ * threads is grouped into thread blocks (chronological within each block).
  * @param {array} conversations - array of conversation records
  * @returns {string} - formatted text
  */
@@ -730,22 +3173,14 @@ export function formatConversations(conversations) {
     return '';
   }
 
-  const lines = [];
-  for (const conv of conversations) {
-    const dir = conv.direction === 'in' ? 'IN' : 'OUT';
-    const endpoint = conv.endpoint_id ? `:${conv.endpoint_id}` : '';
-    lines.push(`[${conv.timestamp}] ${dir} (${conv.channel}${endpoint}):`);
-    lines.push(conv.content);
-    lines.push('');
-  }
-
-  return lines.join('\n');
+  return renderConversations(conversations, (conv) => conv.content);
 }
 
 /**
  * Format conversation records for agent-facing context. Unlike
  * formatConversations(), this adds reply routing only while each original
  * record is still available, never by post-processing the flattened output.
+ * Thread grouping is the same as formatConversations().
  * @param {array} conversations - array of conversation records
  * @param {object} [options]
  * @param {boolean} [options.spill=true] - when true, messages over the
@@ -760,24 +3195,141 @@ export function formatConversationsForAgent(conversations, { spill = true } = {}
     return '';
   }
 
-  const lines = [];
-  for (const conv of conversations) {
-    const dir = conv.direction === 'in' ? 'IN' : 'OUT';
-    const endpoint = conv.endpoint_id ? `:${conv.endpoint_id}` : '';
+  return renderConversations(conversations, (conv) => {
     const content = conv.content || '';
     const replyViaSuffix = (
       conv.direction === 'in' &&
       conv.endpoint_id &&
       !hasLegacyReplyViaSuffix(content)
     ) ? buildReplyViaSuffix(conv.channel, conv.endpoint_id) : '';
-    lines.push(`[${conv.timestamp}] ${dir} (${conv.channel}${endpoint}):`);
-    lines.push(spill
+    return spill
       ? truncateForDelivery(content, replyViaSuffix, conv.id)
-      : content + replyViaSuffix);
-    lines.push('');
-  }
+      : content + replyViaSuffix;
+  });
+}
 
-  return lines.join('\n');
+/**
+ * Conversations for export, in id order
+ * @param {object} [options] - channel, endpoint, since, until (as in searchConversations)
+ * @returns {object[]} - full rows
+ */
+export function getConversationsForExport({ channel = null, endpoint = null, since = null, until = null } = {}) {
+  const where = [];
+  const params = [];
+  addConversationFilters(where, params, { channel, endpoint, since, until });
+  return getDb().prepare(`
+    SELECT c.* FROM conversations c
+    ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY c.id ASC
+  `).all(...params);
+}
+
+/**
+ * Checkpoints whose range overlaps [beginId, endId]
+ * @returns {object[]}
+ */
+export function getCheckpointsOverlapping(beginId, endId) {
+  return getDb().prepare(`
+    SELECT id, timestamp, summary, start_conversation_id, end_conversation_id
+    FROM checkpoints
+    WHERE start_conversation_id <= ? AND end_conversation_id >= ?
+    ORDER BY id ASC
+  `).all(endId, beginId);
+}
+
+const IMPORT_FINAL_STATUSES = new Set(['delivered', 'failed', 'cancelled', 'discarded', 'rejected']);
+
+/**
+ * Import conversations exported from another instance (c4-export.js
+ * parseJsonl()). Rows get new ids; reply_to_id is remapped, external ids are
+ * dropped, and rows already imported from the same source are skipped.
+ * Messages that were still in flight become 'discarded' (or 'cancelled'
+ * for scheduled sends) so nothing is delivered again. Each source
+ * checkpoint becomes a local checkpoint ending at the last imported row it
+ * covered, which requires every local conversation to be checkpointed
+ * first (otherwise they would be marked summarized unread).
+ * @param {object} data
+ * @param {string} data.source
+ * @param {object[]} data.conversations
+ * @param {object[]} [data.checkpoints]
+ * @param {object} [options]
+ * @param {boolean} [options.skipCheckpoints=false] - import conversations only;
+ *   they are then unsummarized locally
+ * @returns {{imported: number, skipped: number, checkpoints: number}}
+ */
+export function importConversations({ source, conversations, checkpoints = [] }, { skipCheckpoints = false } = {}) {
+  if (!source) throw new Error('import source is required');
+  const database = getDb();
+  const sorted = [...conversations].sort((a, b) => a.id - b.id);
+
+  return database.transaction(() => {
+    const findImported = database.prepare('SELECT conversation_id FROM conversation_imports WHERE source = ? AND source_id = ?');
+    const hasNewRows = sorted.some((row) => !findImported.get(source, row.id));
+    if (hasNewRows && !skipCheckpoints && checkpoints.length > 0) {
+      const pending = getUnsummarizedRange().count;
+      if (pending > 0) {
+        throw new Error(`${pending} local conversation(s) are not checkpointed yet; run memory sync first or import with --skip-checkpoints`);
+      }
+    }
+
+    const insert = database.prepare(`
+      INSERT INTO conversations (
+        timestamp, direction, channel, endpoint_id, content, status, delivery_action, priority, require_idle,
+        retry_count, reply_to_id, thread_key, external_message_id, group_id, last_error, failed_at,
+        dead_letter_notified_at, delivered_at, event_type, target_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const remember = database.prepare('INSERT INTO conversation_imports (source, source_id, conversation_id) VALUES (?, ?, ?)');
+
+    const idMap = new Map();
+    const importedIds = [];
+    let skipped = 0;
+    const current = nowSeconds();
+    for (const row of sorted) {
+      const existing = findImported.get(source, row.id);
+      if (existing) {
+        idMap.set(row.id, existing.conversation_id);
+        skipped++;
+        continue;
+      }
+      let status = row.status || 'delivered';
+      if (!IMPORT_FINAL_STATUSES.has(status)) {
+        status = status === 'scheduled' ? 'cancelled' : 'discarded';
+      }
+      const result = insert.run(
+        row.timestamp ?? null, row.direction, row.channel, row.endpoint_id ?? null,
+        redactSecrets(String(row.content ?? '')).text, status, row.delivery_action ?? null, row.priority ?? 3,
+        row.require_idle ? 1 : 0, row.retry_count ?? 0, idMap.get(row.reply_to_id) ?? null,
+        row.thread_key ?? deriveThreadKey(row.channel, row.endpoint_id ?? null),
+        row.external_message_id ?? null, row.group_id ?? null, row.last_error ?? null, row.failed_at ?? null,
+        // Already reported by the source instance.
+        status === 'failed' ? current : null,
+        row.delivered_at ?? null, row.event_type ?? null, idMap.get(row.target_id) ?? null
+      );
+      const id = Number(result.lastInsertRowid);
+      idMap.set(row.id, id);
+      importedIds.push([row.id, id]);
+      remember.run(source, row.id, id);
+    }
+
+    let checkpointCount = 0;
+    if (!skipCheckpoints) {
+      const addCheckpoint = database.prepare(`
+        INSERT INTO checkpoints (timestamp, summary, start_conversation_id, end_conversation_id)
+        VALUES (COALESCE(?, CURRENT_TIMESTAMP), ?, ?, ?)
+      `);
+      for (const checkpoint of [...checkpoints].sort((a, b) => a.end_conversation_id - b.end_conversation_id)) {
+        const covered = importedIds.filter(([oldId]) => oldId <= checkpoint.end_conversation_id);
+        const endId = covered.length > 0 ? covered[covered.length - 1][1] : null;
+        const lastEnd = getLastCheckpoint()?.end_conversation_id || 0;
+        if (endId === null || endId <= lastEnd) continue;
+        addCheckpoint.run(checkpoint.timestamp ?? null, checkpoint.summary ?? null, lastEnd + 1, endId);
+        checkpointCount++;
+      }
+    }
+    return { imported: importedIds.length, skipped, checkpoints: checkpointCount };
+  }).immediate();
 }
 
 /**
@@ -845,6 +3397,207 @@ if (isMainModule) {
       console.log(JSON.stringify(cps, null, 2));
       break;
 
+    case 'search': {
+      // search <query...> [--channel c] [--endpoint e] [--since t] [--until t] [--direction in|out] [--limit n]
+      const valueFlags = ['--channel', '--endpoint', '--since', '--until', '--direction', '--limit'];
+      const searchOptions = {};
+      const queryTerms = [];
+      for (let i = 1; i < args.length; i++) {
+        if (valueFlags.includes(args[i])) {
+          const value = args[i + 1];
+          if (!value) {
+            console.error(`Missing value for ${args[i]}`);
+            process.exit(1);
+          }
+          searchOptions[args[i].slice(2)] = value;
+          i++;
+        } else {
+          queryTerms.push(args[i]);
+        }
+      }
+      if (queryTerms.length === 0) {
+        console.error('Usage: c4-db.js search <query> [--channel <c>] [--endpoint <e>] [--since <t>] [--until <t>] [--direction in|out] [--limit <n>]');
+        process.exit(1);
+      }
+      if (searchOptions.direction && !['in', 'out'].includes(searchOptions.direction)) {
+        console.error('--direction must be in or out');
+        process.exit(1);
+      }
+      if (searchOptions.limit !== undefined) {
+        searchOptions.limit = parseInt(searchOptions.limit);
+        if (!(searchOptions.limit > 0)) {
+          console.error('--limit must be a positive integer');
+          process.exit(1);
+        }
+      }
+      try {
+        const matches = searchConversations(queryTerms.join(' '), searchOptions);
+        console.log(JSON.stringify(matches, null, 2));
+      } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+      }
+      break;
+    }
+
+    case 'queue':
+      // queue: pending incoming messages in delivery order
+      console.log(JSON.stringify(getPendingQueue().map((row) => ({
+        id: row.id,
+        timestamp: row.timestamp,
+        channel: row.channel,
+        endpoint_id: row.endpoint_id,
+        priority: row.priority,
+        effective_priority: row.effective_priority,
+        wait_seconds: row.wait_seconds,
+        held: row.held,
+        retry_count: row.retry_count
+      })), null, 2));
+      break;
+
+    case 'failed': {
+      // failed [--since t]
+      const sinceIdx = args.indexOf('--since');
+      const since = sinceIdx === -1 ? null : args[sinceIdx + 1];
+      if (sinceIdx !== -1 && !since) {
+        console.error('Missing value for --since');
+        process.exit(1);
+      }
+      try {
+        console.log(JSON.stringify(getFailedConversations({ since }), null, 2));
+      } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+      }
+      break;
+    }
+
+    case 'requeue': {
+      // requeue <id> | requeue --all-failed
+      if (args[1] === '--all-failed') {
+        const count = requeueAllFailedConversations();
+        console.log(`Requeued ${count} failed message(s)`);
+        break;
+      }
+      const requeueId = parseInt(args[1]);
+      if (isNaN(requeueId)) {
+        console.error('Usage: c4-db.js requeue <id> | --all-failed');
+        process.exit(1);
+      }
+      if (!requeueFailedConversation(requeueId)) {
+        console.error(`Conversation ${requeueId} is not a failed incoming message`);
+        process.exit(1);
+      }
+      console.log(`Requeued conversation ${requeueId}`);
+      break;
+    }
+
+    case 'discard': {
+      // discard <id>
+      const discardId = parseInt(args[1]);
+      if (isNaN(discardId)) {
+        console.error('Usage: c4-db.js discard <id>');
+        process.exit(1);
+      }
+      if (!discardFailedConversation(discardId)) {
+        console.error(`Conversation ${discardId} is not a failed incoming message`);
+        process.exit(1);
+      }
+      console.log(`Discarded conversation ${discardId}`);
+      break;
+    }
+
+    case 'original': {
+      // original <id>
+      const originalId = parseInt(args[1]);
+      if (isNaN(originalId)) {
+        console.error('Usage: c4-db.js original <id>');
+        process.exit(1);
+      }
+      let original;
+      try {
+        original = getRedactedOriginal(originalId);
+      } catch (err) {
+        console.error(`Cannot decrypt the original of conversation ${originalId}: ${err.message}`);
+        process.exit(1);
+      }
+      if (original === null) {
+        console.error(`No encrypted original stored for conversation ${originalId}`);
+        process.exit(1);
+      }
+      console.log(original);
+      break;
+    }
+
+    case 'export': {
+      // export [--format jsonl|markdown|html] [--channel c] [--endpoint e] [--since t] [--until t] [--output file]
+      const valueFlags = ['--format', '--channel', '--endpoint', '--since', '--until', '--output'];
+      const exportOptions = { format: 'jsonl' };
+      for (let i = 1; i < args.length; i++) {
+        if (!valueFlags.includes(args[i]) || !args[i + 1]) {
+          console.error('Usage: c4-db.js export [--format jsonl|markdown|html] [--channel <c>] [--endpoint <e>] [--since <t>] [--until <t>] [--output <file>]');
+          process.exit(1);
+        }
+        exportOptions[args[i].slice(2)] = args[++i];
+      }
+      if (!EXPORT_FORMATS.includes(exportOptions.format)) {
+        console.error(`--format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+        process.exit(1);
+      }
+      let exportRows;
+      try {
+        exportRows = getConversationsForExport(exportOptions)
+          .map((row) => ({ ...row, attachments: collectAttachments(row) }));
+      } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+      }
+      let output;
+      if (exportOptions.format === 'jsonl') {
+        const checkpoints = exportRows.length > 0
+          ? getCheckpointsOverlapping(exportRows[0].id, exportRows[exportRows.length - 1].id)
+          : [];
+        output = toJsonl({ source: `${os.hostname()}:${DATA_DIR}`, conversations: exportRows, checkpoints });
+      } else {
+        output = exportOptions.format === 'html' ? toHtml(exportRows) : toMarkdown(exportRows);
+      }
+      if (exportOptions.output) {
+        fs.writeFileSync(exportOptions.output, output);
+        console.error(`Exported ${exportRows.length} conversation(s) to ${exportOptions.output}`);
+      } else {
+        process.stdout.write(output);
+      }
+      break;
+    }
+
+    case 'import': {
+      // import <file|-> [--source <name>] [--skip-checkpoints]
+      const importFile = args[1];
+      if (!importFile) {
+        console.error('Usage: c4-db.js import <file|-> [--source <name>] [--skip-checkpoints]');
+        process.exit(1);
+      }
+      const sourceIdx = args.indexOf('--source');
+      let summary;
+      try {
+        const data = parseJsonl(fs.readFileSync(importFile === '-' ? 0 : importFile, 'utf8'));
+        if (sourceIdx !== -1) data.source = args[sourceIdx + 1];
+        summary = importConversations(data, { skipCheckpoints: args.includes('--skip-checkpoints') });
+      } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+      }
+      console.log(JSON.stringify(summary));
+      break;
+    }
+
+    case 'vacuum': {
+      const { before, after } = vacuumDatabase();
+      const mb = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+      console.log(`Vacuumed ${DB_PATH}: ${mb(before)} MB -> ${mb(after)} MB`);
+      break;
+    }
+
     default:
       console.log(`C4 Database CLI
 
@@ -857,6 +3610,18 @@ Commands:
   unsummarized                          Show unsummarized conversation range and count
   recent [limit]                        Get recent conversations
   checkpoints                           List all checkpoints
+  search <query> [--channel <c>] [--endpoint <e>] [--since <t>] [--until <t>] [--direction in|out] [--limit <n>]
+                                        Full-text search, ranked, with snippets
+  queue                                 Pending incoming messages in delivery order, with wait times
+  failed [--since <t>]                  List incoming messages that exhausted delivery retries
+  requeue <id> | --all-failed           Put failed messages back in the delivery queue
+  discard <id>                          Give up on a failed message
+  original <id>                         Show the unredacted original of a redacted message (if kept)
+  vacuum                                Compact the database file (run after pruning; blocks writers)
+  export [--format jsonl|markdown|html] [--channel <c>] [--endpoint <e>] [--since <t>] [--until <t>] [--output <file>]
+                                        Export conversations (JSONL includes covering checkpoints)
+  import <file|-> [--source <name>] [--skip-checkpoints]
+                                        Import a JSONL export from another instance (new ids)
 `);
   }
 
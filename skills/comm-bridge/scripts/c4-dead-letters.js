@@ -0,0 +1,105 @@
+/**
+ * C4 Communication Bridge - Dead-Letter Digest
+ *
+ * An incoming message the dispatcher could not paste into the agent's
+ * session after MAX_RETRIES is marked failed: a dead letter. The dispatcher
+ * periodically summarizes new dead letters for the owner so they do not go
+ * unnoticed; `c4-db.js failed|requeue|discard` inspects and replays them.
+ *
+ * The digest goes to DEAD_LETTER_DIGEST_TARGET through the outbox (so a
+ * failing channel is retried like any other send). With no target it is
+ * queued as a control message asking the agent to forward it.
+ */
+
+import {
+  getFailedConversations,
+  getUnnotifiedDeadLetters,
+  insertControl,
+  insertConversation,
+  insertOutbound,
+  markDeadLettersNotified,
+  resolveContactEndpoint
+} from './c4-db.js';
+import { CONTENT_PREVIEW_CHARS, DEAD_LETTER_DIGEST_TARGET } from './c4-config.js';
+
+const DIGEST_MAX_ITEMS = 10;
+
+function preview(content) {
+  const flat = String(content).replace(/\s+/g, ' ').trim();
+  return flat.length > CONTENT_PREVIEW_CHARS ? `${flat.slice(0, CONTENT_PREVIEW_CHARS)}…` : flat;
+}
+
+/**
+ * Digest text for newly failed messages.
+ * @param {object[]} rows - new dead letters (getUnnotifiedDeadLetters())
+ * @param {number} totalFailed - all dead letters still outstanding
+ * @returns {string}
+ */
+export function buildDeadLetterDigest(rows, totalFailed = rows.length) {
+  const lines = [
+    `[C4] ${rows.length} incoming message(s) could not be delivered to the agent`
+      + (totalFailed > rows.length ? ` (${totalFailed} dead letters in total):` : ':')
+  ];
+  for (const row of rows.slice(0, DIGEST_MAX_ITEMS)) {
+    const source = row.endpoint_id ? `${row.channel}:${row.endpoint_id}` : row.channel;
+    lines.push(`#${row.id} ${source} ${row.timestamp} (${row.last_error || 'unknown error'}): ${preview(row.content)}`);
+  }
+  if (rows.length > DIGEST_MAX_ITEMS) {
+    lines.push(`…and ${rows.length - DIGEST_MAX_ITEMS} more`);
+  }
+  lines.push('Inspect with `c4-db.js failed`; replay with `c4-db.js requeue <id|--all-failed>` or drop with `c4-db.js discard <id>`.');
+  return lines.join('\n');
+}
+
+/**
+ * Resolve a digest target (`@contact`, `channel:endpoint` or `channel`).
+ * @returns {{channel: string, endpoint: string|null}|null}
+ */
+export function resolveDigestTarget(target) {
+  if (!target) return null;
+  if (target.startsWith('@')) {
+    const resolved = resolveContactEndpoint(target.slice(1));
+    return resolved ? { channel: resolved.channel, endpoint: resolved.endpoint_id } : null;
+  }
+  const colon = target.indexOf(':');
+  return colon === -1
+    ? { channel: target, endpoint: null }
+    : { channel: target.slice(0, colon), endpoint: target.slice(colon + 1) };
+}
+
+/**
+ * Queue a digest of dead letters not reported yet.
+ * @param {object} [options]
+ * @param {string|null} [options.target] - digest target, see resolveDigestTarget()
+ * @param {function} [options.log]
+ * @returns {{count: number, via: string}|null} - null when there was nothing new
+ */
+export function queueDeadLetterDigest({ target = DEAD_LETTER_DIGEST_TARGET, log = () => {} } = {}) {
+  const rows = getUnnotifiedDeadLetters();
+  if (rows.length === 0) return null;
+
+  const content = buildDeadLetterDigest(rows, getFailedConversations().length);
+  const resolved = resolveDigestTarget(target);
+  let via;
+  if (resolved) {
+    const conversation = insertConversation('out', resolved.channel, resolved.endpoint, content);
+    insertOutbound({
+      conversationId: Number(conversation.id),
+      channel: resolved.channel,
+      endpointId: resolved.endpoint,
+      content
+    });
+    via = resolved.endpoint ? `${resolved.channel}:${resolved.endpoint}` : resolved.channel;
+  } else {
+    if (target) {
+      log(`Dead-letter digest target ${target} did not resolve; asking the agent to forward it`);
+    }
+    insertControl(
+      `Dead-letter digest from comm-bridge. Please forward this to the owner via their preferred DM channel:\n\n${content}`,
+      { priority: 1, appendAckSuffix: false }
+    );
+    via = 'control';
+  }
+  markDeadLettersNotified(rows.map((row) => row.id));
+  return { count: rows.length, via };
+}
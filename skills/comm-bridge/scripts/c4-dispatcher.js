@@ -11,9 +11,11 @@ import path from 'path';
 import { logDeliveryFailure, saveTmuxCapture } from './c4-diagnostic.js';
 import {
   getNextPending,
+  getPendingBurst,
   claimConversation,
   requeueConversation,
   markDelivered,
+  markBurstDelivered,
   getPendingCount,
   getPendingControlCount,
   close,
@@ -25,8 +27,17 @@ import {
   retryOrFailControl,
   ackControl,
   expireTimedOutControls,
-  cleanupControlQueue
+  cleanupControlQueue,
+  cleanupOutboundQueue,
+  cleanupRateLimits,
+  expireExternalIds,
+  getPendingOutboundCount
 } from './c4-db.js';
+import { drainOutbound } from './c4-outbox.js';
+import { queueDeadLetterDigest } from './c4-dead-letters.js';
+import { runRetention } from './c4-retention.js';
+import { startIntakeServer } from './c4-intake.js';
+import { incCounter, observeHistogram, startMetricsServer, writeMetricsTextfile } from './c4-metrics.js';
 import {
   POLL_INTERVAL_BASE,
   POLL_INTERVAL_MAX,
@@ -38,6 +49,11 @@ import {
   CONTROL_MAX_RETRIES,
   CONTROL_RETENTION_DAYS,
   CONTROL_CLEANUP_INTERVAL_MS,
+  OUTBOUND_RETENTION_DAYS,
+  INBOUND_DEDUP_RETENTION_HOURS,
+  DEAD_LETTER_DIGEST_HOURS,
+  METRICS_TEXTFILE,
+  METRICS_TEXTFILE_INTERVAL_MS,
   ENTER_VERIFY_MAX_RETRIES,
   ENTER_VERIFY_WAIT_MS,
   REQUIRE_IDLE_MIN_SECONDS,
@@ -63,6 +79,9 @@ let isShuttingDown = false;
 let pollInterval = POLL_INTERVAL_BASE;
 let tmuxMissingChecks = 0;
 let lastControlCleanupMs = 0;
+let lastDeadLetterDigestMs = 0;
+let lastMetricsWriteMs = 0;
+let outboundDrain = null;
 
 const AM_SOCKET_PATH = path.join(ACTIVITY_MONITOR_DIR, 'am.sock');
 const NOTIFY_DELIVERED_TIMEOUT_MS = 5000;
@@ -414,6 +433,7 @@ async function submitAndVerify() {
 
     // state === 'has_content' — message wasn't submitted, retry Enter
     log(`Enter verify attempt ${attempt + 1}: input has content, retrying Enter`);
+    incCounter('c4_enter_verify_retries_total');
     execFileSync('tmux', ['send-keys', '-t', TMUX_SESSION, 'Enter'], { stdio: 'pipe', timeout: 5000 });
   }
 
@@ -498,50 +518,75 @@ function releaseItem(item, reason = null) {
     requeueControl(item.id, reason);
     return;
   }
-  requeueConversation(item.id);
+  for (const msg of item.burst || [item]) {
+    requeueConversation(msg.id);
+  }
 }
 
 function hasAckSuffix(content = '') {
   return content.includes('---- ack via:');
 }
 
+/**
+ * One delivery block for a coalesced burst: each message on its own line
+ * with its arrival time. Replies go to the newest message's endpoint.
+ */
+export function formatBurstContent(burst) {
+  return [
+    `[C4] ${burst.length} messages in a row:`,
+    ...burst.map((msg) => `[${msg.timestamp}] ${msg.content || ''}`)
+  ].join('\n');
+}
+
 export function getDeliveryContent(item) {
-  const rawContent = item.content || '';
   if (item.type === 'conversation') {
+    const burst = item.burst || [item];
+    const last = burst[burst.length - 1];
+    const rawContent = burst.length > 1 ? formatBurstContent(burst) : (item.content || '');
     const replyViaSuffix = (
-      item.endpoint_id &&
-      !hasLegacyReplyViaSuffix(rawContent)
-    ) ? buildReplyViaSuffix(item.channel, item.endpoint_id) : '';
+      last.endpoint_id &&
+      !hasLegacyReplyViaSuffix(last.content || '')
+    ) ? buildReplyViaSuffix(last.channel, last.endpoint_id) : '';
     return truncateForDelivery(rawContent, replyViaSuffix, item.id);
   }
 
+  const rawContent = item.content || '';
+
   const isSlashCommand = rawContent.startsWith('/');
   return (item.type === 'control' && !isSlashCommand) ? `Meanwhile, ${rawContent}` : rawContent;
 }
 
-async function handleConversationDeliveryFailure(msg) {
+async function handleConversationDeliveryFailure(item, reason) {
   const channelHealthy = isAgentStatusFresh();
 
   if (channelHealthy) {
-    const currentCount = msg.retry_count || 0;
-    const nextCount = currentCount + 1;
-    incrementRetryCount(msg.id);
-
-    if (nextCount >= MAX_RETRIES) {
-      markFailed(msg.id);
-      log(`FAILED: conversation id=${msg.id} channel=${msg.channel} marked as failed after ${nextCount} retries`);
-      logDeliveryFailure('conversation', msg.id, 'MAX_RETRIES', { channel: msg.channel, retries: nextCount });
-      return;
-    }
+    // A coalesced burst shares one delivery attempt, so every message in it
+    // spends a retry.
+    let backoff = 0;
+    for (const msg of item.burst || [item]) {
+      const currentCount = msg.retry_count || 0;
+      const nextCount = currentCount + 1;
+      incrementRetryCount(msg.id, reason);
+
+      if (nextCount >= MAX_RETRIES) {
+        markFailed(msg.id, reason);
+        incCounter('c4_delivery_failures_total', { type: 'conversation' });
+        log(`FAILED: conversation id=${msg.id} channel=${msg.channel} marked as failed after ${nextCount} retries`);
+        logDeliveryFailure('conversation', msg.id, 'MAX_RETRIES', { channel: msg.channel, retries: nextCount, last_error: reason });
+        continue;
+      }
 
-    requeueConversation(msg.id);
-    const backoff = RETRY_BASE_MS * 2 ** (nextCount - 1);
-    log(`Retry ${nextCount} for conversation id=${msg.id} after ${backoff}ms`);
-    await sleep(backoff);
+      requeueConversation(msg.id);
+      incCounter('c4_delivery_retries_total', { type: 'conversation' });
+      const msgBackoff = RETRY_BASE_MS * 2 ** (nextCount - 1);
+      backoff = Math.max(backoff, msgBackoff);
+      log(`Retry ${nextCount} for conversation id=${msg.id} after ${msgBackoff}ms`);
+    }
+    if (backoff > 0) await sleep(backoff);
     return;
   }
 
-  requeueConversation(msg.id);
+  releaseItem(item);
   log(`Channel unhealthy; backing off for ${RETRY_BASE_MS}ms`);
   await sleep(RETRY_BASE_MS);
 }
@@ -551,11 +596,13 @@ async function handleControlDeliveryFailure(control, reason) {
   if (!transition) return;
 
   if (transition.status === 'failed') {
+    incCounter('c4_delivery_failures_total', { type: 'control' });
     log(`FAILED: control id=${control.id} marked as failed after ${transition.retry_count} retries (${reason})`);
     logDeliveryFailure('control', control.id, reason, { retries: transition.retry_count });
     return;
   }
 
+  incCounter('c4_delivery_retries_total', { type: 'control' });
   log(`Retry ${transition.retry_count} for control id=${control.id}`);
 }
 
@@ -592,7 +639,8 @@ function claimNextItem() {
   const control = getNextPendingControl(current);
   if (control) {
     if (claimControl(control.id)) {
-      return { ...control, type: 'control' };
+      const waitSeconds = Math.max(0, current - (control.available_at ?? control.created_at));
+      return { ...control, type: 'control', wait_seconds: waitSeconds };
     }
 
     // Keep strict control priority: if a control row was observed but claim lost,
@@ -602,7 +650,8 @@ function claimNextItem() {
 
   const msg = getNextPending();
   if (msg && claimConversation(msg.id)) {
-    return { ...msg, type: 'conversation' };
+    const burst = getPendingBurst(msg).filter((row) => row === msg || claimConversation(row.id));
+    return { ...msg, type: 'conversation', burst };
   }
 
   return null;
@@ -619,11 +668,102 @@ function maybeCleanupControlQueue() {
   if (deleted > 0) {
     log(`Control cleanup deleted ${deleted} final record(s)`);
   }
+  const outboundCutoff = nowSeconds() - (OUTBOUND_RETENTION_DAYS * 24 * 60 * 60);
+  const outboundDeleted = cleanupOutboundQueue(outboundCutoff);
+  if (outboundDeleted > 0) {
+    log(`Outbound cleanup deleted ${outboundDeleted} final record(s)`);
+  }
+  if (INBOUND_DEDUP_RETENTION_HOURS > 0) {
+    const released = expireExternalIds(INBOUND_DEDUP_RETENTION_HOURS * 3600);
+    if (released > 0) {
+      log(`Inbound dedup cleanup released ${released} external id(s)`);
+    }
+  }
+  // A bucket idle this long has refilled; dropping it changes nothing.
+  cleanupRateLimits(nowSeconds() - 24 * 60 * 60);
+  try {
+    const { pruned, months, spills } = runRetention();
+    if (pruned > 0 || spills.length > 0) {
+      log(`Retention archived ${pruned} conversation(s) (${months.join(', ') || 'none'}), removed ${spills.length} spill dir(s)`);
+    }
+  } catch (err) {
+    log(`Retention failed: ${err.message}`);
+  }
   lastControlCleanupMs = nowMs;
 }
 
+/**
+ * Tell the owner about new dead letters, at most once per
+ * DEAD_LETTER_DIGEST_HOURS.
+ */
+function maybeSendDeadLetterDigest() {
+  if (DEAD_LETTER_DIGEST_HOURS === 0) return;
+  const nowMs = Date.now();
+  if (lastDeadLetterDigestMs !== 0 && (nowMs - lastDeadLetterDigestMs) < DEAD_LETTER_DIGEST_HOURS * 3600 * 1000) {
+    return;
+  }
+
+  const digest = queueDeadLetterDigest({ log });
+  if (digest) {
+    log(`Dead-letter digest queued via ${digest.via} (${digest.count} message(s))`);
+    lastDeadLetterDigestMs = nowMs;
+  }
+}
+
+/**
+ * Rewrite the metrics textfile, at most once per METRICS_TEXTFILE_INTERVAL_MS.
+ */
+function maybeWriteMetricsTextfile() {
+  if (!METRICS_TEXTFILE) return;
+  const nowMs = Date.now();
+  if (nowMs - lastMetricsWriteMs < METRICS_TEXTFILE_INTERVAL_MS) return;
+  lastMetricsWriteMs = nowMs;
+  try {
+    writeMetricsTextfile(METRICS_TEXTFILE);
+  } catch (err) {
+    log(`Warning: failed to write metrics textfile: ${err.message}`);
+  }
+}
+
+/**
+ * Delivery counters and queue-to-delivery latency for a submitted item.
+ */
+function recordDelivered(item) {
+  if (item.type === 'control') {
+    incCounter('c4_deliveries_total', { type: 'control' });
+    observeHistogram('c4_delivery_latency_seconds', item.wait_seconds ?? 0, { type: 'control' });
+    return;
+  }
+  const current = nowSeconds();
+  for (const msg of item.burst || [item]) {
+    incCounter('c4_deliveries_total', { type: 'conversation' });
+    // Burst rows after the first carry only their arrival timestamp.
+    const waited = msg.wait_seconds ?? Math.max(0, current - Date.parse(`${msg.timestamp.replace(' ', 'T')}Z`) / 1000);
+    observeHistogram('c4_delivery_latency_seconds', waited, { type: 'conversation' });
+  }
+}
+
+/**
+ * Retry queued outbound channel sends in the background. Channel send
+ * scripts can take seconds, so the drain must never block tmux delivery;
+ * at most one drain runs at a time.
+ */
+function maybeDrainOutbound() {
+  if (outboundDrain) return;
+  outboundDrain = drainOutbound({ log })
+    .catch((err) => {
+      log(`Outbound drain error: ${err.stack}`);
+    })
+    .finally(() => {
+      outboundDrain = null;
+    });
+}
+
 async function processNextMessage() {
   maybeCleanupControlQueue();
+  maybeSendDeadLetterDigest();
+  maybeDrainOutbound();
+  maybeWriteMetricsTextfile();
   const timedOut = expireTimedOutControls();
   if (timedOut > 0) {
     log(`Control timeout sweep marked ${timedOut} record(s) as timeout`);
@@ -694,6 +834,7 @@ async function processNextMessage() {
     try {
       execFileSync('tmux', ['send-keys', '-t', TMUX_SESSION, key], { stdio: 'pipe', timeout: 5000 });
       ackControl(item.id);
+      recordDelivered(item);
       log(`Keystroke delivered: key=${key} (control id=${item.id})`);
       return { delivered: true, state: agentState.state };
     } catch (err) {
@@ -703,7 +844,11 @@ async function processNextMessage() {
     }
   }
 
-  log(`Delivering ${item.type} id=${item.id}${item.type === 'control' ? ` priority=${item.priority}` : ` from ${item.channel}`}`);
+  const detail = item.type === 'control'
+    ? `priority=${item.priority}`
+    : `from ${item.channel} priority=${item.priority ?? 3} effective=${item.effective_priority}`
+      + (item.burst.length > 1 ? ` burst=${item.burst.length}` : '');
+  log(`Delivering ${item.type} id=${item.id} ${detail} wait=${item.wait_seconds}s`);
   const deliveryContent = getDeliveryContent(item);
   const result = await sendToTmux(deliveryContent, {
     strictVerify: item.type === 'conversation',
@@ -711,9 +856,15 @@ async function processNextMessage() {
   });
 
   if (result === 'submitted') {
+    recordDelivered(item);
     if (item.type === 'conversation') {
-      markDelivered(item.id);
-      log(`Conversation id=${item.id} delivered`);
+      if (item.burst.length > 1) {
+        markBurstDelivered(item.burst.map((msg) => msg.id));
+        log(`Conversations id=${item.burst.map((msg) => msg.id).join(',')} delivered as one block`);
+      } else {
+        markDelivered(item.id);
+        log(`Conversation id=${item.id} delivered`);
+      }
       notifyMessageDelivered({ conversationId: item.id, channel: item.channel }).catch((err) => {
         log(`Warning: failed to notify AM of message delivery: ${err.message}`);
       });
@@ -727,18 +878,20 @@ async function processNextMessage() {
     }
 
     if (item.require_idle === 1) {
+      const waitStartedMs = Date.now();
       await waitForRequireIdleSettlement(item.id);
+      observeHistogram('c4_require_idle_wait_seconds', (Date.now() - waitStartedMs) / 1000);
     }
     return { delivered: true, state: agentState.state };
   }
 
   const reason = result === 'verify_failed' ? 'VERIFY_FAILED' : 'TMUX_PASTE_FAILED';
   log(`Failed to deliver ${item.type} id=${item.id} to tmux (${reason})`);
-  logDeliveryFailure(item.type, item.id, reason);
+  logDeliveryFailure(item.type, item.id, reason, { wait: `${item.wait_seconds}s` });
   if (item.type === 'control') {
     await handleControlDeliveryFailure(item, reason);
   } else {
-    await handleConversationDeliveryFailure(item);
+    await handleConversationDeliveryFailure(item, reason);
   }
   return { delivered: false, state: agentState.state };
 }
@@ -790,8 +943,36 @@ async function main() {
   if (pendingConversation > 0) {
     log(`Found ${pendingConversation} pending conversation message(s)`);
   }
+  const pendingOutbound = getPendingOutboundCount();
+  if (pendingOutbound > 0) {
+    log(`Found ${pendingOutbound} outbound message(s) awaiting retry`);
+  }
+
+  // The intake API is optional plumbing: channels can always fall back to
+  // c4-receive.js, so a bind failure must not stop delivery.
+  let intakeServer = null;
+  try {
+    intakeServer = await startIntakeServer({ log });
+  } catch (err) {
+    log(`Warning: intake API not started: ${err.message}`);
+  }
+  let metricsServer = null;
+  try {
+    metricsServer = await startMetricsServer({ log });
+  } catch (err) {
+    log(`Warning: metrics endpoint not started: ${err.message}`);
+  }
 
   await dispatcherLoop();
+  if (outboundDrain) {
+    await outboundDrain;
+  }
+  if (intakeServer) {
+    await intakeServer.close();
+  }
+  if (metricsServer) {
+    await metricsServer.close();
+  }
   close();
   process.exit(0);
 }
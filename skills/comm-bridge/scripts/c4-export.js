@@ -0,0 +1,173 @@
+/**
+ * C4 Communication Bridge - Conversation Export Formats
+ *
+ * Renders conversations for `c4-db.js export` and parses what
+ * `c4-db.js import` reads:
+ *   jsonl     one JSON object per line: an `export` header, then
+ *             `conversation` rows (every column plus `attachments`), then
+ *             the `checkpoint` rows covering them; the import format
+ *   markdown  readable transcript, one section per chat
+ *   html      the same transcript as a self-contained page
+ * Attachments are referenced by path, never embedded: `[MEDIA:kind]<path>`
+ * lines in the content and the spill file of a long message.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ATTACHMENTS_DIR } from './c4-config.js';
+import { contactEndpoint } from './c4-utils.js';
+
+export const EXPORT_FORMATS = ['jsonl', 'markdown', 'html'];
+export const EXPORT_VERSION = 1;
+
+const MEDIA_LINE_RE = /\[MEDIA:(image|file)\](\S+)/g;
+
+/**
+ * Files a conversation refers to.
+ * @param {object} row - conversations row
+ * @returns {{kind: string, path: string}[]}
+ */
+export function collectAttachments(row, attachmentsDir = ATTACHMENTS_DIR) {
+  const attachments = [...String(row.content ?? '').matchAll(MEDIA_LINE_RE)]
+    .map((match) => ({ kind: match[1], path: match[2] }));
+  const spill = path.join(attachmentsDir, `conv-${row.id}`, 'message.txt');
+  if (fs.existsSync(spill)) {
+    attachments.push({ kind: 'spill', path: spill });
+  }
+  return attachments;
+}
+
+/**
+ * JSONL export: header, conversations, checkpoints.
+ * @param {object} data
+ * @param {string} data.source - exporting instance, used by import to skip rows it already has
+ * @param {object[]} data.conversations - rows with `attachments`
+ * @param {object[]} data.checkpoints
+ * @returns {string}
+ */
+export function toJsonl({ source, conversations, checkpoints }) {
+  const lines = [
+    { type: 'export', version: EXPORT_VERSION, source, exported_at: new Date().toISOString() },
+    ...conversations.map((row) => ({ type: 'conversation', ...row })),
+    ...checkpoints.map((row) => ({ type: 'checkpoint', ...row }))
+  ];
+  return `${lines.map((line) => JSON.stringify(line)).join('\n')}\n`;
+}
+
+/**
+ * Parse a JSONL export. Throws on a malformed line or an unsupported version.
+ * @param {string} text
+ * @returns {{source: string|null, conversations: object[], checkpoints: object[]}}
+ */
+export function parseJsonl(text) {
+  const result = { source: null, conversations: [], checkpoints: [] };
+  String(text).split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`line ${index + 1}: ${err.message}`);
+    }
+    const { type, ...fields } = record;
+    if (type === 'export') {
+      if (fields.version !== EXPORT_VERSION) {
+        throw new Error(`line ${index + 1}: unsupported export version ${fields.version}`);
+      }
+      result.source = fields.source ?? null;
+    } else if (type === 'conversation') {
+      if (!Number.isInteger(fields.id) || !['in', 'out'].includes(fields.direction) || !fields.channel) {
+        throw new Error(`line ${index + 1}: conversation needs id, direction and channel`);
+      }
+      result.conversations.push(fields);
+    } else if (type === 'checkpoint') {
+      result.checkpoints.push(fields);
+    } else {
+      throw new Error(`line ${index + 1}: unknown record type ${JSON.stringify(type)}`);
+    }
+  });
+  return result;
+}
+
+function chatLabel(row) {
+  return row.endpoint_id ? `${row.channel}:${contactEndpoint(row.endpoint_id)}` : row.channel;
+}
+
+function groupByChat(rows) {
+  const chats = new Map();
+  for (const row of rows) {
+    const label = chatLabel(row);
+    if (!chats.has(label)) chats.set(label, []);
+    chats.get(label).push(row);
+  }
+  return chats;
+}
+
+function speaker(row) {
+  return row.direction === 'in' ? 'received' : 'sent';
+}
+
+/**
+ * Markdown transcript, one section per chat in first-message order.
+ */
+export function toMarkdown(rows) {
+  const lines = ['# Conversation export', ''];
+  if (rows.length === 0) {
+    lines.push('No conversations.', '');
+  }
+  for (const [label, chatRows] of groupByChat(rows)) {
+    lines.push(`## ${label}`, '');
+    for (const row of chatRows) {
+      lines.push(`**${row.timestamp} UTC** · ${speaker(row)} · #${row.id}`, '');
+      lines.push(String(row.content ?? '').split('\n').map((line) => `> ${line}`).join('\n'), '');
+      for (const attachment of row.attachments || []) {
+        lines.push(`- ${attachment.kind}: \`${attachment.path}\``);
+      }
+      if (row.attachments?.length) lines.push('');
+    }
+  }
+  return lines.join('\n');
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, (ch) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
+/**
+ * Self-contained HTML transcript, same layout as toMarkdown().
+ */
+export function toHtml(rows) {
+  const sections = [...groupByChat(rows)].map(([label, chatRows]) => [
+    `<section>`,
+    `<h2>${escapeHtml(label)}</h2>`,
+    ...chatRows.map((row) => [
+      `<div class="msg ${row.direction}">`,
+      `<div class="meta">${escapeHtml(row.timestamp)} UTC · ${speaker(row)} · #${row.id}</div>`,
+      `<div class="body">${escapeHtml(row.content)}</div>`,
+      ...(row.attachments || []).map((attachment) => (
+        `<div class="attachment">${escapeHtml(attachment.kind)}: <a href="file://${escapeHtml(attachment.path)}">${escapeHtml(attachment.path)}</a></div>`
+      )),
+      `</div>`
+    ].join('\n')),
+    `</section>`
+  ].join('\n'));
+
+  return [
+    '<!DOCTYPE html>',
+    '<html><head><meta charset="utf-8"><title>Conversation export</title>',
+    '<style>',
+    'body{font-family:sans-serif;max-width:48rem;margin:2rem auto;padding:0 1rem}',
+    '.msg{margin:.75rem 0;padding:.5rem .75rem;border-radius:.5rem;background:#f1f1f1}',
+    '.msg.out{background:#e3efff;margin-left:3rem}',
+    '.meta{font-size:.8rem;color:#666}',
+    '.body{white-space:pre-wrap}',
+    '.attachment{font-size:.85rem}',
+    '</style></head><body>',
+    '<h1>Conversation export</h1>',
+    sections.length > 0 ? sections.join('\n') : '<p>No conversations.</p>',
+    '</body></html>',
+    ''
+  ].join('\n');
+}
@@ -12,6 +12,7 @@ import {
   getLastCheckpoint,
   getUnsummarizedRange,
   getConversationsByRange,
+  attachContactNames,
   formatConversations,
   close
 } from './c4-db.js';
@@ -36,7 +37,7 @@ function outputConversations(beginId, endId) {
   if (conversations.length === 0) {
     lines.push('No conversations in this range.');
   } else {
-    lines.push(formatConversations(conversations));
+    lines.push(formatConversations(attachContactNames(conversations)));
   }
 
   console.log(lines.join('\n'));
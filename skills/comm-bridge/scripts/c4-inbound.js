@@ -0,0 +1,694 @@
+/**
+ * C4 Communication Bridge - Inbound Pipeline
+ * Shared intake path for c4-receive.js (CLI) and c4-intake.js (socket/HTTP
+ * server): validate, apply the sender access policy (c4-access.js) and the
+ * inbound rate limits, ask the activity-monitor MessageRouter for a route
+ * decision, record the message, and send the unhealthy-status notice when
+ * the agent cannot take it. Channel events on an earlier message (edit,
+ * delete, reaction) are recorded as incoming rows linked to it and worded
+ * for the agent ("[TG DM] alice edited message #123: ..."). Results use the
+ * `c4-receive.js --json` shapes:
+ *   { ok: true, action, id }
+ *   { ok: false, error: { code, message } }
+ */
+
+import path from 'path';
+import fs from 'fs';
+import net from 'net';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import {
+  clearStatusNoticeCooldownReservation,
+  consumeRateTokens,
+  findContactByEndpoint,
+  findConversationByExternalId,
+  findEventTarget,
+  findSuppressedExternalId,
+  getAccessDecision,
+  getHeldSenders,
+  insertControl,
+  insertConversation,
+  isExternalIdConflict,
+  recordContactEndpoint,
+  recordSuppressedExternalId,
+  recordSuppressedMessage,
+  reserveStatusNoticeCooldown
+} from './c4-db.js';
+import { contactEndpoint, stripMessageEndpointParts } from './c4-utils.js';
+import { validateChannel, validateEndpoint } from './c4-validate.js';
+import {
+  AGENT_STATUS_FILE,
+  ACTIVITY_MONITOR_DIR,
+  CONTENT_PREVIEW_CHARS,
+  INBOUND_DEDUP_RETENTION_HOURS,
+  INBOUND_RATE_CHANNEL_BURST,
+  INBOUND_RATE_CHANNEL_PER_MINUTE,
+  INBOUND_RATE_ENDPOINT_BURST,
+  INBOUND_RATE_ENDPOINT_PER_MINUTE,
+  INBOUND_RATE_OVERFLOW
+} from './c4-config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const AM_SOCKET_PATH = path.join(ACTIVITY_MONITOR_DIR, 'am.sock');
+const ROUTER_IPC_TIMEOUT_MS = 30000;
+const STATUS_NOTICE_COOLDOWN_SECONDS = Number.parseInt(process.env.C4_STATUS_NOTICE_COOLDOWN_SECONDS || '600', 10);
+const DEDUP_RETENTION_SECONDS = INBOUND_DEDUP_RETENTION_HOURS * 3600;
+
+export const INBOUND_EVENTS = ['edit', 'delete', 'reaction'];
+
+function readHealthStatusFile() {
+  try {
+    if (!fs.existsSync(AGENT_STATUS_FILE)) {
+      return { health: 'ok' };
+    }
+    let status = null;
+    let lastErr = null;
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        status = JSON.parse(fs.readFileSync(AGENT_STATUS_FILE, 'utf8'));
+        break;
+      } catch (err) {
+        lastErr = err;
+      }
+    }
+    if (!status && lastErr) throw lastErr;
+    if (status && typeof status.health === 'string') {
+      return status;
+    }
+    return { health: 'ok' };
+  } catch {
+    // Fail-open by design: status read failures do not block intake.
+    return { health: 'ok' };
+  }
+}
+
+function publicHealth(health) {
+  if (health === 'ok' || health === 'rate_limited' || health === 'auth_failed') {
+    return health;
+  }
+  return 'unavailable';
+}
+
+function buildFallbackMessage(status) {
+  const health = publicHealth(status.health);
+  if (health === 'rate_limited') {
+    const resetInfo = status.rate_limit_reset ? ` I should be back around ${status.rate_limit_reset}.` : ' I should be back within an hour.';
+    return `I've hit my usage limit.${resetInfo} Please send your message again after I'm back!`;
+  }
+  if (health === 'auth_failed') {
+    return "I'm having authentication issues — please check the API credentials.";
+  }
+  return "I'm temporarily unavailable but should be back shortly. Please try again in a moment!";
+}
+
+function fallbackFileRoute() {
+  const status = readHealthStatusFile();
+  const health = publicHealth(status?.health);
+  if (!status || typeof status.health !== 'string' || health === 'ok') {
+    return { recovered: true, health: 'ok', fallback: true };
+  }
+  return {
+    recovered: false,
+    health,
+    reason: status.unavailable_reason || health,
+    userMessage: buildFallbackMessage(status),
+    fallback: true
+  };
+}
+
+function ipcRoute(request) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(AM_SOCKET_PATH);
+    let data = '';
+    let settled = false;
+
+    function settle(fn, value) {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      fn(value);
+    }
+
+    function tryParseResponse(force = false) {
+      const newlineIndex = data.indexOf('\n');
+      if (newlineIndex === -1 && !force) return;
+      const raw = newlineIndex === -1 ? data : data.slice(0, newlineIndex);
+      try {
+        settle(resolve, JSON.parse(raw));
+      } catch {
+        settle(reject, new Error('IPC response parse error'));
+      }
+    }
+
+    socket.setTimeout(ROUTER_IPC_TIMEOUT_MS);
+    socket.on('connect', () => {
+      socket.write(`${JSON.stringify(request)}\n`);
+    });
+    socket.on('data', (chunk) => {
+      data += chunk;
+      tryParseResponse();
+    });
+    socket.on('end', () => {
+      tryParseResponse(true);
+    });
+    socket.on('timeout', () => {
+      settle(reject, new Error('IPC timeout'));
+    });
+    socket.on('error', (err) => settle(reject, err));
+  });
+}
+
+function isValidRouteDecision(decision, noReply) {
+  if (!decision || typeof decision.recovered !== 'boolean') return false;
+  if (decision.recovered) return true;
+  if (typeof decision.health !== 'string') return false;
+  if (noReply) return true;
+  return typeof decision.userMessage === 'string' && decision.userMessage.length > 0;
+}
+
+async function queryRoute(channel, endpoint, noReply) {
+  try {
+    const decision = await ipcRoute({
+      version: 1,
+      type: 'route',
+      requestId: `${process.pid}-${Date.now()}`,
+      channel,
+      endpoint,
+      noReply,
+      receivedAt: Date.now()
+    });
+    if (!isValidRouteDecision(decision, noReply)) {
+      throw new Error('IPC response invalid route decision');
+    }
+    return decision;
+  } catch {
+    return fallbackFileRoute();
+  }
+}
+
+function sendUnhealthyMessage(channel, endpoint, message) {
+  // Status notices are point-in-time; a late retry would be misleading, and
+  // the caller clears the cooldown reservation on failure instead.
+  const args = [path.join(__dirname, 'c4-send.js'), '--no-retry', channel];
+  if (endpoint) args.push(endpoint);
+
+  // Async so a long-running intake server keeps serving while the channel
+  // send script runs.
+  return new Promise((resolve) => {
+    const child = spawn('node', args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('error', (err) => resolve({ status: null, stdout, stderr: stderr || err.message }));
+    child.on('close', (status) => resolve({ status, stdout, stderr }));
+    child.stdin.on('error', () => { /* child exited before reading stdin */ });
+    child.stdin.end(message);
+  });
+}
+
+function normalizeStatusEndpoint(endpoint) {
+  // Group status-notice cooldowns by stable conversation root, not by each
+  // incoming message/request id. This keeps thread-specific cooldowns while
+  // suppressing repeated notices within the same root conversation.
+  return stripMessageEndpointParts(endpoint);
+}
+
+function statusNoticeType(route) {
+  return publicHealth(route?.health);
+}
+
+function statusNoticeReason(route) {
+  return String(route?.reason || statusNoticeType(route) || 'default');
+}
+
+function statusNoticeCooldownKey(channel, endpoint, route) {
+  return [
+    channel || 'unknown',
+    normalizeStatusEndpoint(endpoint),
+    statusNoticeType(route),
+    statusNoticeReason(route)
+  ].join('::');
+}
+
+function reserveStatusNoticeCooldownForRoute(channel, endpoint, route, now = Math.floor(Date.now() / 1000)) {
+  const key = statusNoticeCooldownKey(channel, endpoint, route);
+  return reserveStatusNoticeCooldown({
+    cooldownKey: key,
+    channel,
+    endpoint: normalizeStatusEndpoint(endpoint),
+    statusType: statusNoticeType(route),
+    reason: statusNoticeReason(route),
+    ttl: statusNoticeTtl(),
+    now
+  });
+}
+
+function clearStatusNoticeCooldownReservationForRoute(key, reservedAt) {
+  try {
+    clearStatusNoticeCooldownReservation(key, reservedAt);
+  } catch (err) {
+    console.error(`[C4] Warning: failed to clear status cooldown reservation (${err.message})`);
+  }
+}
+
+function statusNoticeTtl() {
+  return Number.isFinite(STATUS_NOTICE_COOLDOWN_SECONDS) && STATUS_NOTICE_COOLDOWN_SECONDS > 0
+    ? STATUS_NOTICE_COOLDOWN_SECONDS
+    : 600;
+}
+
+/**
+ * The earlier delivery of a message with this dedup key: its conversation,
+ * or for a rate-limited message that was dropped or summarized, `{ id }` of
+ * its summary (null id when dropped)
+ */
+function findDuplicate(channel, externalId) {
+  if (!externalId) return null;
+  const conversation = findConversationByExternalId(channel, externalId, DEDUP_RETENTION_SECONDS);
+  if (conversation) return conversation;
+  const suppressed = findSuppressedExternalId(channel, externalId, DEDUP_RETENTION_SECONDS);
+  return suppressed ? { id: suppressed.conversation_id } : null;
+}
+
+function success(id, action = 'queued') {
+  return { ok: true, action, id };
+}
+
+function failure(code, message) {
+  return { ok: false, error: { code, message } };
+}
+
+// Channel content convention: "[TG DM] alice said: ..." -> "alice"
+const SENDER_NAME_RE = /^\[[^\]]*\]\s*(.{1,64}?) said:/;
+
+/**
+ * Sender display name from a channel's message content, or null.
+ */
+export function senderDisplayName(content) {
+  return SENDER_NAME_RE.exec(content || '')?.[1] ?? null;
+}
+
+// "[TG DM] alice said: text" -> sender label "[TG DM] alice", body "text"
+const SENDER_PREFIX_RE = /^(\[[^\]]*\]\s*.{1,64}?) said:\s*/;
+
+function previewText(content) {
+  const flat = String(content ?? '').replace(SENDER_PREFIX_RE, '').replace(/\s+/g, ' ').trim();
+  return flat.length > CONTENT_PREVIEW_CHARS ? `${flat.slice(0, CONTENT_PREVIEW_CHARS)}…` : flat;
+}
+
+/**
+ * How an event sender is named when the event content has no
+ * "[tag] name said:" prefix: the contact's display name or @name, else the
+ * chat itself.
+ */
+function eventSenderLabel(channel, endpoint) {
+  if (!endpoint) return channel;
+  try {
+    const contact = findContactByEndpoint(channel, endpoint);
+    if (contact) return contact.display_name || `@${contact.name}`;
+  } catch {
+    // Fall back to the chat.
+  }
+  return `${channel}:${contactEndpoint(endpoint)}`;
+}
+
+/**
+ * Agent-facing text of a channel event on an earlier message.
+ * @param {object} event
+ * @param {string} event.event - one of INBOUND_EVENTS
+ * @param {string} [event.content] - edit: the new text; reaction: the
+ *   reaction; delete: ignored. A "[tag] name said:" prefix names the sender.
+ * @param {object|null} event.target - the conversation row it refers to
+ * @param {string} event.targetExternalId
+ * @param {string} event.sender - label when content has no sender prefix
+ * @returns {string}
+ */
+export function describeInboundEvent({ event, content = '', target, targetExternalId, sender }) {
+  const match = SENDER_PREFIX_RE.exec(content || '');
+  const label = match ? match[1] : sender;
+  const body = (match ? content.slice(match[0].length) : content || '').trim();
+  const ref = target ? `message #${target.id}` : `message ${targetExternalId} (not in history)`;
+  const original = target ? previewText(target.content) : null;
+  switch (event) {
+    case 'edit':
+      return `${label} edited ${ref}: ${body}${original ? ` (was: "${original}")` : ''}`;
+    case 'delete':
+      return `${label} deleted ${ref}${original ? `: "${original}"` : ''}`;
+    default:
+      return `${label} reacted ${body} to ${ref}${original ? `: "${original}"` : ''}`;
+  }
+}
+
+/**
+ * Add the sender's endpoint to the contact directory. Best effort: a
+ * contacts failure must never lose or fail the message itself.
+ */
+function noteContact(channel, endpoint, content) {
+  if (!endpoint) return;
+  try {
+    recordContactEndpoint(channel, endpoint, { displayName: senderDisplayName(content) });
+  } catch {
+    // Ignore; the directory can be rebuilt with `c4-contacts.js import`.
+  }
+}
+
+/**
+ * Ask the agent to get a decision on a sender the first time one of their
+ * messages is held. Best effort, like noteContact.
+ */
+function noteHeldSender(channel, endpoint, content) {
+  try {
+    const chat = contactEndpoint(endpoint);
+    const sender = getHeldSenders().find((held) => held.channel === channel && held.endpoint_id === chat);
+    if (sender?.count !== 1) return;
+    const name = senderDisplayName(content);
+    const accessScript = path.join(__dirname, 'c4-access.js');
+    insertControl(
+      `New sender on ${channel}: ${chat}${name ? ` (${name})` : ''} is waiting for access approval; `
+      + 'their messages are held. Check with the owner, then run '
+      + `node ${accessScript} approve ${channel} "${chat}" or node ${accessScript} deny ${channel} "${chat}".`,
+      { priority: 2, appendAckSuffix: false }
+    );
+  } catch {
+    // Ignore; `c4-access.js pending` still lists the sender.
+  }
+}
+
+/**
+ * Record a message the access policy did not let through: 'held' until
+ * approved, or 'rejected'. The agent is not involved and no reply is sent.
+ */
+function recordAccessOutcome(action, channel, endpoint, content, priority, requireIdle, recordOptions) {
+  const status = action === 'hold' ? 'held' : 'rejected';
+  let record;
+  try {
+    record = insertConversation('in', channel, endpoint, content, status, priority, requireIdle, status, recordOptions);
+  } catch (err) {
+    if (isExternalIdConflict(err)) {
+      return success(findDuplicate(channel, recordOptions.externalId).id, 'duplicate');
+    }
+    return failure('INTERNAL_ERROR', `failed to record ${status} message: ${err.message}`);
+  }
+  if (status === 'held') {
+    noteContact(channel, endpoint, content);
+    noteHeldSender(channel, endpoint, content);
+  }
+  return success(record.id, status);
+}
+
+/**
+ * Token buckets a message from this chat draws on: the chat's own and the
+ * channel's. Buckets configured with 0 are skipped.
+ */
+function rateBuckets(channel, endpoint) {
+  const buckets = [
+    { key: `${channel}::${contactEndpoint(endpoint)}`, capacity: INBOUND_RATE_ENDPOINT_BURST, perMinute: INBOUND_RATE_ENDPOINT_PER_MINUTE },
+    { key: channel, capacity: INBOUND_RATE_CHANNEL_BURST, perMinute: INBOUND_RATE_CHANNEL_PER_MINUTE }
+  ];
+  return buckets.filter((bucket) => bucket.capacity > 0 && bucket.perMinute > 0);
+}
+
+function rateLimitSummary(channel, chat, count, content) {
+  const flat = content.replace(/\s+/g, ' ').trim();
+  const latest = flat.length > CONTENT_PREVIEW_CHARS ? `${flat.slice(0, CONTENT_PREVIEW_CHARS)}…` : flat;
+  return `[C4] Rate limit: ${count} message(s) from ${channel}:${chat} were suppressed because the chat `
+    + `was sending faster than the inbound limit. Most recent: ${latest}`;
+}
+
+function rateLimitNotice(overflow) {
+  return overflow === 'defer'
+    ? "You're sending messages faster than I can take them in. I'll get to the rest shortly; no need to resend."
+    : "You're sending messages faster than I can take them in, so some were not passed on. "
+      + 'Please wait a minute and send anything important again.';
+}
+
+/**
+ * Tell a flooding sender once per status-notice cooldown that messages are
+ * being limited. Best effort: a failed notice never fails the intake.
+ */
+async function noteRateLimitedSender(channel, endpoint, overflow) {
+  const chat = contactEndpoint(endpoint);
+  let cooldown;
+  try {
+    cooldown = reserveStatusNoticeCooldown({
+      cooldownKey: [channel, chat, 'rate_limited', 'flood'].join('::'),
+      channel,
+      endpoint: chat,
+      statusType: 'rate_limited',
+      reason: 'flood',
+      ttl: statusNoticeTtl()
+    });
+  } catch {
+    return;
+  }
+  if (cooldown.suppressed) return;
+  const sendResult = await sendUnhealthyMessage(channel, endpoint, rateLimitNotice(overflow));
+  if (sendResult.status !== 0) {
+    clearStatusNoticeCooldownReservationForRoute(cooldown.key, cooldown.reservedAt);
+  }
+}
+
+/**
+ * Apply the inbound rate limits to a message from an outside sender.
+ * @returns {Promise<object|null>} the intake result for a message over the
+ *   limit (action 'rate_limited' or 'deferred'); null when it may go on
+ */
+async function applyRateLimit(channel, endpoint, content, priority, requireIdle, recordOptions) {
+  const buckets = rateBuckets(channel, endpoint);
+  if (buckets.length === 0) return null;
+
+  const overflow = INBOUND_RATE_OVERFLOW;
+  const limit = consumeRateTokens(buckets, { allowDebt: overflow === 'defer' });
+  if (limit.allowed) return null;
+
+  let result;
+  if (overflow === 'drop') {
+    result = success(null, 'rate_limited');
+  } else if (overflow === 'defer') {
+    const deliverAfter = Math.floor(Date.now() / 1000) + limit.deferSeconds;
+    try {
+      const record = insertConversation('in', channel, endpoint, content, 'pending', priority, requireIdle, 'deferred', {
+        ...recordOptions,
+        deliverAfter
+      });
+      noteContact(channel, endpoint, content);
+      result = success(record.id, 'deferred');
+    } catch (err) {
+      if (isExternalIdConflict(err)) {
+        return success(findDuplicate(channel, recordOptions.externalId).id, 'duplicate');
+      }
+      return failure('INTERNAL_ERROR', `failed to record deferred message: ${err.message}`);
+    }
+  } else {
+    const chat = contactEndpoint(endpoint);
+    const summary = recordSuppressedMessage(
+      `${channel}::${chat}`,
+      (count) => rateLimitSummary(channel, chat, count, content),
+      { channel, endpointId: chat, priority }
+    );
+    result = success(summary.id, 'rate_limited');
+  }
+  if (result.action === 'rate_limited' && recordOptions.externalId) {
+    recordSuppressedExternalId(channel, recordOptions.externalId, result.id);
+  }
+
+  await noteRateLimitedSender(channel, endpoint, overflow);
+  return result;
+}
+
+/**
+ * Run one inbound message through validation, access policy, rate limits,
+ * routing and recording.
+ * Never throws; the caller owns the DB connection lifetime.
+ * @param {object} message
+ * @param {string|null} message.channel - defaults to 'system' when noReply
+ * @param {string|null} [message.endpoint]
+ * @param {string} message.content
+ * @param {number} [message.priority=3] - 1=urgent, 2=high, 3=normal
+ * @param {boolean} [message.noReply=false]
+ * @param {boolean} [message.requireIdle=false] - block_queue_until_idle
+ * @param {string|null} [message.externalId] - channel-side message id; a
+ *   redelivery within the dedup window returns the original id with action
+ *   'duplicate' and is not queued again
+ * @param {string|null} [message.threadKey] - default: derived from channel + endpoint
+ * @param {string|null} [message.externalMessageId] - default: the endpoint's `|msg:` part
+ * @param {string|null} [message.event] - one of INBOUND_EVENTS: the message
+ *   is an edit, deletion or reaction of the message identified by
+ *   targetExternalId; content is the new text / reaction (optional for delete)
+ * @param {string|null} [message.targetExternalId] - channel-side id of that message
+ * @returns {Promise<object>} `c4-receive.js --json` result; senders the
+ *   access policy stops get action 'held' or 'rejected', messages over the
+ *   rate limit 'rate_limited' (dropped or summarized) or 'deferred'
+ */
+export async function receiveInbound({
+  channel: rawChannel = null,
+  endpoint = null,
+  content,
+  priority = 3,
+  noReply = false,
+  requireIdle = false,
+  externalId = null,
+  threadKey = null,
+  externalMessageId = null,
+  event = null,
+  targetExternalId = null
+}) {
+  let channel = rawChannel;
+  if (!channel && noReply) {
+    channel = 'system';
+  }
+
+  if (!channel) {
+    return failure('INVALID_ARGS', 'channel is required unless no-reply is set');
+  }
+  if (event !== null && !INBOUND_EVENTS.includes(event)) {
+    return failure('INVALID_ARGS', `event must be one of: ${INBOUND_EVENTS.join(', ')}`);
+  }
+  if ((event === null) !== (targetExternalId === null)) {
+    return failure('INVALID_ARGS', 'event and target external id must be given together');
+  }
+  if (targetExternalId !== null && (typeof targetExternalId !== 'string' || targetExternalId.length === 0)) {
+    return failure('INVALID_ARGS', 'target external id must be a non-empty string');
+  }
+  if (event === 'delete' && (content === null || content === undefined)) {
+    content = '';
+  } else if (typeof content !== 'string' || content.length === 0) {
+    return failure('INVALID_ARGS', 'content is required');
+  }
+  if (!Number.isInteger(priority) || priority < 1 || priority > 3) {
+    return failure('INVALID_ARGS', 'priority must be an integer 1, 2, or 3');
+  }
+
+  try {
+    validateChannel(channel, !noReply);
+  } catch (err) {
+    return failure('INVALID_ARGS', `invalid channel: ${err.message}`);
+  }
+
+  if (endpoint) {
+    try {
+      validateEndpoint(endpoint);
+    } catch (err) {
+      return failure('INVALID_ARGS', `invalid endpoint: ${err.message}`);
+    }
+  }
+
+  if (externalId !== null && (typeof externalId !== 'string' || externalId.length === 0)) {
+    return failure('INVALID_ARGS', 'external id must be a non-empty string');
+  }
+  for (const [name, value] of [['thread key', threadKey], ['external message id', externalMessageId]]) {
+    if (value !== null && (typeof value !== 'string' || value.length === 0)) {
+      return failure('INVALID_ARGS', `${name} must be a non-empty string`);
+    }
+  }
+
+  // A redelivered webhook must not reach the agent twice, nor trigger a
+  // second status notice.
+  try {
+    const existing = findDuplicate(channel, externalId);
+    if (existing) {
+      return success(existing.id, 'duplicate');
+    }
+  } catch (err) {
+    return failure('INTERNAL_ERROR', `failed to check for duplicate message: ${err.message}`);
+  }
+
+  const replyEndpoint = noReply ? null : endpoint;
+  // Unset fields fall through to insertConversation()'s endpoint-derived defaults.
+  const recordOptions = { externalId };
+  if (threadKey !== null) recordOptions.threadKey = threadKey;
+  if (externalMessageId !== null) recordOptions.externalMessageId = externalMessageId;
+
+  if (event) {
+    try {
+      const target = findEventTarget(channel, endpoint, targetExternalId);
+      content = describeInboundEvent({
+        event, content, target, targetExternalId, sender: eventSenderLabel(channel, endpoint)
+      });
+      recordOptions.eventType = event;
+      recordOptions.targetId = target?.id ?? null;
+    } catch (err) {
+      return failure('INTERNAL_ERROR', `failed to look up event target: ${err.message}`);
+    }
+  }
+
+  // Only messages with a reply target come from an outside sender.
+  if (replyEndpoint) {
+    let access;
+    try {
+      access = getAccessDecision(channel, replyEndpoint);
+    } catch (err) {
+      return failure('INTERNAL_ERROR', `failed to check access policy: ${err.message}`);
+    }
+    if (access.action !== 'accept') {
+      return recordAccessOutcome(access.action, channel, replyEndpoint, content, priority, requireIdle, recordOptions);
+    }
+
+    try {
+      const limited = await applyRateLimit(channel, replyEndpoint, content, priority, requireIdle, recordOptions);
+      if (limited) return limited;
+    } catch (err) {
+      return failure('INTERNAL_ERROR', `failed to apply rate limit: ${err.message}`);
+    }
+  }
+
+  const route = await queryRoute(channel, endpoint, noReply);
+  let dbContent = content;
+  const dbStatus = route.recovered ? 'pending' : 'delivered';
+  let cooldown = null;
+
+  if (!route.recovered && !noReply) {
+    try {
+      cooldown = reserveStatusNoticeCooldownForRoute(channel, endpoint, route);
+    } catch (err) {
+      return failure('INTERNAL_ERROR', `failed to reserve status cooldown: ${err.message}`);
+    }
+    if (cooldown.suppressed) {
+      dbContent += `\n\n[C4] Status notification suppressed by cooldown while health=${statusNoticeType(route)} reason=${statusNoticeReason(route)}.`;
+      try {
+        const record = insertConversation('in', channel, replyEndpoint, dbContent, dbStatus, priority, requireIdle, 'suppressed', recordOptions);
+        noteContact(channel, replyEndpoint, content);
+        return success(record.id, 'suppressed');
+      } catch (err) {
+        if (isExternalIdConflict(err)) {
+          return success(findDuplicate(channel, externalId).id, 'duplicate');
+        }
+        return failure('INTERNAL_ERROR', `failed to record suppressed unhealthy message: ${err.message}`);
+      }
+    }
+  }
+
+  let record;
+  try {
+    record = insertConversation('in', channel, replyEndpoint, dbContent, dbStatus, priority, requireIdle, null, recordOptions);
+  } catch (err) {
+    // Lost a race with a concurrent delivery of the same message.
+    if (isExternalIdConflict(err)) {
+      return success(findDuplicate(channel, externalId).id, 'duplicate');
+    }
+    return failure('INTERNAL_ERROR', `failed to queue message: ${err.message}`);
+  }
+  noteContact(channel, replyEndpoint, content);
+
+  try {
+    if (route.recovered || noReply) {
+      return success(record.id, route.recovered ? 'queued' : 'delivered');
+    }
+
+    const sendResult = await sendUnhealthyMessage(channel, endpoint, route.userMessage);
+    if (sendResult.status === 0) {
+      return success(record.id, 'delivered');
+    }
+    if (cooldown?.key && Number.isFinite(cooldown.reservedAt)) {
+      clearStatusNoticeCooldownReservationForRoute(cooldown.key, cooldown.reservedAt);
+    }
+    const detail = sendResult.stderr || sendResult.stdout || `exit ${sendResult.status}`;
+    return failure('UNHEALTHY_NOTIFY_FAILED', `failed to send unhealthy status message: ${detail.trim()}`);
+  } catch (err) {
+    return failure('INTERNAL_ERROR', `failed to queue message: ${err.message}`);
+  }
+}
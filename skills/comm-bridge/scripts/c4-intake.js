@@ -0,0 +1,448 @@
+#!/usr/bin/env node
+/**
+ * C4 Communication Bridge - Intake API
+ * Long-running alternative to spawning c4-receive.js per message. Accepts
+ * JSON envelopes on a Unix socket (always) and on localhost HTTP (when a
+ * port is configured), authenticates each channel with its own token, and
+ * runs the same inbound pipeline as c4-receive.js (c4-inbound.js). Replies
+ * are the `c4-receive.js --json` result objects.
+ *
+ * Channel components also register, heartbeat and stop through it
+ * (`type` register|heartbeat|stop envelopes, HTTP POST /v1/channel) for the
+ * liveness registry (c4-channels.js).
+ *
+ * The server is hosted by c4-dispatcher; `serve` runs it standalone.
+ *
+ * Commands:
+ *   serve
+ *   token issue --channel <channel>
+ *   token revoke --channel <channel>
+ *   token list
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+import { fileURLToPath } from 'url';
+import {
+  deleteIntakeToken,
+  getIntakeToken,
+  heartbeatChannel,
+  listIntakeTokens,
+  registerChannel,
+  setIntakeToken,
+  stopChannel,
+  touchIntakeToken,
+  close
+} from './c4-db.js';
+import { receiveInbound } from './c4-inbound.js';
+import {
+  INTAKE_HTTP_PORT,
+  INTAKE_MAX_BODY_BYTES,
+  INTAKE_SOCKET_PATH
+} from './c4-config.js';
+
+const HTTP_HOST = '127.0.0.1';
+const MESSAGES_PATH = '/v1/messages';
+const CHANNEL_PATH = '/v1/channel';
+const CHANNEL_EVENT_TYPES = ['register', 'heartbeat', 'stop'];
+
+const HTTP_STATUS_BY_CODE = {
+  INVALID_ARGS: 400,
+  UNAUTHORIZED: 401,
+  NOT_FOUND: 404,
+  PAYLOAD_TOO_LARGE: 413,
+  INTERNAL_ERROR: 500,
+  UNHEALTHY_NOTIFY_FAILED: 502
+};
+
+function failure(code, message) {
+  return { ok: false, error: { code, message } };
+}
+
+export function hashIntakeToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Check a presented token against the channel's stored hash.
+ * @param {string} channel
+ * @param {string|null} token
+ * @returns {boolean}
+ */
+export function verifyIntakeToken(channel, token) {
+  if (!channel || typeof token !== 'string' || token.length === 0) return false;
+  const record = getIntakeToken(channel);
+  if (!record) return false;
+  const expected = Buffer.from(record.token_hash, 'hex');
+  const actual = Buffer.from(hashIntakeToken(token), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return false;
+  }
+  touchIntakeToken(channel);
+  return true;
+}
+
+/**
+ * Validate an envelope's field types and map it onto receiveInbound()
+ * arguments. Value checks (channel name, priority range, ...) are left to
+ * the inbound pipeline so both entry points report them identically.
+ */
+function parseEnvelope(envelope) {
+  if (!envelope || typeof envelope !== 'object' || Array.isArray(envelope)) {
+    return { error: 'request body must be a JSON object' };
+  }
+  for (const field of ['channel', 'endpoint', 'content', 'external_id', 'thread_key', 'external_message_id', 'event', 'target_external_id', 'token']) {
+    if (envelope[field] != null && typeof envelope[field] !== 'string') {
+      return { error: `${field} must be a string` };
+    }
+  }
+  for (const field of ['no_reply', 'block_queue_until_idle', 'require_idle']) {
+    if (envelope[field] != null && typeof envelope[field] !== 'boolean') {
+      return { error: `${field} must be a boolean` };
+    }
+  }
+  if (envelope.priority != null && !Number.isInteger(envelope.priority)) {
+    return { error: 'priority must be an integer 1, 2, or 3' };
+  }
+
+  const noReply = envelope.no_reply === true;
+  return {
+    message: {
+      channel: envelope.channel || (noReply ? 'system' : null),
+      endpoint: envelope.endpoint || null,
+      content: envelope.content,
+      priority: envelope.priority ?? 3,
+      noReply,
+      requireIdle: envelope.block_queue_until_idle === true || envelope.require_idle === true,
+      externalId: envelope.external_id ?? null,
+      threadKey: envelope.thread_key ?? null,
+      externalMessageId: envelope.external_message_id ?? null,
+      event: envelope.event ?? null,
+      targetExternalId: envelope.target_external_id ?? null
+    }
+  };
+}
+
+/**
+ * Authenticate and process one intake envelope.
+ * @param {object} envelope - { channel, endpoint, content, priority, no_reply, block_queue_until_idle, external_id, thread_key, external_message_id, event, target_external_id, token }
+ * @param {object} [options]
+ * @param {string} [options.token] - token from transport auth (HTTP Authorization header); overrides envelope.token
+ * @returns {Promise<object>} `c4-receive.js --json` result
+ */
+export async function handleIntakeEnvelope(envelope, { token = null } = {}) {
+  const parsed = parseEnvelope(envelope);
+  if (parsed.error) {
+    return failure('INVALID_ARGS', parsed.error);
+  }
+
+  const { message } = parsed;
+  if (!message.channel) {
+    return failure('INVALID_ARGS', 'channel is required unless no_reply is set');
+  }
+  if (!verifyIntakeToken(message.channel, token || envelope.token)) {
+    return failure('UNAUTHORIZED', `invalid or missing intake token for channel ${message.channel}`);
+  }
+
+  return receiveInbound(message);
+}
+
+/**
+ * Authenticate and apply one channel liveness envelope.
+ * @param {object} envelope - { type: register|heartbeat|stop, channel, token, version, capabilities, pid }
+ * @param {object} [options]
+ * @param {string} [options.token] - token from transport auth; overrides envelope.token
+ * @returns {object} `{ ok: true, action: <type>, channel }` or a failure
+ */
+export function handleChannelEnvelope(envelope, { token = null } = {}) {
+  if (!envelope || typeof envelope !== 'object' || Array.isArray(envelope)) {
+    return failure('INVALID_ARGS', 'request body must be a JSON object');
+  }
+  const { type, channel, version = null, capabilities = null, pid = null } = envelope;
+  if (!CHANNEL_EVENT_TYPES.includes(type)) {
+    return failure('INVALID_ARGS', `type must be one of: ${CHANNEL_EVENT_TYPES.join(', ')}`);
+  }
+  if (typeof channel !== 'string' || !channel) {
+    return failure('INVALID_ARGS', 'channel is required');
+  }
+  if (version !== null && typeof version !== 'string') {
+    return failure('INVALID_ARGS', 'version must be a string');
+  }
+  if (capabilities !== null && (typeof capabilities !== 'object' || Array.isArray(capabilities))) {
+    return failure('INVALID_ARGS', 'capabilities must be a JSON object');
+  }
+  if (pid !== null && (!Number.isInteger(pid) || pid <= 0)) {
+    return failure('INVALID_ARGS', 'pid must be a positive integer');
+  }
+  if (!verifyIntakeToken(channel, token || envelope.token)) {
+    return failure('UNAUTHORIZED', `invalid or missing intake token for channel ${channel}`);
+  }
+
+  if (type === 'register') {
+    registerChannel(channel, { version, capabilities, pid });
+  } else if (type === 'heartbeat') {
+    heartbeatChannel(channel);
+  } else {
+    stopChannel(channel);
+  }
+  return { ok: true, action: type, channel };
+}
+
+async function handleIntakeRaw(raw, options = {}) {
+  let envelope;
+  try {
+    envelope = JSON.parse(raw);
+  } catch {
+    return failure('INVALID_ARGS', 'request body is not valid JSON');
+  }
+  try {
+    if (options.channelEvent || CHANNEL_EVENT_TYPES.includes(envelope?.type)) {
+      return handleChannelEnvelope(envelope, options);
+    }
+    return await handleIntakeEnvelope(envelope, options);
+  } catch (err) {
+    return failure('INTERNAL_ERROR', err.message);
+  }
+}
+
+function createSocketServer() {
+  // One newline-terminated JSON envelope per connection, answered with one
+  // JSON line (same framing as the activity-monitor am.sock router).
+  return net.createServer((socket) => {
+    let data = '';
+    let handled = false;
+    socket.setEncoding('utf8');
+    socket.on('data', async (chunk) => {
+      if (handled) return;
+      data += chunk;
+      if (Buffer.byteLength(data) > INTAKE_MAX_BODY_BYTES) {
+        handled = true;
+        socket.end(`${JSON.stringify(failure('PAYLOAD_TOO_LARGE', `envelope exceeds ${INTAKE_MAX_BODY_BYTES} bytes`))}\n`);
+        return;
+      }
+      const newlineIndex = data.indexOf('\n');
+      if (newlineIndex === -1) return;
+      handled = true;
+      const result = await handleIntakeRaw(data.slice(0, newlineIndex));
+      socket.end(`${JSON.stringify(result)}\n`);
+    });
+    socket.on('error', () => { /* client went away */ });
+  });
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1].trim() : null;
+}
+
+function createHttpServer() {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${HTTP_HOST}`);
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      sendJson(res, 200, { ok: true });
+      return;
+    }
+    if (req.method !== 'POST' || ![MESSAGES_PATH, CHANNEL_PATH].includes(url.pathname)) {
+      sendJson(res, 404, failure('NOT_FOUND', `use POST ${MESSAGES_PATH} or ${CHANNEL_PATH}`));
+      return;
+    }
+
+    let body = '';
+    let tooLarge = false;
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      body += chunk;
+      if (Buffer.byteLength(body) > INTAKE_MAX_BODY_BYTES) {
+        tooLarge = true;
+        sendJson(res, 413, failure('PAYLOAD_TOO_LARGE', `envelope exceeds ${INTAKE_MAX_BODY_BYTES} bytes`));
+        req.destroy();
+      }
+    });
+    req.on('end', async () => {
+      if (tooLarge) return;
+      const result = await handleIntakeRaw(body, {
+        token: bearerToken(req),
+        channelEvent: url.pathname === CHANNEL_PATH
+      });
+      sendJson(res, result.ok ? 200 : (HTTP_STATUS_BY_CODE[result.error.code] || 500), result);
+    });
+  });
+}
+
+function listen(server, ...args) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(...args, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Start the intake server.
+ * @param {object} [options]
+ * @param {string} [options.socketPath] - Unix socket path
+ * @param {number|null} [options.httpPort] - localhost HTTP port; null disables HTTP, 0 picks a free port
+ * @param {function} [options.log]
+ * @returns {Promise<{socketPath: string, httpPort: number|null, close: function}>}
+ */
+export async function startIntakeServer({
+  socketPath = INTAKE_SOCKET_PATH,
+  httpPort = INTAKE_HTTP_PORT,
+  log = () => {}
+} = {}) {
+  try {
+    fs.rmSync(socketPath, { force: true });
+  } catch { /* best-effort */ }
+
+  const socketServer = createSocketServer();
+  socketServer.on('error', (err) => log(`Intake socket server error: ${err.message}`));
+  await listen(socketServer, socketPath);
+  // Tokens authenticate the channel; file mode keeps other users out entirely.
+  fs.chmodSync(socketPath, 0o600);
+  log(`Intake API listening at ${socketPath}`);
+
+  let httpServer = null;
+  let boundHttpPort = null;
+  if (httpPort !== null && httpPort !== undefined) {
+    httpServer = createHttpServer();
+    httpServer.on('error', (err) => log(`Intake HTTP server error: ${err.message}`));
+    try {
+      await listen(httpServer, httpPort, HTTP_HOST);
+      boundHttpPort = httpServer.address().port;
+      log(`Intake API listening at http://${HTTP_HOST}:${boundHttpPort}${MESSAGES_PATH}`);
+    } catch (err) {
+      // The socket transport still works; don't take it down with HTTP.
+      log(`Intake HTTP server failed to start on port ${httpPort}: ${err.message}`);
+      httpServer = null;
+    }
+  }
+
+  return {
+    socketPath,
+    httpPort: boundHttpPort,
+    close: async () => {
+      await Promise.all([socketServer, httpServer].filter(Boolean).map((server) => (
+        new Promise((resolve) => server.close(() => resolve()))
+      )));
+      try {
+        fs.rmSync(socketPath, { force: true });
+      } catch { /* best-effort */ }
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+
+function usage() {
+  console.error('Usage: c4-intake.js <serve|token> [options]');
+  console.error('  serve');
+  console.error('  token issue --channel <channel>');
+  console.error('  token revoke --channel <channel>');
+  console.error('  token list');
+}
+
+function errorExit(message) {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+}
+
+function parseChannel(args) {
+  const idx = args.indexOf('--channel');
+  const channel = idx === -1 ? null : args[idx + 1];
+  if (!channel) errorExit('--channel is required');
+  if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(channel)) {
+    errorExit(`invalid channel name: ${channel}`);
+  }
+  return channel;
+}
+
+function handleToken(args) {
+  const sub = args[0];
+  switch (sub) {
+    case 'issue': {
+      const channel = parseChannel(args.slice(1));
+      const token = crypto.randomBytes(24).toString('base64url');
+      setIntakeToken(channel, hashIntakeToken(token));
+      // Printed once; only the hash is stored.
+      console.log(token);
+      break;
+    }
+    case 'revoke': {
+      const channel = parseChannel(args.slice(1));
+      if (!deleteIntakeToken(channel)) {
+        errorExit(`no intake token for channel ${channel}`);
+      }
+      console.log(`OK: intake token for ${channel} revoked`);
+      break;
+    }
+    case 'list':
+      console.log(JSON.stringify(listIntakeTokens(), null, 2));
+      break;
+    default:
+      usage();
+      errorExit(`unknown token command: ${sub || '(none)'}`);
+  }
+}
+
+async function serve() {
+  const log = (message) => {
+    const timestamp = new Date().toISOString().replace('T', ' ').substring(0, 19);
+    console.log(`[${timestamp}] ${message}`);
+  };
+  const server = await startIntakeServer({ log });
+  const shutdown = async () => {
+    await server.close();
+    close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (!command || command === '--help' || command === '-h') {
+    usage();
+    process.exit(command ? 0 : 1);
+  }
+
+  switch (command) {
+    case 'serve':
+      serve().catch((err) => {
+        close();
+        errorExit(`failed to start intake server: ${err.message}`);
+      });
+      break;
+    case 'token':
+      try {
+        handleToken(args.slice(1));
+      } finally {
+        close();
+      }
+      break;
+    default:
+      usage();
+      errorExit(`unknown command: ${command}`);
+  }
+}
+
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+
+if (isMainModule) {
+  main();
+}
@@ -0,0 +1,207 @@
+/**
+ * C4 Communication Bridge - Dispatcher Metrics
+ *
+ * Counters and histograms the dispatcher updates as it delivers, plus queue
+ * depth gauges read from c4.db when metrics are collected, rendered in the
+ * Prometheus text exposition format. The dispatcher serves them on
+ * localhost HTTP (`GET /metrics`) and/or rewrites a node_exporter textfile;
+ * see METRICS_HTTP_PORT and METRICS_TEXTFILE in c4-config.js.
+ *
+ * Counters are per dispatcher process and start at zero on restart, as
+ * Prometheus expects.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { getPendingCountsByPriority, getPendingOutboundCount } from './c4-db.js';
+import { METRICS_HTTP_PORT, METRICS_TEXTFILE } from './c4-config.js';
+
+const HTTP_HOST = '127.0.0.1';
+const METRICS_PATH = '/metrics';
+const PRIORITIES = [1, 2, 3];
+
+const DEFINITIONS = {
+  c4_deliveries_total: {
+    type: 'counter',
+    help: 'Items submitted to the agent session, by type (conversation, control).'
+  },
+  c4_delivery_retries_total: {
+    type: 'counter',
+    help: 'Failed delivery attempts that were queued for another try, by type.'
+  },
+  c4_delivery_failures_total: {
+    type: 'counter',
+    help: 'Items marked failed after exhausting their delivery retries, by type.'
+  },
+  c4_enter_verify_retries_total: {
+    type: 'counter',
+    help: 'Extra Enter key presses sent because the input box still held the message.'
+  },
+  c4_delivery_latency_seconds: {
+    type: 'histogram',
+    help: 'Time from queueing to delivery, by type.',
+    buckets: [1, 5, 15, 30, 60, 300, 900, 3600]
+  },
+  c4_require_idle_wait_seconds: {
+    type: 'histogram',
+    help: 'Time the queue was blocked after a block_queue_until_idle item waiting for the agent to settle.',
+    buckets: [5, 10, 30, 60, 120, 300]
+  }
+};
+
+const series = new Map(Object.keys(DEFINITIONS).map((name) => [name, new Map()]));
+
+function seriesFor(name, labels) {
+  const definition = DEFINITIONS[name];
+  if (!definition) throw new Error(`unknown metric: ${name}`);
+  const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+  const byLabels = series.get(name);
+  if (!byLabels.has(key)) {
+    byLabels.set(key, definition.type === 'histogram'
+      ? { labels, buckets: definition.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 });
+  }
+  return byLabels.get(key);
+}
+
+/**
+ * Add to a counter.
+ * @param {string} name - a counter in DEFINITIONS
+ * @param {object} [labels]
+ * @param {number} [value=1]
+ */
+export function incCounter(name, labels = {}, value = 1) {
+  seriesFor(name, labels).value += value;
+}
+
+/**
+ * Record one observation in a histogram.
+ * @param {string} name - a histogram in DEFINITIONS
+ * @param {number} value - seconds
+ * @param {object} [labels]
+ */
+export function observeHistogram(name, value, labels = {}) {
+  const entry = seriesFor(name, labels);
+  DEFINITIONS[name].buckets.forEach((bound, index) => {
+    if (value <= bound) entry.buckets[index] += 1;
+  });
+  entry.sum += value;
+  entry.count += 1;
+}
+
+/**
+ * Forget all recorded values (tests).
+ */
+export function resetMetrics() {
+  for (const byLabels of series.values()) byLabels.clear();
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function renderFamily(lines, name, type, help, samples) {
+  lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  for (const [labels, value] of samples) {
+    lines.push(`${name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+/**
+ * All metrics in the Prometheus text exposition format.
+ * @param {object} [options]
+ * @param {object} [options.pending] - getPendingCountsByPriority() result
+ * @param {number} [options.pendingOutbound] - getPendingOutboundCount() result
+ * @returns {string}
+ */
+export function renderMetrics({
+  pending = getPendingCountsByPriority(),
+  pendingOutbound = getPendingOutboundCount()
+} = {}) {
+  const lines = [];
+  renderFamily(lines, 'c4_pending_conversations', 'gauge', 'Incoming conversations waiting for delivery, by priority.',
+    PRIORITIES.map((priority) => [{ priority }, pending.conversations[priority] ?? 0]));
+  renderFamily(lines, 'c4_pending_controls', 'gauge', 'Control items waiting for delivery, by priority.',
+    PRIORITIES.map((priority) => [{ priority }, pending.controls[priority] ?? 0]));
+  renderFamily(lines, 'c4_pending_outbound', 'gauge', 'Outbound channel sends waiting for a retry.',
+    [[{}, pendingOutbound]]);
+
+  for (const [name, definition] of Object.entries(DEFINITIONS)) {
+    const entries = [...series.get(name).values()];
+    if (definition.type !== 'histogram') {
+      renderFamily(lines, name, definition.type, definition.help, entries.map((entry) => [entry.labels, entry.value]));
+      continue;
+    }
+    renderFamily(lines, name, 'histogram', definition.help, []);
+    for (const entry of entries) {
+      definition.buckets.forEach((bound, index) => {
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.buckets[index]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+      lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write renderMetrics() to a textfile-collector file. The file is replaced
+ * atomically so node_exporter never reads a partial write.
+ * @param {string} [filePath=METRICS_TEXTFILE]
+ */
+export function writeMetricsTextfile(filePath = METRICS_TEXTFILE) {
+  const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmpPath, renderMetrics());
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Serve GET /metrics on localhost.
+ * @param {object} [options]
+ * @param {number|null} [options.port=METRICS_HTTP_PORT] - null disables, 0 picks a free port
+ * @param {function} [options.log]
+ * @returns {Promise<{port: number, close: function}|null>}
+ */
+export async function startMetricsServer({ port = METRICS_HTTP_PORT, log = () => {} } = {}) {
+  if (port === null || port === undefined) return null;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${HTTP_HOST}`);
+    if (req.method !== 'GET' || url.pathname !== METRICS_PATH) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end(`use GET ${METRICS_PATH}\n`);
+      return;
+    }
+    try {
+      const body = renderMetrics();
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(body);
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`failed to collect metrics: ${err.message}\n`);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, HTTP_HOST, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+  server.on('error', (err) => log(`Metrics server error: ${err.message}`));
+  const boundPort = server.address().port;
+  log(`Metrics listening at http://${HTTP_HOST}:${boundPort}${METRICS_PATH}`);
+
+  return {
+    port: boundPort,
+    close: () => new Promise((resolve) => server.close(() => resolve()))
+  };
+}
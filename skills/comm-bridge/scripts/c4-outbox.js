@@ -0,0 +1,448 @@
+#!/usr/bin/env node
+/**
+ * C4 Communication Bridge - Outbound Delivery Queue
+ *
+ * Every channel send made by c4-send.js is persisted in outbound_queue
+ * before the channel's scripts/send.js is spawned. c4-send.js makes the
+ * first attempt inline; a failed attempt is left pending with a backoff
+ * deadline and retried by the dispatcher (drainOutbound) until
+ * OUTBOUND_MAX_ATTEMPTS is spent, at which point the row is marked failed
+ * and logged to delivery-failures.log.
+ *
+ * Commands:
+ *   list [--status <pending|sending|sent|failed>] [--conversation <id>] [--limit <n>]
+ *   get --id <outbound_id>
+ *   retry --id <outbound_id>
+ *   scheduled
+ *   cancel --id <outbound_id>
+ *
+ * Scheduled sends (c4-send.js --at/--in) are ordinary pending rows whose
+ * send_after/next_attempt_at lie in the future; the dispatcher picks them
+ * up when due. So are messages held for quiet hours; those in digest mode
+ * are combined with the other due digest rows of the same chat into one
+ * delivery (c4-quiet-hours.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import {
+  claimNextOutbound,
+  claimOutboundRecords,
+  getDueQuietDigests,
+  getOutbound,
+  getOutboundById,
+  getOutboundSendContent,
+  getScheduledOutbound,
+  cancelOutbound,
+  markOutboundFailed,
+  markOutboundSent,
+  recordChannelSend,
+  recoverStaleOutbound,
+  requeueOutbound,
+  retryOrFailOutbound,
+  close
+} from './c4-db.js';
+import { logDeliveryFailure } from './c4-diagnostic.js';
+import { buildSendEnvelope, getChannelCapabilities } from './c4-send-contract.js';
+import { buildQuietDigest } from './c4-quiet-hours.js';
+import {
+  OUTBOUND_MAX_ATTEMPTS,
+  OUTBOUND_SEND_TIMEOUT_MS,
+  OUTBOUND_STALE_SENDING_SECONDS,
+  SKILLS_DIR
+} from './c4-config.js';
+
+// Keep last_error short: it is surfaced in CLI output and diagnostics logs.
+const ERROR_TAIL_CHARS = 500;
+const OUTBOUND_STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled'];
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+export function getChannelScriptPath(channel) {
+  return path.join(SKILLS_DIR, channel, 'scripts', 'send.js');
+}
+
+/**
+ * Spawn the channel's send script once for an outbound item and record the
+ * outcome in the channel registry (c4-channels.js). Channels that declare
+ * send contract 1 get `--envelope` and the JSON envelope on stdin; others
+ * get the legacy `[endpoint] <message>` argv.
+ * @param {object} item - { id, channel, endpoint_id, content, payload }
+ * @param {object} [options]
+ * @param {boolean} [options.echo=false] - forward the script's stdout/stderr
+ * @param {number} [options.timeoutMs] - kill the script after this long
+ * @returns {Promise<{ok: boolean, code: number|null, error: string|null, permanent?: boolean}>}
+ */
+export async function deliverOutbound(item, options = {}) {
+  const result = await runChannelScript(item, options);
+  try {
+    recordChannelSend(item.channel, result.ok ? null : result.error);
+  } catch (err) {
+    console.error(`[C4] Warning: channel registry write failed: ${err.message}`);
+  }
+  return result;
+}
+
+function runChannelScript(item, { echo = false, timeoutMs = OUTBOUND_SEND_TIMEOUT_MS } = {}) {
+  const channelScript = getChannelScriptPath(item.channel);
+  if (!fs.existsSync(channelScript)) {
+    // Retrying cannot help until the channel is reinstalled.
+    return Promise.resolve({
+      ok: false,
+      code: null,
+      error: `Channel script not found: ${channelScript}`,
+      permanent: true
+    });
+  }
+
+  let scriptArgs;
+  let envelope = null;
+  if (getChannelCapabilities(item.channel).sendContract >= 1) {
+    scriptArgs = ['--envelope'];
+    try {
+      envelope = JSON.stringify(buildSendEnvelope(item));
+    } catch (err) {
+      // A malformed stored payload will not parse on a retry either.
+      return Promise.resolve({ ok: false, code: null, error: `invalid payload: ${err.message}`, permanent: true });
+    }
+  } else {
+    scriptArgs = item.endpoint_id ? [item.endpoint_id, item.content] : [item.content];
+  }
+
+  return new Promise((resolve) => {
+    let settled = false;
+    let stderrTail = '';
+
+    function settle(result) {
+      if (settled) return;
+      settled = true;
+      resolve(result);
+    }
+
+    const child = spawn('node', [channelScript, ...scriptArgs], {
+      stdio: [envelope === null ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+      timeout: timeoutMs
+    });
+
+    if (envelope !== null) {
+      child.stdin.on('error', () => { /* script exited without reading stdin */ });
+      child.stdin.end(envelope);
+    }
+
+    child.stdout.on('data', (chunk) => {
+      if (echo) process.stdout.write(chunk);
+    });
+    child.stderr.on('data', (chunk) => {
+      if (echo) process.stderr.write(chunk);
+      stderrTail = (stderrTail + chunk).slice(-ERROR_TAIL_CHARS);
+    });
+
+    child.on('error', (err) => {
+      settle({ ok: false, code: null, error: `spawn error: ${err.message}` });
+    });
+
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        settle({ ok: true, code: 0, error: null });
+        return;
+      }
+      const reason = signal ? `killed by ${signal}` : `exit code ${code}`;
+      const detail = stderrTail.trim();
+      settle({ ok: false, code, error: detail ? `${reason}: ${detail}` : reason });
+    });
+  });
+}
+
+/**
+ * An outbound record with the text to send (getOutboundSendContent()), or
+ * null after marking it failed when that text cannot be decrypted.
+ */
+function withSendContent(item) {
+  try {
+    return { ...item, content: getOutboundSendContent(item) };
+  } catch (err) {
+    markOutboundFailed(item.id, `cannot decrypt redacted content: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Deliver a claimed ('sending') outbound record and persist the outcome.
+ * @param {object} item - outbound_queue row, with the text to send
+ *   (content is stored redacted; see getOutboundSendContent())
+ * @param {object} [options] - forwarded to deliverOutbound()
+ * @returns {Promise<object>} delivery result plus the queue transition
+ */
+export async function attemptOutbound(item, options = {}) {
+  const result = await deliverOutbound(item, options);
+
+  if (result.ok) {
+    markOutboundSent(item.id);
+    return { ...result, transition: { status: 'sent', retry_count: item.retry_count || 0 } };
+  }
+
+  let transition;
+  if (result.permanent) {
+    markOutboundFailed(item.id, result.error);
+    transition = { status: 'failed', retry_count: (item.retry_count || 0) + 1, next_attempt_at: null };
+  } else {
+    transition = retryOrFailOutbound(item.id, result.error, OUTBOUND_MAX_ATTEMPTS);
+  }
+
+  if (transition?.status === 'failed') {
+    logDeliveryFailure('outbound', item.id, result.permanent ? 'CHANNEL_SCRIPT_MISSING' : 'MAX_ATTEMPTS', {
+      channel: item.channel,
+      attempts: transition.retry_count
+    });
+  }
+
+  return { ...result, transition };
+}
+
+function isQuietDigest(item) {
+  try {
+    const payload = typeof item.payload === 'string' ? JSON.parse(item.payload) : item.payload;
+    return Boolean(payload?.quiet_digest);
+  } catch {
+    // Not a digest; its own delivery reports the bad payload.
+    return false;
+  }
+}
+
+/**
+ * Deliver a claimed quiet-hours digest row together with the other due
+ * digest rows of its chat, as far as they fit in one channel message. Every
+ * row shares the outcome of the single delivery.
+ * @returns {Promise<{result: object, rows: object[]}>}
+ */
+async function attemptQuietDigest(item) {
+  const { maxMessageChars } = getChannelCapabilities(item.channel);
+  const batch = [item];
+  for (const candidate of getDueQuietDigests(item.channel, item.endpoint_id)) {
+    const ready = withSendContent(candidate);
+    if (!ready) continue;
+    if (maxMessageChars && buildQuietDigest([...batch, ready]).length > maxMessageChars) break;
+    batch.push(ready);
+  }
+  const claimed = new Set(claimOutboundRecords(batch.slice(1).map((row) => row.id)).map((row) => row.id));
+  const rows = batch.filter((row, index) => index === 0 || claimed.has(row.id));
+
+  const result = await attemptOutbound({ ...item, content: buildQuietDigest(rows) });
+  for (const row of rows.slice(1)) {
+    if (result.ok) {
+      markOutboundSent(row.id);
+    } else if (result.permanent) {
+      markOutboundFailed(row.id, result.error);
+    } else {
+      retryOrFailOutbound(row.id, result.error, OUTBOUND_MAX_ATTEMPTS);
+    }
+  }
+  return { result, rows };
+}
+
+/**
+ * Deliver due outbound records. Called from the dispatcher loop; never
+ * throws for an individual delivery failure.
+ * @param {object} [options]
+ * @param {function} [options.log] - logger for progress lines
+ * @param {number} [options.limit=10] - max deliveries per drain
+ * @returns {Promise<{sent: number, retried: number, failed: number}>}
+ */
+export async function drainOutbound({ log = () => {}, limit = 10 } = {}) {
+  const counts = { sent: 0, retried: 0, failed: 0 };
+
+  const recovered = recoverStaleOutbound(nowSeconds() - OUTBOUND_STALE_SENDING_SECONDS);
+  if (recovered > 0) {
+    log(`Outbound: recovered ${recovered} abandoned sending record(s)`);
+  }
+
+  for (let i = 0; i < limit; i++) {
+    const claimedItem = claimNextOutbound();
+    if (!claimedItem) break;
+    const item = withSendContent(claimedItem);
+    if (!item) {
+      counts.failed += 1;
+      log(`FAILED: outbound id=${claimedItem.id} channel=${claimedItem.channel} marked as failed (redacted content cannot be decrypted)`);
+      continue;
+    }
+
+    let result;
+    let digestOf = '';
+    if (isQuietDigest(item)) {
+      const digest = await attemptQuietDigest(item);
+      result = digest.result;
+      if (digest.rows.length > 1) digestOf = ` (quiet-hours digest of ids ${digest.rows.map((row) => row.id).join(',')})`;
+    } else {
+      result = await attemptOutbound(item);
+    }
+    const status = result.transition?.status;
+    if (status === 'sent') {
+      counts.sent += 1;
+      log(`Outbound id=${item.id} sent via ${item.channel}${digestOf} (attempt ${(item.retry_count || 0) + 1})`);
+    } else if (status === 'failed') {
+      counts.failed += 1;
+      log(`FAILED: outbound id=${item.id} channel=${item.channel} marked as failed after ${result.transition.retry_count} attempt(s) (${result.error})`);
+    } else {
+      counts.retried += 1;
+      log(`Outbound id=${item.id} via ${item.channel} failed (${result.error}); retry ${result.transition?.retry_count} scheduled`);
+    }
+  }
+
+  return counts;
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+
+function usage() {
+  console.error('Usage: c4-outbox.js <list|get|retry|scheduled|cancel> [options]');
+  console.error(`  list [--status <${OUTBOUND_STATUSES.join('|')}>] [--conversation <id>] [--limit <n>]`);
+  console.error('  get --id <outbound_id>');
+  console.error('  retry --id <outbound_id>');
+  console.error('  scheduled');
+  console.error('  cancel --id <outbound_id>');
+}
+
+function errorExit(message) {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+}
+
+function parseNumberArg(args, flag) {
+  const idx = args.indexOf(flag);
+  if (idx === -1) return null;
+  const raw = args[idx + 1];
+  if (!raw) errorExit(`missing value for ${flag}`);
+  const value = Number(raw);
+  if (!Number.isFinite(value)) {
+    errorExit(`${flag} must be a number`);
+  }
+  return value;
+}
+
+function parseStringArg(args, flag) {
+  const idx = args.indexOf(flag);
+  if (idx === -1) return null;
+  const value = args[idx + 1];
+  if (!value) errorExit(`missing value for ${flag}`);
+  return value;
+}
+
+function parseId(args) {
+  const idRaw = parseNumberArg(args, '--id');
+  if (!Number.isInteger(idRaw) || idRaw <= 0) {
+    errorExit('--id must be a positive integer');
+  }
+  return idRaw;
+}
+
+function handleList(args) {
+  const status = parseStringArg(args, '--status');
+  if (status !== null && !OUTBOUND_STATUSES.includes(status)) {
+    errorExit(`--status must be one of: ${OUTBOUND_STATUSES.join(', ')}`);
+  }
+
+  const conversationId = parseNumberArg(args, '--conversation');
+  if (conversationId !== null && (!Number.isInteger(conversationId) || conversationId <= 0)) {
+    errorExit('--conversation must be a positive integer');
+  }
+
+  const limit = parseNumberArg(args, '--limit');
+  if (limit !== null && (!Number.isInteger(limit) || limit <= 0)) {
+    errorExit('--limit must be a positive integer');
+  }
+
+  console.log(JSON.stringify(getOutbound({ status, conversationId, limit: limit ?? 50 }), null, 2));
+}
+
+function handleGet(args) {
+  const id = parseId(args);
+  const row = getOutboundById(id);
+  if (!row) {
+    errorExit(`outbound ${id} not found`);
+  }
+  console.log(JSON.stringify(row, null, 2));
+}
+
+function handleRetry(args) {
+  const id = parseId(args);
+  const row = getOutboundById(id);
+  if (!row) {
+    errorExit(`outbound ${id} not found`);
+  }
+  if (!requeueOutbound(id)) {
+    errorExit(`outbound ${id} is ${row.status}; only failed records can be retried`);
+  }
+  console.log(`OK: outbound ${id} requeued for delivery`);
+}
+
+function handleScheduled() {
+  const now = nowSeconds();
+  const rows = getScheduledOutbound().map((row) => ({
+    ...row,
+    send_after_iso: new Date(row.send_after * 1000).toISOString(),
+    due_in_seconds: Math.max(0, row.send_after - now)
+  }));
+  console.log(JSON.stringify(rows, null, 2));
+}
+
+function handleCancel(args) {
+  const id = parseId(args);
+  const row = getOutboundById(id);
+  if (!row) {
+    errorExit(`outbound ${id} not found`);
+  }
+  const cancelled = cancelOutbound(id);
+  if (cancelled === 0) {
+    errorExit(`outbound ${id} is ${row.status}; only pending records can be cancelled`);
+  }
+  const parts = cancelled > 1 ? ` (${cancelled} parts)` : '';
+  console.log(`OK: outbound ${id} cancelled${parts}`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const commandArgs = args.slice(1);
+
+  if (!command || command === '--help' || command === '-h') {
+    usage();
+    process.exit(command ? 0 : 1);
+  }
+
+  try {
+    switch (command) {
+      case 'list':
+        handleList(commandArgs);
+        break;
+      case 'get':
+        handleGet(commandArgs);
+        break;
+      case 'retry':
+        handleRetry(commandArgs);
+        break;
+      case 'scheduled':
+        handleScheduled();
+        break;
+      case 'cancel':
+        handleCancel(commandArgs);
+        break;
+      default:
+        usage();
+        errorExit(`unknown command: ${command}`);
+    }
+  } finally {
+    close();
+  }
+}
+
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+
+if (isMainModule) {
+  main();
+}
@@ -0,0 +1,169 @@
+/**
+ * C4 Communication Bridge - Quiet Hours
+ *
+ * A contact or chat endpoint can have a daily quiet window
+ * (`c4-contacts.js quiet`). A proactive c4-send.js message that would go
+ * out inside it is held until the window ends:
+ *   hold    each message is an ordinary scheduled send at window end
+ *   digest  text messages for the chat are combined into one message at
+ *           window end (see drainOutbound in c4-outbox.js)
+ * Replies (--reply-to), --urgent sends and messages to someone who wrote
+ * within QUIET_HOURS_ACTIVE_MINUTES are not held.
+ *
+ * Windows are wall-clock times in the rule's timezone, or in the
+ * scheduler's TZ (~/zylos/.env, then $TZ, then UTC) when it has none.
+ */
+
+import { getEndpointLastSeen, getQuietHoursFor } from './c4-db.js';
+import { QUIET_HOURS_ACTIVE_MINUTES } from './c4-config.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+const WINDOW_RE = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/;
+
+function toMinute(hours, minutes) {
+  const h = Number(hours);
+  const m = Number(minutes);
+  return h <= 23 && m <= 59 ? h * 60 + m : null;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Parse `HH:MM-HH:MM` (end exclusive; may wrap past midnight).
+ * @returns {{startMinute: number, endMinute: number}|null}
+ */
+export function parseQuietWindow(text) {
+  const match = WINDOW_RE.exec(String(text ?? '').trim());
+  if (!match) return null;
+  const startMinute = toMinute(match[1], match[2]);
+  const endMinute = toMinute(match[3], match[4]);
+  if (startMinute === null || endMinute === null || startMinute === endMinute) return null;
+  return { startMinute, endMinute };
+}
+
+/**
+ * `HH:MM-HH:MM` for a stored window.
+ */
+export function formatQuietWindow(startMinute, endMinute) {
+  const format = (minute) => `${pad(Math.floor(minute / 60))}:${pad(minute % 60)}`;
+  return `${format(startMinute)}-${format(endMinute)}`;
+}
+
+export function isValidTimezone(timezone) {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Minutes after local midnight in a timezone.
+ * @param {number} unixSeconds
+ * @param {string} timeZone
+ */
+export function localMinuteOfDay(unixSeconds, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(new Date(unixSeconds * 1000));
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+}
+
+function inWindow(minute, startMinute, endMinute) {
+  return startMinute < endMinute
+    ? minute >= startMinute && minute < endMinute
+    : minute >= startMinute || minute < endMinute;
+}
+
+/**
+ * When the quiet window around a moment ends.
+ * @param {{start_minute: number, end_minute: number}} rule
+ * @param {number} at - unix seconds
+ * @param {string} timeZone
+ * @returns {number|null} - unix seconds, or null when `at` is outside the window
+ */
+export function quietWindowEnd(rule, at, timeZone) {
+  const minute = localMinuteOfDay(at, timeZone);
+  if (!inWindow(minute, rule.start_minute, rule.end_minute)) return null;
+  const minutesLeft = (rule.end_minute - minute + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  let end = (Math.floor(at / 60) + minutesLeft) * 60;
+  // A DST change inside the window shifts local time; land on the local end.
+  let drift = rule.end_minute - localMinuteOfDay(end, timeZone);
+  if (drift > MINUTES_PER_DAY / 2) drift -= MINUTES_PER_DAY;
+  if (drift < -MINUTES_PER_DAY / 2) drift += MINUTES_PER_DAY;
+  end += drift * 60;
+  return end > at ? end : null;
+}
+
+async function schedulerTimezone() {
+  const tz = await import('../../scheduler/scripts/tz.js');
+  return tz.loadTimezone();
+}
+
+/**
+ * Whether a send to one chat must be held for quiet hours.
+ * @param {object} send
+ * @param {string} send.channel
+ * @param {string|null} send.endpointId
+ * @param {number} [send.at] - unix seconds the message would go out (now, or --at/--in)
+ * @param {number} [send.current] - unix seconds
+ * @returns {Promise<{until: number, mode: string, timezone: string, window: string, target: string}|null>}
+ */
+export async function getQuietHold({ channel, endpointId, at, current = Math.floor(Date.now() / 1000) }) {
+  const rule = getQuietHoursFor(channel, endpointId);
+  if (!rule) return null;
+
+  const sendAt = at ?? current;
+  if (sendAt <= current && QUIET_HOURS_ACTIVE_MINUTES > 0) {
+    const lastSeen = getEndpointLastSeen(channel, endpointId);
+    if (lastSeen !== null && current - lastSeen < QUIET_HOURS_ACTIVE_MINUTES * 60) return null;
+  }
+
+  const timezone = rule.timezone || await schedulerTimezone();
+  const until = quietWindowEnd(rule, sendAt, timezone);
+  if (until === null) return null;
+  return {
+    until,
+    mode: rule.mode,
+    timezone,
+    window: formatQuietWindow(rule.start_minute, rule.end_minute),
+    target: rule.contact ? `@${rule.contact}` : `${rule.channel}:${rule.endpoint_id}`
+  };
+}
+
+function localTime(unixSeconds, timeZone) {
+  const minute = localMinuteOfDay(unixSeconds, timeZone || 'UTC');
+  return `${pad(Math.floor(minute / 60))}:${pad(minute % 60)}`;
+}
+
+/**
+ * "@alice is in quiet hours (22:00-07:00 Asia/Shanghai) until 07:00"
+ * @param {object} hold - getQuietHold() result
+ */
+export function describeQuietHold(hold) {
+  return `${hold.target} is in quiet hours (${hold.window} ${hold.timezone}) until ${localTime(hold.until, hold.timezone)}`;
+}
+
+/**
+ * Text of one digest delivery for held outbound rows (oldest first). A
+ * single row is sent unchanged.
+ * @param {object[]} rows - outbound_queue rows with `quiet_digest` payloads
+ * @returns {string}
+ */
+export function buildQuietDigest(rows) {
+  if (rows.length === 1) return rows[0].content;
+  const sections = rows.map((row) => {
+    let payload = {};
+    try {
+      payload = (typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload) || {};
+    } catch {
+      // Malformed payload: show the time in UTC.
+    }
+    return `[${localTime(row.created_at, payload.quiet_digest?.timezone)}] ${row.content}`;
+  });
+  return [`${rows.length} messages held during quiet hours:`, ...sections].join('\n\n');
+}
@@ -1,40 +1,30 @@
 #!/usr/bin/env node
 /**
  * C4 Communication Bridge - Receive Interface
- * Receives messages from external channels and queues them for Claude
+ * Receives messages from external channels and queues them for Claude.
+ * Thin CLI over c4-inbound.js; long-running channels can use the c4-intake
+ * socket/HTTP API instead of spawning this per message.
  */
 
-import path from 'path';
-import fs from 'fs';
-import net from 'net';
-import { spawnSync } from 'child_process';
-import { fileURLToPath } from 'url';
-import {
-  clearStatusNoticeCooldownReservation,
-  insertConversation,
-  close,
-  reserveStatusNoticeCooldown
-} from './c4-db.js';
-import { validateChannel, validateEndpoint } from './c4-validate.js';
-import {
-  AGENT_STATUS_FILE,
-  ACTIVITY_MONITOR_DIR
-} from './c4-config.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const AM_SOCKET_PATH = path.join(ACTIVITY_MONITOR_DIR, 'am.sock');
-const ROUTER_IPC_TIMEOUT_MS = 30000;
-const STATUS_NOTICE_COOLDOWN_SECONDS = Number.parseInt(process.env.C4_STATUS_NOTICE_COOLDOWN_SECONDS || '600', 10);
+import { close } from './c4-db.js';
+import { INBOUND_EVENTS, receiveInbound } from './c4-inbound.js';
 
 function printUsage() {
-  console.log('Usage: node c4-receive.js --channel <channel> [--endpoint <endpoint_id>] [--priority <1-3>] [--no-reply] [--block-queue-until-idle] [--json] --content "<message>"');
+  console.log('Usage: node c4-receive.js --channel <channel> [--endpoint <endpoint_id>] [--priority <1-3>] [--no-reply] [--block-queue-until-idle] [--external-id <id>] [--thread-key <key>] [--external-message-id <id>] [--event <edit|delete|reaction> --target-external-id <id>] [--json] --content "<message>"');
   console.log('');
   console.log('Options:');
   console.log('  --no-reply       Mark as not needing a reply target (use for system messages)');
   console.log('  --block-queue-until-idle');
   console.log('                   Wait for sustained idle, then block subsequent dispatch until execution settles');
   console.log('                   Legacy alias: --require-idle');
+  console.log('  --external-id    Channel-side message id; a redelivery is not queued again (action=duplicate)');
+  console.log('  --thread-key     Thread the message belongs to (default: channel + endpoint without msg/req/parent parts)');
+  console.log('  --external-message-id');
+  console.log('                   Channel-side id of this message (default: the endpoint\'s |msg: part)');
+  console.log('  --event          The message edits, deletes or reacts to an earlier one (edit|delete|reaction);');
+  console.log('                   --content is the new text or the reaction, and is optional for delete');
+  console.log('  --target-external-id');
+  console.log('                   Channel-side id of the message the event refers to (required with --event)');
   console.log('  --json           Output structured JSON');
   console.log('');
   console.log('Priority levels:');
@@ -51,6 +41,11 @@ function parseArgs(args) {
     priority: 3,
     noReply: false,
     requireIdle: false,
+    externalId: null,
+    threadKey: null,
+    externalMessageId: null,
+    event: null,
+    targetExternalId: null,
     json: false
   };
 
@@ -72,6 +67,21 @@ function parseArgs(args) {
       case '--block-queue-until-idle':
         result.requireIdle = true;
         break;
+      case '--external-id':
+        result.externalId = args[++i] ?? '';
+        break;
+      case '--thread-key':
+        result.threadKey = args[++i] ?? '';
+        break;
+      case '--external-message-id':
+        result.externalMessageId = args[++i] ?? '';
+        break;
+      case '--event':
+        result.event = args[++i] ?? '';
+        break;
+      case '--target-external-id':
+        result.targetExternalId = args[++i] ?? '';
+        break;
       case '--json':
         result.json = true;
         break;
@@ -89,136 +99,6 @@ function parseArgs(args) {
   return result;
 }
 
-function readHealthStatusFile() {
-  try {
-    if (!fs.existsSync(AGENT_STATUS_FILE)) {
-      return { health: 'ok' };
-    }
-    let status = null;
-    let lastErr = null;
-    for (let attempt = 0; attempt < 3; attempt++) {
-      try {
-        status = JSON.parse(fs.readFileSync(AGENT_STATUS_FILE, 'utf8'));
-        break;
-      } catch (err) {
-        lastErr = err;
-      }
-    }
-    if (!status && lastErr) throw lastErr;
-    if (status && typeof status.health === 'string') {
-      return status;
-    }
-    return { health: 'ok' };
-  } catch {
-    // Fail-open by design: status read failures do not block intake.
-    return { health: 'ok' };
-  }
-}
-
-function publicHealth(health) {
-  if (health === 'ok' || health === 'rate_limited' || health === 'auth_failed') {
-    return health;
-  }
-  return 'unavailable';
-}
-
-function buildFallbackMessage(status) {
-  const health = publicHealth(status.health);
-  if (health === 'rate_limited') {
-    const resetInfo = status.rate_limit_reset ? ` I should be back around ${status.rate_limit_reset}.` : ' I should be back within an hour.';
-    return `I've hit my usage limit.${resetInfo} Please send your message again after I'm back!`;
-  }
-  if (health === 'auth_failed') {
-    return "I'm having authentication issues — please check the API credentials.";
-  }
-  return "I'm temporarily unavailable but should be back shortly. Please try again in a moment!";
-}
-
-function fallbackFileRoute() {
-  const status = readHealthStatusFile();
-  const health = publicHealth(status?.health);
-  if (!status || typeof status.health !== 'string' || health === 'ok') {
-    return { recovered: true, health: 'ok', fallback: true };
-  }
-  return {
-    recovered: false,
-    health,
-    reason: status.unavailable_reason || health,
-    userMessage: buildFallbackMessage(status),
-    fallback: true
-  };
-}
-
-function ipcRoute(request) {
-  return new Promise((resolve, reject) => {
-    const socket = net.createConnection(AM_SOCKET_PATH);
-    let data = '';
-    let settled = false;
-
-    function settle(fn, value) {
-      if (settled) return;
-      settled = true;
-      socket.destroy();
-      fn(value);
-    }
-
-    function tryParseResponse(force = false) {
-      const newlineIndex = data.indexOf('\n');
-      if (newlineIndex === -1 && !force) return;
-      const raw = newlineIndex === -1 ? data : data.slice(0, newlineIndex);
-      try {
-        settle(resolve, JSON.parse(raw));
-      } catch {
-        settle(reject, new Error('IPC response parse error'));
-      }
-    }
-
-    socket.setTimeout(ROUTER_IPC_TIMEOUT_MS);
-    socket.on('connect', () => {
-      socket.write(`${JSON.stringify(request)}\n`);
-    });
-    socket.on('data', (chunk) => {
-      data += chunk;
-      tryParseResponse();
-    });
-    socket.on('end', () => {
-      tryParseResponse(true);
-    });
-    socket.on('timeout', () => {
-      settle(reject, new Error('IPC timeout'));
-    });
-    socket.on('error', (err) => settle(reject, err));
-  });
-}
-
-function isValidRouteDecision(decision, noReply) {
-  if (!decision || typeof decision.recovered !== 'boolean') return false;
-  if (decision.recovered) return true;
-  if (typeof decision.health !== 'string') return false;
-  if (noReply) return true;
-  return typeof decision.userMessage === 'string' && decision.userMessage.length > 0;
-}
-
-async function queryRoute(channel, endpoint, noReply) {
-  try {
-    const decision = await ipcRoute({
-      version: 1,
-      type: 'route',
-      requestId: `${process.pid}-${Date.now()}`,
-      channel,
-      endpoint,
-      noReply,
-      receivedAt: Date.now()
-    });
-    if (!isValidRouteDecision(decision, noReply)) {
-      throw new Error('IPC response invalid route decision');
-    }
-    return decision;
-  } catch {
-    return fallbackFileRoute();
-  }
-}
-
 function emitSuccess(json, recordId, action = 'queued') {
   if (json) {
     console.log(JSON.stringify({ ok: true, action, id: recordId }));
@@ -243,66 +123,6 @@ function emitError(json, code, message, exitCode = 1) {
   process.exit(exitCode);
 }
 
-function sendUnhealthyMessage(channel, endpoint, message) {
-  const args = [path.join(__dirname, 'c4-send.js'), channel];
-  if (endpoint) args.push(endpoint);
-  const result = spawnSync('node', args, {
-    input: message,
-    encoding: 'utf8',
-    stdio: ['pipe', 'pipe', 'pipe']
-  });
-  return result;
-}
-
-function normalizeStatusEndpoint(endpoint) {
-  if (!endpoint) return '';
-  // Group status-notice cooldowns by stable conversation root, not by each
-  // incoming message/request id. This keeps thread-specific cooldowns while
-  // suppressing repeated notices within the same root conversation.
-  return endpoint.replace(/\|(msg|req|parent):[^|]+/g, '');
-}
-
-function statusNoticeType(route) {
-  return publicHealth(route?.health);
-}
-
-function statusNoticeReason(route) {
-  return String(route?.reason || statusNoticeType(route) || 'default');
-}
-
-function statusNoticeCooldownKey(channel, endpoint, route) {
-  return [
-    channel || 'unknown',
-    normalizeStatusEndpoint(endpoint),
-    statusNoticeType(route),
-    statusNoticeReason(route)
-  ].join('::');
-}
-
-function reserveStatusNoticeCooldownForRoute(channel, endpoint, route, now = Math.floor(Date.now() / 1000)) {
-  const key = statusNoticeCooldownKey(channel, endpoint, route);
-  const ttl = Number.isFinite(STATUS_NOTICE_COOLDOWN_SECONDS) && STATUS_NOTICE_COOLDOWN_SECONDS > 0
-    ? STATUS_NOTICE_COOLDOWN_SECONDS
-    : 600;
-  return reserveStatusNoticeCooldown({
-    cooldownKey: key,
-    channel,
-    endpoint: normalizeStatusEndpoint(endpoint),
-    statusType: statusNoticeType(route),
-    reason: statusNoticeReason(route),
-    ttl,
-    now
-  });
-}
-
-function clearStatusNoticeCooldownReservationForRoute(key, reservedAt) {
-  try {
-    clearStatusNoticeCooldownReservation(key, reservedAt);
-  } catch (err) {
-    console.error(`[C4] Warning: failed to clear status cooldown reservation (${err.message})`);
-  }
-}
-
 async function main() {
   const parsed = parseArgs(process.argv.slice(2));
   if (parsed.error) {
@@ -310,7 +130,10 @@ async function main() {
     emitError(asJson, 'INVALID_ARGS', parsed.error);
   }
 
-  const { channel: rawChannel, endpoint, content, priority, noReply, requireIdle, json } = parsed;
+  const {
+    channel: rawChannel, endpoint, content, priority, noReply, requireIdle,
+    externalId, threadKey, externalMessageId, event, targetExternalId, json
+  } = parsed;
   let channel = rawChannel;
 
   if (!channel && noReply) {
@@ -322,78 +145,50 @@ async function main() {
     emitError(json, 'INVALID_ARGS', '--channel is required unless --no-reply is set');
   }
 
-  if (!content) {
+  if (event !== null && !INBOUND_EVENTS.includes(event)) {
     if (!json) printUsage();
-    emitError(json, 'INVALID_ARGS', '--content is required');
+    emitError(json, 'INVALID_ARGS', `--event must be one of: ${INBOUND_EVENTS.join(', ')}`);
   }
 
-  if (!Number.isInteger(priority) || priority < 1 || priority > 3) {
+  if ((event === null) !== (targetExternalId === null) || targetExternalId === '') {
     if (!json) printUsage();
-    emitError(json, 'INVALID_ARGS', '--priority must be an integer 1, 2, or 3');
+    emitError(json, 'INVALID_ARGS', '--event and --target-external-id must be given together');
   }
 
-  try {
-    validateChannel(channel, !noReply);
-  } catch (err) {
-    emitError(json, 'INVALID_ARGS', `invalid channel: ${err.message}`);
+  if (!content && event !== 'delete') {
+    if (!json) printUsage();
+    emitError(json, 'INVALID_ARGS', '--content is required');
   }
 
-  if (endpoint) {
-    try {
-      validateEndpoint(endpoint);
-    } catch (err) {
-      emitError(json, 'INVALID_ARGS', `invalid endpoint: ${err.message}`);
-    }
+  if (!Number.isInteger(priority) || priority < 1 || priority > 3) {
+    if (!json) printUsage();
+    emitError(json, 'INVALID_ARGS', '--priority must be an integer 1, 2, or 3');
   }
 
-  const route = await queryRoute(channel, endpoint, noReply);
-  const replyEndpoint = noReply ? null : endpoint;
-  let dbContent = content;
-  const dbStatus = route.recovered ? 'pending' : 'delivered';
-  let cooldown = null;
+  if (externalId === '') {
+    if (!json) printUsage();
+    emitError(json, 'INVALID_ARGS', '--external-id requires a value');
+  }
 
-  if (!route.recovered && !noReply) {
-    try {
-      cooldown = reserveStatusNoticeCooldownForRoute(channel, endpoint, route);
-    } catch (err) {
-      emitError(json, 'INTERNAL_ERROR', `failed to reserve status cooldown: ${err.message}`);
-    }
-    if (cooldown.suppressed) {
-      dbContent += `\n\n[C4] Status notification suppressed by cooldown while health=${statusNoticeType(route)} reason=${statusNoticeReason(route)}.`;
-      try {
-        const record = insertConversation('in', channel, replyEndpoint, dbContent, dbStatus, priority, requireIdle, 'suppressed');
-        emitSuccess(json, record.id, 'suppressed');
-        return;
-      } catch (err) {
-        emitError(json, 'INTERNAL_ERROR', `failed to record suppressed unhealthy message: ${err.message}`);
-      } finally {
-        close();
-      }
-    }
+  if (threadKey === '' || externalMessageId === '') {
+    if (!json) printUsage();
+    emitError(json, 'INVALID_ARGS', `${threadKey === '' ? '--thread-key' : '--external-message-id'} requires a value`);
   }
 
+  let result;
   try {
-    const record = insertConversation('in', channel, replyEndpoint, dbContent, dbStatus, priority, requireIdle);
-    if (route.recovered || noReply) {
-      emitSuccess(json, record.id, route.recovered ? 'queued' : 'delivered');
-      return;
-    }
-
-    const sendResult = sendUnhealthyMessage(channel, endpoint, route.userMessage);
-    if (sendResult.status === 0) {
-      emitSuccess(json, record.id, 'delivered');
-      return;
-    }
-    if (cooldown?.key && Number.isFinite(cooldown.reservedAt)) {
-      clearStatusNoticeCooldownReservationForRoute(cooldown.key, cooldown.reservedAt);
-    }
-    const detail = sendResult.stderr || sendResult.stdout || `exit ${sendResult.status}`;
-    emitError(json, 'UNHEALTHY_NOTIFY_FAILED', `failed to send unhealthy status message: ${detail.trim()}`);
-  } catch (err) {
-    emitError(json, 'INTERNAL_ERROR', `failed to queue message: ${err.message}`);
+    result = await receiveInbound({
+      channel, endpoint, content, priority, noReply, requireIdle,
+      externalId, threadKey, externalMessageId, event, targetExternalId
+    });
   } finally {
     close();
   }
+
+  if (!result.ok) {
+    emitError(json, result.error.code, result.error.message);
+  }
+  emitSuccess(json, result.id, result.action);
 }
 
 main();
@@ -0,0 +1,137 @@
+/**
+ * C4 Communication Bridge - Secret Redaction
+ *
+ * Secrets pasted into chat (API keys, tokens, private keys) are replaced by
+ * `[REDACTED:<kind>]` before a message is written to the conversations
+ * table, so they never reach c4.db, spill files, session-init context or
+ * memory. Built-in detectors cover common token formats; more patterns come
+ * from config.json c4_redact_patterns.
+ *
+ * With REDACT_KEEP_ORIGINAL the unredacted text is kept AES-256-GCM
+ * encrypted (c4-db.js `redacted_originals`) under a key file readable only
+ * by the owner, and is shown only by `c4-db.js original <id>`.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import {
+  REDACT_KEY_FILE,
+  REDACT_PATTERNS,
+  REDACT_SECRETS
+} from './c4-config.js';
+
+// Order matters: more specific formats first (sk-ant- before sk-).
+export const BUILTIN_SECRET_PATTERNS = [
+  { name: 'private_key', regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { name: 'anthropic_key', regex: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { name: 'openai_key', regex: /\bsk-[A-Za-z0-9_-]{20,}/g },
+  { name: 'github_token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g },
+  { name: 'aws_access_key', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'aws_secret_key', regex: /(?<=aws_secret_access_key["']?\s*[:=]\s*["']?)[A-Za-z0-9/+]{40}\b/gi },
+  { name: 'jwt', regex: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g }
+];
+
+const CIPHER = 'aes-256-gcm';
+const CIPHERTEXT_VERSION = 'v1';
+
+/**
+ * Compile user-defined patterns: regex source strings or
+ * `{ name, pattern, flags }` objects. Invalid entries are skipped.
+ * @param {Array<string|object>} specs
+ * @param {function} [warn]
+ * @returns {{name: string, regex: RegExp}[]}
+ */
+export function compileSecretPatterns(specs, warn = (message) => console.error(`[C4] Warning: ${message}`)) {
+  const compiled = [];
+  for (const spec of Array.isArray(specs) ? specs : []) {
+    const source = typeof spec === 'string' ? spec : spec?.pattern;
+    const name = (typeof spec === 'object' && spec?.name) || 'custom';
+    const flags = new Set(['g', ...String((typeof spec === 'object' && spec?.flags) || '')]);
+    try {
+      compiled.push({ name, regex: new RegExp(source, [...flags].join('')) });
+    } catch (err) {
+      warn(`ignoring redaction pattern ${JSON.stringify(source)}: ${err.message}`);
+    }
+  }
+  return compiled;
+}
+
+let activePatterns = null;
+
+function getActivePatterns() {
+  if (!activePatterns) {
+    activePatterns = REDACT_SECRETS ? [...BUILTIN_SECRET_PATTERNS, ...compileSecretPatterns(REDACT_PATTERNS)] : [];
+  }
+  return activePatterns;
+}
+
+/**
+ * Replace secrets in text with `[REDACTED:<kind>]`.
+ * @param {string} text
+ * @param {{name: string, regex: RegExp}[]} [patterns] - default: built-ins
+ *   plus config patterns, or none when redaction is disabled
+ * @returns {{text: string, count: number, kinds: string[]}}
+ */
+export function redactSecrets(text, patterns = getActivePatterns()) {
+  if (typeof text !== 'string' || patterns.length === 0) {
+    return { text, count: 0, kinds: [] };
+  }
+  let result = text;
+  let count = 0;
+  const kinds = new Set();
+  for (const { name, regex } of patterns) {
+    result = result.replace(regex, (match) => {
+      if (match.length === 0) return match;
+      count++;
+      kinds.add(name);
+      return `[REDACTED:${name}]`;
+    });
+  }
+  return { text: result, count, kinds: [...kinds] };
+}
+
+function readKey(keyFile, { create }) {
+  try {
+    return Buffer.from(fs.readFileSync(keyFile, 'utf8').trim(), 'base64');
+  } catch (err) {
+    if (err.code !== 'ENOENT' || !create) throw err;
+  }
+  const key = crypto.randomBytes(32);
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+  try {
+    fs.writeFileSync(keyFile, `${key.toString('base64')}\n`, { mode: 0o600, flag: 'wx' });
+    return key;
+  } catch (err) {
+    // Another process created it first.
+    if (err.code === 'EEXIST') return readKey(keyFile, { create: false });
+    throw err;
+  }
+}
+
+/**
+ * Encrypt an unredacted original. Creates the key file on first use.
+ * @returns {string} `v1:<iv>:<tag>:<data>` (base64 parts)
+ */
+export function encryptOriginal(text, keyFile = REDACT_KEY_FILE) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, readKey(keyFile, { create: true }), iv);
+  const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [CIPHERTEXT_VERSION, iv, cipher.getAuthTag(), data]
+    .map((part) => (typeof part === 'string' ? part : part.toString('base64')))
+    .join(':');
+}
+
+/**
+ * Decrypt an encryptOriginal() result. Throws when the key file is missing
+ * or does not match.
+ */
+export function decryptOriginal(ciphertext, keyFile = REDACT_KEY_FILE) {
+  const [version, iv, tag, data] = String(ciphertext).split(':');
+  if (version !== CIPHERTEXT_VERSION || !data) {
+    throw new Error('unsupported ciphertext format');
+  }
+  const decipher = crypto.createDecipheriv(CIPHER, readKey(keyFile, { create: false }), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
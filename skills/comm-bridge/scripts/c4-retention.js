@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * C4 Communication Bridge - Conversation Retention
+ *
+ * Moves finished conversations past their retention out of c4.db into
+ * monthly archives, `archive/conversations-YYYY-MM.jsonl.gz` (one JSON row
+ * per line, by message month), and removes spill files
+ * (`attachments/conv-<id>/`) whose conversation is gone. Only rows a memory
+ * checkpoint covers are pruned. Each run appends one gzip member per month;
+ * `zcat` and readArchive() read the concatenation.
+ *
+ * Archives are written before rows are deleted, so a crash in between can
+ * leave a row archived twice but never lost.
+ *
+ * Commands:
+ *   run [--dry-run]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import {
+  deleteConversations,
+  getConversationById,
+  getExpiredConversations,
+  close
+} from './c4-db.js';
+import {
+  ARCHIVE_DIR,
+  ATTACHMENTS_DIR,
+  CONVERSATION_RETENTION_BY_CHANNEL,
+  CONVERSATION_RETENTION_DAYS
+} from './c4-config.js';
+
+const PRUNE_BATCH_SIZE = 1000;
+const SPILL_DIR_RE = /^conv-(\d+)$/;
+
+/**
+ * Archive file for a 'YYYY-MM' month.
+ */
+export function archivePath(month, archiveDir = ARCHIVE_DIR) {
+  return path.join(archiveDir, `conversations-${month}.jsonl.gz`);
+}
+
+/**
+ * Rows of one archive file.
+ * @returns {object[]}
+ */
+export function readArchive(file) {
+  const text = zlib.gunzipSync(fs.readFileSync(file)).toString('utf8');
+  return text.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+}
+
+function appendToArchives(rows, archiveDir) {
+  const months = new Map();
+  for (const row of rows) {
+    const month = String(row.timestamp).slice(0, 7);
+    if (!months.has(month)) months.set(month, []);
+    months.get(month).push(JSON.stringify(row));
+  }
+  fs.mkdirSync(archiveDir, { recursive: true });
+  for (const [month, lines] of months) {
+    fs.appendFileSync(archivePath(month, archiveDir), zlib.gzipSync(`${lines.join('\n')}\n`));
+  }
+  return [...months.keys()];
+}
+
+/**
+ * Archive and delete expired conversations.
+ * @param {object} [options]
+ * @param {number} [options.retentionDays=CONVERSATION_RETENTION_DAYS]
+ * @param {object} [options.channelRetentionDays=CONVERSATION_RETENTION_BY_CHANNEL]
+ * @param {number} [options.current] - unix seconds
+ * @param {boolean} [options.dryRun=false] - count only
+ * @param {string} [options.archiveDir=ARCHIVE_DIR]
+ * @returns {{pruned: number, months: string[]}}
+ */
+export function pruneConversations({
+  retentionDays = CONVERSATION_RETENTION_DAYS,
+  channelRetentionDays = CONVERSATION_RETENTION_BY_CHANNEL,
+  current,
+  dryRun = false,
+  archiveDir = ARCHIVE_DIR
+} = {}) {
+  const query = { retentionDays, channelRetentionDays, current };
+  if (dryRun) {
+    const rows = getExpiredConversations({ ...query, limit: -1 });
+    return { pruned: rows.length, months: [...new Set(rows.map((row) => String(row.timestamp).slice(0, 7)))] };
+  }
+
+  let pruned = 0;
+  const months = new Set();
+  for (;;) {
+    const rows = getExpiredConversations({ ...query, limit: PRUNE_BATCH_SIZE });
+    if (rows.length === 0) break;
+    for (const month of appendToArchives(rows, archiveDir)) months.add(month);
+    pruned += deleteConversations(rows.map((row) => row.id));
+  }
+  return { pruned, months: [...months].sort() };
+}
+
+/**
+ * Remove spill directories whose conversation row no longer exists.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false]
+ * @param {string} [options.attachmentsDir=ATTACHMENTS_DIR]
+ * @returns {string[]} - directory names removed (or that would be)
+ */
+export function collectOrphanSpills({ dryRun = false, attachmentsDir = ATTACHMENTS_DIR } = {}) {
+  let entries;
+  try {
+    entries = fs.readdirSync(attachmentsDir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const removed = [];
+  for (const entry of entries) {
+    const match = SPILL_DIR_RE.exec(entry.name);
+    if (!entry.isDirectory() || !match || getConversationById(Number(match[1]))) continue;
+    if (!dryRun) {
+      fs.rmSync(path.join(attachmentsDir, entry.name), { recursive: true, force: true });
+    }
+    removed.push(entry.name);
+  }
+  return removed;
+}
+
+/**
+ * One retention pass (dispatcher daily cleanup and `run`).
+ * @returns {{pruned: number, months: string[], spills: string[]}}
+ */
+export function runRetention({ dryRun = false, ...options } = {}) {
+  const { pruned, months } = pruneConversations({ dryRun, ...options });
+  return { pruned, months, spills: collectOrphanSpills({ dryRun }) };
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args[0] !== 'run') {
+    console.error('Usage: c4-retention.js run [--dry-run]');
+    process.exit(1);
+  }
+
+  const dryRun = args.includes('--dry-run');
+  try {
+    const { pruned, months, spills } = runRetention({ dryRun });
+    const verb = dryRun ? 'would be' : 'were';
+    console.log(`${pruned} conversation(s) ${verb} archived${months.length > 0 ? ` (${months.join(', ')})` : ''}`);
+    console.log(`${spills.length} orphaned spill director${spills.length === 1 ? 'y' : 'ies'} ${verb} removed`);
+    if (CONVERSATION_RETENTION_DAYS === 0 && Object.keys(CONVERSATION_RETENTION_BY_CHANNEL).length === 0) {
+      console.log('Retention is off (c4_conversation_retention_days = 0); nothing is pruned.');
+    }
+  } finally {
+    close();
+  }
+}
+
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+
+if (isMainModule) {
+  main();
+}
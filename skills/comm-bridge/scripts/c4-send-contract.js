@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+/**
+ * C4 Communication Bridge - Channel Send Contract
+ *
+ * Channels declare how they want to be invoked in their SKILL.md
+ * frontmatter:
+ *
+ *   c4:
+ *     send_contract: 1
+ *     capabilities: [attachments, markdown, reply_to]
+ *     max_message_chars: 4096
+ *     markdown_dialect: commonmark
+ *
+ * Contract 1: `send.js --envelope` with one JSON envelope on stdin
+ *   { version, channel, endpoint, text, format, attachments[], reply_to,
+ *     part, metadata, outbound_id }
+ * Contract 0 (no declaration): legacy `send.js [endpoint] <message>`.
+ * Attachments for channels without the `attachments` capability are sent
+ * as separate `[MEDIA:image|file]<path>` messages. Text longer than
+ * max_message_chars is split into numbered parts (c4-chunk.js) for either
+ * contract.
+ *
+ * Commands:
+ *   capabilities [channel]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SKILLS_DIR } from './c4-config.js';
+import { splitMessage } from './c4-chunk.js';
+
+export const SEND_CONTRACT_VERSION = 1;
+export const SEND_FORMATS = ['text', 'markdown', 'html'];
+
+const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.webp']);
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.json': 'application/json',
+  '.zip': 'application/zip',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+function parseScalar(raw) {
+  const value = raw.replace(/\s+#.*$/, '').trim();
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value.slice(1, -1).split(',').map((item) => parseScalar(item)).filter((item) => item !== '');
+  }
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+$/.test(value)) return Number(value);
+  const quoted = /^(['"])(.*)\1$/.exec(value);
+  return quoted ? quoted[2] : value;
+}
+
+/**
+ * Parse the `c4:` block of a SKILL.md frontmatter. Only the flat
+ * `key: value` / `key: [a, b]` form used by the contract is supported.
+ * @param {string} content - SKILL.md text
+ * @returns {object} declared keys (empty when there is no block)
+ */
+export function parseC4Frontmatter(content) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---/.exec(content || '');
+  if (!match) return {};
+
+  const declared = {};
+  let inBlock = false;
+  for (const line of match[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    if (!/^\s/.test(line)) {
+      inBlock = /^c4:\s*(#.*)?$/.test(line);
+      continue;
+    }
+    if (!inBlock) continue;
+    const entry = /^\s+([A-Za-z0-9_]+):\s*(.*)$/.exec(line);
+    if (entry) {
+      declared[entry[1]] = parseScalar(entry[2]);
+    }
+  }
+  return declared;
+}
+
+/**
+ * Read a channel's declared send contract and capabilities.
+ * @param {string} channel
+ * @returns {{sendContract: number, capabilities: string[], maxMessageChars: number|null,
+ *   markdownDialect: string|null, declared: object}}
+ */
+export function getChannelCapabilities(channel) {
+  let declared = {};
+  try {
+    declared = parseC4Frontmatter(fs.readFileSync(path.join(SKILLS_DIR, channel, 'SKILL.md'), 'utf8'));
+  } catch {
+    // No SKILL.md: legacy channel.
+  }
+  const sendContract = Number.isInteger(declared.send_contract) ? declared.send_contract : 0;
+  const capabilities = Array.isArray(declared.capabilities) ? declared.capabilities.map(String) : [];
+  const maxMessageChars = Number.isInteger(declared.max_message_chars) && declared.max_message_chars > 0
+    ? declared.max_message_chars
+    : null;
+  const markdownDialect = typeof declared.markdown_dialect === 'string' ? declared.markdown_dialect : null;
+  return { sendContract, capabilities, maxMessageChars, markdownDialect, declared };
+}
+
+/**
+ * Describe a file to attach. Throws when the path is not a readable file.
+ * @param {string} filePath
+ * @returns {{path: string, name: string, kind: string, mime_type: string, size: number}}
+ */
+export function describeAttachment(filePath) {
+  const absolute = path.resolve(filePath);
+  const stat = fs.statSync(absolute);
+  if (!stat.isFile()) {
+    throw new Error(`not a file: ${absolute}`);
+  }
+  fs.accessSync(absolute, fs.constants.R_OK);
+  const ext = path.extname(absolute).toLowerCase();
+  return {
+    path: absolute,
+    name: path.basename(absolute),
+    kind: IMAGE_EXTENSIONS.has(ext) ? 'image' : 'file',
+    mime_type: MIME_TYPES[ext] || 'application/octet-stream',
+    size: stat.size
+  };
+}
+
+/**
+ * The legacy one-attachment-per-message form (`[MEDIA:image]/abs/path`).
+ */
+export function attachmentMediaLine(attachment) {
+  return `[MEDIA:${attachment.kind}]${attachment.path}`;
+}
+
+/**
+ * Split a send into channel deliveries. Text over the channel's
+ * max_message_chars becomes numbered parts. Channels with native attachment
+ * support get the attachments with the last part; others get one
+ * `[MEDIA:...]` message per attachment after the text.
+ * @param {object} message
+ * @param {string} message.text
+ * @param {object[]} [message.attachments]
+ * @param {object} capabilities - getChannelCapabilities() result
+ * @returns {{text: string, attachments: object[]}[]}
+ */
+export function planSendParts({ text, attachments = [] }, capabilities) {
+  const texts = text
+    ? splitMessage(text, capabilities.maxMessageChars, { fences: capabilities.markdownDialect !== 'none' })
+    : [];
+  const parts = texts.map((partText) => ({ text: partText, attachments: [] }));
+
+  if (attachments.length === 0) {
+    return parts.length > 0 ? parts : [{ text, attachments: [] }];
+  }
+  if (capabilities.sendContract >= 1 && capabilities.capabilities.includes('attachments')) {
+    if (parts.length === 0) return [{ text, attachments }];
+    parts[parts.length - 1].attachments = attachments;
+    return parts;
+  }
+  for (const attachment of attachments) {
+    parts.push({ text: attachmentMediaLine(attachment), attachments: [] });
+  }
+  return parts;
+}
+
+/**
+ * Text recorded in conversations for a delivery: the message text plus one
+ * `[MEDIA:...]` line per attachment.
+ */
+export function formatRecordedContent(text, attachments = []) {
+  return [text, ...attachments.map(attachmentMediaLine)].filter(Boolean).join('\n');
+}
+
+/**
+ * Build the contract-1 stdin envelope for an outbound record.
+ * @param {object} item - outbound_queue row (payload is the stored JSON)
+ * @returns {object}
+ */
+export function buildSendEnvelope(item) {
+  let payload = {};
+  if (item.payload) {
+    payload = typeof item.payload === 'string' ? JSON.parse(item.payload) : item.payload;
+  }
+  return {
+    version: SEND_CONTRACT_VERSION,
+    channel: item.channel,
+    endpoint: item.endpoint_id ?? null,
+    text: item.content,
+    format: payload.format || 'text',
+    attachments: payload.attachments || [],
+    reply_to: payload.reply_to || null,
+    part: payload.part || null,
+    metadata: payload.metadata || {},
+    outbound_id: item.id ?? null
+  };
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+
+function listChannels() {
+  try {
+    return fs.readdirSync(SKILLS_DIR, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory()
+        && fs.existsSync(path.join(SKILLS_DIR, entry.name, 'scripts', 'send.js')))
+      .map((entry) => entry.name)
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args[0] !== 'capabilities') {
+    console.error('Usage: c4-send-contract.js capabilities [channel]');
+    process.exit(1);
+  }
+
+  const channels = args[1] ? [args[1]] : listChannels();
+  const result = channels.map((channel) => {
+    const { sendContract, capabilities, maxMessageChars, markdownDialect } = getChannelCapabilities(channel);
+    return {
+      channel,
+      send_contract: sendContract,
+      capabilities,
+      max_message_chars: maxMessageChars,
+      markdown_dialect: markdownDialect
+    };
+  });
+  console.log(JSON.stringify(args[1] ? result[0] : result, null, 2));
+}
+
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+
+if (isMainModule) {
+  main();
+}
@@ -23,13 +23,79 @@
  *   node c4-send.js void session-handoff <<'EOF'
  *   ...handoff summary...
  *   EOF
+ *
+ * @name in place of <channel> <endpoint_id> sends to a contact from the
+ * directory (c4-contacts.js): its preferred channel when it has an endpoint
+ * there, otherwise the endpoint it was most recently seen on:
+ *   node c4-send.js @alice <<'EOF'
+ *   ...
+ *   EOF
+ *
+ * --to <targets> (comma-separated `@contact`, `channel:endpoint` or
+ * `channel`) and/or --audience <name> (a saved list, see c4-contacts.js)
+ * broadcast one message to several targets in place of <channel>
+ * <endpoint_id>. It is recorded once on the virtual 'broadcast' channel,
+ * each target gets its own outbox rows, and a per-target summary is
+ * printed; exit status is 1 unless every target succeeded:
+ *   node c4-send.js --to @alice,telegram:8101553026 <<'EOF'
+ *   ...
+ *   EOF
+ *
+ * --at <time> / --in <duration> schedule the message instead of sending it
+ * now (same parsing as scheduler-cli, e.g. --at "6pm", --in 30m). The
+ * outbox holds it and the dispatcher delivers it when due; list and cancel
+ * with `c4-outbox.js scheduled` / `cancel`.
+ *
+ * Messages to a contact or endpoint inside its quiet hours
+ * (`c4-contacts.js quiet`) are held until the window ends, or folded into
+ * one digest for that chat (see c4-quiet-hours.js). Replies are never held;
+ * --urgent sends immediately regardless.
+ *
+ * A channel the liveness registry knows to be down (c4-channels.js) is
+ * not queued into: the send falls back to another live channel of the
+ * recipient's contact, or fails fast. Scheduled and held messages are not
+ * checked.
+ *
+ * --reply-to <conv-id> records which conversation the message answers and
+ * keeps it in that message's thread. With no channel/endpoint arguments the
+ * reply goes back to the same channel and endpoint:
+ *   node c4-send.js --reply-to 42 <<'EOF'
+ *   ...
+ *   EOF
+ *
+ * --attach <path> (repeatable) sends files with the message. Channels that
+ * declare the `attachments` capability get them in the send-contract
+ * envelope; others get one `[MEDIA:image|file]<path>` message per file (see
+ * c4-send-contract.js). --format and --metadata fill the matching envelope
+ * fields. Text over the channel's declared max_message_chars is split into
+ * numbered parts that share a group id (see c4-chunk.js).
+ *
+ * Delivery goes through the outbound queue (see c4-outbox.js): the first
+ * attempt runs inline, and if the channel send script fails the message
+ * stays queued and the dispatcher retries it with backoff. Pass --no-retry
+ * for a one-shot send that is never queued (e.g. transient status notices).
  */
 
-import path from 'path';
+import crypto from 'crypto';
 import fs from 'fs';
-import { spawn } from 'child_process';
-import { insertConversation, close } from './c4-db.js';
-import { SKILLS_DIR } from './c4-config.js';
+import {
+  SEND_FORMATS,
+  describeAttachment,
+  formatRecordedContent,
+  getChannelCapabilities,
+  planSendParts
+} from './c4-send-contract.js';
+import {
+  getAudience,
+  getConversationById,
+  insertConversation,
+  insertOutbound,
+  resolveContactEndpoint,
+  close
+} from './c4-db.js';
+import { attemptOutbound, deliverOutbound, getChannelScriptPath } from './c4-outbox.js';
+import { findFallbackEndpoint, getChannelLiveness } from './c4-channels.js';
+import { describeQuietHold, getQuietHold } from './c4-quiet-hours.js';
 import { validateChannel, validateEndpoint } from './c4-validate.js';
 
 function printUsage() {
@@ -37,10 +103,35 @@ function printUsage() {
   console.log('       message content');
   console.log('       EOF');
   console.log('       node c4-send.js <channel> [endpoint_id] "message"');
+  console.log('       node c4-send.js @<contact> <<\'EOF\' ... EOF');
+  console.log('Options:');
+  console.log('  --no-retry       Send once; do not queue for retry on failure');
+  console.log('  --at <time>      Send later at this time (e.g. "6pm", "tomorrow 9am")');
+  console.log('  --in <duration>  Send later after this delay (e.g. 30m, "2 hours")');
+  console.log('  --urgent         Send even during the recipient\'s quiet hours');
+  console.log('  --to <targets>   Broadcast to @contact, channel:endpoint or channel targets (comma-separated)');
+  console.log('  --audience <name>  Broadcast to a saved audience (c4-contacts.js audience)');
+  console.log('  --reply-to <id>  Conversation id this message answers (channel/endpoint default to its own)');
+  console.log('  --attach <path>  Send a file with the message (repeatable)');
+  console.log(`  --format <fmt>   Formatting hint for the channel: ${SEND_FORMATS.join('|')} (default: text)`);
+  console.log('  --metadata <json>  Channel-specific hints (JSON object) passed in the send envelope');
   console.log('Example: node c4-send.js telegram 8101553026 "Hello!"');
   process.exit(1);
 }
 
+/**
+ * Remove every `<flag> <value>` pair from args and return the values.
+ */
+function takeFlagValues(args, flag) {
+  const values = [];
+  let idx;
+  while ((idx = args.indexOf(flag)) !== -1) {
+    values.push(args[idx + 1]);
+    args.splice(idx, 2);
+  }
+  return values;
+}
+
 /**
  * Read all data from stdin.
  */
@@ -54,29 +145,532 @@ function readStdin() {
   });
 }
 
+/**
+ * Send one message to one channel endpoint: split it into the channel's
+ * parts, record and queue each part, and make the first attempt inline.
+ * @param {object} target
+ * @param {number} [target.conversationId] - record every part under this
+ *   existing conversation instead of one new row per part (broadcasts)
+ * @param {number|null} [target.sendAfter] - unix seconds; queue every part
+ *   for the dispatcher instead of attempting now
+ * @param {object|null} [target.quietDigest] - `{ timezone }`: mark the held
+ *   message for the chat's quiet-hours digest (single-part text only)
+ * @returns {Promise<{parts: number, failure: object|null, queuedAfterFailure: number, scheduledIds: number[],
+ *   digested: boolean}>}
+ */
+async function sendToTarget({
+  channel,
+  endpoint,
+  message,
+  attachments,
+  format,
+  metadata,
+  replyTo = null,
+  threadOptions = {},
+  noRetry,
+  conversationId,
+  sendAfter = null,
+  quietDigest = null
+}) {
+  const capabilities = getChannelCapabilities(channel);
+  const parts = planSendParts({ text: message, attachments }, capabilities);
+  const groupId = parts.length > 1 ? crypto.randomUUID() : null;
+  // Split messages and attachments cannot be folded into a digest; they are
+  // held as they are.
+  const digest = quietDigest && parts.length === 1 && parts[0].attachments.length === 0 ? quietDigest : null;
+  // Channels that declare no markdown support get plain text.
+  const sendFormat = format === 'markdown' && capabilities.markdownDialect === 'none' ? 'text' : format;
+
+  let failure = null;
+  let queuedAfterFailure = 0;
+  const scheduledIds = [];
+  for (const [index, part] of parts.entries()) {
+    // One-shot sends stop at the first failure; queued sends keep the
+    // remaining parts in the outbox for the dispatcher.
+    if (failure && noRetry) break;
+
+    let partConversationId = conversationId ?? null;
+    if (conversationId === undefined) {
+      try {
+        partConversationId = insertConversation(
+          'out', channel, endpoint, formatRecordedContent(part.text, part.attachments),
+          sendAfter ? 'scheduled' : null, 3, false, null, { ...threadOptions, groupId }
+        ).id;
+      } catch (err) {
+        console.error(`[C4] Warning: DB audit write failed: ${err.stack}`);
+      }
+    }
+
+    const item = {
+      conversationId: partConversationId,
+      channel,
+      endpointId: endpoint,
+      content: part.text,
+      groupId,
+      payload: {
+        format: sendFormat,
+        attachments: part.attachments,
+        reply_to: replyTo,
+        part: groupId ? { index: index + 1, count: parts.length, group_id: groupId } : null,
+        metadata,
+        ...(digest ? { quiet_digest: digest } : {})
+      }
+    };
+
+    if (sendAfter) {
+      // No try/catch: unlike a failed attempt, a lost scheduled row would
+      // never be sent by anyone.
+      scheduledIds.push(insertOutbound({ ...item, sendAfter, status: 'pending' }).id);
+      continue;
+    }
+
+    if (failure) {
+      try {
+        insertOutbound({ ...item, status: 'pending' });
+        queuedAfterFailure += 1;
+      } catch (err) {
+        console.error(`[C4] Warning: outbound queue write failed: ${err.stack}`);
+      }
+      continue;
+    }
+
+    let outbound = null;
+    if (!noRetry) {
+      try {
+        // Claimed as 'sending' up front so the dispatcher never races this
+        // inline first attempt.
+        outbound = insertOutbound({ ...item, status: 'sending' });
+      } catch (err) {
+        console.error(`[C4] Warning: outbound queue write failed, sending without retry: ${err.stack}`);
+      }
+    }
+
+    const result = outbound
+      ? await attemptOutbound({ ...outbound, content: part.text }, { echo: true })
+      : await deliverOutbound({ channel, endpoint_id: endpoint, content: part.text, payload: item.payload }, { echo: true });
+    if (!result.ok) {
+      failure = { result, outbound };
+    }
+  }
+
+  return { parts: parts.length, failure, queuedAfterFailure, scheduledIds, digested: Boolean(digest) };
+}
+
+/**
+ * Quiet-hours hold for a proactive send (getQuietHold()), or null. A failed
+ * lookup is reported and the message is not held.
+ */
+async function quietHoldFor(channel, endpoint, sendAfter) {
+  try {
+    return await getQuietHold({ channel, endpointId: endpoint, at: sendAfter ?? undefined });
+  } catch (err) {
+    console.error(`[C4] Warning: quiet hours not applied: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * sendToTarget() options for a quiet-hours hold.
+ */
+function holdOptions(hold) {
+  return { sendAfter: hold.until, quietDigest: hold.mode === 'digest' ? { timezone: hold.timezone } : null };
+}
+
+/**
+ * Route an immediate send around a channel known to be down: to another
+ * endpoint of the same contact when `fallback` allows, else nowhere. A
+ * failed registry lookup is reported and the send goes ahead unchanged.
+ * @returns {{channel: string, endpoint: string|null, notice: string|null, error: string|null}}
+ */
+function routeAroundDownChannel(channel, endpoint, { fallback = true } = {}) {
+  const unchanged = { channel, endpoint, notice: null, error: null };
+  try {
+    const liveness = getChannelLiveness(channel);
+    if (!liveness.down) return unchanged;
+    const alternative = fallback ? findFallbackEndpoint(channel, endpoint) : null;
+    if (!alternative) {
+      return { ...unchanged, error: `channel ${channel} is down (${liveness.reason}); message not sent (see c4-channels.js status)` };
+    }
+    return {
+      channel: alternative.channel,
+      endpoint: alternative.endpoint_id,
+      notice: `${channel} is down (${liveness.reason}); sending to @${alternative.contact} via ${alternative.channel}`,
+      error: null
+    };
+  } catch (err) {
+    console.error(`[C4] Warning: channel liveness not checked: ${err.message}`);
+    return unchanged;
+  }
+}
+
+/**
+ * "(reason)" for a failed sendToTarget() result, followed by the retry
+ * schedule when the outbox kept the message.
+ */
+function describeFailure({ failure, queuedAfterFailure }) {
+  const { result, outbound } = failure;
+  const reason = result.code !== null ? `exit code: ${result.code}` : result.error;
+  const remaining = queuedAfterFailure > 0 ? `; ${queuedAfterFailure} remaining part(s) queued` : '';
+  if (result.transition?.status === 'pending') {
+    const retryIn = Math.max(0, result.transition.next_attempt_at - Math.floor(Date.now() / 1000));
+    return `(${reason}); queued for retry in ${retryIn}s (outbox id=${outbound.id})${remaining}`;
+  }
+  return `(${reason})${remaining}`;
+}
+
+/**
+ * Resolve a broadcast target: `@contact`, `channel:endpoint` or `channel`.
+ * Throws with a user-facing message when the target cannot be sent to.
+ * @returns {{label: string, channel: string, endpoint: string|null}}
+ */
+function resolveBroadcastTarget(label) {
+  let channel;
+  let endpoint = null;
+  if (label.startsWith('@')) {
+    const resolved = resolveContactEndpoint(label.slice(1));
+    if (!resolved) {
+      throw new Error('unknown contact or contact has no endpoints');
+    }
+    ({ channel, endpoint_id: endpoint } = resolved);
+  } else {
+    const colon = label.indexOf(':');
+    channel = colon === -1 ? label : label.slice(0, colon);
+    endpoint = colon === -1 ? null : label.slice(colon + 1);
+  }
+
+  if (channel === 'void') {
+    throw new Error('the void channel is record-only');
+  }
+  validateChannel(channel, true);
+  if (endpoint !== null) {
+    validateEndpoint(endpoint);
+  }
+  if (!fs.existsSync(getChannelScriptPath(channel))) {
+    throw new Error(`channel script not found: ${getChannelScriptPath(channel)}`);
+  }
+  return { label, channel, endpoint };
+}
+
+/**
+ * Send one message to several targets. The message is recorded once (on
+ * the virtual 'broadcast' channel); each target gets its own outbox rows
+ * linked to that conversation. One target failing does not stop the rest.
+ */
+async function broadcast({ labels, message, attachments, format, metadata, noRetry, schedule, urgent }) {
+  const targets = [];
+  const errors = [];
+  const seen = new Set();
+  for (const label of labels) {
+    try {
+      const target = resolveBroadcastTarget(label);
+      const key = `${target.channel}\u0000${target.endpoint ?? ''}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        targets.push(target);
+      }
+    } catch (err) {
+      errors.push(`  ${label}: ${err.message}`);
+    }
+  }
+  // Nothing is sent unless every target is valid: a typo must not turn an
+  // announcement into a partial one.
+  if (errors.length > 0) {
+    close();
+    console.error(`Error: invalid broadcast target${errors.length === 1 ? '' : 's'}:\n${errors.join('\n')}`);
+    process.exit(1);
+  }
+
+  let conversationId = null;
+  try {
+    conversationId = insertConversation(
+      'out', 'broadcast', targets.map((target) => target.label).join(','),
+      formatRecordedContent(message, attachments), schedule ? 'scheduled' : null
+    ).id;
+  } catch (err) {
+    console.error(`[C4] Warning: DB audit write failed: ${err.stack}`);
+  }
+
+  const lines = [];
+  let sentCount = 0;
+  let heldCount = 0;
+  try {
+    for (const target of targets) {
+      const where = target.label.startsWith('@')
+        ? `${target.label} (${target.channel}${target.endpoint ? `:${target.endpoint}` : ''})`
+        : target.label;
+      const hold = urgent ? null : await quietHoldFor(target.channel, target.endpoint, schedule?.sendAfter);
+      if (hold && noRetry) {
+        heldCount += 1;
+        lines.push(`  ${where}: not sent (${describeQuietHold(hold)}; --no-retry messages are not held)`);
+        continue;
+      }
+      let route = { channel: target.channel, endpoint: target.endpoint, notice: null };
+      if (!hold && !schedule) {
+        route = routeAroundDownChannel(target.channel, target.endpoint);
+        if (route.error) {
+          lines.push(`  ${where}: failed (${route.error})`);
+          continue;
+        }
+      }
+      const rerouted = route.notice ? ` (${route.notice})` : '';
+      const sent = await sendToTarget({
+        ...target, channel: route.channel, endpoint: route.endpoint, message, attachments, format, metadata, noRetry, conversationId, sendAfter: schedule?.sendAfter,
+        ...(hold ? holdOptions(hold) : {})
+      });
+      if (hold) {
+        heldCount += 1;
+        lines.push(`  ${where}: held, ${describeQuietHold(hold)} (outbox id=${sent.scheduledIds.join(',')})`);
+      } else if (schedule) {
+        sentCount += 1;
+        lines.push(`  ${where}: scheduled (outbox id=${sent.scheduledIds.join(',')})`);
+      } else if (sent.failure) {
+        lines.push(`  ${where}: failed ${describeFailure(sent)}${rerouted}`);
+      } else {
+        sentCount += 1;
+        lines.push(`  ${where}: sent${rerouted}`);
+      }
+    }
+  } finally {
+    close();
+  }
+
+  const id = conversationId !== null ? ` #${conversationId}` : '';
+  const count = `${targets.length} target${targets.length === 1 ? '' : 's'}`;
+  if (schedule) {
+    console.log(`[C4] Broadcast${id} to ${count} scheduled for ${schedule.description}`);
+  } else {
+    const held = heldCount > 0 ? `, ${heldCount} held for quiet hours` : '';
+    console.log(`[C4] Broadcast${id} to ${count}: ${sentCount} sent${held}, ${targets.length - sentCount - heldCount} failed`);
+  }
+  console.log(lines.join('\n'));
+  process.exit(sentCount + heldCount === targets.length ? 0 : 1);
+}
+
+/**
+ * Turn --at <time> / --in <duration> into a send time, parsed exactly like
+ * scheduler-cli's --at/--in (the scheduler's time-utils.js, with its TZ
+ * from ~/zylos/.env).
+ * @returns {Promise<{sendAfter: number, description: string}>}
+ */
+async function resolveSchedule({ at, inDuration }) {
+  let timeUtils;
+  let tz;
+  try {
+    timeUtils = await import('../../scheduler/scripts/time-utils.js');
+    tz = await import('../../scheduler/scripts/tz.js');
+  } catch (err) {
+    throw new Error(`--at/--in use the scheduler skill's time parsing, which could not be loaded: ${err.message}`);
+  }
+  process.env.TZ = tz.loadTimezone();
+
+  let sendAfter;
+  if (inDuration !== null) {
+    const seconds = timeUtils.parseDuration(inDuration);
+    if (!seconds) throw new Error(`Invalid duration "${inDuration}"`);
+    sendAfter = Math.floor(Date.now() / 1000) + seconds;
+  } else {
+    sendAfter = timeUtils.parseTime(at);
+    if (!sendAfter) throw new Error(`Could not parse time "${at}"`);
+    if (sendAfter <= Math.floor(Date.now() / 1000)) throw new Error(`Time "${at}" is in the past`);
+  }
+  return {
+    sendAfter,
+    description: `${timeUtils.formatTime(sendAfter, process.env.TZ)} ${process.env.TZ} (${timeUtils.getRelativeTime(sendAfter)})`
+  };
+}
+
 async function main() {
   const args = process.argv.slice(2);
 
-  if (args.length < 2) {
+  if (args.length < 2 && !args[0]?.startsWith('@')) {
     printUsage();
   }
 
+  let replyToId = null;
+  const replyToValues = takeFlagValues(args, '--reply-to');
+  if (replyToValues.length > 0) {
+    const value = replyToValues[replyToValues.length - 1];
+    if (!/^[1-9]\d*$/.test(value || '')) {
+      console.error('Error: --reply-to requires a conversation id');
+      process.exit(1);
+    }
+    replyToId = Number(value);
+  }
+
+  const attachPaths = takeFlagValues(args, '--attach');
+  if (attachPaths.some((value) => !value)) {
+    console.error('Error: --attach requires a file path');
+    process.exit(1);
+  }
+  const attachments = [];
+  for (const attachPath of attachPaths) {
+    try {
+      attachments.push(describeAttachment(attachPath));
+    } catch (err) {
+      console.error(`Error: cannot attach ${attachPath}: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  const formatValues = takeFlagValues(args, '--format');
+  const format = formatValues.length > 0 ? formatValues[formatValues.length - 1] : 'text';
+  if (!SEND_FORMATS.includes(format)) {
+    console.error(`Error: --format must be one of: ${SEND_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  let metadata = {};
+  const metadataValues = takeFlagValues(args, '--metadata');
+  if (metadataValues.length > 0) {
+    try {
+      metadata = JSON.parse(metadataValues[metadataValues.length - 1]);
+    } catch {
+      metadata = null;
+    }
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      console.error('Error: --metadata must be a JSON object');
+      process.exit(1);
+    }
+  }
+
+  const atValues = takeFlagValues(args, '--at');
+  const inValues = takeFlagValues(args, '--in');
+  let schedule = null;
+  if (atValues.length > 0 || inValues.length > 0) {
+    if (atValues.length > 0 && inValues.length > 0) {
+      console.error('Error: use either --at or --in, not both');
+      process.exit(1);
+    }
+    const value = atValues.length > 0 ? atValues[atValues.length - 1] : inValues[inValues.length - 1];
+    if (!value) {
+      console.error(`Error: ${atValues.length > 0 ? '--at requires a time' : '--in requires a duration'}`);
+      process.exit(1);
+    }
+    if (args.includes('--no-retry')) {
+      console.error('Error: --no-retry cannot be combined with --at/--in (scheduled sends are delivered by the dispatcher)');
+      process.exit(1);
+    }
+    try {
+      schedule = await resolveSchedule(atValues.length > 0 ? { at: value, inDuration: null } : { at: null, inDuration: value });
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  const toValues = takeFlagValues(args, '--to');
+  const audienceValues = takeFlagValues(args, '--audience');
+  if (toValues.some((value) => !value) || audienceValues.some((value) => !value)) {
+    console.error('Error: --to requires a comma-separated target list and --audience a name');
+    process.exit(1);
+  }
+
   // Remove --stdin flag if present (backward compat)
-  const cleanArgs = args.filter(a => a !== '--stdin');
-  const hasStdinFlag = cleanArgs.length !== args.length;
+  const hasStdinFlag = args.includes('--stdin');
+  const noRetry = args.includes('--no-retry');
+  const urgent = args.includes('--urgent');
+  const cleanArgs = args.filter(a => a !== '--stdin' && a !== '--no-retry' && a !== '--urgent');
   const stdinAvailable = !process.stdin.isTTY;
+  const wantsStdin = stdinAvailable || hasStdinFlag;
+
+  if (toValues.length > 0 || audienceValues.length > 0) {
+    if (replyToId !== null || cleanArgs.length > 1) {
+      console.error('Error: --to/--audience replace <channel> <endpoint_id> and cannot be combined with --reply-to');
+      process.exit(1);
+    }
+    const labels = toValues.flatMap((value) => value.split(',')).map((label) => label.trim()).filter(Boolean);
+    for (const name of audienceValues) {
+      let audience;
+      try {
+        audience = getAudience(name);
+      } catch (err) {
+        close();
+        console.error(`[C4] Failed to look up audience ${name}: ${err.stack}`);
+        process.exit(1);
+      }
+      if (!audience) {
+        close();
+        console.error(`Error: unknown audience ${name} (see c4-contacts.js audience list)`);
+        process.exit(1);
+      }
+      labels.push(...audience.targets);
+    }
+    if (labels.length === 0) {
+      close();
+      console.error('Error: no broadcast targets');
+      process.exit(1);
+    }
+
+    let message = '';
+    if (cleanArgs.length === 1) {
+      process.stderr.write('[c4-send] Deprecated: passing message as CLI argument. Use stdin/heredoc mode instead.\n');
+      message = cleanArgs[0].replace(/\\n/g, '\n');
+    } else if (wantsStdin) {
+      message = (await readStdin()).trimEnd();
+    }
+    if (!message && attachments.length === 0) {
+      close();
+      console.error('Error: Message is required');
+      process.exit(1);
+    }
+    await broadcast({ labels, message, attachments, format, metadata, noRetry, schedule, urgent });
+  }
+
+  let replyTarget = null;
+  if (replyToId !== null) {
+    try {
+      replyTarget = getConversationById(replyToId);
+    } catch (err) {
+      close();
+      console.error(`[C4] Failed to look up conversation ${replyToId}: ${err.stack}`);
+      process.exit(1);
+    }
+    if (!replyTarget) {
+      close();
+      console.error(`Error: --reply-to conversation ${replyToId} not found`);
+      process.exit(1);
+    }
+  }
 
-  const channel = cleanArgs[0];
+  // @name: a contact from the directory (c4-contacts.js) stands in for
+  // <channel> <endpoint_id>.
+  if (cleanArgs.length > 0 && cleanArgs[0].startsWith('@')) {
+    const contactName = cleanArgs[0].slice(1);
+    let resolved;
+    try {
+      resolved = resolveContactEndpoint(contactName);
+    } catch (err) {
+      close();
+      console.error(`[C4] Failed to look up contact @${contactName}: ${err.stack}`);
+      process.exit(1);
+    }
+    if (!resolved) {
+      close();
+      console.error(`Error: unknown contact @${contactName} or contact has no endpoints (see c4-contacts.js list)`);
+      process.exit(1);
+    }
+    cleanArgs.splice(0, 1, resolved.channel, resolved.endpoint_id);
+  }
+
+  let channel = cleanArgs[0];
   let endpoint = null;
   let message = null;
 
-  if (cleanArgs.length === 2 && (stdinAvailable || hasStdinFlag)) {
-    // 2 args (channel + endpoint) with piped stdin or --stdin flag: read from stdin
+  if (cleanArgs.length === 0 && replyTarget) {
+    // Only --reply-to: answer on the target's own channel and endpoint
+    channel = replyTarget.channel;
+    endpoint = replyTarget.endpoint_id;
+    message = wantsStdin ? (await readStdin()).trimEnd() : '';
+  } else if (cleanArgs.length === 0) {
+    printUsage();
+  } else if (cleanArgs.length === 2 && (wantsStdin || attachments.length > 0)) {
+    // 2 args (channel + endpoint) with piped stdin or --stdin flag: read from
+    // stdin. With attachments and no stdin the message text is optional.
     endpoint = cleanArgs[1];
-    message = (await readStdin()).trimEnd();
-  } else if (cleanArgs.length === 1 && (stdinAvailable || hasStdinFlag)) {
+    message = wantsStdin ? (await readStdin()).trimEnd() : '';
+  } else if (cleanArgs.length === 1 && (wantsStdin || attachments.length > 0)) {
     // 1 arg (channel only) with piped stdin: read from stdin
-    message = (await readStdin()).trimEnd();
+    message = wantsStdin ? (await readStdin()).trimEnd() : '';
   } else if (cleanArgs.length === 2) {
     // 2 args, no stdin: channel + message (no endpoint)
     process.stderr.write('[c4-send] Deprecated: passing message as CLI argument. Use stdin/heredoc mode instead.\n');
@@ -93,15 +687,26 @@ async function main() {
     message = message.replace(/\\n/g, '\n');
   }
 
-  if (!message) {
+  if (!message && attachments.length === 0) {
     console.error('Error: Message is required');
     process.exit(1);
   }
 
+  // A reply on the target's channel joins the target's thread; on another
+  // channel the thread follows the reply's own endpoint.
+  const threadOptions = { replyToId };
+  if (replyTarget && replyTarget.channel === channel && replyTarget.thread_key) {
+    threadOptions.threadKey = replyTarget.thread_key;
+  }
+
   // Virtual 'void' channel (#689): record-only, never dispatched.
   // No skill directory exists for it, so skip channel-path validation and
   // the channel send script entirely.
   if (channel === 'void') {
+    if (schedule) {
+      console.error('Error: the void channel is record-only and cannot be scheduled');
+      process.exit(1);
+    }
     if (!endpoint) {
       console.error('Error: Endpoint is required for the void channel (e.g. c4-send.js void session-handoff)');
       process.exit(1);
@@ -115,7 +720,7 @@ async function main() {
     }
 
     try {
-      insertConversation('out', 'void', endpoint, message);
+      insertConversation('out', 'void', endpoint, formatRecordedContent(message, attachments), null, 3, false, null, threadOptions);
     } catch (err) {
       // Unlike real channels (where the DB row is an audit trail), the DB
       // write IS the delivery for void — fail loudly.
@@ -145,41 +750,77 @@ async function main() {
     }
   }
 
-  try {
-    insertConversation('out', channel, endpoint, message);
-  } catch (err) {
-    console.error(`[C4] Warning: DB audit write failed: ${err.stack}`);
-  } finally {
-    close();
-  }
-
-  const channelScript = path.join(SKILLS_DIR, channel, 'scripts', 'send.js');
+  const channelScript = getChannelScriptPath(channel);
 
   if (!fs.existsSync(channelScript)) {
+    close();
     console.error(`Error: Channel script not found: ${channelScript}`);
     console.error('Channels must provide scripts/send.js (Node.js standard)');
     process.exit(1);
   }
 
-  const scriptArgs = endpoint ? [endpoint, message] : [message];
+  const replyTo = replyTarget
+    ? { conversation_id: replyTarget.id, external_message_id: replyTarget.external_message_id ?? null }
+    : null;
 
-  const child = spawn('node', [channelScript, ...scriptArgs], {
-    stdio: 'inherit'
-  });
+  // Replies answer someone who is evidently awake; only proactive sends wait.
+  const hold = urgent || replyTarget ? null : await quietHoldFor(channel, endpoint, schedule?.sendAfter);
+  if (hold && noRetry) {
+    close();
+    console.log(`[C4] Message not sent: ${describeQuietHold(hold)}; --no-retry messages are not held (use --urgent to send now)`);
+    process.exit(0);
+  }
 
-  child.on('close', (code) => {
-    if (code === 0) {
-      console.log(`[C4] Message sent via ${channel}`);
-    } else {
-      console.log(`[C4] Failed to send message via ${channel} (exit code: ${code})`);
+  // Replies stay on the channel of the message they answer.
+  if (!hold && !schedule) {
+    const route = routeAroundDownChannel(channel, endpoint, { fallback: !replyTarget });
+    if (route.error) {
+      close();
+      console.error(`Error: ${route.error}`);
+      process.exit(1);
     }
-    process.exit(code);
-  });
+    if (route.notice) {
+      console.log(`[C4] ${route.notice}`);
+      ({ channel, endpoint } = route);
+    }
+  }
 
-  child.on('error', (err) => {
-    console.error(`[C4] Error executing channel script: ${err.stack}`);
+  let sent;
+  try {
+    sent = await sendToTarget({
+      channel, endpoint, message, attachments, format, metadata, replyTo, threadOptions, noRetry,
+      sendAfter: schedule?.sendAfter,
+      ...(hold ? holdOptions(hold) : {})
+    });
+  } catch (err) {
+    console.error(`[C4] Failed to queue message: ${err.stack}`);
     process.exit(1);
-  });
+  } finally {
+    close();
+  }
+
+  if (hold) {
+    const held = sent.digested ? 'added to the quiet-hours digest' : 'held';
+    console.log(`[C4] Message ${held}: ${describeQuietHold(hold)} (outbox id=${sent.scheduledIds.join(',')})`);
+    process.exit(0);
+  }
+
+  if (schedule) {
+    console.log(`[C4] Message scheduled via ${channel} for ${schedule.description} (outbox id=${sent.scheduledIds.join(',')})`);
+    process.exit(0);
+  }
+
+  if (!sent.failure) {
+    const attached = attachments.length > 0
+      ? ` with ${attachments.length} attachment${attachments.length === 1 ? '' : 's'}`
+      : '';
+    const split = sent.parts > 1 ? ` (${sent.parts} parts)` : '';
+    console.log(`[C4] Message sent via ${channel}${attached}${split}`);
+    process.exit(0);
+  }
+
+  console.log(`[C4] Failed to send message via ${channel} ${describeFailure(sent)}`);
+  process.exit(sent.failure.result.code || 1);
 }
 
 main();
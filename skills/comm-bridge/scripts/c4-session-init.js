@@ -80,6 +80,7 @@ export async function emitC4Conversations(_payload, budget = null) {
   return withC4Db('c4 conversations init', async ({
     getUnsummarizedRange,
     getUnsummarizedConversations,
+    attachContactNames,
     formatConversationsForAgent,
   }) => {
     const { CHECKPOINT_THRESHOLD, SESSION_INIT_RECENT_COUNT } = await import('./c4-config.js');
@@ -95,6 +96,7 @@ export async function emitC4Conversations(_payload, budget = null) {
     const conversations = needsSync
       ? getUnsummarizedConversations(SESSION_INIT_RECENT_COUNT)
       : getUnsummarizedConversations();
+    attachContactNames(conversations);
 
     const assemble = (kept, { spill = true } = {}) => {
       // Informational only — no file to read. Kept within the section so it
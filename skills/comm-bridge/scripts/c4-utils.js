@@ -15,6 +15,45 @@ export function buildReplyViaSuffix(channel, endpointId) {
   return ` ---- reply via: node ${path.join(__dirname, 'c4-send.js')} "${channel}" "${endpointId}"`;
 }
 
+// Per-message parts a channel may append to an endpoint
+// (`chat_xxx|type:group|root:msg_yyy|msg:msg_zzz`). Everything else
+// identifies the conversation the message belongs to.
+const PER_MESSAGE_ENDPOINT_PARTS = /\|(msg|req|parent):[^|]+/g;
+
+/**
+ * Endpoint with the per-message parts (msg/req/parent) removed, so every
+ * message of one chat or thread maps to the same value.
+ */
+export function stripMessageEndpointParts(endpointId) {
+  if (!endpointId) return '';
+  return endpointId.replace(PER_MESSAGE_ENDPOINT_PARTS, '');
+}
+
+/**
+ * Chat-level endpoint used for contacts: per-message parts and the thread
+ * root removed, so every message from one chat maps to one endpoint.
+ */
+export function contactEndpoint(endpointId) {
+  return stripMessageEndpointParts(endpointId).replace(/\|root:[^|]+/g, '');
+}
+
+/**
+ * Default thread key for a message: `<channel>:<endpoint root>`. Null when
+ * there is no endpoint (scheduler, system messages).
+ */
+export function deriveThreadKey(channel, endpointId) {
+  if (!channel || !endpointId) return null;
+  return `${channel}:${stripMessageEndpointParts(endpointId)}`;
+}
+
+/**
+ * Channel-side message id carried in the endpoint's `|msg:` part, if any.
+ */
+export function endpointMessageId(endpointId) {
+  const match = /\|msg:([^|]+)/.exec(endpointId || '');
+  return match ? match[1] : null;
+}
+
 export function hasLegacyReplyViaSuffix(content = '') {
   return /---- reply via: node\b.*\bc4-send\.js\b/.test(content);
 }
@@ -152,6 +152,24 @@ describe('cli add', () => {
     });
   });
 
+  it('sets retry policy via --max-retries and --retry-backoff', () => {
+    withTmpDir(({ dbPath, env }) => {
+      cli(['add', 'retry me', '--every', '1 hour', '--max-retries', '5', '--retry-backoff', '10 minutes'], env);
+      cli(['add', 'defaults', '--every', '1 hour'], env);
+      const db = new Database(dbPath);
+      try {
+        const rows = db.prepare('SELECT prompt, max_retries, retry_backoff_seconds FROM tasks ORDER BY prompt').all();
+        assert.deepEqual(rows.map((row) => ({ ...row })), [
+          { prompt: 'defaults', max_retries: 3, retry_backoff_seconds: 60 },
+          { prompt: 'retry me', max_retries: 5, retry_backoff_seconds: 600 }
+        ]);
+      } finally {
+        db.close();
+      }
+      assert.match(cliRaw(['add', 'bad', '--every', '1 hour', '--max-retries', '-1'], env).stderr, /max-retries must be a non-negative integer/);
+    });
+  });
+
   it('sets custom name', () => {
     withTmpDir(({ dbPath, env }) => {
       cli(['add', 'the actual prompt', '--cron', '0 9 * * *', '--name', 'my-task'], env);
@@ -287,6 +305,30 @@ describe('cli done', () => {
       assert.ok(stderr.includes('not found'));
     });
   });
+
+  it('--failed schedules a retry and records the error in history', () => {
+    withTmpDir(({ dbPath, env }) => {
+      cli(['add', 'flaky job', '--in', '1 hour', '--max-retries', '2', '--retry-backoff', '5m'], env);
+      const db = new Database(dbPath);
+      try {
+        const task = db.prepare('SELECT id FROM tasks LIMIT 1').get();
+        db.prepare("UPDATE tasks SET status = 'running' WHERE id = ?").run(task.id);
+        db.prepare("INSERT INTO task_history (task_id, executed_at, status) VALUES (?, strftime('%s', 'now'), 'started')").run(task.id);
+
+        const out = cli(['done', task.id, '--failed', '--error', 'API returned 503'], env);
+        assert.match(out, /Retry 1\/2 at /);
+        const updated = db.prepare('SELECT status, retry_count, last_error FROM tasks WHERE id = ?').get(task.id);
+        assert.deepEqual({ ...updated }, { status: 'pending', retry_count: 1, last_error: 'API returned 503' });
+        const history = db.prepare('SELECT status, error FROM task_history WHERE task_id = ?').get(task.id);
+        assert.deepEqual({ ...history }, { status: 'failed', error: 'API returned 503' });
+
+        const { stderr } = cliRaw(['done', task.id, '--failed'], env);
+        assert.match(stderr, /is not running \(status: pending\)/);
+      } finally {
+        db.close();
+      }
+    });
+  });
 });
 
 describe('cli pause and resume', () => {
@@ -365,6 +407,22 @@ describe('cli update', () => {
     });
   });
 
+  it('updates retry policy', () => {
+    withTmpDir(({ dbPath, env }) => {
+      cli(['add', 'retry task', '--cron', '0 9 * * *'], env);
+      const db = new Database(dbPath);
+      try {
+        const task = db.prepare('SELECT id FROM tasks LIMIT 1').get();
+        const out = cli(['update', task.id, '--max-retries', '0', '--retry-backoff', '2h'], env);
+        assert.match(out, /Updated fields: max_retries, retry_backoff_seconds/);
+        const updated = db.prepare('SELECT max_retries, retry_backoff_seconds FROM tasks WHERE id = ?').get(task.id);
+        assert.deepEqual({ ...updated }, { max_retries: 0, retry_backoff_seconds: 7200 });
+      } finally {
+        db.close();
+      }
+    });
+  });
+
   it('clears reply configuration', () => {
     withTmpDir(({ dbPath, env }) => {
       cli(['add', 'reply task', '--cron', '0 9 * * *',
@@ -521,3 +579,84 @@ describe('cli partial ID match', () => {
     });
   });
 });
+
+describe('cli dependencies', () => {
+  it('adds dependent tasks and shows them in graph', () => {
+    withTmpDir(({ dbPath, env }) => {
+      assert.equal(cli(['graph'], env).trim(), 'No task dependencies.');
+      cli(['add', 'fetch data', '--cron', '0 7 * * *', '--name', 'Fetch'], env);
+      const db = new Database(dbPath);
+      try {
+        const upstream = db.prepare('SELECT id FROM tasks').get().id;
+        const output = cli(['add', 'summarize', '--after', upstream.substring(0, 10), '--name', 'Summarize'], env);
+        assert.match(output, new RegExp(`Runs after: ${upstream} \\(on success\\)`));
+        const dependent = db.prepare('SELECT * FROM tasks WHERE name = ?').get('Summarize');
+        assert.equal(dependent.type, 'one-time');
+        cli(['add', 'alert', '--after', dependent.id, '--on-failure', '--name', 'Alert'], env);
+
+        const graph = cli(['graph'], env);
+        assert.match(graph, new RegExp(`^  ${upstream}  Fetch  \\[cron 0 7 \\* \\* \\*, pending\\]$`, 'm'));
+        assert.match(graph, new RegExp(`^  └─ on success: ${dependent.id}  Summarize  \\[one-time, pending\\]$`, 'm'));
+        assert.match(graph, /^ {5}└─ on failure: task-\S+ {2}Alert/m);
+        db.prepare("UPDATE tasks SET status = 'failed', last_error = 'Skipped: upstream failed', failed_at = ? WHERE id = ?")
+          .run(Math.floor(Date.now() / 1000), dependent.id);
+        assert.match(cli(['graph'], env), /Summarize {2}\[one-time, failed\] {2}\(Skipped: upstream failed\)$/m);
+        const edges = JSON.parse(cli(['graph', '--json'], env));
+        assert.deepEqual(edges.map(edge => edge.condition).sort(), ['failure', 'success']);
+      } finally {
+        db.close();
+      }
+    });
+  });
+
+  it('rejects cycles, replaces and clears dependencies, and cleans up on remove', () => {
+    withTmpDir(({ dbPath, env }) => {
+      cli(['add', 'first', '--in', '1 hour'], env);
+      const db = new Database(dbPath);
+      try {
+        const first = db.prepare('SELECT id FROM tasks').get().id;
+        cli(['add', 'second', '--after', first], env);
+        const second = db.prepare('SELECT id FROM tasks WHERE prompt = ?').get('second').id;
+        const dependencies = () => db.prepare('SELECT task_id, depends_on, condition FROM task_dependencies').all().map(row => ({ ...row }));
+
+        const cycle = cliRaw(['update', first, '--after', second], env);
+        assert.match(cycle.stderr, /Dependency cycle/);
+        assert.match(cliRaw(['add', 'x', '--in', '1 hour', '--on-failure'], env).stderr, /require --after/);
+
+        cli(['update', second, '--after', first, '--on-success', '--on-failure'], env);
+        assert.deepEqual(dependencies(), [{ task_id: second, depends_on: first, condition: 'always' }]);
+        cli(['update', second, '--clear-after'], env);
+        assert.deepEqual(dependencies(), []);
+
+        cli(['update', second, '--after', first], env);
+        assert.match(cli(['remove', first], env), new RegExp(`No longer waiting for it: ${second}`));
+        assert.deepEqual(dependencies(), []);
+      } finally {
+        db.close();
+      }
+    });
+  });
+
+  it('rejects a one-time upstream that already ran', () => {
+    withTmpDir(({ dbPath, env }) => {
+      cli(['add', 'first', '--in', '1 hour'], env);
+      cli(['add', 'second', '--in', '1 hour'], env);
+      const db = new Database(dbPath);
+      try {
+        const first = db.prepare('SELECT id FROM tasks WHERE prompt = ?').get('first').id;
+        const second = db.prepare('SELECT id FROM tasks WHERE prompt = ?').get('second').id;
+        cli(['done', first], env);
+
+        const added = cliRaw(['add', 'third', '--after', first], env);
+        assert.match(added.stderr, new RegExp(`Upstream task ${first} is a one-time task that already ran \\(completed\\)`));
+        assert.equal(db.prepare('SELECT COUNT(*) AS n FROM tasks').get().n, 2);
+
+        db.prepare("UPDATE tasks SET status = 'failed' WHERE id = ?").run(first);
+        assert.match(cliRaw(['update', second, '--after', first], env).stderr, /already ran \(failed\)/);
+        assert.equal(db.prepare('SELECT COUNT(*) AS n FROM task_dependencies').get().n, 0);
+      } finally {
+        db.close();
+      }
+    });
+  });
+});
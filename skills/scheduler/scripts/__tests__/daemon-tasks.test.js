@@ -4,7 +4,11 @@ import fs from 'node:fs';
 import os from 'node:os';
 import path from 'node:path';
 
-import { updateNextRunTime, processCompletedTasks, handleStaleRunningTasks, TASK_TIMEOUT } from '../daemon-tasks.js';
+import {
+  updateNextRunTime, processCompletedTasks, handleStaleRunningTasks, failTaskRun, getRetryDelay,
+  getDependencyState, findNextPendingTask, handleDependencyWindows, skipRun,
+  TASK_TIMEOUT, RETRY_BACKOFF_MAX
+} from '../daemon-tasks.js';
 import { now } from '../database.js';
 
 async function withDb(fn) {
@@ -50,18 +54,23 @@ function insertTask(db, overrides = {}) {
     created_at: currentTime,
     updated_at: currentTime,
     last_error: null,
+    retry_count: 0,
+    max_retries: 0,
+    retry_backoff_seconds: 60,
   };
   const task = { ...defaults, ...overrides };
   db.prepare(`
     INSERT INTO tasks (id, name, prompt, type, cron_expression, interval_seconds, timezone,
       next_run_at, priority, status, require_idle, miss_threshold,
-      reply_channel, reply_endpoint, created_at, updated_at, last_error)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      reply_channel, reply_endpoint, created_at, updated_at, last_error,
+      retry_count, max_retries, retry_backoff_seconds)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     task.id, task.name, task.prompt, task.type, task.cron_expression, task.interval_seconds,
     task.timezone, task.next_run_at, task.priority, task.status, task.require_idle,
     task.miss_threshold, task.reply_channel, task.reply_endpoint,
-    task.created_at, task.updated_at, task.last_error
+    task.created_at, task.updated_at, task.last_error,
+    task.retry_count, task.max_retries, task.retry_backoff_seconds
   );
   return task;
 }
@@ -208,7 +217,7 @@ describe('handleStaleRunningTasks', () => {
       db.prepare('INSERT INTO task_history (task_id, executed_at, status) VALUES (?, ?, ?)')
         .run(task.id, staleTime, 'started');
 
-      handleStaleRunningTasks(db);
+      handleStaleRunningTasks(db, { notify: () => {} });
 
       const updated = db.prepare('SELECT status, last_error FROM tasks WHERE id = ?').get(task.id);
       assert.equal(updated.status, 'failed');
@@ -228,7 +237,7 @@ describe('handleStaleRunningTasks', () => {
       db.prepare('INSERT INTO task_history (task_id, executed_at, status) VALUES (?, ?, ?)')
         .run(task.id, staleTime, 'started');
 
-      handleStaleRunningTasks(db);
+      handleStaleRunningTasks(db, { notify: () => {} });
 
       const updated = db.prepare('SELECT status, last_error FROM tasks WHERE id = ?').get(task.id);
       assert.equal(updated.status, 'completed');
@@ -240,7 +249,7 @@ describe('handleStaleRunningTasks', () => {
     await withDb((db) => {
       insertTask(db, { type: 'one-time', cron_expression: null, status: 'running', updated_at: now() });
 
-      handleStaleRunningTasks(db);
+      handleStaleRunningTasks(db, { notify: () => {} });
 
       const task = db.prepare('SELECT status FROM tasks LIMIT 1').get();
       assert.equal(task.status, 'running');  // should not be touched
@@ -252,7 +261,7 @@ describe('handleStaleRunningTasks', () => {
       const staleTime = now() - TASK_TIMEOUT - 60;
       insertTask(db, { status: 'pending', updated_at: staleTime });
 
-      handleStaleRunningTasks(db);
+      handleStaleRunningTasks(db, { notify: () => {} });
 
       const task = db.prepare('SELECT status FROM tasks LIMIT 1').get();
       assert.equal(task.status, 'pending');
@@ -266,7 +275,7 @@ describe('handleStaleRunningTasks', () => {
       insertTask(db, { id: 'task-rc', type: 'recurring', cron_expression: '0 9 * * *', status: 'running', updated_at: staleTime });
       insertTask(db, { id: 'task-iv', type: 'interval', cron_expression: null, interval_seconds: 3600, status: 'running', updated_at: staleTime });
 
-      handleStaleRunningTasks(db);
+      handleStaleRunningTasks(db, { notify: () => {} });
 
       const ot = db.prepare('SELECT status FROM tasks WHERE id = ?').get('task-ot');
       const rc = db.prepare('SELECT status FROM tasks WHERE id = ?').get('task-rc');
@@ -278,3 +287,179 @@ describe('handleStaleRunningTasks', () => {
     });
   });
 });
+
+// ---- retries ----
+
+describe('failTaskRun', () => {
+  function startRun(db, task, attempt = 1) {
+    db.prepare('INSERT INTO task_history (task_id, executed_at, status, attempt) VALUES (?, ?, ?, ?)')
+      .run(task.id, now() - 30, 'started', attempt);
+  }
+
+  it('doubles the backoff for each retry up to the cap', () => {
+    assert.equal(getRetryDelay({ retry_backoff_seconds: 60, retry_count: 0 }), 60);
+    assert.equal(getRetryDelay({ retry_backoff_seconds: 60, retry_count: 3 }), 480);
+    assert.equal(getRetryDelay({ retry_backoff_seconds: 3600, retry_count: 10 }), RETRY_BACKOFF_MAX);
+  });
+
+  it('reschedules a failed run with backoff and records the attempt', async () => {
+    await withDb((db) => {
+      const task = insertTask(db, { type: 'one-time', cron_expression: null, status: 'running', max_retries: 2, retry_count: 1 });
+      startRun(db, task, 2);
+      const notified = [];
+
+      const result = failTaskRun(db, task, 'API returned 503', { notify: (...args) => notified.push(args) });
+
+      assert.equal(result.retry, true);
+      assert.equal(result.attempt, 3);
+      const updated = db.prepare('SELECT status, retry_count, next_run_at, last_error FROM tasks WHERE id = ?').get(task.id);
+      assert.equal(updated.status, 'pending');
+      assert.equal(updated.retry_count, 2);
+      assert.equal(updated.last_error, 'API returned 503');
+      assert.ok(Math.abs(updated.next_run_at - (now() + 120)) <= 2, `expected retry in ~120s, got ${updated.next_run_at - now()}s`);
+
+      const history = db.prepare('SELECT status, attempt, error, duration_ms FROM task_history WHERE task_id = ?').get(task.id);
+      assert.deepEqual({ ...history, duration_ms: history.duration_ms >= 30000 }, {
+        status: 'failed', attempt: 2, error: 'API returned 503', duration_ms: true
+      });
+      assert.deepEqual(notified, []);
+    });
+  });
+
+  it('gives up after max_retries and notifies once', async () => {
+    await withDb((db) => {
+      const oneTime = insertTask(db, { id: 'task-ot', type: 'one-time', cron_expression: null, status: 'running', max_retries: 2, retry_count: 2 });
+      const recurring = insertTask(db, { id: 'task-rc', status: 'running', max_retries: 1, retry_count: 1 });
+      const notified = [];
+      const notify = (task, error) => notified.push([task.id, error]);
+
+      assert.equal(failTaskRun(db, oneTime, 'boom', { notify }).retry, false);
+      assert.equal(failTaskRun(db, recurring, 'boom', { notify }).retry, false);
+
+      const ot = db.prepare('SELECT status, failed_at, last_error FROM tasks WHERE id = ?').get('task-ot');
+      assert.equal(ot.status, 'failed');
+      assert.ok(ot.failed_at > 0);
+      assert.equal(db.prepare('SELECT status FROM tasks WHERE id = ?').get('task-rc').status, 'completed');
+      assert.deepEqual(notified, [['task-ot', 'boom'], ['task-rc', 'boom']]);
+
+      // The next regular run starts with a fresh retry budget.
+      processCompletedTasks(db);
+      const rc = db.prepare('SELECT status, retry_count FROM tasks WHERE id = ?').get('task-rc');
+      assert.deepEqual({ ...rc }, { status: 'pending', retry_count: 0 });
+    });
+  });
+
+  it('retries timed-out runs', async () => {
+    await withDb((db) => {
+      const staleTime = now() - TASK_TIMEOUT - 60;
+      const task = insertTask(db, { type: 'one-time', cron_expression: null, status: 'running', updated_at: staleTime, max_retries: 3 });
+      startRun(db, task);
+
+      handleStaleRunningTasks(db, { notify: () => assert.fail('should retry, not notify') });
+
+      const updated = db.prepare('SELECT status, retry_count FROM tasks WHERE id = ?').get(task.id);
+      assert.deepEqual({ ...updated }, { status: 'pending', retry_count: 1 });
+      assert.equal(db.prepare('SELECT status FROM task_history WHERE task_id = ?').get(task.id).status, 'timeout');
+    });
+  });
+});
+
+describe('task dependencies', () => {
+  function addDependency(db, taskId, dependsOn, condition = 'success') {
+    db.prepare('INSERT INTO task_dependencies (task_id, depends_on, condition) VALUES (?, ?, ?)')
+      .run(taskId, dependsOn, condition);
+  }
+
+  function recordSuccess(db, taskId, completedAt) {
+    db.prepare('INSERT INTO task_history (task_id, executed_at, completed_at, status) VALUES (?, ?, ?, ?)')
+      .run(taskId, completedAt - 10, completedAt, 'success');
+  }
+
+  it('makes a dependent due once its upstream succeeds in the run window', async () => {
+    await withDb((db) => {
+      const currentTime = now();
+      insertTask(db, { id: 'task-fetch', next_run_at: currentTime + 3600 });
+      insertTask(db, { id: 'task-report', type: 'one-time', cron_expression: null, priority: 1, next_run_at: currentTime - 120, created_at: currentTime - 600 });
+      insertTask(db, { id: 'task-plain', type: 'one-time', cron_expression: null, next_run_at: currentTime - 60 });
+      addDependency(db, 'task-report', 'task-fetch');
+
+      // A success from before the dependent's window does not count
+      recordSuccess(db, 'task-fetch', currentTime - 900);
+      assert.deepEqual(getDependencyState(db, db.prepare('SELECT * FROM tasks WHERE id = ?').get('task-report')), { state: 'waiting' });
+      assert.equal(findNextPendingTask(db, currentTime).id, 'task-plain');
+
+      recordSuccess(db, 'task-fetch', currentTime - 30);
+      const next = findNextPendingTask(db, currentTime);
+      assert.equal(next.id, 'task-report');
+      assert.equal(next.due_at, currentTime - 30);
+    });
+  });
+
+  it('fails one-time dependents whose upstream finished the other way', async () => {
+    await withDb((db) => {
+      const currentTime = now();
+      insertTask(db, { id: 'task-fetch', status: 'completed', next_run_at: currentTime + 3600 });
+      db.prepare('UPDATE tasks SET failed_at = ? WHERE id = ?').run(currentTime - 30, 'task-fetch');
+      for (const [id, condition] of [['task-report', 'success'], ['task-alert', 'failure'], ['task-cleanup', 'always']]) {
+        insertTask(db, { id, type: 'one-time', cron_expression: null, next_run_at: currentTime - 60, created_at: currentTime - 600 });
+        addDependency(db, id, 'task-fetch', condition);
+      }
+
+      handleDependencyWindows(db, currentTime);
+
+      const report = db.prepare('SELECT status, last_error, failed_at FROM tasks WHERE id = ?').get('task-report');
+      assert.equal(report.status, 'failed');
+      assert.equal(report.last_error, 'Skipped: upstream task-fetch failed');
+      assert.ok(report.failed_at > 0);
+      assert.equal(db.prepare('SELECT status FROM tasks WHERE id = ?').get('task-alert').status, 'pending');
+      assert.deepEqual(
+        [findNextPendingTask(db, currentTime).id, getDependencyState(db, db.prepare('SELECT * FROM tasks WHERE id = ?').get('task-cleanup')).state],
+        ['task-alert', 'ready']
+      );
+    });
+  });
+
+  it('counts a missed upstream run as a failure', async () => {
+    await withDb((db) => {
+      const currentTime = now();
+      const fetch = insertTask(db, { id: 'task-fetch', next_run_at: currentTime - 3600 });
+      insertTask(db, { id: 'task-report', type: 'one-time', cron_expression: null, next_run_at: currentTime - 60, created_at: currentTime - 7200 });
+      insertTask(db, { id: 'task-alert', type: 'one-time', cron_expression: null, next_run_at: currentTime - 60, created_at: currentTime - 7200 });
+      addDependency(db, 'task-report', 'task-fetch');
+      addDependency(db, 'task-alert', 'task-fetch', 'failure');
+
+      skipRun(db, fetch, 'missed execution window');
+      const skipped = db.prepare('SELECT status, next_run_at, last_error, failed_at FROM tasks WHERE id = ?').get('task-fetch');
+      assert.equal(skipped.status, 'pending');
+      assert.ok(skipped.next_run_at > currentTime);
+      assert.equal(skipped.last_error, 'Skipped: missed execution window');
+      assert.ok(skipped.failed_at >= currentTime);
+
+      handleDependencyWindows(db);
+      assert.equal(db.prepare('SELECT last_error FROM tasks WHERE id = ?').get('task-report').last_error, 'Skipped: upstream task-fetch failed');
+      assert.equal(findNextPendingTask(db).id, 'task-alert');
+    });
+  });
+
+  it('moves recurring dependents on when upstream misses their window', async () => {
+    await withDb((db) => {
+      const currentTime = now();
+      insertTask(db, { id: 'task-fetch', type: 'interval', cron_expression: null, interval_seconds: 3600, next_run_at: currentTime + 600 });
+      insertTask(db, { id: 'task-hourly', type: 'interval', cron_expression: null, interval_seconds: 600, next_run_at: currentTime - 700, created_at: currentTime - 800 });
+      insertTask(db, { id: 'task-daily', next_run_at: currentTime - 60, created_at: currentTime - 800 });
+      addDependency(db, 'task-hourly', 'task-fetch');
+      addDependency(db, 'task-daily', 'task-fetch');
+
+      handleDependencyWindows(db, currentTime);
+
+      const hourly = db.prepare('SELECT status, next_run_at, last_run_at, last_error FROM tasks WHERE id = ?').get('task-hourly');
+      assert.equal(hourly.status, 'pending');
+      assert.equal(hourly.next_run_at, currentTime - 100);
+      assert.ok(hourly.last_run_at >= currentTime);
+      assert.equal(hourly.last_error, 'Skipped: upstream did not finish before the next scheduled run');
+      // Still inside its window: keeps waiting
+      const daily = db.prepare('SELECT next_run_at, last_error FROM tasks WHERE id = ?').get('task-daily');
+      assert.deepEqual({ ...daily }, { next_run_at: currentTime - 60, last_error: null });
+    });
+  });
+});
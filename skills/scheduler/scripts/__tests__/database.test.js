@@ -80,6 +80,35 @@ describe('getDb', () => {
   });
 });
 
+describe('schema migration', () => {
+  it('adds retry columns to a database created before they existed', async () => {
+    const originalZylosDir = process.env.ZYLOS_DIR;
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-migrate-'));
+    try {
+      process.env.ZYLOS_DIR = tmpDir;
+      const load = () => import(new URL(`../database.js?${Date.now()}-${Math.random().toString(16).slice(2)}`, import.meta.url));
+      const initial = (await load()).getDb();
+      initial.exec(`
+        ALTER TABLE tasks DROP COLUMN retry_backoff_seconds;
+        ALTER TABLE task_history DROP COLUMN attempt;
+      `);
+      initial.close();
+
+      const db = (await load()).getDb();
+      assert.ok(db.prepare('PRAGMA table_info(tasks)').all().some((c) => c.name === 'retry_backoff_seconds'));
+      assert.ok(db.prepare('PRAGMA table_info(task_history)').all().some((c) => c.name === 'attempt'));
+      db.close();
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      if (originalZylosDir === undefined) {
+        delete process.env.ZYLOS_DIR;
+      } else {
+        process.env.ZYLOS_DIR = originalZylosDir;
+      }
+    }
+  });
+});
+
 describe('cleanupHistory', () => {
   it('removes entries older than retention period', async () => {
     const originalZylosDir = process.env.ZYLOS_DIR;
@@ -8,6 +8,7 @@ import { getDb, generateId, now } from './database.js';
 import { getNextRun, isValidCron, describeCron, getDefaultTimezone } from './cron-utils.js';
 import { parseTime, parseDuration, formatTime, getRelativeTime } from './time-utils.js';
 import { loadTimezone } from './tz.js';
+import { failTaskRun } from './daemon-tasks.js';
 
 const db = getDb();
 
@@ -18,9 +19,15 @@ function escapeLike(str) {
 
 const ALLOWED_UPDATE_COLUMNS = new Set([
   'name', 'prompt', 'priority', 'require_idle', 'reply_channel', 'reply_endpoint',
-  'miss_threshold', 'type', 'cron_expression', 'interval_seconds', 'next_run_at', 'timezone', 'updated_at'
+  'miss_threshold', 'max_retries', 'retry_backoff_seconds', 'type', 'cron_expression', 'interval_seconds', 'next_run_at', 'timezone', 'updated_at'
 ]);
 
+const DEPENDENCY_CONDITION_LABELS = {
+  success: 'on success',
+  failure: 'on failure',
+  always: 'always'
+};
+
 const HELP = `
 Task CLI - Scheduler V2
 
@@ -31,12 +38,13 @@ Commands:
   add <prompt> [options]  Add a new task
   update <task-id> [options]  Update an existing task
   remove <task-id>        Remove a task
-  done <task-id>          Mark task as completed
+  done <task-id>          Mark task as completed (--failed: report a failed run)
   pause <task-id>         Pause a task
   resume <task-id>        Resume a paused task
   history [task-id]       Show execution history
   next                    Show upcoming tasks
   running                 Show currently running tasks
+  graph [--json]          Show task dependency chains
 
 List Options:
   --json                  Machine-readable output: JSON array of full task rows
@@ -57,6 +65,13 @@ Add Options:
   --reply-channel "<source>"      Reply channel (e.g., "telegram", "lark")
   --reply-endpoint "<endpoint>"  Reply endpoint (e.g., "8101553026", "chat_id topic_id")
   --miss-threshold <seconds>  Skip if overdue by more than this (default=300)
+  --max-retries <n>       Retry a failed or timed-out run up to n times (default=3, 0=never)
+  --retry-backoff "<duration>"  Delay before the first retry, doubled for each next one (default=1 minute)
+  --after <task-id>[,<task-id>]
+                          Run only once these tasks finish in this task's run window
+                          (without a timing option: a one-time task run as soon as they do)
+  --on-success            With --after: run when the upstream tasks succeed (default)
+  --on-failure            With --after: run when they fail instead (both flags: either way)
 
 Update Options (same as Add, plus):
   --prompt "<prompt>"     Update task content
@@ -64,14 +79,22 @@ Update Options (same as Add, plus):
                           Disable block-queue-until-idle behavior
                           Legacy alias: --no-require-idle
   --clear-reply           Clear reply configuration
+  --after <task-id>[,<task-id>]  Replace the task's dependencies
+  --clear-after           Remove the task's dependencies
+
+Done Options:
+  --failed                The run failed: retry with backoff, or give up and notify the reply channel
+  --error "<reason>"      Failure reason (recorded in history and last_error)
 
 Examples:
   ~/zylos/.claude/skills/scheduler/scripts/cli.js add "Say hello" --in "30 minutes"
   ~/zylos/.claude/skills/scheduler/scripts/cli.js add "Health check" --cron "0 8 * * *"
   ~/zylos/.claude/skills/scheduler/scripts/cli.js add "Check updates" --every "1 hour"
+  ~/zylos/.claude/skills/scheduler/scripts/cli.js add "Summarize the fetched data" --after task-abc
   ~/zylos/.claude/skills/scheduler/scripts/cli.js update task-abc --priority 1
   ~/zylos/.claude/skills/scheduler/scripts/cli.js update task-abc --block-queue-until-idle
   ~/zylos/.claude/skills/scheduler/scripts/cli.js done task-abc123
+  ~/zylos/.claude/skills/scheduler/scripts/cli.js done task-abc123 --failed --error "API returned 503"
 `;
 
 function parseArgs(args) {
@@ -90,6 +113,10 @@ function parseArgs(args) {
     'require-idle',
     'no-require-idle',
     'clear-reply',
+    'on-success',
+    'on-failure',
+    'clear-after',
+    'failed',
     'json'
   ]);
 
@@ -119,6 +146,108 @@ function parseArgs(args) {
   return result;
 }
 
+/**
+ * Parse --max-retries / --retry-backoff into column values
+ * @returns {{values: object}|{error: string}}
+ */
+function parseRetryOptions(options) {
+  const values = {};
+  if (options['max-retries'] !== undefined) {
+    const maxRetries = Number(options['max-retries']);
+    if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+      return { error: 'max-retries must be a non-negative integer' };
+    }
+    values.max_retries = maxRetries;
+  }
+  if (options['retry-backoff'] !== undefined) {
+    const backoff = parseDuration(options['retry-backoff']);
+    if (!backoff) {
+      return { error: `Invalid retry backoff "${options['retry-backoff']}"` };
+    }
+    values.retry_backoff_seconds = backoff;
+  }
+  return { values };
+}
+
+/**
+ * Parse --after / --on-success / --on-failure into upstream task IDs
+ * (prefixes resolved) and a dependency condition
+ * @returns {{dependsOn: string[], condition: string}|{error: string}|null} null without --after
+ */
+function parseDependencyOptions(options) {
+  if (!('after' in options)) {
+    if (options['on-success'] || options['on-failure']) {
+      return { error: '--on-success/--on-failure require --after' };
+    }
+    return null;
+  }
+
+  const dependsOn = [];
+  const prefixes = String(options.after ?? '').split(',').map(prefix => prefix.trim()).filter(Boolean);
+  for (const prefix of prefixes) {
+    const matches = db.prepare(`
+      SELECT id, type, status FROM tasks WHERE id LIKE ? ESCAPE '!'
+    `).all(escapeLike(prefix) + '%');
+    if (matches.length === 0) {
+      return { error: `Upstream task not found: ${prefix}` };
+    }
+    if (matches.length > 1) {
+      return { error: `Ambiguous task ID prefix '${prefix}' matches multiple tasks: ${matches.map(t => t.id).join(', ')}` };
+    }
+    // A finished one-time task never runs again, so the dependent would wait forever
+    if (matches[0].type === 'one-time' && ['completed', 'failed'].includes(matches[0].status)) {
+      return { error: `Upstream task ${matches[0].id} is a one-time task that already ran (${matches[0].status})` };
+    }
+    if (!dependsOn.includes(matches[0].id)) {
+      dependsOn.push(matches[0].id);
+    }
+  }
+  if (dependsOn.length === 0) {
+    return { error: '--after requires a task ID' };
+  }
+
+  let condition = 'success';
+  if (options['on-failure']) {
+    condition = options['on-success'] ? 'always' : 'failure';
+  }
+  return { dependsOn, condition };
+}
+
+/**
+ * Whether making taskId depend on these tasks would close a cycle, i.e.
+ * taskId is already upstream of one of them
+ */
+function wouldCreateCycle(taskId, dependsOn) {
+  const upstreamOf = db.prepare('SELECT depends_on FROM task_dependencies WHERE task_id = ?');
+  const seen = new Set();
+  const queue = [...dependsOn];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (id === taskId) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    queue.push(...upstreamOf.all(id).map(row => row.depends_on));
+  }
+  return false;
+}
+
+/**
+ * Replace a task's dependencies
+ */
+const setDependencies = db.transaction((taskId, dependsOn, condition) => {
+  db.prepare('DELETE FROM task_dependencies WHERE task_id = ?').run(taskId);
+  const insert = db.prepare(`
+    INSERT INTO task_dependencies (task_id, depends_on, condition) VALUES (?, ?, ?)
+  `);
+  for (const upstream of dependsOn) {
+    insert.run(taskId, upstream, condition);
+  }
+});
+
+function describeDependencies(dependencies) {
+  return `${dependencies.dependsOn.join(', ')} (${DEPENDENCY_CONDITION_LABELS[dependencies.condition]})`;
+}
+
 // ===== Commands =====
 
 function cmdList(options = {}) {
@@ -176,7 +305,14 @@ function cmdAdd(args, options) {
     return;
   }
 
+  const dependencies = parseDependencyOptions(options);
+  if (dependencies?.error) {
+    console.error(`Error: ${dependencies.error}`);
+    return;
+  }
+
   let type, nextRunAt, cronExpression, intervalSeconds;
+  let afterUpstreamOnly = false;
 
   // Determine task type from options
   if (options.in) {
@@ -210,8 +346,13 @@ function cmdAdd(args, options) {
       return;
     }
     nextRunAt = now() + intervalSeconds;
+  } else if (dependencies) {
+    // Runs once, as soon as its upstream tasks finish
+    type = 'one-time';
+    nextRunAt = now();
+    afterUpstreamOnly = true;
   } else {
-    console.error('Error: Must specify timing (--in, --at, --cron, or --every)');
+    console.error('Error: Must specify timing (--in, --at, --cron, --every, or --after)');
     console.log(HELP);
     return;
   }
@@ -238,6 +379,13 @@ function cmdAdd(args, options) {
     return;
   }
 
+  const retry = parseRetryOptions(options);
+  if (retry.error) {
+    console.error(`Error: ${retry.error}`);
+    return;
+  }
+  const { max_retries: maxRetries = 3, retry_backoff_seconds: retryBackoff = 60 } = retry.values;
+
   const taskId = generateId();
   const currentTime = now();
 
@@ -247,9 +395,10 @@ function cmdAdd(args, options) {
       cron_expression, interval_seconds,
       next_run_at, priority, status,
       require_idle, miss_threshold,
+      max_retries, retry_backoff_seconds,
       reply_channel, reply_endpoint,
       created_at, updated_at, timezone
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?)
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     taskId,
     options.name || prompt.substring(0, 40),  // Default name to truncated prompt
@@ -261,6 +410,8 @@ function cmdAdd(args, options) {
     priority,
     requireIdle,
     missThreshold,
+    maxRetries,
+    retryBackoff,
     replyChannel,
     replyEndpoint,
     currentTime,
@@ -268,10 +419,19 @@ function cmdAdd(args, options) {
     getDefaultTimezone()
   );
 
+  if (dependencies) {
+    setDependencies(taskId, dependencies.dependsOn, dependencies.condition);
+  }
+
   console.log(`\nTask created: ${taskId}`);
   console.log(`  Type: ${type}`);
   console.log(`  Priority: ${priority}`);
-  console.log(`  Next run: ${formatTime(nextRunAt)} (${getRelativeTime(nextRunAt)})`);
+  console.log(afterUpstreamOnly
+    ? '  Next run: as soon as its upstream tasks finish'
+    : `  Next run: ${formatTime(nextRunAt)} (${getRelativeTime(nextRunAt)})`);
+  if (dependencies) {
+    console.log(`  Runs after: ${describeDependencies(dependencies)}`);
+  }
 
   if (cronExpression) {
     console.log(`  Schedule: ${describeCron(cronExpression)}`);
@@ -302,11 +462,20 @@ function cmdRemove(taskId) {
     return;
   }
 
-  db.prepare('DELETE FROM tasks WHERE id = ?').run(tasks[0].id);
-  console.log(`Removed task: ${tasks[0].id}`);
+  const taskIdToRemove = tasks[0].id;
+  const dependents = db.prepare(`
+    SELECT task_id FROM task_dependencies WHERE depends_on = ?
+  `).all(taskIdToRemove).map(row => row.task_id);
+
+  db.prepare('DELETE FROM task_dependencies WHERE task_id = ? OR depends_on = ?').run(taskIdToRemove, taskIdToRemove);
+  db.prepare('DELETE FROM tasks WHERE id = ?').run(taskIdToRemove);
+  console.log(`Removed task: ${taskIdToRemove}`);
+  if (dependents.length > 0) {
+    console.log(`  No longer waiting for it: ${dependents.join(', ')}`);
+  }
 }
 
-function cmdDone(taskId) {
+function cmdDone(taskId, options = {}) {
   if (!taskId) {
     console.error('Error: Task ID is required');
     return;
@@ -331,12 +500,17 @@ function cmdDone(taskId) {
 
   const task = tasks[0];
 
+  if (options.failed) {
+    cmdDoneFailed(task, options.error || 'Reported failed');
+    return;
+  }
+
   const currentTime = now();
 
   // Update task status
   db.prepare(`
     UPDATE tasks
-    SET status = 'completed', last_run_at = ?, updated_at = ?
+    SET status = 'completed', retry_count = 0, last_run_at = ?, updated_at = ?
     WHERE id = ?
   `).run(currentTime, currentTime, task.id);
 
@@ -364,6 +538,24 @@ function cmdDone(taskId) {
   }
 }
 
+function cmdDoneFailed(task, error) {
+  if (task.status !== 'running') {
+    console.error(`Error: Task ${task.id} is not running (status: ${task.status})`);
+    return;
+  }
+
+  const result = failTaskRun(db, task, error);
+  if (result.retry) {
+    console.log(`Failed task: ${task.id}`);
+    console.log(`  Retry ${result.attempt - 1}/${task.max_retries} at ${formatTime(result.nextRunAt)} (${getRelativeTime(result.nextRunAt)})`);
+  } else {
+    console.log(`Failed task: ${task.id} (no retries left, after ${result.attempt} attempt(s))`);
+    if (task.type !== 'one-time') {
+      console.log('(Scheduler will calculate next run time)');
+    }
+  }
+}
+
 function cmdPause(taskId) {
   if (!taskId) {
     console.error('Error: Task ID is required');
@@ -458,16 +650,20 @@ function cmdHistory(taskId) {
   }
 
   console.log('\n  Execution History:\n');
-  console.log('  Time                | Task ID        | Status  | Duration');
-  console.log('  ' + '-'.repeat(65));
+  console.log('  Time                | Task ID        | Try | Status  | Duration');
+  console.log('  ' + '-'.repeat(71));
 
   for (const entry of history) {
     const time = formatTime(entry.executed_at).padEnd(18);
     const id = entry.task_id.substring(0, 14).padEnd(14);
+    const attempt = String(entry.attempt || 1).padEnd(3);
     const status = entry.status.padEnd(7);
     const duration = entry.duration_ms ? `${Math.round(entry.duration_ms / 1000)}s` : '-';
 
-    console.log(`  ${time} | ${id} | ${status} | ${duration}`);
+    console.log(`  ${time} | ${id} | ${attempt} | ${status} | ${duration}`);
+    if (entry.error) {
+      console.log(`                       └─ ${entry.error.substring(0, 80).replace(/\n/g, ' ')}`);
+    }
   }
   console.log();
 }
@@ -606,6 +802,15 @@ function cmdUpdate(taskId, options) {
     updatedFields.push('miss_threshold');
   }
 
+  // Update retry policy
+  const retry = parseRetryOptions(options);
+  if (retry.error) {
+    console.error(`Error: ${retry.error}`);
+    return;
+  }
+  Object.assign(updates, retry.values);
+  updatedFields.push(...Object.keys(retry.values));
+
   // Update schedule (type and next_run_at)
   let scheduleUpdated = false;
   if (options.in) {
@@ -659,8 +864,31 @@ function cmdUpdate(taskId, options) {
     updatedFields.push('type', 'schedule');
   }
 
+  // Update dependencies
+  let dependencies = null;
+  if (options['clear-after']) {
+    if ('after' in options) {
+      console.error('Error: Use either --after or --clear-after');
+      return;
+    }
+    dependencies = { dependsOn: [], condition: 'success' };
+  } else {
+    dependencies = parseDependencyOptions(options);
+    if (dependencies?.error) {
+      console.error(`Error: ${dependencies.error}`);
+      return;
+    }
+    if (dependencies && wouldCreateCycle(task.id, dependencies.dependsOn)) {
+      console.error(`Error: Dependency cycle: ${task.id} is already upstream of ${dependencies.dependsOn.join(', ')}`);
+      return;
+    }
+  }
+  if (dependencies) {
+    updatedFields.push('dependencies');
+  }
+
   // Check if any updates were provided
-  if (Object.keys(updates).length === 0) {
+  if (Object.keys(updates).length === 0 && !dependencies) {
     console.error('Error: No updates provided');
     console.log('Use --help to see available options');
     return;
@@ -681,6 +909,10 @@ function cmdUpdate(taskId, options) {
     UPDATE tasks SET ${setClauses} WHERE id = ?
   `).run(...values, task.id);
 
+  if (dependencies) {
+    setDependencies(task.id, dependencies.dependsOn, dependencies.condition);
+  }
+
   console.log(`\nTask updated: ${task.id}`);
   console.log(`  Updated fields: ${updatedFields.join(', ')}`);
 
@@ -688,6 +920,69 @@ function cmdUpdate(taskId, options) {
     console.log(`  Type: ${updates.type}`);
     console.log(`  Next run: ${formatTime(updates.next_run_at)} (${getRelativeTime(updates.next_run_at)})`);
   }
+  if (dependencies) {
+    console.log(`  Runs after: ${dependencies.dependsOn.length > 0 ? describeDependencies(dependencies) : '(none)'}`);
+  }
+  console.log();
+}
+
+function describeSchedule(task) {
+  if (task.type === 'recurring') return `cron ${task.cron_expression}`;
+  if (task.type === 'interval') return `every ${task.interval_seconds}s`;
+  return 'one-time';
+}
+
+function cmdGraph(options = {}) {
+  const edges = db.prepare(`
+    SELECT task_id, depends_on, condition FROM task_dependencies
+    ORDER BY depends_on, task_id
+  `).all();
+
+  if (options.json) {
+    console.log(JSON.stringify(edges, null, 2));
+    return;
+  }
+
+  if (edges.length === 0) {
+    console.log('No task dependencies.');
+    return;
+  }
+
+  const tasks = new Map(db.prepare('SELECT * FROM tasks').all().map(task => [task.id, task]));
+  const dependents = new Map();
+  for (const edge of edges) {
+    if (!dependents.has(edge.depends_on)) dependents.set(edge.depends_on, []);
+    dependents.get(edge.depends_on).push(edge);
+  }
+  const hasUpstream = new Set(edges.map(edge => edge.task_id));
+  const roots = [...dependents.keys()].filter(id => !hasUpstream.has(id));
+
+  const describeTask = (id) => {
+    const task = tasks.get(id);
+    if (!task) return `${id}  (missing)`;
+    const line = `${id}  ${task.name || task.prompt.substring(0, 30)}  [${describeSchedule(task)}, ${task.status}]`;
+    // Failed or skipped since it last ran: show why
+    const failedLastRun = task.failed_at && task.failed_at >= (task.last_run_at ?? 0);
+    return failedLastRun && task.last_error ? `${line}  (${task.last_error})` : line;
+  };
+
+  // A task with several upstreams is listed under each of them
+  const printDependents = (id, indent, path) => {
+    const children = dependents.get(id) || [];
+    children.forEach((edge, index) => {
+      const last = index === children.length - 1;
+      console.log(`${indent}${last ? '└─' : '├─'} ${DEPENDENCY_CONDITION_LABELS[edge.condition]}: ${describeTask(edge.task_id)}`);
+      if (!path.has(edge.task_id)) {
+        printDependents(edge.task_id, indent + (last ? '   ' : '│  '), new Set([...path, edge.task_id]));
+      }
+    });
+  };
+
+  console.log('\n  Task Dependencies:\n');
+  for (const root of roots) {
+    console.log(`  ${describeTask(root)}`);
+    printDependents(root, '  ', new Set([root]));
+  }
   console.log();
 }
 
@@ -721,7 +1016,7 @@ function main() {
       break;
     case 'done':
     case 'complete':
-      cmdDone(args[0]);
+      cmdDone(args[0], options);
       break;
     case 'pause':
       cmdPause(args[0]);
@@ -738,6 +1033,9 @@ function main() {
     case 'running':
       cmdRunning();
       break;
+    case 'graph':
+      cmdGraph(options);
+      break;
     case 'help':
     case '--help':
     case '-h':
@@ -6,8 +6,10 @@
 import { now } from './database.js';
 import { getNextRun } from './cron-utils.js';
 import { formatTime } from './time-utils.js';
+import { sendToChannel, sendViaC4 } from './runtime.js';
 
 export const TASK_TIMEOUT = 3600;  // 1 hour
+export const RETRY_BACKOFF_MAX = 6 * 3600;  // 6 hours
 
 /**
  * Update next_run_at for recurring/interval tasks after completion
@@ -25,13 +27,153 @@ export function updateNextRunTime(db, task) {
 
   db.prepare(`
     UPDATE tasks
-    SET next_run_at = ?, status = 'pending', last_run_at = ?, updated_at = ?
+    SET next_run_at = ?, status = 'pending', retry_count = 0, last_run_at = ?, updated_at = ?
     WHERE id = ?
   `).run(nextRun, now(), now(), task.id);
 
   console.log(`[${new Date().toISOString()}] Updated next run for ${task.id}: ${formatTime(nextRun)}`);
 }
 
+/**
+ * End of a recurring/interval task's run window: its following scheduled
+ * run. One-time tasks have no window end.
+ */
+export function getRunWindowEnd(task) {
+  if (task.type === 'recurring' && task.cron_expression) {
+    return getNextRun(task.cron_expression, task.timezone, new Date(task.next_run_at * 1000));
+  }
+  if (task.type === 'interval' && task.interval_seconds) {
+    return task.next_run_at + task.interval_seconds;
+  }
+  return null;
+}
+
+/**
+ * Dependency readiness of a task. Only upstream outcomes since the task
+ * last ran (or was created) count; older ones belong to an earlier run.
+ * A skipped or finally failed upstream counts as failed.
+ * @returns {{state: 'ready', readyAt: number}|{state: 'waiting'}|{state: 'blocked', reason: string}}
+ *   readyAt is when the last required upstream finished (next_run_at when
+ *   there are no dependencies); blocked means an upstream finished the
+ *   other way, so this run can no longer happen
+ */
+export function getDependencyState(db, task) {
+  const dependencies = db.prepare(`
+    SELECT d.depends_on, d.condition, t.failed_at,
+      (SELECT MAX(h.completed_at) FROM task_history h
+       WHERE h.task_id = d.depends_on AND h.status = 'success') AS succeeded_at
+    FROM task_dependencies d
+    JOIN tasks t ON t.id = d.depends_on
+    WHERE d.task_id = ?
+  `).all(task.id);
+
+  const windowStart = task.last_run_at ?? task.created_at;
+  const since = (time) => (time !== null && time >= windowStart ? time : null);
+  let readyAt = task.next_run_at;
+  let waiting = false;
+
+  for (const dependency of dependencies) {
+    const succeededAt = since(dependency.succeeded_at);
+    const failedAt = since(dependency.failed_at);
+    const metAt = {
+      success: succeededAt,
+      failure: failedAt,
+      always: succeededAt ?? failedAt
+    }[dependency.condition];
+
+    if (metAt !== null) {
+      readyAt = Math.max(readyAt, metAt);
+    } else if (dependency.condition === 'success' && failedAt !== null) {
+      return { state: 'blocked', reason: `upstream ${dependency.depends_on} failed` };
+    } else if (dependency.condition === 'failure' && succeededAt !== null) {
+      return { state: 'blocked', reason: `upstream ${dependency.depends_on} succeeded` };
+    } else {
+      waiting = true;
+    }
+  }
+
+  return waiting ? { state: 'waiting' } : { state: 'ready', readyAt };
+}
+
+/**
+ * Next due pending task whose dependencies are met, by priority then
+ * schedule. due_at is when it became due: the later of next_run_at and its
+ * last upstream finishing.
+ */
+export function findNextPendingTask(db, currentTime = now()) {
+  const dueTasks = db.prepare(`
+    SELECT * FROM tasks
+    WHERE status = 'pending'
+    AND next_run_at <= ?
+    ORDER BY priority ASC, next_run_at ASC
+  `).all(currentTime);
+
+  for (const task of dueTasks) {
+    const dependencies = getDependencyState(db, task);
+    if (dependencies.state === 'ready') {
+      return { ...task, due_at: dependencies.readyAt };
+    }
+  }
+  return null;
+}
+
+/**
+ * Skip a task's run (missed its window, or its dependencies can no longer
+ * be met): one-time tasks fail, recurring/interval tasks move to nextRunAt
+ * (default: their next scheduled run from now). failed_at is set so the
+ * skip counts as a failure for the task's dependents.
+ */
+export function skipRun(db, task, reason, nextRunAt = null) {
+  const currentTime = now();
+  console.log(`[${new Date().toISOString()}] Task ${task.id} (${task.name}) skipped: ${reason}`);
+
+  if (task.type === 'one-time') {
+    db.prepare(`
+      UPDATE tasks
+      SET status = 'failed', last_error = ?, failed_at = ?, updated_at = ?
+      WHERE id = ?
+    `).run(`Skipped: ${reason}`, currentTime, currentTime, task.id);
+    return;
+  }
+
+  const nextRun = nextRunAt ?? (task.type === 'recurring'
+    ? getNextRun(task.cron_expression, task.timezone)
+    : currentTime + task.interval_seconds);
+  db.prepare(`
+    UPDATE tasks
+    SET status = 'pending', next_run_at = ?, retry_count = 0, last_run_at = ?,
+        last_error = ?, failed_at = ?, updated_at = ?
+    WHERE id = ?
+  `).run(nextRun, currentTime, `Skipped: ${reason}`, currentTime, currentTime, task.id);
+}
+
+/**
+ * Skip due dependent tasks whose run can no longer happen: an upstream
+ * finished the other way, or (recurring/interval) the upstreams did not
+ * finish before the task's following scheduled run, which then becomes
+ * the current run.
+ */
+export function handleDependencyWindows(db, currentTime = now()) {
+  const dependents = db.prepare(`
+    SELECT * FROM tasks
+    WHERE status = 'pending'
+    AND next_run_at <= ?
+    AND EXISTS (SELECT 1 FROM task_dependencies d WHERE d.task_id = tasks.id)
+  `).all(currentTime);
+
+  for (const task of dependents) {
+    const dependencies = getDependencyState(db, task);
+    if (dependencies.state === 'blocked') {
+      skipRun(db, task, dependencies.reason);
+    } else if (dependencies.state === 'waiting') {
+      const windowEnd = getRunWindowEnd(task);
+      if (windowEnd !== null && windowEnd <= currentTime) {
+        skipRun(db, task, 'upstream did not finish before the next scheduled run', windowEnd);
+      }
+    }
+  }
+}
+
 /**
  * Handle completed tasks - update recurring ones, finalize one-time
  */
@@ -56,11 +198,83 @@ export function processCompletedTasks(db) {
   }
 }
 
+/**
+ * Delay before the next retry of a task: retry_backoff_seconds doubled for
+ * each earlier retry, capped at RETRY_BACKOFF_MAX
+ */
+export function getRetryDelay(task) {
+  const base = task.retry_backoff_seconds ?? 60;
+  return Math.min(RETRY_BACKOFF_MAX, base * 2 ** (task.retry_count || 0));
+}
+
+/**
+ * Tell the task's reply channel (or Claude, for tasks without one) that the
+ * task failed on its last attempt
+ */
+export function notifyTaskFailure(task, error) {
+  const attempts = (task.retry_count || 0) + 1;
+  const message = `[Scheduler] Task "${task.name}" (${task.id}) failed after ${attempts} attempt(s): ${error}`;
+  if (task.reply_channel) {
+    return sendToChannel(task.reply_channel, task.reply_endpoint, message);
+  }
+  return sendViaC4(message, { priority: task.priority });
+}
+
+/**
+ * Record a failed or timed-out run, then schedule a retry or, once
+ * max_retries is spent, give up: one-time tasks become 'failed',
+ * recurring/interval tasks go on to their next regular run, and the final
+ * failure is reported through notify.
+ * @param {object} task - Task row of the run that failed
+ * @param {string} error - Failure reason
+ * @param {object} [options]
+ * @param {string} [options.historyStatus='failed'] - 'failed' or 'timeout'
+ * @param {function} [options.notify=notifyTaskFailure] - Called as notify(task, error) on final failure
+ * @returns {{retry: boolean, nextRunAt: number|null, attempt: number}} attempt is the next attempt when retrying, else the one that failed
+ */
+export function failTaskRun(db, task, error, { historyStatus = 'failed', notify = notifyTaskFailure } = {}) {
+  const currentTime = now();
+  const retryCount = task.retry_count || 0;
+
+  db.prepare(`
+    UPDATE task_history
+    SET status = ?, completed_at = ?, duration_ms = (? - executed_at) * 1000, error = ?
+    WHERE task_id = ? AND status = 'started'
+  `).run(historyStatus, currentTime, currentTime, error, task.id);
+
+  if (retryCount < (task.max_retries ?? 0)) {
+    const nextRunAt = currentTime + getRetryDelay(task);
+    db.prepare(`
+      UPDATE tasks
+      SET status = 'pending', next_run_at = ?, retry_count = ?, last_error = ?, updated_at = ?
+      WHERE id = ?
+    `).run(nextRunAt, retryCount + 1, error, currentTime, task.id);
+
+    console.log(`[${new Date().toISOString()}] Task ${task.id} failed (${error}), retry ${retryCount + 1}/${task.max_retries} at ${formatTime(nextRunAt)}`);
+    return { retry: true, nextRunAt, attempt: retryCount + 2 };
+  }
+
+  // Recurring/interval tasks are rescheduled by processCompletedTasks.
+  db.prepare(`
+    UPDATE tasks
+    SET status = ?, last_error = ?, failed_at = ?, updated_at = ?
+    WHERE id = ?
+  `).run(task.type === 'one-time' ? 'failed' : 'completed', error, currentTime, currentTime, task.id);
+
+  console.log(`[${new Date().toISOString()}] Task ${task.id} failed (${error}) after ${retryCount + 1} attempt(s), giving up`);
+  try {
+    notify(task, error);
+  } catch (notifyError) {
+    console.error(`[${new Date().toISOString()}] Failed to report failure of task ${task.id}: ${notifyError.message}`);
+  }
+  return { retry: false, nextRunAt: null, attempt: retryCount + 1 };
+}
+
 /**
  * Handle stale running tasks (orphaned due to compaction/crash)
  * Tasks running for more than TASK_TIMEOUT seconds are considered stale
  */
-export function handleStaleRunningTasks(db) {
+export function handleStaleRunningTasks(db, { notify = notifyTaskFailure } = {}) {
   const currentTime = now();
   const staleThreshold = currentTime - TASK_TIMEOUT;
 
@@ -72,25 +286,6 @@ export function handleStaleRunningTasks(db) {
 
   for (const task of staleTasks) {
     console.log(`[${new Date().toISOString()}] Task ${task.id} (${task.name}) timed out after ${TASK_TIMEOUT}s`);
-
-    db.prepare(`
-      UPDATE task_history
-      SET status = 'timeout', completed_at = ?
-      WHERE task_id = ? AND status = 'started'
-    `).run(now(), task.id);
-
-    if (task.type === 'one-time') {
-      db.prepare(`
-        UPDATE tasks
-        SET status = 'failed', last_error = 'Task timed out', updated_at = ?
-        WHERE id = ?
-      `).run(now(), task.id);
-    } else {
-      db.prepare(`
-        UPDATE tasks
-        SET status = 'completed', last_error = 'Task timed out', updated_at = ?
-        WHERE id = ?
-      `).run(now(), task.id);
-    }
+    failTaskRun(db, task, 'Task timed out', { historyStatus: 'timeout', notify });
   }
 }
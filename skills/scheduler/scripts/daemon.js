@@ -9,7 +9,7 @@ import { getNextRun } from './cron-utils.js';
 import { sendViaC4, readStatusFile } from './runtime.js';
 import { formatTime } from './time-utils.js';
 import { loadTimezone } from './tz.js';
-import { updateNextRunTime as _updateNextRunTime, processCompletedTasks as _processCompletedTasks, handleStaleRunningTasks as _handleStaleRunningTasks, TASK_TIMEOUT } from './daemon-tasks.js';
+import { processCompletedTasks as _processCompletedTasks, handleStaleRunningTasks as _handleStaleRunningTasks, findNextPendingTask, handleDependencyWindows as _handleDependencyWindows, skipRun, TASK_TIMEOUT } from './daemon-tasks.js';
 
 const CHECK_INTERVAL = 5000;  // 5 seconds
 const CLEANUP_INTERVAL = 3600000;  // 1 hour
@@ -27,18 +27,10 @@ try {
 }
 
 /**
- * Get the next pending task that's due
+ * Get the next pending task that's due and whose dependencies are met
  */
 function getNextPendingTask() {
-  const currentTime = now();
-
-  return db.prepare(`
-    SELECT * FROM tasks
-    WHERE status = 'pending'
-    AND next_run_at <= ?
-    ORDER BY priority ASC, next_run_at ASC
-    LIMIT 1
-  `).get(currentTime);
+  return findNextPendingTask(db, now());
 }
 
 /**
@@ -69,16 +61,19 @@ function dispatchTask(task) {
     return false;
   }
 
-  // Create history entry
+  // Create history entry (attempt 2+ for retries)
+  const attempt = (task.retry_count || 0) + 1;
   db.prepare(`
-    INSERT INTO task_history (task_id, executed_at, status)
-    VALUES (?, ?, 'started')
-  `).run(task.id, now());
+    INSERT INTO task_history (task_id, executed_at, status, attempt)
+    VALUES (?, ?, 'started', ?)
+  `).run(task.id, now(), attempt);
 
   // Build prompt with completion instruction
-  const prompt = `[Scheduled Task: ${task.id}] ${task.prompt}
+  const retryNote = attempt > 1 ? ` (retry ${attempt - 1}/${task.max_retries}, last error: ${task.last_error})` : '';
+  const prompt = `[Scheduled Task: ${task.id}]${retryNote} ${task.prompt}
 
----- After completing this task, run: ~/zylos/.claude/skills/scheduler/scripts/cli.js done ${task.id}`;
+---- After completing this task, run: ~/zylos/.claude/skills/scheduler/scripts/cli.js done ${task.id}
+---- If it cannot be completed, run: ~/zylos/.claude/skills/scheduler/scripts/cli.js done ${task.id} --failed --error "<reason>"`;
 
   // Send via C4 Communication Bridge
   const success = sendViaC4(prompt, {
@@ -117,10 +112,6 @@ function dispatchTask(task) {
   return success;
 }
 
-function updateNextRunTime(task) {
-  _updateNextRunTime(db, task);
-}
-
 function processCompletedTasks() {
   _processCompletedTasks(db);
 }
@@ -134,12 +125,15 @@ function handleMissedTasks() {
   const currentTime = now();
   const recentMissedThreshold = currentTime - 300;   // 5 minutes
 
-  // Find recurring/interval tasks that are past due (>5 min)
+  // Find recurring/interval tasks that are past due (>5 min).
+  // Dependent tasks are due when their upstreams finish, not at
+  // next_run_at; handleDependencyWindows() skips them instead.
   const missedTasks = db.prepare(`
     SELECT * FROM tasks
     WHERE status = 'pending'
     AND type IN ('recurring', 'interval')
     AND next_run_at < ?
+    AND NOT EXISTS (SELECT 1 FROM task_dependencies d WHERE d.task_id = tasks.id)
   `).all(recentMissedThreshold);
 
   for (const task of missedTasks) {
@@ -149,10 +143,7 @@ function handleMissedTasks() {
     if (overdueSeconds > threshold) {
       // Overdue beyond threshold: skip to next schedule
       console.log(`[${new Date().toISOString()}] Task ${task.id} (${task.name}) missed by ${overdueSeconds}s (threshold: ${threshold}s), skipping to next schedule`);
-      updateNextRunTime({
-        ...task,
-        status: 'completed'
-      });
+      skipRun(db, task, 'missed execution window');
     } else {
       // Within threshold: try to dispatch if runtime is alive
       if (isRuntimeAlive()) {
@@ -168,6 +159,10 @@ function handleStaleRunningTasks() {
   _handleStaleRunningTasks(db);
 }
 
+function handleDependencyWindows() {
+  _handleDependencyWindows(db);
+}
+
 /**
  * Main scheduler loop
  */
@@ -207,25 +202,15 @@ async function mainLoop() {
       // Dispatch if task is due and runtime is alive
       if (task) {
         const currentTime = now();
-        const overdueSeconds = currentTime - task.next_run_at;
+        const overdueSeconds = currentTime - task.due_at;
         const threshold = task.miss_threshold || 300;
 
         // Check if task is overdue beyond its miss_threshold
         if (overdueSeconds > threshold) {
-          // Skip this task
+          // Skip this task: one-time tasks fail, recurring/interval tasks
+          // move on to their next run. Dependents see it as a failed run.
           console.log(`[${new Date().toISOString()}] Task ${task.id} (${task.name}) overdue by ${overdueSeconds}s (threshold: ${threshold}s), skipping`);
-
-          if (task.type === 'one-time') {
-            // One-time tasks: mark as failed
-            db.prepare(`
-              UPDATE tasks
-              SET status = 'failed', last_error = 'Missed execution window', updated_at = ?
-              WHERE id = ?
-            `).run(currentTime, task.id);
-          } else {
-            // Recurring/interval tasks: schedule next run
-            updateNextRunTime(task);
-          }
+          skipRun(db, task, 'missed execution window');
         } else {
           // Within threshold: dispatch normally
           dispatchTask(task);
@@ -238,6 +223,9 @@ async function mainLoop() {
       // Handle missed tasks
       handleMissedTasks();
 
+      // Skip dependent tasks whose upstreams failed or ran out of time
+      handleDependencyWindows();
+
       // Handle stale running tasks (orphaned due to compaction/crash)
       handleStaleRunningTasks();
 
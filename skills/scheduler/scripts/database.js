@@ -62,12 +62,14 @@ function initSchema() {
       reply_channel TEXT DEFAULT NULL,          -- reply channel (e.g., 'telegram')
       reply_endpoint TEXT DEFAULT NULL,         -- reply endpoint (e.g., user ID)
 
-      -- Retry Logic (reserved, not currently used)
-      -- Implicit retry is handled via miss_threshold: tasks stay pending
-      -- until dispatched or overdue beyond miss_threshold window (default 300s).
-      -- See daemon.js mainLoop + handleMissedTasks for details.
-      retry_count INTEGER DEFAULT 0,
+      -- Retry Logic
+      -- A run that fails (cli.js done --failed) or times out is retried after
+      -- retry_backoff_seconds * 2^retry_count, up to max_retries times.
+      -- See daemon-tasks.js failTaskRun. Dispatch that never reached the
+      -- runtime is retried implicitly within miss_threshold instead.
+      retry_count INTEGER DEFAULT 0,            -- failed runs since the last success
       max_retries INTEGER DEFAULT 3,
+      retry_backoff_seconds INTEGER DEFAULT 60,
 
       -- Metadata
       created_at INTEGER NOT NULL,
@@ -92,6 +94,7 @@ function initSchema() {
       status TEXT NOT NULL CHECK(status IN ('started', 'success', 'failed', 'timeout')),
       duration_ms INTEGER,
       error TEXT,
+      attempt INTEGER DEFAULT 1,                -- 1 for a scheduled run, 2+ for retries
 
       FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
     );
@@ -99,6 +102,21 @@ function initSchema() {
     CREATE INDEX IF NOT EXISTS idx_history_task ON task_history(task_id);
     CREATE INDEX IF NOT EXISTS idx_history_time ON task_history(executed_at);
 
+    -- Task dependencies: task_id becomes due only once depends_on has
+    -- finished with the required outcome in task_id's run window.
+    -- See daemon-tasks.js getDependencyState.
+    CREATE TABLE IF NOT EXISTS task_dependencies (
+      task_id TEXT NOT NULL,
+      depends_on TEXT NOT NULL,
+      condition TEXT NOT NULL DEFAULT 'success' CHECK(condition IN ('success', 'failure', 'always')),
+
+      PRIMARY KEY (task_id, depends_on),
+      FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+      FOREIGN KEY (depends_on) REFERENCES tasks(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_dependencies_upstream ON task_dependencies(depends_on);
+
     -- System state (for tracking scheduler status, etc.)
     CREATE TABLE IF NOT EXISTS system_state (
       key TEXT PRIMARY KEY,
@@ -107,6 +125,18 @@ function initSchema() {
     );
   `);
 
+  // Columns added after the first release
+  addMissingColumns('tasks', { retry_backoff_seconds: 'INTEGER DEFAULT 60' });
+  addMissingColumns('task_history', { attempt: 'INTEGER DEFAULT 1' });
+}
+
+function addMissingColumns(table, columns) {
+  const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map((column) => column.name));
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing.has(name)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+    }
+  }
 }
 
 // Clean up old history entries (older than HISTORY_RETENTION_DAYS)
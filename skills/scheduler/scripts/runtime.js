@@ -27,12 +27,13 @@ export function readStatusFile() {
 }
 
 /**
- * Find the c4-receive.js path, trying production location first, then development
- * @returns {string} Path to c4-receive.js
+ * Find a comm-bridge script, trying production location first, then development
+ * @param {string} script - e.g. 'c4-receive.js'
+ * @returns {string} Path to the script
  */
-function findC4ReceivePath() {
+function findC4ScriptPath(script) {
   // Method 1: Production location (priority for efficiency in deployed environment)
-  const productionPath = join(homedir(), 'zylos/.claude/skills/comm-bridge/scripts/c4-receive.js');
+  const productionPath = join(homedir(), 'zylos/.claude/skills/comm-bridge/scripts', script);
   if (existsSync(productionPath)) {
     return productionPath;
   }
@@ -42,7 +43,7 @@ function findC4ReceivePath() {
   // Target file:  .../skills/comm-bridge/scripts/c4-receive.js
   const currentFile = fileURLToPath(import.meta.url);
   const skillsDir = join(dirname(currentFile), '..', '..');
-  const devPath = join(skillsDir, 'comm-bridge', 'scripts', 'c4-receive.js');
+  const devPath = join(skillsDir, 'comm-bridge', 'scripts', script);
 
   if (existsSync(devPath)) {
     return devPath;
@@ -74,7 +75,7 @@ export function sendViaC4(message, options = {}) {
   } = options;
 
   try {
-    const c4ReceivePath = findC4ReceivePath();
+    const c4ReceivePath = findC4ScriptPath('c4-receive.js');
 
     // Build c4-receive.js command arguments
     const args = [c4ReceivePath];
@@ -103,3 +104,24 @@ export function sendViaC4(message, options = {}) {
     return false;
   }
 }
+
+/**
+ * Send a message to a user through a channel via c4-send.js (not to Claude)
+ * @param {string} channel - Channel (e.g., 'telegram')
+ * @param {string|null} endpoint - Endpoint; null broadcasts to the channel
+ * @param {string} message - Message to send (passed on stdin)
+ * @returns {boolean} True if successful
+ */
+export function sendToChannel(channel, endpoint, message) {
+  try {
+    const args = [findC4ScriptPath('c4-send.js'), channel];
+    if (endpoint) {
+      args.push(endpoint);
+    }
+    execFileSync('node', args, { input: message, stdio: ['pipe', 'pipe', 'pipe'], timeout: 30000 });
+    return true;
+  } catch (error) {
+    console.error('Failed to send via C4:', error.message);
+    return false;
+  }
+}